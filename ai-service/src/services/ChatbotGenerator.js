@@ -10,6 +10,7 @@ const path = require('path');
 const { OpenAI } = require('openai');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
+const MemoryFileSystem = require('./MemoryFileSystem');
 
 // Initialize OpenAI
 const openai = new OpenAI({
@@ -17,11 +18,19 @@ const openai = new OpenAI({
 });
 
 class ChatbotGenerator {
-  constructor(project) {
+  /**
+   * @param {Object} project - The studio project to generate the chatbot for
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Keep the generated files in memory
+   *   and return them from generateAll() instead of writing to disk
+   */
+  constructor(project, options = {}) {
     this.project = project;
     this.outputDir = path.join(__dirname, '../../generated', project._id.toString(), 'chatbot');
     this.promptsDir = path.join(this.outputDir, 'prompts');
     this.handlersDir = path.join(this.outputDir, 'handlers');
+    this.dryRun = Boolean(options.dryRun);
+    this.fs = this.dryRun ? new MemoryFileSystem(this.outputDir) : fs;
   }
 
   /**
@@ -41,6 +50,11 @@ class ChatbotGenerator {
       // Generate main chatbot controller
       await this.generateChatbotController();
       
+      // Generate handler types and tsconfig.json for TypeScript output
+      if (this.isTypeScript()) {
+        await this.generateTypeScriptConfig();
+      }
+      
       // Generate frontend chat widget
       await this.generateChatWidget();
       
@@ -49,7 +63,8 @@ class ChatbotGenerator {
       
       return {
         success: true,
-        outputDir: this.outputDir
+        outputDir: this.outputDir,
+        ...(this.dryRun ? { files: this.fs.getFiles() } : {})
       };
     } catch (error) {
       console.error('Error generating chatbot code:', error);
@@ -72,7 +87,7 @@ class ChatbotGenerator {
     
     for (const dir of dirs) {
       try {
-        await fs.mkdir(dir, { recursive: true });
+        await this.fs.mkdir(dir, { recursive: true });
       } catch (error) {
         if (error.code !== 'EEXIST') {
           throw error;
@@ -81,6 +96,58 @@ class ChatbotGenerator {
     }
   }
 
+  /**
+   * Check whether the server code is generated as TypeScript, following the
+   * project's API language setting
+   */
+  isTypeScript() {
+    const settings = this.project.apiSettings || {};
+    return settings.language === 'typescript';
+  }
+
+  /**
+   * Get the file name of a generated module in the output language
+   */
+  getModuleFile(name) {
+    return `${name}.${this.isTypeScript() ? 'ts' : 'js'}`;
+  }
+
+  /**
+   * Get a type annotation, or nothing for JavaScript output
+   */
+  typed(annotation) {
+    return this.isTypeScript() ? annotation : '';
+  }
+
+  /**
+   * Get an import statement in the output language
+   *
+   * @param {string} binding - The CommonJS binding, e.g. "{ v4: uuidv4 }"
+   * @param {string} source - The module to import
+   */
+  importModule(binding, source) {
+    if (!this.isTypeScript()) {
+      return `const ${binding} = require('${source}');`;
+    }
+
+    return `import ${binding.replace(/(\w+): (\w+)/g, '$1 as $2')} from '${source}';`;
+  }
+
+  /**
+   * Get the statement exporting the given names in the output language
+   */
+  exportModule(names) {
+    const list = `{\n  ${names.join(',\n  ')}\n}`;
+    return this.isTypeScript() ? `export ${list};` : `module.exports = ${list};`;
+  }
+
+  /**
+   * Get the import of handler types, or nothing for JavaScript output
+   */
+  importTypes(names, source = '../types') {
+    return this.typed(`import type { ${names.join(', ')} } from '${source}';\n`);
+  }
+
   /**
    * Generate prompt templates for different conversation scenarios
    */
@@ -106,7 +173,7 @@ class ChatbotGenerator {
     const basePrompt = this.generateBaseSystemPrompt(botConfig);
     
     // Write base prompt to file
-    await fs.writeFile(
+    await this.fs.writeFile(
       path.join(this.promptsDir, 'base_system_prompt.txt'),
       basePrompt
     );
@@ -121,7 +188,7 @@ class ChatbotGenerator {
     
     // Write specialized prompts to files
     for (const [name, prompt] of Object.entries(specializedPrompts)) {
-      await fs.writeFile(
+      await this.fs.writeFile(
         path.join(this.promptsDir, `${name}_prompt.txt`),
         prompt
       );
@@ -129,7 +196,7 @@ class ChatbotGenerator {
     
     // Generate intent classification prompt
     const intentPrompt = this.generateIntentClassificationPrompt();
-    await fs.writeFile(
+    await this.fs.writeFile(
       path.join(this.promptsDir, 'intent_classification_prompt.txt'),
       intentPrompt
     );
@@ -164,7 +231,7 @@ Respond with just the intent category name.`
     };
     
     for (const [name, content] of Object.entries(defaultPrompts)) {
-      await fs.writeFile(
+      await this.fs.writeFile(
         path.join(this.promptsDir, `${name}.txt`),
         content
       );
@@ -329,10 +396,10 @@ Respond in JSON format with the detected intent and confidence score:
  * 
  * Analyzes user messages to determine their intent
  */
-const fs = require('fs');
-const path = require('path');
-const { OpenAI } = require('openai');
-
+${this.importModule('fs', 'fs')}
+${this.importModule('path', 'path')}
+${this.importModule('{ OpenAI }', 'openai')}
+${this.importTypes(['IntentHandler', 'IntentResult'])}
 // Initialize OpenAI
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -348,7 +415,7 @@ const intentPrompt = fs.readFileSync(intentPromptPath, 'utf8');
  * @param {string} message - The user's message
  * @returns {Promise<{intent: string, confidence: number}>} The detected intent and confidence score
  */
-async function classifyIntent(message) {
+async function classifyIntent(message${this.typed(': string')})${this.typed(': Promise<IntentResult>')} {
   try {
     const response = await openai.chat.completions.create({
       model: "gpt-3.5-turbo",
@@ -359,7 +426,8 @@ async function classifyIntent(message) {
       response_format: { type: "json_object" }
     });
     
-    const content = response.choices[0].message.content;
+    // An empty reply fails to parse and falls back below
+    const content = response.choices[0].message.content || '';
     return JSON.parse(content);
   } catch (error) {
     console.error('Error classifying intent:', error);
@@ -373,7 +441,7 @@ async function classifyIntent(message) {
 /**
  * Map of intents to handlers
  */
-const intentHandlers = {
+const intentHandlers${this.typed(': Record<string, IntentHandler>')} = {
   greeting: require('./welcome-handler'),
   product_inquiry: require('./product-inquiry-handler'),
   price_inquiry: require('./price-inquiry-handler'),
@@ -391,16 +459,13 @@ const intentHandlers = {
  * @param {string} intent - The detected intent
  * @returns {Function} The handler function for that intent
  */
-function getHandlerForIntent(intent) {
+function getHandlerForIntent(intent${this.typed(': string')})${this.typed(': IntentHandler')} {
   return intentHandlers[intent] || intentHandlers.general_question;
 }
 
-module.exports = {
-  classifyIntent,
-  getHandlerForIntent
-};`;
+${this.exportModule(['classifyIntent', 'getHandlerForIntent'])}`;
 
-    await fs.writeFile(path.join(this.handlersDir, 'intent-handler.js'), code);
+    await this.fs.writeFile(path.join(this.handlersDir, this.getModuleFile('intent-handler')), code);
   }
 
   /**
@@ -412,10 +477,10 @@ module.exports = {
  * 
  * Manages the flow of the conversation based on the detected intent and user state
  */
-const { classifyIntent, getHandlerForIntent } = require('./intent-handler');
-const { getUserState, updateUserState } = require('./user-state-manager');
-const { getProductRecommendations } = require('./product-recommendation-handler');
-
+${this.importModule('{ classifyIntent, getHandlerForIntent }', './intent-handler')}
+${this.importModule('{ getUserState, updateUserState }', './user-state-manager')}
+${this.importModule('{ getProductRecommendations }', './product-recommendation-handler')}
+${this.importTypes(['ChatAction', 'ProcessResult', 'UserState'])}
 /**
  * Process a user message and generate a response
  * 
@@ -423,7 +488,7 @@ const { getProductRecommendations } = require('./product-recommendation-handler'
  * @param {string} message - The user's message
  * @returns {Promise<{response: string, actions: Array}>} The bot's response and any actions
  */
-async function processMessage(userId, message) {
+async function processMessage(userId${this.typed(': string')}, message${this.typed(': string')})${this.typed(': Promise<ProcessResult>')} {
   try {
     // Get the current user state
     const userState = await getUserState(userId);
@@ -445,7 +510,7 @@ async function processMessage(userId, message) {
     const result = await handler(message, userState);
     
     // Check if we should offer product recommendations
-    let actions = result.actions || [];
+    let actions${this.typed(': ChatAction[]')} = result.actions || [];
     if (shouldOfferRecommendations(intent, userState)) {
       const recommendations = await getProductRecommendations(message, userState);
       if (recommendations && recommendations.length > 0) {
@@ -476,7 +541,7 @@ async function processMessage(userId, message) {
  * @param {Object} userState - The user's state
  * @returns {boolean} Whether to offer recommendations
  */
-function shouldOfferRecommendations(intent, userState) {
+function shouldOfferRecommendations(intent${this.typed(': string')}, userState${this.typed(': UserState')})${this.typed(': boolean')} {
   // If the intent is directly product related, always recommend
   if (intent === 'product_inquiry') {
     return true;
@@ -495,11 +560,9 @@ function shouldOfferRecommendations(intent, userState) {
   }
 }
 
-module.exports = {
-  processMessage
-};`;
+${this.exportModule(['processMessage'])}`;
 
-    await fs.writeFile(path.join(this.handlersDir, 'conversation-flow-handler.js'), code);
+    await this.fs.writeFile(path.join(this.handlersDir, this.getModuleFile('conversation-flow-handler')), code);
   }
 
   /**
@@ -511,10 +574,10 @@ module.exports = {
  * 
  * Provides product recommendations based on user preferences
  */
-const fs = require('fs');
-const path = require('path');
-const { OpenAI } = require('openai');
-
+${this.importModule('fs', 'fs')}
+${this.importModule('path', 'path')}
+${this.importModule('{ OpenAI }', 'openai')}
+${this.importTypes(['ProductRecommendation', 'UserState'])}
 // Initialize OpenAI
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
@@ -531,20 +594,20 @@ const recommendationPrompt = fs.readFileSync(promptPath, 'utf8');
  * @param {Object} userState - The user's state
  * @returns {Promise<Array>} List of recommended products
  */
-async function getProductRecommendations(message, userState) {
+async function getProductRecommendations(message${this.typed(': string')}, userState${this.typed(': UserState')})${this.typed(': Promise<ProductRecommendation[]>')} {
   try {
     // Create a prompt with context from the user state
     const conversationContext = userState.conversationHistory || [];
     const userPreferences = userState.preferences || {};
     
     const contextPrompt = \`
-User message: ${message}
+User message: \${message}
 
 User preferences:
-${Object.entries(userPreferences).map(([key, value]) => \`- ${key}: ${value}\`).join('\\n')}
+\${Object.entries(userPreferences).map(([key, value]) => \`- \${key}: \${value}\`).join('\\n')}
 
 Conversation history:
-${conversationContext.slice(-5).map(msg => \`\${msg.role}: \${msg.content}\`).join('\\n')}
+\${conversationContext.slice(-5).map(msg => \`\${msg.role}: \${msg.content}\`).join('\\n')}
 \`;
 
     // Get recommendations from OpenAI
@@ -557,8 +620,8 @@ ${conversationContext.slice(-5).map(msg => \`\${msg.role}: \${msg.content}\`).jo
       response_format: { type: "json_object" }
     });
     
-    // Parse the recommendations
-    const content = response.choices[0].message.content;
+    // Parse the recommendations; an empty reply fails to parse and falls back below
+    const content = response.choices[0].message.content || '';
     const result = JSON.parse(content);
     
     return result.recommendations || [];
@@ -568,11 +631,9 @@ ${conversationContext.slice(-5).map(msg => \`\${msg.role}: \${msg.content}\`).jo
   }
 }
 
-module.exports = {
-  getProductRecommendations
-};`;
+${this.exportModule(['getProductRecommendations'])}`;
 
-    await fs.writeFile(path.join(this.handlersDir, 'product-recommendation-handler.js'), code);
+    await this.fs.writeFile(path.join(this.handlersDir, this.getModuleFile('product-recommendation-handler')), code);
   }
 
   /**
@@ -584,9 +645,9 @@ module.exports = {
  * 
  * Manages the state of users during conversations
  */
-
+${this.importTypes(['ConversationStage', 'UserState'])}
 // In a production environment, this would use a database
-const userStates = new Map();
+const userStates = new Map${this.typed('<string, UserState>')}();
 
 /**
  * Get the current state for a user
@@ -594,7 +655,7 @@ const userStates = new Map();
  * @param {string} userId - The user's ID
  * @returns {Object} The user's state
  */
-function getUserState(userId) {
+function getUserState(userId${this.typed(': string')})${this.typed(': UserState')} {
   if (!userStates.has(userId)) {
     // Initialize with default state
     userStates.set(userId, {
@@ -608,7 +669,7 @@ function getUserState(userId) {
     });
   }
   
-  return userStates.get(userId);
+  return userStates.get(userId)${this.typed(' as UserState')};
 }
 
 /**
@@ -618,11 +679,11 @@ function getUserState(userId) {
  * @param {Object} updates - The updates to apply
  * @returns {Object} The updated user state
  */
-function updateUserState(userId, updates) {
+function updateUserState(userId${this.typed(': string')}, updates${this.typed(': Partial<UserState>')})${this.typed(': UserState')} {
   const currentState = getUserState(userId);
   
   // Apply updates
-  const newState = {
+  const newState${this.typed(': UserState')} = {
     ...currentState,
     ...updates,
     updatedAt: new Date()
@@ -654,10 +715,10 @@ function updateUserState(userId, updates) {
  * @param {string} response - The bot's response
  * @returns {Object} The updated user state
  */
-function addBotResponse(userId, response) {
+function addBotResponse(userId${this.typed(': string')}, response${this.typed(': string')})${this.typed(': UserState')} {
   const currentState = getUserState(userId);
   
-  const newState = {
+  const newState${this.typed(': UserState')} = {
     ...currentState,
     conversationHistory: [
       ...currentState.conversationHistory,
@@ -677,7 +738,7 @@ function addBotResponse(userId, response) {
  * @param {Object} state - The user's state
  * @returns {string} The conversation stage
  */
-function determineConversationStage(state) {
+function determineConversationStage(state${this.typed(': UserState')})${this.typed(': ConversationStage')} {
   const { messageCount, lastIntent } = state;
   
   if (messageCount <= 1) {
@@ -703,13 +764,9 @@ function determineConversationStage(state) {
   return 'information';
 }
 
-module.exports = {
-  getUserState,
-  updateUserState,
-  addBotResponse
-};`;
+${this.exportModule(['getUserState', 'updateUserState', 'addBotResponse'])}`;
 
-    await fs.writeFile(path.join(this.handlersDir, 'user-state-manager.js'), code);
+    await this.fs.writeFile(path.join(this.handlersDir, this.getModuleFile('user-state-manager')), code);
   }
 
   /**
@@ -721,18 +778,19 @@ module.exports = {
  * 
  * Main entry point for the chatbot functionality
  */
-const express = require('express');
+${this.importModule('express', 'express')}
+${this.typed("import type { Request, Response } from 'express';\n")}${this.importModule('{ processMessage }', './handlers/conversation-flow-handler')}
+${this.importModule('{ addBotResponse }', './handlers/user-state-manager')}
+${this.importModule('{ v4: uuidv4 }', 'uuid')}
+${this.importTypes(['ConversationResponse', 'ErrorResponse', 'SendMessageRequest', 'SendMessageResponse'], './types')}
 const router = express.Router();
-const { processMessage } = require('./handlers/conversation-flow-handler');
-const { addBotResponse } = require('./handlers/user-state-manager');
-const { v4: uuidv4 } = require('uuid');
 
 /**
  * Start a new conversation
  * 
  * @route POST /api/chatbot/conversations
  */
-router.post('/conversations', (req, res) => {
+router.post('/conversations', (req${this.typed(': Request')}, res${this.typed(': Response<ConversationResponse | ErrorResponse>')}) => {
   try {
     const conversationId = uuidv4();
     
@@ -751,7 +809,10 @@ router.post('/conversations', (req, res) => {
  * 
  * @route POST /api/chatbot/conversations/:conversationId/messages
  */
-router.post('/conversations/:conversationId/messages', async (req, res) => {
+router.post('/conversations/:conversationId/messages', async (
+  req${this.typed(': Request<{ conversationId: string }, SendMessageResponse | ErrorResponse, SendMessageRequest>')},
+  res${this.typed(': Response<SendMessageResponse | ErrorResponse>')}
+) => {
   try {
     const { conversationId } = req.params;
     const { message } = req.body;
@@ -781,7 +842,7 @@ router.post('/conversations/:conversationId/messages', async (req, res) => {
  * 
  * @route POST /api/chatbot/conversations/:conversationId/end
  */
-router.post('/conversations/:conversationId/end', (req, res) => {
+router.post('/conversations/:conversationId/end', (req${this.typed(': Request<{ conversationId: string }>')}, res${this.typed(': Response<{ message: string } | ErrorResponse>')}) => {
   try {
     const { conversationId } = req.params;
     
@@ -796,9 +857,119 @@ router.post('/conversations/:conversationId/end', (req, res) => {
   }
 });
 
-module.exports = router;`;
+${this.isTypeScript() ? 'export = router;' : 'module.exports = router;'}`;
 
-    await fs.writeFile(path.join(this.outputDir, 'chatbot-controller.js'), code);
+    await this.fs.writeFile(path.join(this.outputDir, this.getModuleFile('chatbot-controller')), code);
+  }
+
+  /**
+   * Generate the shared handler types and tsconfig.json for TypeScript output
+   */
+  async generateTypeScriptConfig() {
+    const types = `/**
+ * Chatbot Types
+ *
+ * Shared types for the conversation handlers and controller
+ */
+
+export type Intent =
+  | 'greeting'
+  | 'product_inquiry'
+  | 'price_inquiry'
+  | 'shipping_inquiry'
+  | 'return_policy'
+  | 'checkout_help'
+  | 'objection'
+  | 'complaint'
+  | 'general_question';
+
+export interface IntentResult {
+  intent: Intent;
+  confidence: number;
+}
+
+export interface ChatMessage {
+  role: 'user' | 'assistant';
+  content: string;
+  timestamp: Date;
+}
+
+export type ConversationStage =
+  | 'greeting'
+  | 'information'
+  | 'product_discovery'
+  | 'objection_handling'
+  | 'engagement'
+  | 'checkout';
+
+export interface UserState {
+  conversationHistory: ChatMessage[];
+  preferences: Record<string, string>;
+  lastIntent: Intent | null;
+  lastMessage: string | null;
+  messageCount: number;
+  stage: ConversationStage;
+  createdAt: Date;
+  updatedAt?: Date;
+}
+
+export interface ProductRecommendation {
+  name: string;
+  reason?: string;
+  [key: string]: unknown;
+}
+
+export interface ChatAction {
+  type: string;
+  products?: ProductRecommendation[];
+  [key: string]: unknown;
+}
+
+export interface HandlerResult {
+  response: string;
+  actions?: ChatAction[];
+}
+
+export type IntentHandler = (message: string, userState: UserState) => Promise<HandlerResult>;
+
+export interface ProcessResult {
+  response: string;
+  actions: ChatAction[];
+}
+
+export interface SendMessageRequest {
+  message?: string;
+}
+
+export type SendMessageResponse = ProcessResult;
+
+export interface ConversationResponse {
+  conversationId: string;
+  message: string;
+}
+
+export interface ErrorResponse {
+  error: string;
+}
+`;
+
+    const tsconfig = {
+      compilerOptions: {
+        target: 'ES2022',
+        module: 'commonjs',
+        moduleResolution: 'node',
+        strict: true,
+        esModuleInterop: true,
+        skipLibCheck: true,
+        forceConsistentCasingInFileNames: true,
+        sourceMap: true
+      },
+      include: ['**/*.ts'],
+      exclude: ['node_modules']
+    };
+
+    await this.fs.writeFile(path.join(this.outputDir, 'types.ts'), types);
+    await this.fs.writeFile(path.join(this.outputDir, 'tsconfig.json'), JSON.stringify(tsconfig, null, 2));
   }
 
   /**
@@ -942,7 +1113,7 @@ const ChatWidget = ({ botName = 'Shopping Assistant' }) => {
       // Add welcome message
       setMessages([{
         id: Date.now(),
-        text: `Hi there! I'm ${botName}. How can I help you today?`,
+        text: \`Hi there! I'm \${botName}. How can I help you today?\`,
         sender: 'bot',
         timestamp: new Date()
       }]);
@@ -974,7 +1145,7 @@ const ChatWidget = ({ botName = 'Shopping Assistant' }) => {
     setIsLoading(true);
     
     try {
-      const response = await axios.post(`/api/chatbot/conversations/${conversationId}/messages`, {
+      const response = await axios.post(\`/api/chatbot/conversations/\${conversationId}/messages\`, {
         message: userMessage
       });
       
@@ -1022,7 +1193,7 @@ const ChatWidget = ({ botName = 'Shopping Assistant' }) => {
           <div key={index} style={styles.productCard}>
             <h4>{product.name}</h4>
             <p>{product.description}</p>
-            <p><strong>${product.price}</strong></p>
+            <p><strong>\${product.price}</strong></p>
             <button 
               onClick={() => window.location.href = product.url || '/product/' + product.id}
               style={{
@@ -1133,7 +1304,7 @@ const ChatWidget = ({ botName = 'Shopping Assistant' }) => {
 
 export default ChatWidget;`;
 
-    await fs.writeFile(path.join(this.outputDir, 'ChatWidget.jsx'), code);
+    await this.fs.writeFile(path.join(this.outputDir, 'ChatWidget.jsx'), code);
   }
 
   /**
@@ -1157,13 +1328,19 @@ This AI-powered chatbot was automatically generated by Kickflip Studio.
    OFFER_TIMING=balanced
    \`\`\`
 
-3. Add the chatbot routes to your Express app:
+${this.isTypeScript() ? `3. Install the TypeScript toolchain and compile the chatbot:
+   \`\`\`
+   npm install --save-dev typescript @types/node @types/express @types/uuid
+   npx tsc -p chatbot
+   \`\`\`
+
+4` : '3'}. Add the chatbot routes to your Express app:
    \`\`\`javascript
    const chatbotController = require('./chatbot/chatbot-controller');
    app.use('/api/chatbot', chatbotController);
    \`\`\`
 
-4. Integrate the chat widget into your frontend:
+${this.isTypeScript() ? '5' : '4'}. Integrate the chat widget into your frontend:
    \`\`\`javascript
    import ChatWidget from './chatbot/ChatWidget';
 
@@ -1193,12 +1370,14 @@ Customize the chatbot's behavior by editing the prompt files in the \`prompts\`
 
 The chatbot uses several handler modules that can be customized:
 
-- \`intent-handler.js\`: Classifies user intents
-- \`conversation-flow-handler.js\`: Manages the overall conversation flow
-- \`product-recommendation-handler.js\`: Generates product recommendations
-- \`user-state-manager.js\`: Manages user state during conversations
+- \`${this.getModuleFile('intent-handler')}\`: Classifies user intents
+- \`${this.getModuleFile('conversation-flow-handler')}\`: Manages the overall conversation flow
+- \`${this.getModuleFile('product-recommendation-handler')}\`: Generates product recommendations
+- \`${this.getModuleFile('user-state-manager')}\`: Manages user state during conversations
+
+${this.isTypeScript() ? `Shared handler and request types live in \`types.ts\`.
 
-## API Endpoints
+` : ''}## API Endpoints
 
 - \`POST /api/chatbot/conversations\`: Start a new conversation
 - \`POST /api/chatbot/conversations/:conversationId/messages\`: Send a message
@@ -1234,162 +1413,8 @@ Add new capabilities by:
 
     // Write to file
     const filePath = path.join(this.outputDir, 'README.md');
-    await fs.writeFile(filePath, readmeContent);
+    await this.fs.writeFile(filePath, readmeContent);
   }
 }
 
-module.exports = ChatbotGenerator;/**
- * ChatbotGenerator.js
- * 
- * This service generates the necessary code and configuration for AI-powered
- * chatbots based on the conversation flow designed in Kickflip Studio.
- */
-
-const fs = require('fs').promises;
-const path = require('path');
-const { OpenAI } = require('openai');
-const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-class ChatbotGenerator {
-  constructor(project) {
-    this.project = project;
-    this.outputDir = path.join(__dirname, '../../generated', project._id.toString(), 'chatbot');
-    this.promptsDir = path.join(this.outputDir, 'prompts');
-    this.handlersDir = path.join(this.outputDir, 'handlers');
-  }
-
-  /**
-   * Generate all files needed for the chatbot implementation
-   */
-  async generateAll() {
-    try {
-      // Create output directories
-      await this.createDirectories();
-      
-      // Generate prompt templates
-      await this.generatePromptTemplates();
-      
-      // Generate conversation flow handlers
-      await this.generateConversationHandlers();
-      
-      // Generate main chatbot controller
-      await this.generateChatbotController();
-      
-      // Generate frontend chat widget
-      await this.generateChatWidget();
-      
-      // Generate README
-      await this.generateREADME();
-      
-      return {
-        success: true,
-        outputDir: this.outputDir
-      };
-    } catch (error) {
-      console.error('Error generating chatbot code:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
-  /**
-   * Create output directories
-   */
-  async createDirectories() {
-    const dirs = [
-      this.outputDir,
-      this.promptsDir,
-      this.handlersDir
-    ];
-    
-    for (const dir of dirs) {
-      try {
-        await fs.mkdir(dir, { recursive: true });
-      } catch (error) {
-        if (error.code !== 'EEXIST') {
-          throw error;
-        }
-      }
-    }
-  }
-
-  /**
-   * Generate prompt templates for different conversation scenarios
-   */
-  async generatePromptTemplates() {
-    // If no conversation flow is defined, use default templates
-    if (!this.project.conversation || !this.project.conversation.nodes) {
-      await this.generateDefaultPromptTemplates();
-      return;
-    }
-    
-    // Extract bot configuration
-    const botConfig = this.project.conversation.botConfig || {
-      name: 'Shopping Assistant',
-      personality: 'friendly',
-      responseLength: 1,
-      technicalLevel: 1,
-      persuasiveLevel: 2,
-      offerTiming: 'balanced',
-      knowledgeBase: ['products', 'pricing', 'shipping', 'returns']
-    };
-    
-    // Generate base system prompt
-    const basePrompt = this.generateBaseSystemPrompt(botConfig);
-    
-    // Write base prompt to file
-    await fs.writeFile(
-      path.join(this.promptsDir, 'base_system_prompt.txt'),
-      basePrompt
-    );
-    
-    // Generate specialized prompts
-    const specializedPrompts = {
-      welcome: this.generateWelcomePrompt(botConfig),
-      product_recommendation: this.generateProductRecommendationPrompt(botConfig),
-      objection_handling: this.generateObjectionHandlingPrompt(botConfig),
-      checkout: this.generateCheckoutPrompt(botConfig)
-    };
-    
-    // Write specialized prompts to files
-    for (const [name, prompt] of Object.entries(specializedPrompts)) {
-      await fs.writeFile(
-        path.join(this.promptsDir, `${name}_prompt.txt`),
-        prompt
-      );
-    }
-    
-    // Generate intent classification prompt
-    const intentPrompt = this.generateIntentClassificationPrompt();
-    await fs.writeFile(
-      path.join(this.promptsDir, 'intent_classification_prompt.txt'),
-      intentPrompt
-    );
-  }
-
-  /**
-   * Generate default prompt templates when no conversation flow is defined
-   */
-  async generateDefaultPromptTemplates() {
-    const defaultPrompts = {
-      base_system_prompt: `You are a helpful shopping assistant for an e-commerce store. Your goal is to help customers find products, answer their questions, and guide them through the purchasing process. Be friendly, helpful, and concise in your responses.`,
-      
-      welcome_prompt: `Greet the customer warmly and ask how you can help them today. Keep your response brief and friendly.`,
-      
-      product_recommendation_prompt: `Recommend products based on the customer's stated preferences. Focus on the key benefits that match their needs. Limit your recommendations to 3 products maximum.`,
-      
-      objection_handling_prompt: `Address any concerns or objections the customer raises about products or the purchase process. Be empathetic and provide helpful information to overcome their concerns.`,
-      
-      checkout_prompt: `Guide the customer through the checkout process. Explain any available options clearly and encourage them to complete their purchase.`,
-      
-      intent_classification_prompt: `Analyze the customer message and identify their primary intent from the following categories:
-- greeting: Customer is saying hello or starting the conversation
-- product_inquiry: Customer is
+module.exports = ChatbotGenerator;
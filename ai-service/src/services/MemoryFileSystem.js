@@ -0,0 +1,49 @@
+/**
+ * MemoryFileSystem.js
+ *
+ * In-memory stand-in for the fs.promises methods the chatbot generator uses,
+ * for dry runs. Nothing is read back, so writes are simply kept in memory
+ * and handed out by getFiles().
+ */
+
+const path = require('path');
+
+class MemoryFileSystem {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.files = new Map();
+  }
+
+  /**
+   * Directories exist implicitly
+   */
+  async mkdir() {}
+
+  /**
+   * Keep a file in memory
+   */
+  async writeFile(filePath, content) {
+    this.files.set(path.resolve(filePath), String(content));
+  }
+
+  /**
+   * Get the files written under the root directory
+   *
+   * @returns {Object<string, string>} Contents keyed by path relative to the
+   *   root directory, using forward slashes
+   */
+  getFiles() {
+    const files = {};
+    const keys = [...this.files.keys()]
+      .filter(key => key.startsWith(`${this.rootDir}${path.sep}`))
+      .sort();
+
+    for (const key of keys) {
+      files[path.relative(this.rootDir, key).split(path.sep).join('/')] = this.files.get(key);
+    }
+
+    return files;
+  }
+}
+
+module.exports = MemoryFileSystem;
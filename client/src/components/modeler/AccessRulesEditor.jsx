@@ -0,0 +1,83 @@
+import React from 'react';
+import { Box, Typography, Autocomplete, TextField, Chip } from '@mui/material';
+
+// Actions that can be restricted per data type
+const ACTIONS = [
+  { key: 'list', label: 'List' },
+  { key: 'read', label: 'Read' },
+  { key: 'create', label: 'Create' },
+  { key: 'update', label: 'Update' },
+  { key: 'delete', label: 'Delete' },
+];
+
+// Public reads and authenticated writes, as generated by default
+export const DEFAULT_ACCESS = {
+  list: ['public'],
+  read: ['public'],
+  create: ['authenticated'],
+  update: ['authenticated'],
+  delete: ['authenticated'],
+};
+
+// Special roles understood by the API generator
+const BUILT_IN_ROLES = ['public', 'authenticated', 'owner', 'admin'];
+
+const ROLE_HELP = {
+  public: 'Anyone',
+  authenticated: 'Any signed-in user',
+  owner: 'The user who created the item',
+};
+
+function AccessRulesEditor({ value, onChange, knownRoles = [] }) {
+  const access = { ...DEFAULT_ACCESS, ...(value || {}) };
+  const roleOptions = [...new Set([...BUILT_IN_ROLES, ...knownRoles])];
+
+  const handleChange = (action, roles) => {
+    const normalized = [...new Set(roles.map((role) => role.trim().toLowerCase()).filter(Boolean))];
+    onChange({
+      ...access,
+      [action]: normalized.length > 0 ? normalized : DEFAULT_ACCESS[action],
+    });
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Access Rules
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Choose which roles may perform each action. Type to add a custom role.
+      </Typography>
+
+      {ACTIONS.map(({ key, label }) => (
+        <Autocomplete
+          key={key}
+          multiple
+          freeSolo
+          size="small"
+          options={roleOptions}
+          value={access[key]}
+          onChange={(event, roles) => handleChange(key, roles)}
+          renderTags={(roles, getTagProps) =>
+            roles.map((role, index) => (
+              <Chip
+                {...getTagProps({ index })}
+                key={role}
+                label={role}
+                size="small"
+                color={BUILT_IN_ROLES.includes(role) ? 'default' : 'primary'}
+                title={ROLE_HELP[role]}
+              />
+            ))
+          }
+          renderInput={(params) => (
+            <TextField {...params} label={label} margin="dense" />
+          )}
+          sx={{ mb: 1 }}
+        />
+      ))}
+    </Box>
+  );
+}
+
+export default AccessRulesEditor;
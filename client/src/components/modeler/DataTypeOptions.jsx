@@ -0,0 +1,47 @@
+import React from 'react';
+import { Box, Typography, FormControlLabel, Switch } from '@mui/material';
+
+// Options the API generator understands per data type
+const OPTIONS = [
+  {
+    key: 'softDelete',
+    label: 'Soft delete',
+    help: 'Deleted records are kept with a deletedAt timestamp and can be restored.',
+  },
+  {
+    key: 'audit',
+    label: 'Audit trail',
+    help: 'Record who changed which fields, and when, as a history per record.',
+  },
+];
+
+function DataTypeOptions({ value, onChange }) {
+  const options = value || {};
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Options
+      </Typography>
+
+      {OPTIONS.map(({ key, label, help }) => (
+        <Box key={key} sx={{ mb: 1 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={Boolean(options[key])}
+                onChange={(event) => onChange({ ...options, [key]: event.target.checked })}
+              />
+            }
+            label={label}
+          />
+          <Typography variant="body2" color="text.secondary">
+            {help}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+export default DataTypeOptions;
@@ -0,0 +1,234 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  Button,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Field types with a format of their own; they replace the basic type
+const FORMATS = [
+  { key: '', label: 'None (use the type above)' },
+  { key: 'Email', label: 'Email address', type: 'Email' },
+  { key: 'URL', label: 'URL', type: 'URL' },
+  { key: 'Money', label: 'Money', type: 'Money' },
+  { key: 'Point', label: 'Geo point (GeoJSON)', type: 'Point' },
+  { key: 'Object', label: 'Embedded object', type: 'Object' },
+  { key: 'ObjectList', label: 'List of embedded objects', type: 'Array', of: 'Object' },
+  { key: 'File', label: 'File upload', type: 'File' },
+  { key: 'Image', label: 'Image upload', type: 'Image' },
+];
+
+// Upload settings of File and Image fields
+const FILE_SETTINGS = [
+  { key: 'maxSize', label: 'Max size (MB)', help: 'Defaults to 10 MB for files and 5 MB for images' },
+  { key: 'accept', label: 'Accepted types', help: 'Comma-separated MIME types, e.g. application/pdf, image/*' },
+  { key: 'variants', label: 'Image variants', help: 'Sizes to scale images down to, e.g. thumbnail:200x200', image: true },
+];
+
+// Types the fields of an embedded object can have
+const EMBEDDED_TYPES = ['String', 'Number', 'Boolean', 'Date', 'Email', 'URL'];
+
+// Constraints the API generator understands
+const CONSTRAINTS = [
+  { key: 'enum', label: 'Allowed values', help: 'Comma-separated' },
+  { key: 'min', label: 'Minimum', help: 'Numbers, money and dates' },
+  { key: 'max', label: 'Maximum', help: 'Numbers, money and dates' },
+  { key: 'minLength', label: 'Min length', help: 'Text' },
+  { key: 'maxLength', label: 'Max length', help: 'Text' },
+  { key: 'pattern', label: 'Pattern', help: 'Regular expression the text must match' },
+  { key: 'example', label: 'Example', help: 'Text matching the pattern, used by the generated tests' },
+];
+
+const getFormat = (value) =>
+  FORMATS.find((format) => format.type && format.type === value.type && (format.of || null) === (value.of || null));
+
+/**
+ * Get the settings of a field edited here, to save on top of the field form
+ */
+export const getFieldSettings = (value) => {
+  const field = value || {};
+  const format = getFormat(field);
+  const settings = {};
+
+  if (format) {
+    settings.type = format.type;
+    settings.of = format.of;
+  }
+
+  if (format && format.type === 'Money') {
+    settings.currency = field.currency || 'USD';
+  }
+
+  if (format && (format.type === 'Object' || format.of === 'Object')) {
+    settings.fields = (field.fields || []).filter((item) => item.name);
+  }
+
+  if (format && (format.type === 'File' || format.type === 'Image')) {
+    FILE_SETTINGS.filter((item) => !item.image || format.type === 'Image').forEach(({ key }) => {
+      if (field[key] !== undefined && field[key] !== '') {
+        settings[key] = field[key];
+      }
+    });
+  }
+
+  CONSTRAINTS.forEach(({ key }) => {
+    if (field[key] !== undefined && field[key] !== '') {
+      settings[key] = field[key];
+    }
+  });
+
+  return settings;
+};
+
+function FieldSettingsEditor({ value, onChange }) {
+  const settings = value || {};
+  const format = getFormat(settings);
+  const embeddedFields = settings.fields || [];
+  const isEmbedded = Boolean(format) && (format.type === 'Object' || format.of === 'Object');
+  const isFile = Boolean(format) && (format.type === 'File' || format.type === 'Image');
+
+  const handleFormatChange = (key) => {
+    const selected = FORMATS.find((item) => item.key === key);
+    onChange({ ...settings, type: selected.type, of: selected.of });
+  };
+
+  const handleEmbeddedChange = (index, changes) => {
+    onChange({
+      ...settings,
+      fields: embeddedFields.map((field, i) => (i === index ? { ...field, ...changes } : field)),
+    });
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Format and Constraints
+      </Typography>
+
+      <TextField
+        select
+        fullWidth
+        size="small"
+        margin="dense"
+        label="Format"
+        value={format ? format.key : ''}
+        onChange={(event) => handleFormatChange(event.target.value)}
+      >
+        {FORMATS.map(({ key, label }) => (
+          <MenuItem key={key} value={key}>
+            {label}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      {format && format.type === 'Money' && (
+        <TextField
+          fullWidth
+          size="small"
+          margin="dense"
+          label="Currency"
+          placeholder="USD"
+          helperText="Three-letter code used when a request sends a bare amount"
+          value={settings.currency || ''}
+          onChange={(event) => onChange({ ...settings, currency: event.target.value.toUpperCase() })}
+        />
+      )}
+
+      {isFile &&
+        FILE_SETTINGS.filter((item) => !item.image || format.type === 'Image').map(({ key, label, help }) => (
+          <TextField
+            key={key}
+            fullWidth
+            size="small"
+            margin="dense"
+            label={label}
+            helperText={help}
+            value={Array.isArray(settings[key]) ? settings[key].join(', ') : settings[key] || ''}
+            onChange={(event) => onChange({ ...settings, [key]: event.target.value })}
+          />
+        ))}
+
+      {!isFile &&
+        CONSTRAINTS.map(({ key, label, help }) => (
+          <TextField
+            key={key}
+            fullWidth
+            size="small"
+            margin="dense"
+            label={label}
+            helperText={help}
+            value={Array.isArray(settings[key]) ? settings[key].join(', ') : settings[key] || ''}
+            onChange={(event) => onChange({ ...settings, [key]: event.target.value })}
+          />
+        ))}
+
+      {isEmbedded && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Fields of the embedded object
+          </Typography>
+
+          {embeddedFields.map((field, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <TextField
+                size="small"
+                margin="dense"
+                label="Name"
+                value={field.name || ''}
+                onChange={(event) => handleEmbeddedChange(index, { name: event.target.value.trim() })}
+              />
+              <TextField
+                select
+                size="small"
+                margin="dense"
+                label="Type"
+                value={field.type || 'String'}
+                onChange={(event) => handleEmbeddedChange(index, { type: event.target.value })}
+                sx={{ minWidth: 110 }}
+              >
+                {EMBEDDED_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>
+                    {type}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={Boolean(field.required)}
+                    onChange={(event) => handleEmbeddedChange(index, { required: event.target.checked })}
+                  />
+                }
+                label="Required"
+              />
+              <IconButton
+                aria-label="Remove field"
+                onClick={() => onChange({ ...settings, fields: embeddedFields.filter((item, i) => i !== index) })}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Box>
+          ))}
+
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => onChange({ ...settings, fields: [...embeddedFields, { name: '', type: 'String' }] })}
+          >
+            Add field
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default FieldSettingsEditor;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { Box, Typography, TextField, MenuItem, IconButton, Button } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Index types the API generator understands
+const INDEX_TYPES = [
+  { key: 'index', label: 'Index' },
+  { key: 'unique', label: 'Unique' },
+  { key: 'ttl', label: 'TTL (expire records)' },
+  { key: 'text', label: 'Text (search)' },
+];
+
+function IndexesEditor({ value, onChange, fieldNames = [] }) {
+  const indexes = value || [];
+
+  const handleChange = (index, changes) => {
+    onChange(indexes.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  const handleAdd = () => {
+    onChange([...indexes, { type: 'index', fields: '' }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(indexes.filter((item, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Indexes
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Speed up filters and sorting, expire old records, or add a text index for a /search endpoint.
+        {fieldNames.length > 0 && ` Fields: ${fieldNames.join(', ')}.`}
+      </Typography>
+
+      {indexes.map((item, index) => (
+        <Box key={index} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TextField
+              select
+              size="small"
+              margin="dense"
+              label="Type"
+              value={item.type || 'index'}
+              onChange={(event) => handleChange(index, { type: event.target.value })}
+              sx={{ minWidth: 150 }}
+            >
+              {INDEX_TYPES.map(({ key, label }) => (
+                <MenuItem key={key} value={key}>
+                  {label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              size="small"
+              margin="dense"
+              fullWidth
+              label="Fields"
+              placeholder="status, -createdAt"
+              value={Array.isArray(item.fields) ? item.fields.join(', ') : item.fields || ''}
+              onChange={(event) => handleChange(index, { fields: event.target.value })}
+            />
+            <IconButton aria-label="Remove index" onClick={() => handleRemove(index)}>
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+
+          {item.type === 'ttl' && (
+            <TextField
+              size="small"
+              margin="dense"
+              fullWidth
+              type="number"
+              label="Expire after (seconds)"
+              helperText="Records are deleted this long after the date in the field"
+              value={item.expireAfterSeconds === undefined ? '' : item.expireAfterSeconds}
+              onChange={(event) => handleChange(index, { expireAfterSeconds: event.target.value })}
+            />
+          )}
+
+          {item.type === 'text' && (
+            <TextField
+              size="small"
+              margin="dense"
+              fullWidth
+              label="Weights"
+              placeholder="title:10, description:2"
+              helperText="Matches in heavier fields rank higher; fields without a weight count 1"
+              value={
+                item.weights && typeof item.weights === 'object'
+                  ? Object.entries(item.weights).map(([name, weight]) => `${name}:${weight}`).join(', ')
+                  : item.weights || ''
+              }
+              onChange={(event) => handleChange(index, { weights: event.target.value })}
+            />
+          )}
+        </Box>
+      ))}
+
+      <Button size="small" startIcon={<AddIcon />} onClick={handleAdd}>
+        Add index
+      </Button>
+    </Box>
+  );
+}
+
+export default IndexesEditor;
@@ -0,0 +1,96 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  Button,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Events the generated API sends to subscribers
+const EVENTS = [
+  { key: 'created', label: 'Created' },
+  { key: 'updated', label: 'Updated' },
+  { key: 'deleted', label: 'Deleted' },
+];
+
+function WebhookSubscriptionsEditor({ value, onChange }) {
+  const subscriptions = value || [];
+
+  const handleChange = (index, changes) => {
+    onChange(subscriptions.map((subscription, i) => (i === index ? { ...subscription, ...changes } : subscription)));
+  };
+
+  const handleToggleEvent = (index, event, checked) => {
+    const events = subscriptions[index].events || [];
+    handleChange(index, {
+      events: checked
+        ? EVENTS.map(({ key }) => key).filter((key) => key === event || events.includes(key))
+        : events.filter((key) => key !== event),
+    });
+  };
+
+  const handleAdd = () => {
+    onChange([...subscriptions, { url: '', events: EVENTS.map(({ key }) => key) }]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(subscriptions.filter((subscription, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        Webhooks
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Send a signed POST request to each URL when a record is created, updated or deleted.
+      </Typography>
+
+      {subscriptions.map((subscription, index) => (
+        <Box key={index} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <TextField
+              label="URL"
+              size="small"
+              margin="dense"
+              fullWidth
+              placeholder="https://example.com/webhooks"
+              value={subscription.url || ''}
+              onChange={(event) => handleChange(index, { url: event.target.value.trim() })}
+            />
+            <IconButton aria-label="Remove webhook" onClick={() => handleRemove(index)} sx={{ ml: 1 }}>
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+          <FormGroup row>
+            {EVENTS.map(({ key, label }) => (
+              <FormControlLabel
+                key={key}
+                control={
+                  <Checkbox
+                    size="small"
+                    checked={(subscription.events || []).includes(key)}
+                    onChange={(event) => handleToggleEvent(index, key, event.target.checked)}
+                  />
+                }
+                label={label}
+              />
+            ))}
+          </FormGroup>
+        </Box>
+      ))}
+
+      <Button size="small" startIcon={<AddIcon />} onClick={handleAdd}>
+        Add webhook
+      </Button>
+    </Box>
+  );
+}
+
+export default WebhookSubscriptionsEditor;
@@ -1,6 +1,7 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
-import { Box, Typography, Paper, Divider, Button, IconButton, Drawer, TextField } from '@mui/material';
+import axios from 'axios';
+import { Box, Typography, Paper, Divider, Button, IconButton, Drawer, TextField, Alert } from '@mui/material';
 import ReactFlow, { 
   addEdge, 
   Background, 
@@ -21,6 +22,11 @@ import DataFieldNode from '../components/modeler/DataFieldNode';
 import DataTypePanel from '../components/modeler/DataTypePanel';
 import DataTypeForm from '../components/modeler/DataTypeForm';
 import FieldForm from '../components/modeler/FieldForm';
+import AccessRulesEditor from '../components/modeler/AccessRulesEditor';
+import DataTypeOptions from '../components/modeler/DataTypeOptions';
+import WebhookSubscriptionsEditor from '../components/modeler/WebhookSubscriptionsEditor';
+import IndexesEditor from '../components/modeler/IndexesEditor';
+import FieldSettingsEditor, { getFieldSettings } from '../components/modeler/FieldSettingsEditor';
 
 // Register custom node types
 const nodeTypes = {
@@ -28,6 +34,9 @@ const nodeTypes = {
   dataField: DataFieldNode,
 };
 
+// Outline of nodes that would produce broken code
+const INVALID_NODE_STYLE = { outline: '2px solid #d32f2f', outlineOffset: 2, borderRadius: 4 };
+
 function DataModeler() {
   const { projectId } = useParams();
   const { showSnackbar } = useSnackbar();
@@ -38,6 +47,7 @@ function DataModeler() {
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [drawerMode, setDrawerMode] = useState('type'); // 'type' or 'field'
   const [formData, setFormData] = useState({});
+  const [validationErrors, setValidationErrors] = useState([]);
 
   // Load saved model if available
   useEffect(() => {
@@ -88,6 +98,16 @@ function DataModeler() {
 
   // Save a data type (create or update)
   const handleSaveDataType = useCallback((data) => {
+    // Access rules, options, indexes and webhooks are edited alongside the form
+    const typeData = {
+      ...data,
+      access: formData.access,
+      softDelete: Boolean(formData.softDelete),
+      audit: Boolean(formData.audit),
+      indexes: formData.indexes || [],
+      webhooks: formData.webhooks || [],
+    };
+
     if (selectedNode) {
       // Update existing node
       setNodes((nds) =>
@@ -97,7 +117,7 @@ function DataModeler() {
               ...node,
               data: {
                 ...node.data,
-                ...data,
+                ...typeData,
               },
             };
           }
@@ -112,14 +132,14 @@ function DataModeler() {
         type: 'dataType',
         position: { x: 100, y: 100 },
         data: {
-          ...data,
+          ...typeData,
           id: newNodeId,
         },
       };
       setNodes((nds) => [...nds, newNode]);
     }
     setIsDrawerOpen(false);
-  }, [selectedNode, setNodes]);
+  }, [selectedNode, setNodes, formData.access, formData.softDelete, formData.audit, formData.indexes, formData.webhooks]);
 
   // Add a field to a data type
   const handleAddField = useCallback((dataTypeId, fieldData) => {
@@ -149,14 +169,68 @@ function DataModeler() {
     setIsDrawerOpen(false);
   }, [setNodes, setEdges]);
 
+  // Roles already used by any data type, offered as suggestions
+  const knownRoles = useMemo(() => {
+    const roles = nodes
+      .filter((node) => node.type === 'dataType' && node.data.access)
+      .flatMap((node) => Object.values(node.data.access).flat());
+    return [...new Set(roles)];
+  }, [nodes]);
+
+  // Names of the fields of the selected data type, offered for indexes
+  const selectedFieldNames = useMemo(() => {
+    if (!selectedNode) {
+      return [];
+    }
+    return edges
+      .filter((edge) => edge.source === selectedNode.id)
+      .map((edge) => nodes.find((node) => node.id === edge.target))
+      .filter((node) => node && node.type === 'dataField')
+      .map((node) => node.data.name);
+  }, [selectedNode, nodes, edges]);
+
+  // Validation errors grouped by the node causing them
+  const errorsByNode = useMemo(() => validationErrors.reduce((byNode, error) => ({
+    ...byNode,
+    [error.nodeId]: [...(byNode[error.nodeId] || []), error],
+  }), {}), [validationErrors]);
+
+  // Highlight the offending nodes without storing the style in the model
+  const displayNodes = useMemo(() => nodes.map((node) => (
+    errorsByNode[node.id] ? { ...node, style: { ...node.style, ...INVALID_NODE_STYLE } } : node
+  )), [nodes, errorsByNode]);
+
+  // Check the model for problems that would break the generated code
+  const validateModel = async () => {
+    const response = await axios.post(
+      `/api/funnels/${projectId}/data-model/validate`,
+      { nodes, edges },
+      { withCredentials: true }
+    );
+    setValidationErrors(response.data.errors);
+    return response.data.errors;
+  };
+
   // Handle saving the entire model
   const handleSaveModel = async () => {
     try {
       await saveProjectData(projectId, 'dataModel', { nodes, edges });
-      showSnackbar('Data model saved successfully', 'success');
     } catch (error) {
       console.error('Error saving data model:', error);
       showSnackbar('Failed to save data model', 'error');
+      return;
+    }
+
+    try {
+      const errors = await validateModel();
+      if (errors.length > 0) {
+        showSnackbar(`Data model saved with ${errors.length} problem${errors.length === 1 ? '' : 's'} to fix before generating code`, 'warning');
+      } else {
+        showSnackbar('Data model saved successfully', 'success');
+      }
+    } catch (error) {
+      console.error('Error validating data model:', error);
+      showSnackbar('Data model saved, but it could not be validated', 'warning');
     }
   };
 
@@ -183,7 +257,7 @@ function DataModeler() {
         {/* Main Canvas */}
         <Paper sx={{ flexGrow: 1, position: 'relative' }}>
           <ReactFlow
-            nodes={nodes}
+            nodes={displayNodes}
             edges={edges}
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
@@ -194,7 +268,7 @@ function DataModeler() {
           >
             <Background />
             <Controls />
-            <MiniMap />
+            <MiniMap nodeColor={(node) => (errorsByNode[node.id] ? '#d32f2f' : '#e2e2e2')} />
           </ReactFlow>
         </Paper>
       </Box>
@@ -219,18 +293,52 @@ function DataModeler() {
           </Box>
           <Divider sx={{ mb: 3 }} />
           
+          {selectedNode && errorsByNode[selectedNode.id] && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {errorsByNode[selectedNode.id].map((error, index) => (
+                <div key={`${error.code}-${index}`}>{error.message}</div>
+              ))}
+            </Alert>
+          )}
+          
           {drawerMode === 'type' ? (
-            <DataTypeForm 
-              initialData={formData} 
-              onSave={handleSaveDataType} 
-              onCancel={() => setIsDrawerOpen(false)}
-            />
+            <>
+              <DataTypeForm 
+                initialData={formData} 
+                onSave={handleSaveDataType} 
+                onCancel={() => setIsDrawerOpen(false)}
+              />
+              <AccessRulesEditor
+                value={formData.access}
+                onChange={(access) => setFormData((prev) => ({ ...prev, access }))}
+                knownRoles={knownRoles}
+              />
+              <DataTypeOptions
+                value={{ softDelete: formData.softDelete, audit: formData.audit }}
+                onChange={(options) => setFormData((prev) => ({ ...prev, ...options }))}
+              />
+              <IndexesEditor
+                value={formData.indexes}
+                onChange={(indexes) => setFormData((prev) => ({ ...prev, indexes }))}
+                fieldNames={selectedFieldNames}
+              />
+              <WebhookSubscriptionsEditor
+                value={formData.webhooks}
+                onChange={(webhooks) => setFormData((prev) => ({ ...prev, webhooks }))}
+              />
+            </>
           ) : (
-            <FieldForm 
-              initialData={formData} 
-              onSave={(fieldData) => handleAddField(selectedNode?.id, fieldData)} 
-              onCancel={() => setIsDrawerOpen(false)}
-            />
+            <>
+              <FieldForm 
+                initialData={formData} 
+                onSave={(fieldData) => handleAddField(selectedNode?.id, { ...fieldData, ...getFieldSettings(formData) })} 
+                onCancel={() => setIsDrawerOpen(false)}
+              />
+              <FieldSettingsEditor
+                value={formData}
+                onChange={(settings) => setFormData((prev) => ({ ...prev, ...settings }))}
+              />
+            </>
           )}
         </Box>
       </Drawer>
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import { Box, Typography, Paper, Button, List, ListItem, ListItemText, CircularProgress } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { useSnackbar } from '../contexts/SnackbarContext';
+import { useProject } from '../contexts/ProjectContext';
+import PageHeader from '../components/PageHeader';
+
+// What the source archive contains
+const ARCHIVE_CONTENTS = [
+  { path: 'api/', description: 'The generated REST API with models, routes, tests and Docker files' },
+  { path: 'chatbot/', description: 'The AI chatbot handlers, prompts and chat widget' },
+  { path: 'manifest.json', description: 'Every file in the archive with its size and SHA-256 hash' },
+];
+
+/**
+ * Get the file name from a Content-Disposition header
+ */
+const getFileName = (disposition, fallback) => {
+  const match = /filename="([^"]+)"/.exec(disposition || '');
+  return match ? match[1] : fallback;
+};
+
+function DeploymentPage() {
+  const { projectId } = useParams();
+  const { showSnackbar } = useSnackbar();
+  const { getProject } = useProject();
+  const [project, setProject] = useState(null);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  // Load the project for the page title
+  useEffect(() => {
+    const loadProjectData = async () => {
+      try {
+        setProject(await getProject(projectId));
+      } catch (error) {
+        console.error('Error loading project data:', error);
+        showSnackbar('Failed to load project data', 'error');
+      }
+    };
+
+    loadProjectData();
+  }, [projectId, getProject, showSnackbar]);
+
+  // Generate the source and save the zip archive
+  const handleDownloadSource = async () => {
+    setIsDownloading(true);
+
+    try {
+      const response = await axios.get(`/api/funnels/${projectId}/source`, {
+        responseType: 'blob',
+        withCredentials: true,
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = getFileName(response.headers['content-disposition'], 'source.zip');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+
+      showSnackbar('Source downloaded successfully', 'success');
+    } catch (error) {
+      console.error('Error downloading source:', error);
+      showSnackbar(
+        error.response && error.response.status === 422
+          ? 'Fix the problems highlighted in the Data Modeler before downloading the source'
+          : 'Failed to download source',
+        'error'
+      );
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <PageHeader
+        title="Deploy"
+        actions={
+          <Button
+            variant="contained"
+            startIcon={isDownloading ? <CircularProgress size={20} color="inherit" /> : <DownloadIcon />}
+            onClick={handleDownloadSource}
+            disabled={isDownloading}
+            color="primary"
+          >
+            {isDownloading ? 'Generating...' : 'Download source'}
+          </Button>
+        }
+      />
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Self-host {project ? project.name : 'your funnel'}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Download source generates the latest code from your data model, workflow and
+          conversation flow and saves it as a zip archive.
+        </Typography>
+
+        <List dense>
+          {ARCHIVE_CONTENTS.map(({ path, description }) => (
+            <ListItem key={path} disableGutters>
+              <ListItemText
+                primary={path}
+                secondary={description}
+                primaryTypographyProps={{ fontFamily: 'monospace' }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+    </Box>
+  );
+}
+
+export default DeploymentPage;
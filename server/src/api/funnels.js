@@ -0,0 +1,113 @@
+/**
+ * funnels.js
+ *
+ * Studio API routes for a funnel project, mounted at /api/funnels.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const APIGenerator = require('../generators/APIGenerator');
+const SourceArchiver = require('../services/SourceArchiver');
+
+const router = express.Router();
+
+/**
+ * Require a signed-in studio user
+ */
+const requireUser = (req, res, next) => {
+  if (!req.isAuthenticated || !req.isAuthenticated()) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  next();
+};
+
+/**
+ * Load the funnel project owned by the signed-in user
+ */
+const loadProject = async (req, res, next) => {
+  try {
+    const project = mongoose.isValidObjectId(req.params.id)
+      ? await Project.findOne({ _id: req.params.id, owner: req.user._id })
+      : null;
+
+    if (!project) {
+      return res.status(404).json({ error: 'Funnel not found' });
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate a data model before generating code from it
+ *
+ * Takes the data model in the body, so the canvas can be checked before it
+ * is saved, and responds with the problems keyed to node ids.
+ *
+ * @route POST /api/funnels/:id/data-model/validate
+ */
+router.post('/:id/data-model/validate', requireUser, loadProject, (req, res) => {
+  const { nodes, edges } = req.body || {};
+
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+    return res.status(400).json({ error: 'A data model with nodes and edges is required' });
+  }
+
+  const apiGenerator = new APIGenerator({
+    _id: req.project._id,
+    name: req.project.name,
+    apiSettings: req.project.apiSettings,
+    workflow: req.project.workflow,
+    dataModel: { nodes, edges }
+  });
+
+  res.json(apiGenerator.validateDataModel());
+});
+
+/**
+ * Download the generated API and chatbot source as a zip archive
+ *
+ * The archive contains the API under api/, the chatbot under chatbot/ and a
+ * manifest.json listing every file with its size and SHA-256 hash.
+ *
+ * @route GET /api/funnels/:id/source
+ */
+router.get('/:id/source', requireUser, loadProject, async (req, res) => {
+  const archiver = new SourceArchiver(req.project);
+  let files;
+
+  try {
+    files = await archiver.generate();
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(422).json({
+        error: 'The data model is invalid',
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('Error generating source:', error);
+    return res.status(500).json({ error: 'Failed to generate source' });
+  }
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${archiver.getFileName()}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await archiver.pipe(files, res);
+  } catch (error) {
+    // Headers are already sent, so the client sees a truncated download
+    console.error('Error streaming source archive:', error);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
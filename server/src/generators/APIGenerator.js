@@ -9,14 +9,74 @@ const fs = require('fs').promises;
 const path = require('path');
 const { format } = require('prettier');
 const { v4: uuidv4 } = require('uuid');
+const WorkflowGenerator = require('./WorkflowGenerator');
+const OpenAPIGenerator = require('./OpenAPIGenerator');
+const AuthGenerator = require('./AuthGenerator');
+const SQLGenerator = require('./SQLGenerator');
+const MigrationGenerator = require('./MigrationGenerator');
+const PackageGenerator = require('./PackageGenerator');
+const TestGenerator = require('./TestGenerator');
+const SeedGenerator = require('./SeedGenerator');
+const GraphQLGenerator = require('./GraphQLGenerator');
+const TypeScriptGenerator = require('./TypeScriptGenerator');
+const AuditGenerator = require('./AuditGenerator');
+const WebhookGenerator = require('./WebhookGenerator');
+const IndexGenerator = require('./IndexGenerator');
+const BulkGenerator = require('./BulkGenerator');
+const FileGenerator = require('./FileGenerator');
+const TenantGenerator = require('./TenantGenerator');
+const ProtectedRegions = require('./ProtectedRegions');
+const DataModelValidator = require('./DataModelValidator');
+const VirtualFileSystem = require('./VirtualFileSystem');
+
+// Actions that can be restricted per data type
+const ACCESS_ACTIONS = ['list', 'read', 'create', 'update', 'delete'];
+
+// Public reads and authenticated writes unless a data type says otherwise
+const DEFAULT_ACCESS = {
+  list: ['public'],
+  read: ['public'],
+  create: ['authenticated'],
+  update: ['authenticated'],
+  delete: ['authenticated']
+};
 
 class APIGenerator {
-  constructor(project) {
+  /**
+   * @param {Object} project - The studio project to generate the API for
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Keep the generated files in memory
+   *   and return them from generateAll() instead of writing to disk
+   */
+  constructor(project, options = {}) {
     this.project = project;
     this.outputDir = path.join(__dirname, '../../generated', project._id.toString());
+    this.dryRun = Boolean(options.dryRun);
+    this.fs = this.dryRun ? new VirtualFileSystem(this.outputDir) : fs;
     this.modelOutputDir = path.join(this.outputDir, 'models');
     this.routeOutputDir = path.join(this.outputDir, 'routes');
     this.controllerOutputDir = path.join(this.outputDir, 'controllers');
+    this.validatorOutputDir = path.join(this.outputDir, 'validators');
+    this.utilOutputDir = path.join(this.outputDir, 'utils');
+    this.middlewareOutputDir = path.join(this.outputDir, 'middleware');
+    this.workflowGenerator = new WorkflowGenerator(this);
+    this.openAPIGenerator = new OpenAPIGenerator(this);
+    this.authGenerator = new AuthGenerator(this);
+    this.sqlGenerator = new SQLGenerator(this);
+    this.migrationGenerator = new MigrationGenerator(this);
+    this.packageGenerator = new PackageGenerator(this);
+    this.testGenerator = new TestGenerator(this);
+    this.seedGenerator = new SeedGenerator(this);
+    this.graphqlGenerator = new GraphQLGenerator(this);
+    this.typeScriptGenerator = new TypeScriptGenerator(this);
+    this.auditGenerator = new AuditGenerator(this);
+    this.webhookGenerator = new WebhookGenerator(this);
+    this.indexGenerator = new IndexGenerator(this);
+    this.bulkGenerator = new BulkGenerator(this);
+    this.fileGenerator = new FileGenerator(this);
+    this.tenantGenerator = new TenantGenerator(this);
+    this.protectedRegions = new ProtectedRegions(this);
+    this.dataModelValidator = new DataModelValidator(this);
   }
 
   /**
@@ -24,27 +84,106 @@ class APIGenerator {
    */
   async generateAll() {
     try {
+      // Refuse to generate broken code from an invalid data model
+      const validation = this.validateDataModel();
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: 'The data model is invalid',
+          validationErrors: validation.errors
+        };
+      }
+      
       // Create output directories if they don't exist
       await this.createDirectories();
       
+      // Load the checksums used to detect hand-edited files
+      await this.protectedRegions.load();
+      
       // Generate code for each model
       await this.generateModels();
       
+      // Generate SQL schema and model layer
+      await this.sqlGenerator.generateAll();
+      
+      // Generate a migration from the previous data model
+      const migration = await this.migrationGenerator.generateAll();
+      
       // Generate routes
       await this.generateRoutes();
       
       // Generate controllers
       await this.generateControllers();
       
+      // Generate request validators
+      await this.generateValidators();
+      
+      // Generate shared utilities
+      await this.generateUtils();
+      
+      // Generate auth and error handling middleware
+      await this.authGenerator.generateAll();
+      
+      // Generate tenant resolution and scoping
+      await this.tenantGenerator.generateAll();
+      
+      // Generate soft delete and audit trail support
+      await this.auditGenerator.generateAll();
+      
+      // Generate outbound webhooks
+      await this.webhookGenerator.generateAll();
+      
+      // Generate record expiry for TTL indexes
+      await this.indexGenerator.generateAll();
+      
+      // Generate bulk operations, import and export
+      await this.bulkGenerator.generateAll();
+      
+      // Generate file uploads, storage adapters and signed downloads
+      await this.fileGenerator.generateAll();
+      
+      // Generate funnel workflow runtime
+      await this.workflowGenerator.generateAll();
+      
+      // Generate GraphQL endpoint
+      await this.graphqlGenerator.generateAll();
+      
+      // Generate TypeScript types, declarations and tsconfig.json
+      await this.typeScriptGenerator.generateAll();
+      
       // Generate API index file
       await this.generateAPIIndex();
       
       // Generate README
       await this.generateREADME();
       
+      // Generate OpenAPI specification
+      await this.generateOpenAPISpec();
+      
+      // Generate integration tests, noting the data types they leave out
+      const untested = await this.testGenerator.generateAll();
+      
+      // Generate seed script and fixtures
+      await this.seedGenerator.generateAll();
+      
+      // Generate package.json, .env.example and Docker files
+      await this.packageGenerator.generateAll();
+      
+      // Record checksums of the files with custom code regions
+      await this.protectedRegions.save();
+      
+      const { conflicts } = this.protectedRegions;
+      if (conflicts.length > 0) {
+        console.warn(`Files edited outside custom code regions were not overwritten: ${conflicts.join(', ')}`);
+      }
+      
       return {
         success: true,
-        outputDir: this.outputDir
+        outputDir: this.outputDir,
+        migration,
+        conflicts,
+        untested,
+        ...(this.dryRun ? { files: this.fs.getFiles() } : {})
       };
     } catch (error) {
       console.error('Error generating API code:', error);
@@ -55,6 +194,13 @@ class APIGenerator {
     }
   }
 
+  /**
+   * Validate the data model, reporting problems keyed to node ids
+   */
+  validateDataModel() {
+    return this.dataModelValidator.validate();
+  }
+
   /**
    * Create output directories for generated code
    */
@@ -63,12 +209,15 @@ class APIGenerator {
       this.outputDir,
       this.modelOutputDir,
       this.routeOutputDir,
-      this.controllerOutputDir
+      this.controllerOutputDir,
+      this.validatorOutputDir,
+      this.utilOutputDir,
+      this.middlewareOutputDir
     ];
     
     for (const dir of dirs) {
       try {
-        await fs.mkdir(dir, { recursive: true });
+        await this.fs.mkdir(dir, { recursive: true });
       } catch (error) {
         if (error.code !== 'EEXIST') {
           throw error;
@@ -78,7 +227,7 @@ class APIGenerator {
   }
 
   /**
-   * Generate Mongoose models from data model definition
+   * Generate Mongoose (or SQL repository) models from data model definition
    */
   async generateModels() {
     if (!this.project.dataModel || !this.project.dataModel.nodes) {
@@ -90,19 +239,96 @@ class APIGenerator {
       node => node.type === 'dataType'
     );
 
+    const { extension, parser } = this.getSourceFormat();
+    const generator = this.isTypeScript() ? this.typeScriptGenerator : this;
+
     for (const node of dataTypeNodes) {
       const modelName = this.formatModelName(node.data.name);
       const fields = this.getFieldsForModel(node, this.project.dataModel);
+      const options = {
+        ...this.auditGenerator.getOptions(node),
+        indexes: [...this.indexGenerator.getIndexes(node), ...this.tenantGenerator.getUniqueFieldIndexes(fields)]
+      };
       
-      const modelCode = this.generateModelCode(modelName, fields, node.data.description);
+      let modelCode;
+      if (this.isSQL()) {
+        modelCode = this.isTypeScript()
+          ? this.typeScriptGenerator.generateSqlModelCode(modelName)
+          : this.sqlGenerator.generateModelCode(modelName);
+      } else {
+        modelCode = generator.generateModelCode(modelName, fields, node.data.description, options);
+      }
       
       // Format the code using prettier
-      const formattedCode = await this.formatCode(modelCode, 'babel');
+      const formattedCode = await this.formatCode(modelCode, parser);
       
       // Write to file
-      const filePath = path.join(this.modelOutputDir, `${modelName}.js`);
-      await fs.writeFile(filePath, formattedCode);
+      const filePath = path.join(this.modelOutputDir, `${modelName}.${extension}`);
+      await this.protectedRegions.write(filePath, formattedCode);
+    }
+  }
+
+  /**
+   * Check whether the project targets a SQL database instead of MongoDB
+   */
+  isSQL() {
+    return ['postgres', 'sqlite'].includes(this.getSetting('database', 'mongodb'));
+  }
+
+  /**
+   * Check whether the data type modules are generated as TypeScript
+   */
+  isTypeScript() {
+    return this.getSetting('language', 'javascript') === 'typescript';
+  }
+
+  /**
+   * Get the file extension and prettier parser of the data type modules
+   */
+  getSourceFormat() {
+    return this.isTypeScript()
+      ? { extension: 'ts', parser: 'typescript' }
+      : { extension: 'js', parser: 'babel' };
+  }
+
+  /**
+   * Get the pattern that valid record IDs match for the database target
+   */
+  getIdPattern() {
+    return this.isSQL()
+      ? '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+      : '^[0-9a-fA-F]{24}$';
+  }
+
+  /**
+   * Get a project-level API setting
+   */
+  getSetting(name, fallback) {
+    const settings = this.project.apiSettings || {};
+    return settings[name] !== undefined && settings[name] !== null ? settings[name] : fallback;
+  }
+
+  /**
+   * Get all data type nodes from the data model
+   */
+  getDataTypeNodes() {
+    if (!this.project.dataModel || !this.project.dataModel.nodes) {
+      return [];
     }
+
+    return this.project.dataModel.nodes.filter(node => node.type === 'dataType');
+  }
+
+  /**
+   * Get the types of the fields of all data types, with the item types of
+   * arrays instead of Array
+   */
+  getFieldTypes() {
+    return new Set(
+      this.getDataTypeNodes()
+        .flatMap(node => this.getFieldsForModel(node, this.project.dataModel))
+        .map(field => (field.type === 'Array' ? field.of || 'String' : field.type || 'String'))
+    );
   }
 
   /**
@@ -126,67 +352,214 @@ class APIGenerator {
   }
 
   /**
-   * Generate code for a Mongoose model
+   * Get the Mongoose schema field definitions of a model
    */
-  generateModelCode(modelName, fields, description) {
-    const schemaFields = fields.map(field => {
-      let fieldDef = '';
-      
-      switch (field.type) {
-        case 'String':
-          fieldDef = `  ${field.name}: {
-    type: String${field.required ? ',\n    required: true' : ''}${field.unique ? ',\n    unique: true' : ''}${field.default ? `,\n    default: "${field.default}"` : ''}
-  }`;
-          break;
-        case 'Number':
-          fieldDef = `  ${field.name}: {
-    type: Number${field.required ? ',\n    required: true' : ''}${field.default ? `,\n    default: ${field.default}` : ''}
-  }`;
-          break;
-        case 'Boolean':
-          fieldDef = `  ${field.name}: {
-    type: Boolean${field.default ? `,\n    default: ${field.default}` : ',\n    default: false'}
-  }`;
-          break;
-        case 'Date':
-          fieldDef = `  ${field.name}: {
-    type: Date${field.default === 'now' ? ',\n    default: Date.now' : field.default ? `,\n    default: ${field.default}` : ''}
-  }`;
-          break;
-        case 'ObjectId':
-          fieldDef = `  ${field.name}: {
+  getSchemaFields(fields) {
+    const schemaFields = fields.map(field => `  ${field.name}: ${this.getSchemaType(field)}`);
+
+    // Owner of the document, used by owner-only access rules
+    if (!fields.some(field => field.name === 'createdBy')) {
+      schemaFields.push(`  createdBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: '${field.ref}'${field.required ? ',\n    required: true' : ''}
-  }`;
-          break;
-        case 'Array':
-          if (field.of === 'ObjectId') {
-            fieldDef = `  ${field.name}: [{
+    ref: 'User'
+  }`);
+    }
+
+    return schemaFields.join(',\n');
+  }
+
+  /**
+   * Get the Mongoose schema type of a field, with its constraints
+   */
+  getSchemaType(field, type = field.type || 'String') {
+    switch (type) {
+      case 'ObjectId':
+        return `{
     type: mongoose.Schema.Types.ObjectId,
-    ref: '${field.ref}'
-  }]`;
-          } else {
-            fieldDef = `  ${field.name}: [${field.of || 'String'}]`;
-          }
-          break;
-        default:
-          fieldDef = `  ${field.name}: ${field.type || 'String'}`;
+    ref: '${this.formatModelName(field.ref || '')}'${field.required ? ',\n    required: true' : ''}
+  }`;
+      case 'Array': {
+        if (field.of === 'ObjectId') {
+          return `[${this.getSchemaType({ ref: field.ref }, 'ObjectId')}]`;
+        }
+
+        // Constraints apply to each item
+        const options = this.getSchemaOptions(field, field.of || 'String');
+
+        return options.length > 1
+          ? `[{
+    ${options.join(',\n    ')}
+  }]`
+          : `[${options[0].replace(/^type: /, '')}]`;
       }
-      
-      return fieldDef;
-    });
+      case 'Mixed':
+        return 'mongoose.Schema.Types.Mixed';
+      default: {
+        const [typeOption, ...constraints] = this.getSchemaOptions(field, type);
+        const options = [typeOption];
+
+        if (field.required) {
+          options.push('required: true');
+        }
+
+        // Unique per tenant under multi-tenancy, with a compound index
+        if (field.unique && !['Money', 'Point', 'Object', 'File', 'Image'].includes(type) && !this.tenantGenerator.isEnabled()) {
+          options.push('unique: true');
+        }
+
+        const defaultValue = this.getDefaultValue({ ...field, type });
+        if (defaultValue !== undefined) {
+          options.push(`default: ${type === 'Date' && defaultValue === 'now' ? 'Date.now' : JSON.stringify(defaultValue)}`);
+        }
+
+        return `{
+    ${[...options, ...constraints].join(',\n    ')}
+  }`;
+      }
+    }
+  }
+
+  /**
+   * Get the Mongoose type and constraints of a field or array item, starting
+   * with the type
+   */
+  getSchemaOptions(field, type) {
+    const options = [];
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    switch (type) {
+      case 'Email':
+        options.push('type: String', 'lowercase: true', 'trim: true', 'match: /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/');
+        break;
+      case 'URL':
+        options.push('type: String', 'trim: true', 'match: /^https?:\\/\\/\\S+$/i');
+        break;
+      case 'Money':
+        // Amounts are exact decimals, serialized as strings such as "19.99"
+        options.push(`type: new mongoose.Schema({
+      amount: {
+        type: mongoose.Schema.Types.Decimal128,
+        required: true,
+        get: (amount${this.isTypeScript() ? ': mongoose.Types.Decimal128 | null' : ''}) => (amount == null ? amount : amount.toString())
+      },
+      currency: {
+        type: String,
+        uppercase: true,
+        match: /^[A-Z]{3}$/,
+        default: ${JSON.stringify(this.getCurrency(field))}
+      }
+    }, {
+      _id: false,
+      toJSON: { getters: true, virtuals: false },
+      toObject: { getters: true, virtuals: false }
+    })`);
+        break;
+      case 'Point':
+        // GeoJSON point, indexed for $near and $geoWithin queries
+        options.push(`type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: {
+        type: [Number],
+        required: true
+      }
+    }, {
+      _id: false
+    })`, "index: '2dsphere'");
+        break;
+      case 'Object':
+        options.push(`type: new mongoose.Schema({
+${(field.fields || []).map(subField => `  ${subField.name}: ${this.getSchemaType(subField)}`).join(',\n')}
+    }, {
+      _id: false
+    })`);
+        break;
+      case 'File':
+      case 'Image':
+        // Metadata of the stored file; uploads go through the file endpoints
+        options.push(`type: new mongoose.Schema({
+      key: {
+        type: String,
+        required: true
+      },
+      filename: String,
+      mimeType: String,
+      size: Number,
+      width: Number,
+      height: Number,
+      variants: mongoose.Schema.Types.Mixed,
+      uploadedAt: Date
+    }, {
+      _id: false
+    })`);
+        break;
+      case 'Mixed':
+        options.push('type: mongoose.Schema.Types.Mixed');
+        break;
+      default:
+        options.push(`type: ${type}`);
+    }
+
+    if (['String', 'Email', 'URL'].includes(type)) {
+      const allowedValues = this.parseList(field.enum);
+      if (allowedValues.length > 0) {
+        options.push(`enum: ${JSON.stringify(allowedValues)}`);
+      }
+
+      if (isSet(field.minLength)) options.push(`minlength: ${Number(field.minLength)}`);
+      if (isSet(field.maxLength)) options.push(`maxlength: ${Number(field.maxLength)}`);
+    }
+
+    if (type === 'String' && field.pattern) {
+      options.push(`match: new RegExp(${JSON.stringify(field.pattern)})`);
+    }
+
+    if (type === 'Number') {
+      if (isSet(field.min)) options.push(`min: ${Number(field.min)}`);
+      if (isSet(field.max)) options.push(`max: ${Number(field.max)}`);
+    }
+
+    if (type === 'Date') {
+      if (isSet(field.min)) options.push(`min: new Date(${JSON.stringify(field.min)})`);
+      if (isSet(field.max)) options.push(`max: new Date(${JSON.stringify(field.max)})`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Get the currency of a Money field, USD unless the field names one
+   */
+  getCurrency(field) {
+    return String(field.currency || 'USD').trim().toUpperCase();
+  }
+
+  /**
+   * Generate code for a Mongoose model
+   */
+  generateModelCode(modelName, fields, description, options = {}) {
+    const tenant = this.tenantGenerator.getMongoPluginCode(`${modelName}Schema`);
 
     return `/**
  * ${modelName} model
  * ${description || ''}
  */
 const mongoose = require('mongoose');
+${options.softDelete ? "const softDelete = require('../utils/softDelete');\n" : ''}${tenant.require}${this.protectedRegions.region('imports')}
 
 const ${modelName}Schema = new mongoose.Schema({
-${schemaFields.join(',\n')}
+${this.getSchemaFields(fields)}
 }, {
   timestamps: true
 });
+${options.softDelete ? `
+${modelName}Schema.plugin(softDelete);
+` : ''}${tenant.plugin}${this.indexGenerator.getMongoIndexCode(modelName, options.indexes)}
+// Hooks, methods, virtuals and indexes
+${this.protectedRegions.region('schema')}
 
 module.exports = mongoose.model('${modelName}', ${modelName}Schema);
 `;
@@ -196,85 +569,144 @@ module.exports = mongoose.model('${modelName}', ${modelName}Schema);
    * Generate routes for all models
    */
   async generateRoutes() {
-    if (!this.project.dataModel || !this.project.dataModel.nodes) {
-      console.log('No data model found, skipping route generation');
-      return;
-    }
-
-    const dataTypeNodes = this.project.dataModel.nodes.filter(
-      node => node.type === 'dataType'
-    );
+    // The route index is always needed for the auth routes
+    const dataTypeNodes = this.getDataTypeNodes();
+    const { extension, parser } = this.getSourceFormat();
+    const generator = this.isTypeScript() ? this.typeScriptGenerator : this;
 
     // Generate individual route files
     for (const node of dataTypeNodes) {
       const modelName = this.formatModelName(node.data.name);
       const routeName = this.formatRouteName(node.data.name);
       
-      const routeCode = this.generateRouteCode(modelName, routeName);
+      const access = this.getAccessRules(node);
+      const options = {
+        ...this.auditGenerator.getOptions(node),
+        search: this.indexGenerator.hasSearch(node),
+        files: this.fileGenerator.getFileFields(node)
+      };
+      
+      const routeCode = generator.generateRouteCode(modelName, routeName, access, options);
       
       // Format the code using prettier
-      const formattedCode = await this.formatCode(routeCode, 'babel');
+      const formattedCode = await this.formatCode(routeCode, parser);
       
       // Write to file
-      const filePath = path.join(this.routeOutputDir, `${routeName}.js`);
-      await fs.writeFile(filePath, formattedCode);
+      const filePath = path.join(this.routeOutputDir, `${routeName}.${extension}`);
+      await this.protectedRegions.write(filePath, formattedCode);
     }
 
     // Generate index file for all routes
     const indexCode = this.generateRouteIndexCode(dataTypeNodes);
-    const formattedIndexCode = await this.formatCode(indexCode, 'babel');
+    const formattedIndexCode = await this.formatCode(indexCode, parser);
     
     // Write to file
-    const indexFilePath = path.join(this.routeOutputDir, 'index.js');
-    await fs.writeFile(indexFilePath, formattedIndexCode);
+    const indexFilePath = path.join(this.routeOutputDir, `index.${extension}`);
+    await this.fs.writeFile(indexFilePath, formattedIndexCode);
+  }
+
+  /**
+   * Get the access rules of a data type, falling back to the defaults
+   *
+   * Each action maps to a list of roles. Besides custom roles, 'public'
+   * allows anyone, 'authenticated' any signed-in user and 'owner' the
+   * user who created the document.
+   */
+  getAccessRules(node) {
+    const access = node.data.access || {};
+    const rules = {};
+
+    for (const action of ACCESS_ACTIONS) {
+      const roles = this.parseList(access[action]).map(role => role.toLowerCase());
+      rules[action] = roles.length > 0 ? roles : DEFAULT_ACCESS[action];
+    }
+
+    return rules;
+  }
+
+  /**
+   * Describe the roles allowed to perform an action
+   */
+  describeAccess(roles) {
+    if (roles.includes('public')) {
+      return 'Public';
+    }
+
+    const named = roles.filter(role => role !== 'authenticated');
+    return named.length > 0 && !roles.includes('authenticated')
+      ? `Private (${named.join(', ')})`
+      : 'Private';
+  }
+
+  /**
+   * Get the middleware that enforces the roles allowed to perform an action
+   */
+  getAccessMiddleware(roles) {
+    // Public routes still identify the caller, e.g. for ?expand= access checks
+    if (roles.includes('public')) {
+      return 'identify, ';
+    }
+
+    if (roles.includes('authenticated')) {
+      return 'authenticate, ';
+    }
+
+    return `authenticate, authorize(${JSON.stringify(roles).replace(/"/g, "'")}), `;
   }
 
   /**
    * Generate code for a route file
    */
-  generateRouteCode(modelName, routeName) {
+  generateRouteCode(modelName, routeName, access = DEFAULT_ACCESS, options = {}) {
+    const routes = this.auditGenerator.getRouteCode(modelName, routeName, access, options);
+
     return `/**
  * Routes for ${modelName}
  */
 const express = require('express');
 const router = express.Router();
 const ${modelName}Controller = require('../controllers/${modelName}Controller');
-const { authenticate } = require('../middleware/auth');
+const { identify, authenticate, authorize } = require('../middleware/auth');
+const { validateCreate, validateUpdate } = require('../validators/${modelName}Validator');
+${this.protectedRegions.region('imports')}
+
+// Custom routes go first so they take precedence over /:id
+${this.protectedRegions.region('routes')}
 
 /**
  * @route   GET /api/${routeName}
  * @desc    Get all ${routeName}
- * @access  Public
+ * @access  ${this.describeAccess(access.list)}
  */
-router.get('/', ${modelName}Controller.getAll);
+router.get('/', ${this.getAccessMiddleware(access.list)}${modelName}Controller.getAll);
 
-/**
+${this.indexGenerator.getRouteCode(modelName, routeName, access, options)}${this.bulkGenerator.getRouteCode(modelName, routeName, access)}${routes.collection}/**
  * @route   GET /api/${routeName}/:id
  * @desc    Get ${modelName} by ID
- * @access  Public
+ * @access  ${this.describeAccess(access.read)}
  */
-router.get('/:id', ${modelName}Controller.getById);
+router.get('/:id', ${this.getAccessMiddleware(access.read)}${modelName}Controller.getById);
 
 /**
  * @route   POST /api/${routeName}
  * @desc    Create a new ${modelName}
- * @access  Private
+ * @access  ${this.describeAccess(access.create)}
  */
-router.post('/', authenticate, ${modelName}Controller.create);
+router.post('/', ${this.getAccessMiddleware(access.create)}validateCreate, ${modelName}Controller.create);
 
 /**
  * @route   PUT /api/${routeName}/:id
  * @desc    Update ${modelName} by ID
- * @access  Private
+ * @access  ${this.describeAccess(access.update)}
  */
-router.put('/:id', authenticate, ${modelName}Controller.update);
+router.put('/:id', ${this.getAccessMiddleware(access.update)}validateUpdate, ${modelName}Controller.update);
 
 /**
  * @route   DELETE /api/${routeName}/:id
  * @desc    Delete ${modelName} by ID
- * @access  Private
+ * @access  ${this.describeAccess(access.delete)}
  */
-router.delete('/:id', authenticate, ${modelName}Controller.delete);
+router.delete('/:id', ${this.getAccessMiddleware(access.delete)}${modelName}Controller.delete);${routes.record}${this.fileGenerator.getRouteCode(modelName, routeName, access, options.files)}
 
 module.exports = router;
 `;
@@ -284,20 +716,58 @@ module.exports = router;
    * Generate index file for all routes
    */
   generateRouteIndexCode(dataTypeNodes) {
-    const imports = dataTypeNodes.map(node => {
-      const routeName = this.formatRouteName(node.data.name);
-      return `const ${routeName}Routes = require('./${routeName}');`;
-    });
+    const imports = dataTypeNodes.map(node => ({
+      name: `${this.formatRouteIdentifier(node.data.name)}Routes`,
+      file: `./${this.formatRouteName(node.data.name)}`
+    }));
 
     const routeRegistration = dataTypeNodes.map(node => {
       const routeName = this.formatRouteName(node.data.name);
-      return `  app.use('/api/${routeName}', ${routeName}Routes);`;
+      return `  app.use('/api/${routeName}', ${this.formatRouteIdentifier(node.data.name)}Routes);`;
     });
 
+    // Authentication
+    imports.unshift({ name: 'authRoutes', file: './auth' });
+    routeRegistration.unshift(`  app.use('/api/auth', authRoutes);`);
+
+    // Tenant of every API request, before any route runs a query
+    if (this.tenantGenerator.isEnabled()) {
+      imports.unshift({ name: '{ resolveTenant }', file: '../middleware/tenant' });
+      routeRegistration.unshift(`  app.use(${this.graphqlGenerator.isEnabled() ? "['/api', '/graphql']" : "'/api'"}, resolveTenant);`);
+    }
+
+    // Webhook delivery log
+    if (this.webhookGenerator.hasWebhooks()) {
+      imports.push({ name: 'webhookRoutes', file: './webhooks' });
+      routeRegistration.push(`  app.use('/api/webhooks', webhookRoutes);`);
+    }
+
+    // Signed downloads of locally stored files
+    if (this.fileGenerator.hasFiles()) {
+      imports.push({ name: 'fileRoutes', file: './files' });
+      routeRegistration.push(`  app.use('/files', fileRoutes);`);
+    }
+
+    // Funnel workflow runtime
+    if (this.workflowGenerator.hasWorkflow()) {
+      imports.push({ name: 'funnelRoutes', file: './funnel' });
+      routeRegistration.push(`  app.use('/api/funnel', funnelRoutes);`);
+    }
+
+    // GraphQL endpoint
+    if (this.graphqlGenerator.isEnabled()) {
+      imports.push({ name: 'graphqlRoutes', file: '../graphql' });
+      routeRegistration.push(`  app.use('/graphql', graphqlRoutes);`);
+    }
+
+    if (this.isTypeScript()) {
+      return this.typeScriptGenerator.generateRouteIndexCode(imports, routeRegistration);
+    }
+
     return `/**
  * API Routes Index
  */
-${imports.join('\n')}
+${imports.map(({ name, file }) => `const ${name} = require('${file}');`).join('\n')}
 
 module.exports = (app) => {
 ${routeRegistration.join('\n')}
@@ -318,44 +788,112 @@ ${routeRegistration.join('\n')}
       node => node.type === 'dataType'
     );
 
+    const { extension, parser } = this.getSourceFormat();
+    const generator = this.isSQL() ? this.sqlGenerator : this;
+
     for (const node of dataTypeNodes) {
       const modelName = this.formatModelName(node.data.name);
+      const options = {
+        ...this.auditGenerator.getOptions(node),
+        webhooks: this.webhookGenerator.getSubscriptions(node).length > 0,
+        search: this.indexGenerator.hasSearch(node),
+        files: this.fileGenerator.getFileFields(node),
+        routeName: this.formatRouteName(node.data.name)
+      };
       
-      const controllerCode = this.generateControllerCode(modelName);
+      const controllerCode = this.isTypeScript()
+        ? this.typeScriptGenerator.generateControllerCode(modelName, options)
+        : generator.generateControllerCode(modelName, options);
       
       // Format the code using prettier
-      const formattedCode = await this.formatCode(controllerCode, 'babel');
+      const formattedCode = await this.formatCode(controllerCode, parser);
       
       // Write to file
-      const filePath = path.join(this.controllerOutputDir, `${modelName}Controller.js`);
-      await fs.writeFile(filePath, formattedCode);
+      const filePath = path.join(this.controllerOutputDir, `${modelName}Controller.${extension}`);
+      await this.protectedRegions.write(filePath, formattedCode);
     }
   }
 
   /**
    * Generate code for a controller file
    */
-  generateControllerCode(modelName) {
+  generateControllerCode(modelName, options = {}) {
+    const { softDelete, audit, webhooks, search, files = {}, routeName } = options;
+    const hasFiles = Object.keys(files).length > 0;
+    // Overrides any ?filter[deletedAt] of the request
+    const scope = softDelete ? '{ ...ownerScope(req), deletedAt: null }' : 'ownerScope(req)';
+    const record = (action, before, after) =>
+      audit ? `\n    await recordChange(req, '${modelName}', '${action}', ${before}, ${after});` : '';
+    const emit = (event, item) =>
+      webhooks ? `\n    await emitEvent('${modelName}', '${event}', ${item});` : '';
+    const remove = softDelete
+      ? `${audit || webhooks ? 'const before = item.toObject();\n    ' : ''}await item.markDeleted();${record('delete', 'before', 'item')}${emit('deleted', 'before')}`
+      : `await item.deleteOne();${record('delete', 'item', 'null')}${emit('deleted', 'item')}${hasFiles ? '\n    await files.removeFiles(item);' : ''}`;
+    const bulk = this.bulkGenerator.getControllerCode(modelName, routeName, {
+      find: `${modelName}.findOne({ _id: id, ...ownerScope(req) })`,
+      create: `const newItem = new ${modelName}(data);
+
+    if (req.user && req.user.id) {
+      newItem.createdBy = req.user.id;
+    }
+
+    const item = await newItem.save();${record('create', 'null', 'item')}${emit('created', 'item')}
+    return item;`,
+      update: `const updated = await ${modelName}.findByIdAndUpdate(
+      item._id,
+      { $set: data },
+      { new: true, runValidators: true }
+    );${record('update', 'item', 'updated')}${emit('updated', 'updated')}
+    return updated;`,
+      remove,
+      list: `streamDocuments(${modelName}, req, ${scope})`
+    });
+    const fileHandlers = this.fileGenerator.getControllerCode(modelName, routeName, files, {
+      find: `${modelName}.findOne({ _id: id, ...ownerScope(req) })`,
+      save: `const updated = await ${modelName}.findByIdAndUpdate(
+      item._id,
+      { $set: changes },
+      { new: true, runValidators: true }
+    );${record('update', 'item', 'updated')}${emit('updated', 'updated')}
+    return updated;`
+    });
+
     return `/**
  * Controller for ${modelName}
  */
 const ${modelName} = require('../models/${modelName}');
+const validator = require('../validators/${modelName}Validator');
+const { listDocuments${search ? ', searchDocuments' : ''}, streamDocuments } = require('../utils/listQuery');
+const { getExpandOptions } = require('../utils/expand');
+const { createBulkHandlers } = require('../utils/bulk');
+${hasFiles ? "const { createFileHandlers } = require('../utils/files');\n" : ''}const { ownerScope } = require('../middleware/auth');
+${audit ? "const { recordChange, listHistory } = require('../utils/audit');\n" : ''}${webhooks ? "const { emitEvent } = require('../webhooks/dispatcher');\n" : ''}${this.protectedRegions.region('imports')}
 
 // Get all ${modelName}s
-exports.getAll = async (req, res) => {
+exports.getAll = async (req, res, next) => {
   try {
-    const items = await ${modelName}.find();
-    res.json(items);
+    const result = await listDocuments(${modelName}, req, ${scope}, getExpandOptions(${modelName}, req));
+    res.json(result);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
-
+${search ? `
+// Search ${modelName}s by text
+exports.search = async (req, res, next) => {
+  try {
+    const result = await searchDocuments(${modelName}, req, ${scope}, getExpandOptions(${modelName}, req));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+` : ''}
 // Get ${modelName} by ID
-exports.getById = async (req, res) => {
+exports.getById = async (req, res, next) => {
   try {
-    const item = await ${modelName}.findById(req.params.id);
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) })
+      .populate(getExpandOptions(${modelName}, req));
     
     if (!item) {
       return res.status(404).json({ message: '${modelName} not found' });
@@ -363,18 +901,16 @@ exports.getById = async (req, res) => {
     
     res.json(item);
   } catch (err) {
-    console.error(err.message);
-    
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ message: '${modelName} not found' });
     }
     
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
 
 // Create a new ${modelName}
-exports.create = async (req, res) => {
+exports.create = async (req, res, next) => {
   try {
     const newItem = new ${modelName}(req.body);
     
@@ -383,157 +919,1269 @@ exports.create = async (req, res) => {
       newItem.createdBy = req.user.id;
     }
     
-    const item = await newItem.save();
+    const item = await newItem.save();${record('create', 'null', 'item')}${emit('created', 'item')}
     res.json(item);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
 
 // Update ${modelName} by ID
-exports.update = async (req, res) => {
+exports.update = async (req, res, next) => {
   try {
-    let item = await ${modelName}.findById(req.params.id);
+    let item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) });
     
     if (!item) {
       return res.status(404).json({ message: '${modelName} not found' });
     }
     
-    // Update the item with request body
+    ${audit ? 'const before = item;\n    ' : ''}// Update the item with request body
     item = await ${modelName}.findByIdAndUpdate(
-      req.params.id,
+      item._id,
       { $set: req.body },
-      { new: true }
-    );
+      { new: true, runValidators: true }
+    );${record('update', 'before', 'item')}${emit('updated', 'item')}
     
     res.json(item);
   } catch (err) {
-    console.error(err.message);
-    
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ message: '${modelName} not found' });
     }
     
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
 
 // Delete ${modelName} by ID
-exports.delete = async (req, res) => {
+exports.delete = async (req, res, next) => {
   try {
-    const item = await ${modelName}.findById(req.params.id);
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) });
     
     if (!item) {
       return res.status(404).json({ message: '${modelName} not found' });
     }
     
-    await item.remove();
+    ${remove}
     
     res.json({ message: '${modelName} removed' });
   } catch (err) {
-    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+    
+    next(err);
+  }
+};
+${softDelete ? `
+// Get deleted ${modelName}s
+exports.getDeleted = async (req, res, next) => {
+  try {
+    const result = await listDocuments(
+      ${modelName},
+      req,
+      { ...ownerScope(req), deletedAt: { $ne: null } },
+      getExpandOptions(${modelName}, req)
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Restore a deleted ${modelName}
+exports.restore = async (req, res, next) => {
+  try {
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req), deletedAt: { $ne: null } });
+    
+    if (!item) {
+      return res.status(404).json({ message: 'Deleted ${modelName} not found' });
+    }
+    
+    ${audit ? 'const before = item.toObject();\n    ' : ''}await item.restore();${record('restore', 'before', 'item')}${emit('updated', 'item')}
+    
+    res.json(item);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Deleted ${modelName} not found' });
+    }
+    
+    next(err);
+  }
+};
+` : ''}${audit ? `
+// Get the change history of ${modelName}
+exports.getHistory = async (req, res, next) => {
+  try {
+    ${softDelete ? '// Deleted items keep their history\n    ' : ''}const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) })${softDelete ? '.setOptions({ withDeleted: true })' : ''};
+    
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
     
+    const result = await listHistory(req, '${modelName}', item._id);
+    res.json(result);
+  } catch (err) {
     if (err.kind === 'ObjectId') {
       return res.status(404).json({ message: '${modelName} not found' });
     }
     
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
+` : ''}${bulk}${fileHandlers}
+${this.protectedRegions.region('handlers')}
 `;
   }
 
   /**
-   * Generate API index file
+   * Generate request validators for all models
    */
-  async generateAPIIndex() {
-    const indexCode = `/**
- * API Entry Point
- */
-const express = require('express');
-const cors = require('cors');
-const mongoose = require('mongoose');
-const routes = require('./routes');
-const { errorHandler } = require('./middleware/errorHandler');
-require('dotenv').config();
-
-// Initialize Express
-const app = express();
-
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('MongoDB Connected'))
-.catch(err => console.error('MongoDB connection error:', err));
+  async generateValidators() {
+    const dataTypeNodes = this.getDataTypeNodes();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes
-routes(app);
+    if (dataTypeNodes.length === 0) {
+      console.log('No data model found, skipping validator generation');
+      return;
+    }
 
-// Error handling middleware
-app.use(errorHandler);
+    // Generate shared validation helper
+    const helperCode = await this.formatCode(this.generateValidationHelperCode(), 'babel');
+    await this.fs.writeFile(path.join(this.validatorOutputDir, 'validate.js'), helperCode);
 
-// Start server
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(\`Server running on port \${PORT}\`));
-`;
+    const { extension, parser } = this.getSourceFormat();
+    const generator = this.isTypeScript() ? this.typeScriptGenerator : this;
 
-    const formattedCode = await this.formatCode(indexCode, 'babel');
-    
-    // Write to file
-    const filePath = path.join(this.outputDir, 'app.js');
-    await fs.writeFile(filePath, formattedCode);
+    for (const node of dataTypeNodes) {
+      const modelName = this.formatModelName(node.data.name);
+      const fields = this.getFieldsForModel(node, this.project.dataModel);
+      
+      const validatorCode = generator.generateValidatorCode(modelName, fields);
+      
+      // Format the code using prettier
+      const formattedCode = await this.formatCode(validatorCode, parser);
+      
+      // Write to file
+      const filePath = path.join(this.validatorOutputDir, `${modelName}Validator.${extension}`);
+      await this.fs.writeFile(filePath, formattedCode);
+    }
   }
 
   /**
-   * Generate README file with instructions
+   * Get validation rules for a model's fields
+   *
+   * File fields have no rules: they are only set through the file endpoints,
+   * so the validators strip them from request bodies and imports.
    */
-  async generateREADME() {
-    const readmeContent = `# ${this.project.name} - API
+  getValidationRules(fields) {
+    return fields.filter(field => !this.fileGenerator.isFileField(field)).map(field => {
+      const rule = {
+        name: field.name,
+        type: field.type || 'String'
+      };
+
+      if (field.type === 'Array') {
+        rule.of = field.of || 'String';
+      }
+
+      if (field.type === 'Money') {
+        rule.currency = this.getCurrency(field);
+      }
+
+      // Embedded documents are checked against the rules of their fields
+      if (field.type === 'Object' || (field.type === 'Array' && field.of === 'Object')) {
+        rule.fields = this.getValidationRules(field.fields || []);
+      }
+
+      if (field.required) {
+        rule.required = true;
+      }
+
+      if (field.unique) {
+        rule.unique = true;
+      }
+
+      const allowedValues = this.parseList(field.enum);
+      if (allowedValues.length > 0) {
+        rule.enum = allowedValues;
+      }
+
+      for (const key of ['min', 'max', 'minLength', 'maxLength', 'pattern']) {
+        if (field[key] !== undefined && field[key] !== null && field[key] !== '') {
+          rule[key] = field[key];
+        }
+      }
+
+      return rule;
+    });
+  }
+
+  /**
+   * Parse enum values from an array or a comma-separated string
+   */
+  parseList(values) {
+    if (!values) {
+      return [];
+    }
+
+    const list = Array.isArray(values) ? values : String(values).split(',');
+    return list.map(value => String(value).trim()).filter(Boolean);
+  }
+
+  /**
+   * Get the default value of a field, matching the Mongoose schema defaults
+   */
+  getDefaultValue(field) {
+    switch (field.type) {
+      case 'Boolean':
+        return field.default === true || field.default === 'true';
+      case 'Number':
+        return field.default !== undefined && field.default !== '' && !Number.isNaN(Number(field.default))
+          ? Number(field.default)
+          : undefined;
+      case 'String':
+      case 'Email':
+      case 'URL':
+      case 'Date':
+        return field.default ? String(field.default) : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Generate code for a model's validator
+   */
+  generateValidatorCode(modelName, fields) {
+    return `/**
+ * Request validation for ${modelName}
+ */
+const ${modelName} = require('../models/${modelName}');
+const { createValidator } = require('./validate');
+
+const rules = ${JSON.stringify(this.getValidationRules(fields), null, 2)};
+
+module.exports = createValidator(${modelName}, rules);
+`;
+  }
+
+  /**
+   * Generate code for the shared validation helper
+   */
+  generateValidationHelperCode() {
+    return `/**
+ * Validation helper
+ *
+ * Builds Express middleware that checks request bodies against the field
+ * rules of a model, strips unknown fields and responds with 400 on failure.
+ */
+const ID_PATTERN = /${this.getIdPattern()}/;
+const EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+const URL_PATTERN = /^https?:\\/\\/\\S+$/i;
+const AMOUNT_PATTERN = /^-?\\d+(\\.\\d+)?$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check whether a string is an absolute http or https URL
+ */
+const isWebURL = (value) => {
+  try {
+    return URL_PATTERN.test(value) && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Cast a value to the type of a field rule
+ *
+ * @param {Object} rule - Field rule
+ * @param {*} value - Value from the request body
+ * @param {string} type - Type to cast to; array items pass the item type
+ * @returns {{ value: *, error: string }} The cast value, or an error message
+ */
+const castValue = (rule, value, type = rule.type) => {
+  switch (type) {
+    case 'String':
+      return typeof value === 'string'
+        ? { value }
+        : { error: 'must be a string' };
+    case 'Email': {
+      const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+      return EMAIL_PATTERN.test(email)
+        ? { value: email }
+        : { error: 'must be a valid email address' };
+    }
+    case 'URL': {
+      const url = typeof value === 'string' ? value.trim() : '';
+      return isWebURL(url)
+        ? { value: url }
+        : { error: 'must be a valid http or https URL' };
+    }
+    case 'Number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { error: 'must be a number' };
+    }
+    case 'Money': {
+      // A bare amount is in the field's currency
+      const money = isPlainObject(value) ? value : { amount: value };
+      const amount = typeof money.amount === 'number' && Number.isFinite(money.amount)
+        ? String(money.amount)
+        : String(typeof money.amount === 'string' ? money.amount : '').trim();
+      const currency = isEmpty(money.currency) ? rule.currency || 'USD' : String(money.currency).trim().toUpperCase();
+
+      if (!AMOUNT_PATTERN.test(amount)) {
+        return { error: 'must have a decimal amount' };
+      }
+
+      return CURRENCY_PATTERN.test(currency)
+        ? { value: { amount, currency } }
+        : { error: 'must have a three-letter currency code' };
+    }
+    case 'Boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: 'must be a boolean' };
+    case 'Date': {
+      const date = new Date(value);
+      return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(date.getTime())
+        ? { value: date }
+        : { error: 'must be a valid date' };
+    }
+    case 'Point': {
+      const coordinates = isPlainObject(value) && [undefined, 'Point'].includes(value.type) ? value.coordinates : null;
+      const [longitude, latitude] = Array.isArray(coordinates) ? coordinates : [];
+      const valid = Array.isArray(coordinates) &&
+        coordinates.length === 2 &&
+        coordinates.every(coordinate => typeof coordinate === 'number' && Number.isFinite(coordinate)) &&
+        Math.abs(longitude) <= 180 &&
+        Math.abs(latitude) <= 90;
+
+      return valid
+        ? { value: { type: 'Point', coordinates: [longitude, latitude] } }
+        : { error: 'must be a GeoJSON point with [longitude, latitude] coordinates' };
+    }
+    case 'Object': {
+      if (!isPlainObject(value)) {
+        return { error: 'must be an object' };
+      }
+
+      const { data, errors } = validateFields(rule.fields || [], value);
+      return errors.length > 0
+        ? { error: \`is invalid (\${errors[0].message})\` }
+        : { value: data };
+    }
+    case 'ObjectId':
+      return typeof value === 'string' && ID_PATTERN.test(value)
+        ? { value }
+        : { error: 'must be a valid ID' };
+    case 'Array': {
+      if (!Array.isArray(value)) {
+        return { error: 'must be an array' };
+      }
+
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const item = castValue(rule, value[i], rule.of);
+        if (item.error) {
+          return { error: \`item \${i} \${item.error}\` };
+        }
+        items.push(item.value);
+      }
+      return { value: items };
+    }
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Check enum, min/max, length and pattern constraints; those of arrays
+ * apply to each item
+ *
+ * @returns {string|null} An error message, or null if the value is valid
+ */
+const checkConstraints = (rule, value) => {
+  const values = Array.isArray(value) ? value : [value];
+  const type = rule.type === 'Array' ? rule.of : rule.type;
+  const strings = values.filter(item => typeof item === 'string');
+
+  if (rule.enum && values.some(item => !rule.enum.includes(String(item)))) {
+    return \`must be one of: \${rule.enum.join(', ')}\`;
+  }
+
+  if (type === 'Number' || type === 'Date' || type === 'Money') {
+    const cast = type === 'Date' ? bound => new Date(bound) : Number;
+    // Money is compared by amount, whatever its currency
+    const amounts = type === 'Money' ? values.map(item => Number(item.amount)) : values;
+
+    if (rule.min !== undefined && amounts.some(item => item < cast(rule.min))) {
+      return \`must be at least \${rule.min}\`;
+    }
+
+    if (rule.max !== undefined && amounts.some(item => item > cast(rule.max))) {
+      return \`must be at most \${rule.max}\`;
+    }
+  }
+
+  if (rule.minLength !== undefined && strings.some(item => item.length < Number(rule.minLength))) {
+    return \`must be at least \${rule.minLength} characters long\`;
+  }
+
+  if (rule.maxLength !== undefined && strings.some(item => item.length > Number(rule.maxLength))) {
+    return \`must be at most \${rule.maxLength} characters long\`;
+  }
+
+  if (rule.pattern && strings.some(item => !new RegExp(rule.pattern).test(item))) {
+    return 'has an invalid format';
+  }
+
+  return null;
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Check values against field rules, without the unique checks
+ *
+ * @param {Array} rules - Field rules generated from the data model
+ * @param {Object} body - Values keyed by field name
+ * @param {boolean} partial - Skip missing fields (updates)
+ * @returns {{ data: Object, errors: Array }} The cast known fields and the
+ *   field-level errors
+ */
+const validateFields = (rules, body, partial = false) => {
+  const data = {};
+  const errors = [];
+
+  for (const rule of rules) {
+    const value = (body || {})[rule.name];
+
+    if (isEmpty(value)) {
+      if (rule.required && (!partial || value !== undefined)) {
+        errors.push({ field: rule.name, message: \`\${rule.name} is required\` });
+      } else if (value !== undefined) {
+        // Allow clearing optional fields
+        data[rule.name] = null;
+      }
+      continue;
+    }
+
+    const result = castValue(rule, value);
+    const error = result.error || checkConstraints(rule, result.value);
+
+    if (error) {
+      errors.push({ field: rule.name, message: \`\${rule.name} \${error}\` });
+      continue;
+    }
+
+    data[rule.name] = result.value;
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Check a request body against the field rules of a model
+ *
+ * @param {Object} Model - Model used for unique checks
+ * @param {Array} rules - Field rules generated from the data model
+ * @param {Object} body - Request body
+ * @param {Object} options - partial: true skips missing fields (updates),
+ *   id excludes the record being updated from unique checks
+ * @returns {Promise<{ data: Object, errors: Array }>} The cast known fields and
+ *   the field-level errors
+ */
+const validateBody = async (Model, rules, body, { partial = false, id } = {}) => {
+  const { data, errors } = validateFields(rules, body, partial);
+
+  // Only hit the database once the body is otherwise valid
+  if (errors.length === 0) {
+    for (const rule of rules.filter(r => r.unique && !isEmpty(data[r.name]))) {
+      const query = { [rule.name]: data[rule.name] };
+      // Malformed IDs are left to the caller, which responds with 404
+      if (id && ID_PATTERN.test(id)) {
+        query._id = { $ne: id };
+      }
+
+      if (await Model.exists(query)) {
+        errors.push({ field: rule.name, message: \`\${rule.name} is already in use\` });
+      }
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Create validation middleware for a model
+ *
+ * @param {Object} Model - Model used for unique checks
+ * @param {Array} rules - Field rules generated from the data model
+ * @returns {{ validateCreate: Function, validateUpdate: Function, validate: Function, rules: Array }}
+ *   Middleware, and validate(body, options) and the rules for callers
+ *   outside Express
+ */
+const createValidator = (Model, rules) => {
+  const validate = (body, options) => validateBody(Model, rules, body, options);
+
+  const middleware = (partial) => async (req, res, next) => {
+    try {
+      const { data, errors } = await validate(req.body, { partial, id: req.params.id });
+
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Validation failed', errors });
+      }
+
+      // Unknown fields are dropped
+      req.body = data;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  return {
+    validateCreate: middleware(false),
+    validateUpdate: middleware(true),
+    validate,
+    rules
+  };
+};
+
+module.exports = {
+  createValidator
+};
+`;
+  }
+
+  /**
+   * Generate shared utility modules used by the controllers
+   */
+  async generateUtils() {
+    const utils = {
+      'queryParams.js': this.generateQueryParamsCode(),
+      'listQuery.js': this.isSQL() ? this.sqlGenerator.generateListQueryCode() : this.generateListQueryCode(),
+      'expand.js': this.isSQL() ? this.sqlGenerator.generateExpandCode() : this.generateExpandCode()
+    };
+
+    for (const [fileName, code] of Object.entries(utils)) {
+      const formattedCode = await this.formatCode(code, 'babel');
+
+      // Write to file
+      const filePath = path.join(this.utilOutputDir, fileName);
+      await this.fs.writeFile(filePath, formattedCode);
+    }
+  }
+
+  /**
+   * Get the fields of a model that reference other models
+   */
+  getReferenceFields(fields) {
+    return fields.filter(field =>
+      field.ref && (field.type === 'ObjectId' || (field.type === 'Array' && field.of === 'ObjectId'))
+    );
+  }
+
+  /**
+   * Get the read access rules of every model that can be expanded
+   */
+  getReadAccess() {
+    const readAccess = {
+      // createdBy references the auth module's User model; only the name is
+      // shown so any signed-in user cannot collect the other users' emails
+      User: { roles: ['authenticated'], select: 'name' }
+    };
+
+    for (const node of this.getDataTypeNodes()) {
+      readAccess[this.formatModelName(node.data.name)] = { roles: this.getAccessRules(node).read };
+    }
+
+    return readAccess;
+  }
+
+  /**
+   * Generate code for the relationship expansion helper (?expand=)
+   */
+  generateExpandCode() {
+    return `/**
+ * Relationship expansion helper
+ *
+ * Turns ?expand=customer,items.category into populate options. Paths are
+ * validated against the schema refs, limited in depth (so cyclic references
+ * cannot recurse), and each expanded model keeps its own read access rules.
+ */
+const { checkAccess } = require('../middleware/auth');
+const { QueryError } = require('./queryParams');
+
+const MAX_DEPTH = Number(process.env.EXPAND_MAX_DEPTH) || ${Number(this.getSetting('expandMaxDepth', 2))};
+
+// Read access of each model that can be expanded
+const READ_ACCESS = ${JSON.stringify(this.getReadAccess(), null, 2)};
+
+/**
+ * Get the model referenced by a path, or null if it is not a reference
+ */
+const getRef = (Model, field) => {
+  const schemaType = Model.schema.path(field);
+
+  if (!schemaType) {
+    return null;
+  }
+
+  const options = schemaType.caster ? schemaType.caster.options : schemaType.options;
+  return (options && options.ref) || null;
+};
+
+/**
+ * Parse the expand parameter into a tree of paths
+ */
+const parseExpandTree = (expandParam) => {
+  const tree = {};
+
+  const paths = String(expandParam)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  for (const expandPath of paths) {
+    const segments = expandPath.split('.');
+
+    if (segments.length > MAX_DEPTH) {
+      throw new QueryError(\`Cannot expand "\${expandPath}": nesting is limited to \${MAX_DEPTH} levels\`);
+    }
+
+    let node = tree;
+    for (const segment of segments) {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+  }
+
+  return tree;
+};
+
+/**
+ * Build populate options for one level of the tree
+ */
+const buildPopulate = (Model, tree, req, parentPath = '') => {
+  return Object.entries(tree).map(([field, children]) => {
+    const fullPath = parentPath ? \`\${parentPath}.\${field}\` : field;
+    const refName = getRef(Model, field);
+
+    if (!refName) {
+      throw new QueryError(\`Cannot expand "\${fullPath}": not a reference field\`);
+    }
+
+    const rule = READ_ACCESS[refName];
+    const access = rule ? checkAccess(req, rule.roles) : 'deny';
+
+    if (access === 'deny' || access === 'unauthenticated') {
+      throw new QueryError(\`Not allowed to expand "\${fullPath}"\`, access === 'deny' ? 403 : 401);
+    }
+
+    const option = { path: field, model: refName };
+
+    // Owner-only models only show the user's own documents
+    if (access === 'owner') {
+      option.match = { createdBy: req.user.id };
+    }
+
+    if (rule.select) {
+      option.select = rule.select;
+    }
+
+    const nested = buildPopulate(Model.db.model(refName), children, req, fullPath);
+    if (nested.length > 0) {
+      option.populate = nested;
+    }
+
+    return option;
+  });
+};
+
+/**
+ * Get populate options for the expand parameter of a request
+ *
+ * @param {mongoose.Model} Model - Model being queried
+ * @param {Object} req - Express request
+ * @returns {Array} Populate options (empty when nothing is expanded)
+ */
+const getExpandOptions = (Model, req) => {
+  const expandParam = req.query && req.query.expand;
+
+  if (!expandParam) {
+    return [];
+  }
+
+  return buildPopulate(Model, parseExpandTree(expandParam), req);
+};
+
+module.exports = {
+  getExpandOptions
+};
+`;
+  }
+
+  /**
+   * Generate code for the shared list query parameter parsing
+   */
+  generateQueryParamsCode() {
+    const search = this.indexGenerator.hasSearch();
+
+    return `/**
+ * Query parameter helpers
+ *
+ * Database-independent parsing of the pagination, filter, sort and field
+ * selection parameters accepted by list endpoints${search ? ', and the search\n * terms and highlighting of search endpoints' : ''}.
+ */
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+const ID_PATTERN = /${this.getIdPattern()}/;
+
+class QueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = status;
+  }
+}
+
+/**
+ * Cast a query string value to the type of a field
+ */
+const castFilterValue = (type, value, field) => {
+  switch (type) {
+    case 'Number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new QueryError(\`Invalid number for \${field}\`);
+      }
+      return number;
+    }
+    case 'Date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new QueryError(\`Invalid date for \${field}\`);
+      }
+      return date;
+    }
+    case 'Boolean':
+      return value === true || value === 'true';
+    case 'ObjectId':
+    case 'ObjectID':
+      if (!ID_PATTERN.test(String(value))) {
+        throw new QueryError(\`Invalid ID for \${field}\`);
+      }
+      return String(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Parse filter[field]=value and filter[field][operator]=value parameters
+ *
+ * @param {Object} filterParam - The parsed filter query parameter
+ * @param {Function} getFieldType - Returns the type of a field, or null if unknown
+ * @returns {Array<{ field, type, operator, value }>} Conditions with cast values
+ */
+const parseFilter = (filterParam, getFieldType) => {
+  const conditions = [];
+
+  if (filterParam === undefined) {
+    return conditions;
+  }
+
+  if (typeof filterParam !== 'object' || Array.isArray(filterParam)) {
+    throw new QueryError('Use filter[field]=value or filter[field][operator]=value');
+  }
+
+  for (const [field, condition] of Object.entries(filterParam)) {
+    const type = getFieldType(field);
+
+    if (!type) {
+      throw new QueryError(\`Cannot filter by unknown field "\${field}"\`);
+    }
+
+    const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { eq: condition };
+
+    for (const [operator, value] of Object.entries(operators)) {
+      if (!OPERATORS.includes(operator)) {
+        throw new QueryError(\`Unknown operator "\${operator}" for \${field}\`);
+      }
+
+      if (operator === 'in') {
+        const values = Array.isArray(value) ? value : String(value).split(',');
+        conditions.push({ field, type, operator, value: values.map(item => castFilterValue(type, item, field)) });
+      } else if (operator === 'contains') {
+        if (type !== 'String') {
+          throw new QueryError('The contains operator only applies to text fields');
+        }
+        conditions.push({ field, type, operator, value: String(value) });
+      } else {
+        conditions.push({ field, type, operator, value: castFilterValue(type, value, field) });
+      }
+    }
+  }
+
+  return conditions;
+};
+
+/**
+ * Parse sort=-field1,field2 into { field: 1 | -1 }, tie-broken on _id
+ */
+const parseSort = (sortParam, getFieldType) => {
+  const sort = {};
+
+  if (sortParam) {
+    for (const key of String(sortParam).split(',').map(item => item.trim()).filter(Boolean)) {
+      const field = key.replace(/^[-+]/, '');
+
+      if (!getFieldType(field)) {
+        throw new QueryError(\`Cannot sort by unknown field "\${field}"\`);
+      }
+
+      sort[field] = key.startsWith('-') ? -1 : 1;
+    }
+  }
+
+  if (Object.keys(sort).length === 0) {
+    sort.createdAt = -1;
+  }
+
+  // Cursors need a unique, stable order
+  if (!('_id' in sort)) {
+    sort._id = Object.values(sort).pop();
+  }
+
+  return sort;
+};
+
+/**
+ * Parse fields=name,price into a list of fields (null when not given)
+ */
+const parseFields = (fieldsParam, getFieldType) => {
+  if (!fieldsParam) {
+    return null;
+  }
+
+  const fields = String(fieldsParam).split(',').map(item => item.trim()).filter(Boolean);
 
-This API was automatically generated by Kickflip Studio.
+  for (const field of fields) {
+    if (!getFieldType(field)) {
+      throw new QueryError(\`Cannot select unknown field "\${field}"\`);
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Parse a positive integer parameter
+ */
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    throw new QueryError(\`\${name} must be a positive integer\`);
+  }
+
+  return number;
+};
+
+/**
+ * Parse the limit and page parameters
+ */
+const parsePagination = (query) => ({
+  limit: Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT),
+  page: query.cursor ? null : parsePositiveInt(query.page, 'page', 1)
+});
+
+/**
+ * Encode the sort values of the last item as an opaque cursor
+ */
+const encodeCursor = (values) => {
+  const encoded = values.map(value => (value instanceof Date ? { $date: value.toISOString() } : value));
+  return Buffer.from(JSON.stringify(encoded)).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into sort values
+ */
+const decodeCursor = (cursor, length) => {
+  let values;
+
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new QueryError('Invalid cursor');
+  }
+
+  if (!Array.isArray(values) || values.length !== length) {
+    throw new QueryError('Cursor does not match the requested sort');
+  }
+
+  return values.map(value => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    // Only dates are encoded as objects; anything else could inject operators
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+
+    throw new QueryError('Invalid cursor');
+  });
+};
+
+/**
+ * Build a link to the current list with some parameters replaced
+ */
+const buildLink = (req, overrides = {}) => {
+  const [pathname, search = ''] = req.originalUrl.split('?');
+  const params = new URLSearchParams(search);
+
+  for (const [key, value] of Object.entries(overrides)) {
+    params.set(key, value);
+  }
+
+  if (overrides.cursor) {
+    params.delete('page');
+  }
+
+  const queryString = params.toString();
+  return queryString ? \`\${pathname}?\${queryString}\` : pathname;
+};
+${search ? this.indexGenerator.generateSearchHelperCode() : ''}
+/**
+ * Build the standard list response envelope
+ */
+const buildEnvelope = (req, { data, total, limit, page, hasMore, nextCursor }) => {
+  let next = null;
+
+  if (hasMore) {
+    next = req.query.cursor
+      ? buildLink(req, { cursor: nextCursor })
+      : buildLink(req, { page: page + 1 });
+  }
+
+  return {
+    data,
+    meta: {
+      total,
+      limit,
+      page,
+      nextCursor,
+      hasMore
+    },
+    links: {
+      self: buildLink(req),
+      next
+    }
+  };
+};
+
+module.exports = {
+  QueryError,
+  parseFilter,
+  parseSort,
+  parseFields,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildEnvelope${search ? ',\n  parseSearchTerms,\n  highlightRecord' : ''}
+};
+`;
+  }
+
+  /**
+   * Generate code for the list query helper (pagination, filters, sort, fields)
+   */
+  generateListQueryCode() {
+    const search = this.indexGenerator.hasSearch();
+
+    return `/**
+ * List query helper
+ *
+ * Applies pagination, filter, sort and field selection parameters to a
+ * MongoDB query and returns the results in a standard envelope:
+ * { data, meta: { total, limit, page, nextCursor, hasMore }, links: { self, next } }
+ */
+const {
+  QueryError,
+  parseFilter,
+  parseSort,
+  parseFields,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildEnvelope${search ? ',\n  parseSearchTerms,\n  highlightRecord' : ''}
+} = require('./queryParams');
+
+const escapeRegExp = value => value.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+
+/**
+ * Get the schema type of a field, or null if the model has no such field
+ */
+const getPathType = (Model, field) => {
+  const schemaType = Model.schema.path(field);
+
+  if (!schemaType) {
+    return null;
+  }
+
+  if (schemaType.instance === 'Array') {
+    return schemaType.caster ? schemaType.caster.instance : 'Mixed';
+  }
+
+  return schemaType.instance;
+};
+
+/**
+ * Convert parsed filter conditions into a MongoDB filter
+ */
+const buildFilter = (conditions) => {
+  const filter = {};
+
+  for (const { field, operator, value } of conditions) {
+    const clause = filter[field] || {};
+
+    if (operator === 'contains') {
+      clause.$regex = escapeRegExp(value);
+      clause.$options = 'i';
+    } else {
+      clause[\`$\${operator}\`] = value;
+    }
+
+    filter[field] = clause;
+  }
+
+  return filter;
+};
+
+/**
+ * Build a filter selecting the items after the cursor position
+ *
+ * Empty values sort before all others, so after an empty value come the
+ * non-empty ones in ascending order and nothing in descending order, and
+ * after a value in descending order come the empty ones too.
+ */
+const buildCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const clauses = [];
+
+  fields.forEach((field, index) => {
+    const ties = {};
+
+    // Matches missing fields too, as { $eq: null } does
+    for (let i = 0; i < index; i++) {
+      ties[fields[i]] = values[i] === null ? { $eq: null } : values[i];
+    }
+
+    const value = values[index];
+
+    if (sort[field] === 1) {
+      clauses.push({ ...ties, [field]: value === null ? { $ne: null } : { $gt: value } });
+    } else if (value !== null) {
+      clauses.push({ ...ties, [field]: { $lt: value } }, { ...ties, [field]: { $eq: null } });
+    }
+  });
+
+  return { $or: clauses };
+};
+
+/**
+ * List documents for a request
+ *
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} req - Express request
+ * @param {Object} baseFilter - Conditions always applied (e.g. ownership)
+ * @param {Array} populate - Populate options for expanded references
+ * @returns {Promise<Object>} The response envelope
+ */
+const listDocuments = async (Model, req, baseFilter = {}, populate = []) => {
+  const query = req.query || {};
+  const getFieldType = field => getPathType(Model, field);
+  const { limit, page } = parsePagination(query);
+  const filter = { ...buildFilter(parseFilter(query.filter, getFieldType)), ...baseFilter };
+  const sort = parseSort(query.sort, getFieldType);
+  const fields = parseFields(query.fields, getFieldType);
+
+  let pageFilter = filter;
+  let skip = 0;
+
+  if (query.cursor) {
+    const values = decodeCursor(query.cursor, Object.keys(sort).length);
+    pageFilter = { $and: [filter, buildCursorFilter(sort, values)] };
+  } else {
+    skip = (page - 1) * limit;
+  }
+
+  let findQuery = Model.find(pageFilter).sort(sort).skip(skip).limit(limit + 1);
+
+  // Sort fields are kept so the cursor can be built
+  if (fields) {
+    findQuery = findQuery.select([...new Set([...fields, ...Object.keys(sort)])].join(' '));
+  }
+
+  if (populate.length > 0) {
+    findQuery = findQuery.populate(populate);
+  }
+
+  const [total, items] = await Promise.all([
+    Model.countDocuments(filter),
+    findQuery
+  ]);
+
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  const last = data[data.length - 1];
+  const nextCursor = hasMore ? encodeCursor(Object.keys(sort).map(field => last.get(field))) : null;
+
+  return buildEnvelope(req, { data, total, limit, page, hasMore, nextCursor });
+};
+
+/**
+ * Iterate over the documents matching a request's filter, oldest first,
+ * without loading them all at once (e.g. for exports)
+ *
+ * The filter is checked before the first document is read, so a bad
+ * request throws here rather than while iterating.
+ *
+ * @returns {AsyncIterable<mongoose.Document>} The documents
+ */
+const streamDocuments = (Model, req, baseFilter = {}) => {
+  const query = req.query || {};
+  const filter = {
+    ...buildFilter(parseFilter(query.filter, field => getPathType(Model, field))),
+    ...baseFilter
+  };
+
+  return Model.find(filter).sort({ _id: 1 }).cursor();
+};
+${search ? this.indexGenerator.generateMongoSearchCode() : ''}
+module.exports = {
+  listDocuments,${search ? '\n  searchDocuments,' : ''}
+  streamDocuments,
+  QueryError
+};
+`;
+  }
+
+  /**
+   * Generate API index file
+   */
+  async generateAPIIndex() {
+    const webhooks = this.webhookGenerator.hasWebhooks();
+    const expiry = this.isSQL() && this.indexGenerator.hasExpiry();
+    // Webhooks are sent and expired records deleted once the database is ready
+    const startWorker = `${webhooks ? '\n    startWebhookWorker();' : ''}${expiry ? '\n    startExpiryWorker();' : ''}`;
+    const database = this.isSQL()
+      ? {
+        require: "const knex = require('./db/connection');",
+        import: "import knex from './db/connection';",
+        start: `// Apply pending migrations, then start the server
+  knex.migrate.latest()
+  .then(() => {
+    console.log('Database migrated');
+    app.listen(PORT, () => console.log(\`Server running on port \${PORT}\`));${startWorker}
+  })
+  .catch(err => {
+    console.error('Database migration error:', err);
+    process.exit(1);
+  });`
+      }
+      : {
+        require: "const mongoose = require('mongoose');",
+        import: "import mongoose from 'mongoose';",
+        start: `// Connect to MongoDB
+  mongoose.connect(process.env.MONGODB_URI${this.isTypeScript() ? ' as string' : ''})
+  .then(() => console.log('MongoDB Connected'))
+  .catch(err => console.error('MongoDB connection error:', err));
+
+  app.listen(PORT, () => console.log(\`Server running on port \${PORT}\`));${startWorker}`
+      };
+
+    const { extension, parser } = this.getSourceFormat();
+    const indexCode = this.isTypeScript() ? this.typeScriptGenerator.generateAppCode(database, webhooks, expiry) : `/**
+ * API Entry Point
+ *
+ * Exports the Express app; the server only starts when this file is run
+ * directly, so tests can load the app against their own database.
+ */
+// Load .env before any module reads its configuration
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+${database.require}
+const routes = require('./routes');
+const { notFound, errorHandler } = require('./middleware/errorHandler');${webhooks ? "\nconst { startWorker: startWebhookWorker } = require('./webhooks/dispatcher');" : ''}${expiry ? "\nconst { startWorker: startExpiryWorker } = require('./utils/expiry');" : ''}
 
-## Setup
+// Initialize Express
+const app = express();
+
+// Middleware
+app.use(cors());
+// Large enough for bulk requests
+app.use(express.json({ limit: '2mb' }));
+
+// Routes
+routes(app);
+
+// Error handling middleware
+app.use(notFound);
+app.use(errorHandler);
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+
+  ${database.start}
+}
+
+module.exports = app;
+`;
 
-1. Install dependencies:
-   \`\`\`
-   npm install
-   \`\`\`
+    const formattedCode = await this.formatCode(indexCode, parser);
+    
+    // Write to file
+    const filePath = path.join(this.outputDir, `app.${extension}`);
+    await this.fs.writeFile(filePath, formattedCode);
+  }
+
+  /**
+   * Generate README file with instructions
+   */
+  async generateREADME() {
+    const readmeContent = `# ${this.project.name} - API
 
-2. Create a \`.env\` file with the following variables:
-   \`\`\`
-   MONGODB_URI=your_mongodb_connection_string
-   JWT_SECRET=your_jwt_secret
-   PORT=5000
-   \`\`\`
+This API was automatically generated by Kickflip Studio.
 
-3. Start the server:
-   \`\`\`
-   npm start
-   \`\`\`
+${this.packageGenerator.generateDocs()}${this.typeScriptGenerator.generateDocs()}${this.tenantGenerator.generateDocs()}## API Endpoints
 
-## API Endpoints
+A machine-readable OpenAPI 3.1 description of these endpoints is available in \`openapi.json\`.
 
 ${this.generateEndpointDocs()}
 
-## Models
+${this.indexGenerator.generateDocs()}${this.bulkGenerator.generateDocs()}${this.fileGenerator.generateDocs()}${this.auditGenerator.generateDocs()}${this.webhookGenerator.generateDocs()}${this.workflowGenerator.generateDocs()}${this.graphqlGenerator.generateDocs()}${this.isSQL() ? this.sqlGenerator.generateDocs() : ''}${this.migrationGenerator.generateDocs()}## Models
 
 ${this.generateModelDocs()}
 
 ## Authentication
 
-This API uses JWT for authentication. Include the token in the Authorization header:
-\`\`\`
-Authorization: Bearer your_token_here
-\`\`\`
-
-## Error Handling
+${this.authGenerator.generateDocs()}
+${this.seedGenerator.generateDocs()}${this.testGenerator.generateDocs()}${this.protectedRegions.generateDocs()}## Error Handling
 
 All errors follow a standard format:
 \`\`\`json
@@ -541,11 +2189,32 @@ All errors follow a standard format:
   "message": "Error message here"
 }
 \`\`\`
+
+Invalid request bodies are rejected with \`400\` and field-level details. Fields that are not part of the model are ignored.
+\`\`\`json
+{
+  "message": "Validation failed",
+  "errors": [
+    { "field": "email", "message": "email is required" }
+  ]
+}
+\`\`\`
 `;
 
     // Write to file
     const filePath = path.join(this.outputDir, 'README.md');
-    await fs.writeFile(filePath, readmeContent);
+    await this.fs.writeFile(filePath, readmeContent);
+  }
+
+  /**
+   * Generate OpenAPI 3.1 specification for the generated routes
+   */
+  async generateOpenAPISpec() {
+    const spec = this.openAPIGenerator.buildDocument();
+
+    // Write to file
+    const filePath = path.join(this.outputDir, 'openapi.json');
+    await this.fs.writeFile(filePath, JSON.stringify(spec, null, 2));
   }
 
   /**
@@ -560,22 +2229,110 @@ All errors follow a standard format:
       node => node.type === 'dataType'
     );
 
-    let docs = '';
+    let docs = dataTypeNodes.length > 0 ? this.generateListParameterDocs() : '';
 
     for (const node of dataTypeNodes) {
       const routeName = this.formatRouteName(node.data.name);
+      const fields = this.getFieldsForModel(node, this.project.dataModel);
+      const filterable = [...fields.map(field => field.name), 'createdAt', 'updatedAt'];
+      const access = this.getAccessRules(node);
+      const options = this.auditGenerator.getOptions(node);
       
       docs += `### ${this.formatModelName(node.data.name)}\n\n`;
-      docs += `- \`GET /api/${routeName}\` - Get all ${routeName}\n`;
-      docs += `- \`GET /api/${routeName}/:id\` - Get ${routeName} by ID\n`;
-      docs += `- \`POST /api/${routeName}\` - Create a new ${routeName} (requires authentication)\n`;
-      docs += `- \`PUT /api/${routeName}/:id\` - Update ${routeName} by ID (requires authentication)\n`;
-      docs += `- \`DELETE /api/${routeName}/:id\` - Delete ${routeName} by ID (requires authentication)\n\n`;
+      docs += `- \`GET /api/${routeName}\` - Get all ${routeName} (filter, sort and select on: ${filterable.map(name => `\`${name}\``).join(', ')})${this.describeAccessDocs(access.list)}\n`;
+      if (this.indexGenerator.hasSearch(node)) {
+        const searchable = this.indexGenerator.getTextIndex(node).fields.map(field => `\`${field.name}\``);
+        docs += `- \`GET /api/${routeName}/search?q=\` - Search ${routeName} by ${searchable.join(', ')}${this.describeAccessDocs(access.list)}\n`;
+      }
+      docs += `- \`GET /api/${routeName}/:id\` - Get ${routeName} by ID${this.describeAccessDocs(access.read)}\n`;
+      const expandable = this.getReferenceFields(fields).map(field => `\`${field.name}\``);
+      if (expandable.length > 0) {
+        docs += `  - Both GET endpoints accept \`expand\` for: ${expandable.join(', ')}\n`;
+      }
+      docs += `- \`POST /api/${routeName}\` - Create a new ${routeName}${this.describeAccessDocs(access.create)}\n`;
+      docs += `- \`PUT /api/${routeName}/:id\` - Update ${routeName} by ID${this.describeAccessDocs(access.update)}\n`;
+      docs += `- \`DELETE /api/${routeName}/:id\` - Delete ${routeName} by ID${options.softDelete ? ' (soft delete)' : ''}${this.describeAccessDocs(access.delete)}\n`;
+      docs += `- \`POST /api/${routeName}/bulk\` - Create many ${routeName}${this.describeAccessDocs(access.create)}\n`;
+      docs += `- \`PUT /api/${routeName}/bulk\` - Update many ${routeName}${this.describeAccessDocs(access.update)}\n`;
+      docs += `- \`DELETE /api/${routeName}/bulk\` - Delete many ${routeName}${this.describeAccessDocs(access.delete)}\n`;
+      docs += `- \`GET /api/${routeName}/export\` - Export ${routeName} as CSV or NDJSON${this.describeAccessDocs(access.list)}\n`;
+      docs += `- \`POST /api/${routeName}/import\` - Import ${routeName} from CSV or NDJSON${this.describeAccessDocs(access.create)}\n`;
+      const fileFields = this.fileGenerator.getFields(node).map(field => `\`${field.name}\``);
+      if (fileFields.length > 0) {
+        docs += `- \`PUT /api/${routeName}/:id/files/:field\` - Upload the file of ${fileFields.join(', ')}${this.describeAccessDocs(access.update)}\n`;
+        docs += `- \`GET /api/${routeName}/:id/files/:field\` - Get signed download URLs of the file${this.describeAccessDocs(access.read)}\n`;
+        docs += `- \`DELETE /api/${routeName}/:id/files/:field\` - Remove the file${this.describeAccessDocs(access.update)}\n`;
+      }
+      if (options.softDelete) {
+        docs += `- \`GET /api/${routeName}/deleted\` - Get deleted ${routeName}${this.describeAccessDocs(access.delete)}\n`;
+        docs += `- \`POST /api/${routeName}/:id/restore\` - Restore deleted ${routeName} by ID${this.describeAccessDocs(access.delete)}\n`;
+      }
+      if (options.audit) {
+        docs += `- \`GET /api/${routeName}/:id/history\` - Get the change history of ${routeName} by ID${this.describeAccessDocs(access.update)}\n`;
+      }
+      docs += '\n';
     }
 
     return docs;
   }
 
+  /**
+   * Describe the access rule of an endpoint for the README
+   */
+  describeAccessDocs(roles) {
+    if (roles.includes('public')) {
+      return '';
+    }
+
+    if (roles.includes('authenticated')) {
+      return ' (requires authentication)';
+    }
+
+    const named = roles.filter(role => role !== 'owner');
+    const parts = [];
+
+    if (named.length > 0) {
+      parts.push(`role: ${named.map(role => `\`${role}\``).join(', ')}`);
+    }
+
+    if (roles.includes('owner')) {
+      parts.push(named.length > 0 ? 'or the creator' : 'creator only');
+    }
+
+    return ` (requires authentication, ${parts.join(' ')})`;
+  }
+
+  /**
+   * Generate documentation for the list endpoint query parameters
+   */
+  generateListParameterDocs() {
+    return `### Listing, filtering and sorting
+
+Every \`GET\` list endpoint accepts these query parameters:
+
+| Parameter | Example | Description |
+|-----------|---------|-------------|
+| \`limit\` | \`limit=50\` | Items per page (default 20, max 100) |
+| \`page\` | \`page=2\` | Page number for offset pagination |
+| \`cursor\` | \`cursor=eyJ...\` | Continue after \`meta.nextCursor\` (cursor pagination, ignores \`page\`) |
+| \`filter[field]\` | \`filter[status]=active\` | Exact match |
+| \`filter[field][op]\` | \`filter[price][gt]=10\` | Operators: \`eq\`, \`ne\`, \`gt\`, \`gte\`, \`lt\`, \`lte\`, \`in\` (comma-separated), \`contains\` (text, case-insensitive) |
+| \`sort\` | \`sort=-price,name\` | Comma-separated fields, prefix with \`-\` for descending (default \`-createdAt\`); empty values come first in ascending order |
+| \`fields\` | \`fields=name,price\` | Only return the listed fields |
+| \`expand\` | \`expand=customer,items.category\` | Replace reference IDs with the referenced documents (also on \`GET /:id\`, nested up to ${Number(this.getSetting('expandMaxDepth', 2))} levels, see \`EXPAND_MAX_DEPTH\`) |
+
+List responses use this envelope:
+\`\`\`json
+{
+  "data": [],
+  "meta": { "total": 120, "limit": 20, "page": 1, "nextCursor": "eyJ...", "hasMore": true },
+  "links": { "self": "/api/products?page=1", "next": "/api/products?page=2" }
+}
+\`\`\`
+
+`;
+  }
+
   /**
    * Generate documentation for models
    */
@@ -596,16 +2353,121 @@ All errors follow a standard format:
       
       docs += `### ${modelName}\n\n`;
       docs += `${node.data.description || ''}\n\n`;
-      docs += `| Field | Type | Required | Description |\n`;
-      docs += `|-------|------|----------|-------------|\n`;
+      docs += `| Field | Type | Required | Rules | Description |\n`;
+      docs += `|-------|------|----------|-------|-------------|\n`;
       
       for (const field of fields) {
-        docs += `| ${field.name} | ${field.type} | ${field.required ? 'Yes' : 'No'} | ${field.description || ''} |\n`;
+        docs += this.getFieldDocsRow(field.name, field);
+
+        // Fields of embedded documents follow their parent
+        for (const subField of field.type === 'Object' || field.of === 'Object' ? field.fields || [] : []) {
+          docs += this.getFieldDocsRow(`${field.name}${field.type === 'Array' ? '[]' : ''}.${subField.name}`, subField);
+        }
+      }
+
+      if (this.auditGenerator.getOptions(node).softDelete) {
+        docs += `| deletedAt | Date | No | | When the record was deleted (read-only) |\n`;
       }
       
       docs += '\n';
     }
 
+    return docs + this.generateValueFormatDocs();
+  }
+
+  /**
+   * Get the README table row of a field
+   */
+  getFieldDocsRow(name, field) {
+    const escape = text => String(text).replace(/\|/g, '\\|');
+    return `| ${name} | ${this.describeFieldType(field)} | ${field.required ? 'Yes' : 'No'} | ${escape(this.describeFieldRules(field))} | ${escape(field.description || '')} |\n`;
+  }
+
+  /**
+   * Describe the type of a field, e.g. "Array of Email" or "Money (EUR)"
+   */
+  describeFieldType(field, type = field.type || 'String') {
+    switch (type) {
+      case 'Array':
+        return `Array of ${this.describeFieldType(field, field.of || 'String')}`;
+      case 'Money':
+        return `Money (${this.getCurrency(field)})`;
+      case 'Point':
+        return 'GeoJSON Point';
+      case 'File':
+      case 'Image':
+        return `${type} upload`;
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * Describe the constraints of a field
+   */
+  describeFieldRules(field) {
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const allowedValues = this.parseList(field.enum);
+    const rules = [];
+
+    if (allowedValues.length > 0) {
+      rules.push(`one of: ${allowedValues.join(', ')}`);
+    }
+
+    if (isSet(field.min)) rules.push(`min ${field.min}`);
+    if (isSet(field.max)) rules.push(`max ${field.max}`);
+    if (isSet(field.minLength)) rules.push(`at least ${field.minLength} characters`);
+    if (isSet(field.maxLength)) rules.push(`at most ${field.maxLength} characters`);
+
+    if (field.pattern) {
+      rules.push(`matches \`${field.pattern}\``);
+    }
+
+    if (this.fileGenerator.isFileField(field)) {
+      const accept = this.fileGenerator.getAccept(field);
+      rules.push(`at most ${this.fileGenerator.getMaxSize(field)} MB`);
+
+      if (accept.length > 0) {
+        rules.push(`types: ${accept.join(', ')}`);
+      }
+
+      if (field.type === 'Image') {
+        rules.push(`variants: ${this.fileGenerator.parseVariants(field).map(({ name, width, height }) => `${name} ${width}x${height}`).join(', ')}`);
+      }
+    }
+
+    if (field.unique) {
+      rules.push('unique');
+    }
+
+    return rules.join('; ');
+  }
+
+  /**
+   * Generate documentation for the JSON formats of money and geo fields
+   */
+  generateValueFormatDocs() {
+    const types = this.getFieldTypes();
+    let docs = '';
+
+    if (types.has('Money')) {
+      docs += `Money values are an exact decimal amount, as a string, and a three-letter currency code: \`{ "amount": "19.99", "currency": "EUR" }\`. Requests may also send a bare amount such as \`19.99\`, which is taken in the field's currency. ${this.isSQL() ? 'They are stored as JSON.' : 'Amounts are stored as Decimal128, so no precision is lost.'}
+
+`;
+    }
+
+    if (types.has('Point')) {
+      docs += `Geo points are GeoJSON points with the longitude first: \`{ "type": "Point", "coordinates": [13.405, 52.52] }\`.${this.isSQL() ? '' : ' Each point field has a 2dsphere index, for \`$near\` and \`$geoWithin\` queries in custom code.'}
+
+`;
+    }
+
+    if (types.has('Email')) {
+      docs += `Email addresses are trimmed and lowercased before they are stored.
+
+`;
+    }
+
     return docs;
   }
 
@@ -633,6 +2495,13 @@ All errors follow a standard format:
     }
   }
 
+  /**
+   * Format a route name as an identifier (e.g., "userProfile" -> "userProfiles")
+   */
+  formatRouteIdentifier(name) {
+    return this.formatRouteName(name).replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+  }
+
   /**
    * Format code using prettier
    */
@@ -650,6 +2519,15 @@ All errors follow a standard format:
       return code; // Return unformatted code if there's an error
     }
   }
+
+  /**
+   * Format and write a generated file, for this generator and its
+   * sub-generators alike
+   */
+  async writeCode(filePath, code, parser = 'babel') {
+    const formattedCode = await this.formatCode(code, parser);
+    await this.fs.writeFile(filePath, formattedCode);
+  }
 }
 
 module.exports = APIGenerator;
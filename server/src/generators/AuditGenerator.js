@@ -0,0 +1,348 @@
+/**
+ * AuditGenerator.js
+ *
+ * Generates the soft delete and audit trail options of data types. Soft
+ * deleted records keep a deletedAt timestamp instead of being removed and can
+ * be listed and restored; audited data types record who changed which fields
+ * of a record, and when, for every create, update, delete and restore.
+ */
+
+const path = require('path');
+
+class AuditGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate the audit trail model and helpers and the soft delete plugin
+   */
+  async generateAll() {
+    const { modelOutputDir, utilOutputDir } = this.apiGenerator;
+    const isSQL = this.apiGenerator.isSQL();
+
+    if (this.hasAudit()) {
+      await this.apiGenerator.writeCode(
+        path.join(modelOutputDir, 'AuditEntry.js'),
+        isSQL ? this.apiGenerator.sqlGenerator.generateAuditEntryModelCode() : this.generateAuditEntryModelCode()
+      );
+
+      await this.apiGenerator.writeCode(path.join(utilOutputDir, 'audit.js'), this.generateAuditCode());
+    }
+
+    // The SQL model layer handles soft deletes itself
+    if (this.hasSoftDelete() && !isSQL) {
+      await this.apiGenerator.writeCode(path.join(utilOutputDir, 'softDelete.js'), this.generateSoftDeleteCode());
+    }
+  }
+
+  /**
+   * Get the soft delete and audit trail options of a data type
+   */
+  getOptions(node) {
+    return {
+      softDelete: Boolean(node.data.softDelete),
+      audit: Boolean(node.data.audit)
+    };
+  }
+
+  /**
+   * Check whether any data type is soft deleted
+   */
+  hasSoftDelete() {
+    return this.apiGenerator.getDataTypeNodes().some(node => this.getOptions(node).softDelete);
+  }
+
+  /**
+   * Check whether any data type has an audit trail
+   */
+  hasAudit() {
+    return this.apiGenerator.getDataTypeNodes().some(node => this.getOptions(node).audit);
+  }
+
+  /**
+   * Get the routes a data type gets for its options, shared by the
+   * JavaScript and TypeScript route files
+   *
+   * @returns {{ collection: string, record: string }} Routes on the
+   *   collection, which must precede /:id, and routes on a single record
+   */
+  getRouteCode(modelName, routeName, access, options) {
+    const api = this.apiGenerator;
+    const collection = [];
+    const record = [];
+
+    // Whoever may delete a record may see and restore it once deleted
+    if (options.softDelete) {
+      collection.push(`/**
+ * @route   GET /api/${routeName}/deleted
+ * @desc    Get deleted ${routeName}
+ * @access  ${api.describeAccess(access.delete)}
+ */
+router.get('/deleted', ${api.getAccessMiddleware(access.delete)}${modelName}Controller.getDeleted);`);
+
+      record.push(`/**
+ * @route   POST /api/${routeName}/:id/restore
+ * @desc    Restore a deleted ${modelName}
+ * @access  ${api.describeAccess(access.delete)}
+ */
+router.post('/:id/restore', ${api.getAccessMiddleware(access.delete)}${modelName}Controller.restore);`);
+    }
+
+    // The history names the users who made each change, so it is limited
+    // to those who may make changes
+    if (options.audit) {
+      record.push(`/**
+ * @route   GET /api/${routeName}/:id/history
+ * @desc    Get the change history of ${modelName}
+ * @access  ${api.describeAccess(access.update)}
+ */
+router.get('/:id/history', ${api.getAccessMiddleware(access.update)}${modelName}Controller.getHistory);`);
+    }
+
+    return {
+      collection: collection.map(code => `${code}\n\n`).join(''),
+      record: record.map(code => `\n\n${code}`).join('')
+    };
+  }
+
+  /**
+   * Generate code for the MongoDB audit entry model
+   */
+  generateAuditEntryModelCode() {
+    const tenant = this.apiGenerator.tenantGenerator.getMongoPluginCode('AuditEntrySchema');
+
+    return `/**
+ * AuditEntry model
+ * One create, update, delete or restore of an audited record
+ */
+const mongoose = require('mongoose');
+${tenant.require}
+const AuditEntrySchema = new mongoose.Schema({
+  modelName: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  // { field, from, to } for every field the action changed
+  changes: [mongoose.Schema.Types.Mixed],
+  // User who made the change, if signed in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+${tenant.plugin}
+AuditEntrySchema.index({ modelName: 1, documentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
+`;
+  }
+
+  /**
+   * Generate code for the audit trail helpers
+   */
+  generateAuditCode() {
+    return `/**
+ * Audit trail helpers
+ *
+ * Record the fields each create, update, delete and restore of an audited
+ * record changed, with the user who made the change, and list them as the
+ * record's history.
+ */
+const AuditEntry = require('../models/AuditEntry');
+const { listDocuments } = require('./listQuery');
+
+// Maintained by the API rather than changed by users
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert a record to plain JSON values, with IDs and dates as strings
+ */
+const toJSON = (record) => {
+  if (!record) {
+    return {};
+  }
+
+  const values = typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : record;
+  return JSON.parse(JSON.stringify(values));
+};
+
+const valueOf = (values, field) => (values[field] === undefined ? null : values[field]);
+
+/**
+ * List the fields whose values differ between two versions of a record
+ *
+ * @returns {Array<{field: string, from: *, to: *}>} Changes sorted by field
+ */
+const diffRecords = (before, after) => {
+  const from = toJSON(before);
+  const to = toJSON(after);
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort();
+
+  return fields
+    .filter(field => JSON.stringify(valueOf(from, field)) !== JSON.stringify(valueOf(to, field)))
+    .map(field => ({ field, from: valueOf(from, field), to: valueOf(to, field) }));
+};
+
+/**
+ * Record a change of an audited record
+ *
+ * @param {Object} req - Express request of the user making the change
+ * @param {string} modelName - Data type of the record
+ * @param {string} action - create, update, delete or restore
+ * @param {Object|null} before - The record before the change (null when created)
+ * @param {Object|null} after - The record after the change (null when deleted for good)
+ * @returns {Promise<Object|null>} The audit entry, or null for an update that changed nothing
+ */
+const recordChange = async (req, modelName, action, before, after) => {
+  const changes = diffRecords(before, after);
+
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  return AuditEntry.create({
+    modelName,
+    documentId: String((after || before)._id),
+    action,
+    changes,
+    user: req.user && req.user.id ? req.user.id : null
+  });
+};
+
+/**
+ * List the audit entries of a record, newest first unless ?sort= says otherwise
+ *
+ * @returns {Promise<Object>} The list response envelope
+ */
+const listHistory = (req, modelName, documentId) =>
+  listDocuments(AuditEntry, req, { modelName, documentId: String(documentId) });
+
+module.exports = {
+  diffRecords,
+  recordChange,
+  listHistory
+};
+`;
+  }
+
+  /**
+   * Generate code for the Mongoose soft delete plugin
+   */
+  generateSoftDeleteCode() {
+    return `/**
+ * Soft delete plugin
+ *
+ * Adds a deletedAt timestamp to a schema. Queries leave deleted documents
+ * out unless their filter conditions on deletedAt, such as
+ * { deletedAt: { $ne: null } } to find the deleted ones, or they set the
+ * withDeleted option.
+ */
+const QUERY_HOOKS = ['countDocuments', 'find', 'findOne', 'findOneAndUpdate', 'updateMany', 'updateOne'];
+
+/**
+ * Check whether a filter, or one of its $and clauses, conditions on deletedAt
+ */
+const mentionsDeletedAt = filter =>
+  Boolean(filter) &&
+  ('deletedAt' in filter || (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt)));
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function excludeDeleted() {
+    if (!this.getOptions().withDeleted && !mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // Only deletedAt is validated, so documents saved under older validation
+  // rules can still be deleted and restored
+  schema.methods.markDeleted = function markDeleted() {
+    this.deletedAt = new Date();
+    return this.save({ validateModifiedOnly: true });
+  };
+
+  schema.methods.restore = function restore() {
+    this.deletedAt = null;
+    return this.save({ validateModifiedOnly: true });
+  };
+};
+`;
+  }
+
+  /**
+   * Generate README section for soft deletes and audit trails
+   */
+  generateDocs() {
+    const softDeleted = [];
+    const audited = [];
+
+    for (const node of this.apiGenerator.getDataTypeNodes()) {
+      const name = `\`${this.apiGenerator.formatModelName(node.data.name)}\``;
+      const options = this.getOptions(node);
+
+      if (options.softDelete) {
+        softDeleted.push(name);
+      }
+
+      if (options.audit) {
+        audited.push(name);
+      }
+    }
+
+    let docs = '';
+
+    if (softDeleted.length > 0) {
+      docs += `## Soft Delete
+
+Soft deleted data types: ${softDeleted.join(', ')}. Deleting one of their records sets its \`deletedAt\` timestamp instead of removing it. Deleted records are left out of every other endpoint, including \`expand\`, and can be listed with \`GET /deleted\` and brought back with \`POST /:id/restore\` by anyone allowed to delete them.
+
+`;
+    }
+
+    if (audited.length > 0) {
+      docs += `## Audit Trail
+
+Audited data types: ${audited.join(', ')}. Every create, update, delete and restore of one of their records is stored in the \`AuditEntry\` ${this.apiGenerator.isSQL() ? 'table (`audit_entries`)' : 'collection'} with the user who made it and the fields it changed:
+
+\`\`\`json
+{
+  "action": "update",
+  "changes": [{ "field": "status", "from": "open", "to": "won" }],
+  "user": "...",
+  "createdAt": "..."
+}
+\`\`\`
+
+\`GET /:id/history\` lists the entries of a record, newest first, to anyone allowed to update it. It accepts the usual list parameters.${softDeleted.length > 0 ? ' Deleted records keep their history.' : ''}
+
+`;
+    }
+
+    return docs;
+  }
+}
+
+module.exports = AuditGenerator;
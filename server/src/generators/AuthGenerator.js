@@ -0,0 +1,604 @@
+/**
+ * AuthGenerator.js
+ *
+ * Generates the authentication subsystem (User model, JWT auth routes and
+ * middleware) and the shared error handler required by the generated API.
+ */
+
+const path = require('path');
+
+class AuthGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate all auth and error handling files
+   */
+  async generateAll() {
+    const { modelOutputDir, routeOutputDir, controllerOutputDir, middlewareOutputDir } = this.apiGenerator;
+
+    // Generate User model
+    await this.apiGenerator.writeCode(
+      path.join(modelOutputDir, 'User.js'),
+      this.apiGenerator.isSQL()
+        ? this.apiGenerator.sqlGenerator.generateUserModelCode()
+        : this.generateUserModelCode()
+    );
+
+    // Generate auth controller
+    await this.apiGenerator.writeCode(
+      path.join(controllerOutputDir, 'AuthController.js'),
+      this.generateAuthControllerCode()
+    );
+
+    // Generate auth routes
+    await this.apiGenerator.writeCode(
+      path.join(routeOutputDir, 'auth.js'),
+      this.generateAuthRouteCode()
+    );
+
+    // Generate auth middleware
+    await this.apiGenerator.writeCode(
+      path.join(middlewareOutputDir, 'auth.js'),
+      this.generateAuthMiddlewareCode()
+    );
+
+    // Generate error handler
+    await this.apiGenerator.writeCode(
+      path.join(middlewareOutputDir, 'errorHandler.js'),
+      this.generateErrorHandlerCode()
+    );
+  }
+
+  /**
+   * Generate code for the User model
+   */
+  generateUserModelCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+    const tenant = this.apiGenerator.tenantGenerator.getMongoPluginCode('UserSchema');
+
+    return `/**
+ * User model
+ * Accounts that can authenticate against the API${tenancy ? '; each belongs to one tenant' : ''}
+ */
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+${tenant.require}
+const SALT_ROUNDS = 10;
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,${tenancy ? '' : `
+    unique: true,`}
+    lowercase: true,
+    trim: true,
+    match: /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    default: 'user'
+  },
+  // Incremented to revoke all refresh tokens issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+${tenant.plugin}${tenancy ? `
+// The same email can sign up with several tenants
+UserSchema.index({ tenantId: 1, email: 1 }, { unique: true });
+` : ''}
+// Hash the password whenever it changes
+UserSchema.pre('save', async function hashPassword(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+UserSchema.methods.comparePassword = function comparePassword(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
+`;
+  }
+
+  /**
+   * Generate code for the auth controller
+   */
+  generateAuthControllerCode() {
+    const sql = this.apiGenerator.isSQL();
+    // Tokens name the tenant that issued them
+    const tenant = this.apiGenerator.tenantGenerator.isEnabled() ? ', tenant: String(user.tenantId)' : '';
+
+    return `/**
+ * Controller for authentication
+ */
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Issue an access and refresh token pair for a user
+ */
+const issueTokens = (user) => ({
+  accessToken: jwt.sign(
+    { id: user.id, role: user.role${tenant} },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  ),
+  refreshToken: jwt.sign(
+    { id: user.id, version: user.tokenVersion, type: 'refresh'${tenant} },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+  )
+});
+
+// Register a new user
+exports.register = async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    if (await User.exists({ email: String(email).toLowerCase() })) {
+      return res.status(409).json({ message: 'Email is already registered' });
+    }
+
+    // Role is never taken from the request body
+    const user = await ${sql ? 'User.create({ email, password, name })' : 'new User({ email, password, name }).save()'};
+
+    res.status(201).json({ user, ...issueTokens(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Log in with email and password
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() })${sql ? '' : `
+      .select('+password +tokenVersion')`};
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    res.json({ user, ...issueTokens(user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Exchange a refresh token for a new token pair
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(payload.id)${sql ? '' : ".select('+tokenVersion')"};
+
+    if (!user || payload.type !== 'refresh' || payload.version !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    res.json(issueTokens(user));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revoke all refresh tokens of the current user
+exports.logout = async (req, res, next) => {
+  try {
+    await ${sql ? "User.increment(req.user.id, 'tokenVersion')" : 'User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } })'};
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the current user
+exports.me = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    next(err);
+  }
+};
+`;
+  }
+
+  /**
+   * Generate code for the auth routes
+   */
+  generateAuthRouteCode() {
+    return `/**
+ * Routes for authentication
+ */
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/AuthController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new user
+ * @access  Public
+ */
+router.post('/register', AuthController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Log in and receive an access and refresh token
+ * @access  Public
+ */
+router.post('/login', AuthController.login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post('/refresh', AuthController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke all refresh tokens of the current user
+ * @access  Private
+ */
+router.post('/logout', authenticate, AuthController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the current user
+ * @access  Private
+ */
+router.get('/me', authenticate, AuthController.me);
+
+module.exports = router;
+`;
+  }
+
+  /**
+   * Generate code for the auth middleware
+   */
+  generateAuthMiddlewareCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * Authentication middleware${tenancy ? `
+ *
+ * Access tokens are only accepted by the tenant that issued them.` : ''}
+ */
+const jwt = require('jsonwebtoken');
+${tenancy ? `
+/**
+ * Check that a token was issued by the tenant of the request
+ */
+const isTenantToken = (req, payload) => Boolean(req.tenant) && payload.tenant === req.tenant.id;
+` : ''}
+/**
+ * Require a valid access token in the Authorization header
+ *
+ * Sets req.user to { id, role } on success.
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (payload.type === 'refresh'${tenancy ? ' || !isTenantToken(req, payload)' : ''}) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    req.user = { id: payload.id, role: payload.role };
+    next();
+  } catch (err) {
+    const message = err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    res.status(401).json({ message });
+  }
+};
+
+/**
+ * Set req.user when a valid access token is present, without requiring one
+ */
+const identify = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme === 'Bearer' && token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (payload.type !== 'refresh'${tenancy ? ' && isTenantToken(req, payload)' : ''}) {
+        req.user = { id: payload.id, role: payload.role };
+      }
+    } catch (err) {
+      // Invalid tokens are treated as anonymous on public routes
+    }
+  }
+
+  next();
+};
+
+/**
+ * Check the caller against a list of allowed roles
+ *
+ * 'public' allows anyone and 'authenticated' any signed-in user. 'owner'
+ * allows other signed-in users, limited to documents they created.
+ *
+ * @param {Object} req - Express request
+ * @param {string[]} roles - Allowed roles
+ * @returns {string} 'allow', 'owner', 'deny' or 'unauthenticated'
+ */
+const checkAccess = (req, roles) => {
+  if (roles.includes('public')) {
+    return 'allow';
+  }
+
+  if (!req.user) {
+    return 'unauthenticated';
+  }
+
+  if (roles.includes('authenticated') || roles.includes(req.user.role)) {
+    return 'allow';
+  }
+
+  return roles.includes('owner') ? 'owner' : 'deny';
+};
+
+/**
+ * Allow only the given roles to continue (use after authenticate)
+ *
+ * Owner-only requests are marked so the controller restricts them to
+ * documents the user created.
+ *
+ * @param {string[]} roles - Allowed roles
+ */
+const authorize = (roles) => (req, res, next) => {
+  const access = checkAccess(req, roles);
+
+  if (access === 'unauthenticated') {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  if (access === 'deny') {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+
+  req.ownerOnly = access === 'owner';
+  next();
+};
+
+/**
+ * Query conditions limiting owner-only requests to the user's own documents
+ */
+const ownerScope = (req) => (req.ownerOnly ? { createdBy: req.user.id } : {});
+
+module.exports = {
+  identify,
+  authenticate,
+  authorize,
+  checkAccess,
+  ownerScope
+};
+`;
+  }
+
+  /**
+   * Generate code for the error handler
+   */
+  generateErrorHandlerCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+    // Values are unique per tenant, so the tenantId is not the field in use
+    const sqlPatterns = tenancy
+      ? '/Key \\((?:"tenantId", )?(.+?)\\)=/.exec(err.detail || \'\') || /UNIQUE constraint failed: (?:\\w+\\.tenantId, )?\\w+\\.(\\w+)/.exec(err.message)'
+      : '/Key \\((.+?)\\)=/.exec(err.detail || \'\') || /UNIQUE constraint failed: \\w+\\.(\\w+)/.exec(err.message)';
+    const sqlErrors = `
+  // Unique constraint violation (PostgreSQL, SQLite)
+  if (err.code === '23505' || /UNIQUE constraint failed/.test(err.message)) {
+    const match = ${sqlPatterns};
+    return { status: 409, body: { message: \`\${match ? match[1] : 'value'} is already in use\` } };
+  }
+
+  // Foreign key violation: a missing reference, or a record still referenced elsewhere
+  if (err.code === '23503' || /FOREIGN KEY constraint failed/.test(err.message)) {
+    return req.method === 'DELETE'
+      ? { status: 409, body: { message: 'Record is still referenced by other records' } }
+      : { status: 400, body: { message: 'Referenced record does not exist' } };
+  }
+
+  // Value the column type cannot hold
+  if (err.code === '22P02') {
+    return { status: 400, body: { message: 'Invalid value' } };
+  }
+`;
+
+    return `/**
+ * Error handling middleware
+ *
+ * Turns errors into the standard { message } envelope with a matching status.
+ */
+
+/**
+ * Respond with 404 for routes that do not exist
+ */
+const notFound = (req, res) => {
+  res.status(404).json({ message: \`Route not found: \${req.method} \${req.originalUrl}\` });
+};
+
+/**
+ * Get the response to an error the client caused
+ *
+ * Also used by bulk operations to report the error of a single item.
+ *
+ * @returns {{ status: number, body: Object }|null} The status and body, or
+ *   null for unexpected errors
+ */
+const getErrorResponse = (err, req) => {
+  // Schema validation
+  if (err.name === 'ValidationError' && err.errors) {
+    return {
+      status: 400,
+      body: {
+        message: 'Validation failed',
+        errors: Object.values(err.errors).map(error => ({
+          field: error.path,
+          message: error.message
+        }))
+      }
+    };
+  }
+
+  // Malformed ID or value that cannot be cast to the schema type
+  if (err.name === 'CastError') {
+    return { status: 400, body: { message: \`Invalid \${err.path}: \${err.value}\` } };
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})${tenancy ? ".filter(key => key !== 'tenantId')" : ''}[0] || 'value';
+    return { status: 409, body: { message: \`\${field} is already in use\` } };
+  }
+${this.apiGenerator.isSQL() ? sqlErrors : ''}
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    return { status: 401, body: { message: 'Invalid token' } };
+  }
+
+  // Invalid JSON body
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, body: { message: 'Invalid JSON in request body' } };
+  }
+
+  // Errors that carry their own status (e.g. query or workflow errors)
+  const status = err.status || err.statusCode;
+  if (status && status < 500) {
+    return {
+      status,
+      body: {
+        message: err.message,
+        ...(err.details && { details: err.details })
+      }
+    };
+  }
+
+  return null;
+};
+
+// eslint-disable-next-line no-unused-vars
+const errorHandler = (err, req, res, next) => {
+  const response = getErrorResponse(err, req);
+
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+
+  console.error(err);
+  res.status(500).json({ message: 'Server Error' });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+  getErrorResponse
+};
+`;
+  }
+
+  /**
+   * Generate README section for authentication
+   */
+  generateDocs() {
+    return `This API uses JWT for authentication. Include the access token in the Authorization header:
+\`\`\`
+Authorization: Bearer your_token_here
+\`\`\`
+
+- \`POST /api/auth/register\` - Register with \`{ "email", "password", "name" }\`
+- \`POST /api/auth/login\` - Log in with \`{ "email", "password" }\`
+- \`POST /api/auth/refresh\` - Exchange \`{ "refreshToken" }\` for a new token pair
+- \`POST /api/auth/logout\` - Revoke all refresh tokens (requires authentication)
+- \`GET /api/auth/me\` - Get the current user (requires authentication)
+
+Login and register return an \`accessToken\` (valid for \`JWT_EXPIRES_IN\`, default 15 minutes)
+and a \`refreshToken\` (valid for \`JWT_REFRESH_EXPIRES_IN\`, default 7 days).
+
+The \`User\` model is provided by the auth module, so the data model should not define its own \`User\` type.${this.apiGenerator.tenantGenerator.isEnabled() ? `
+
+Users belong to the tenant they registered with, and their tokens are only accepted in requests to that tenant.` : ''}
+
+### Roles
+
+Each user has a \`role\` (\`user\` by default). Registration never sets the role, so assign
+roles such as \`admin\` directly in the database. The roles allowed for each endpoint are
+listed under API Endpoints; endpoints open to the creator only return the documents the
+current user created (tracked in the \`createdBy\` field).
+`;
+  }
+}
+
+module.exports = AuthGenerator;
@@ -0,0 +1,729 @@
+/**
+ * BulkGenerator.js
+ *
+ * Generates the bulk endpoints of data types: batch create, update and delete
+ * with a result for each item, and streaming CSV and NDJSON export and import.
+ * Imported rows are checked against the field rules like request bodies, and
+ * the rows that fail are reported by row number.
+ */
+
+const path = require('path');
+
+class BulkGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate the shared bulk, import and export runtime
+   */
+  async generateAll() {
+    if (this.apiGenerator.getDataTypeNodes().length === 0) {
+      return;
+    }
+
+    await this.apiGenerator.writeCode(path.join(this.apiGenerator.utilOutputDir, 'bulk.js'), this.generateBulkCode());
+  }
+
+  /**
+   * Get the bulk, import and export routes of a data type, shared by the
+   * JavaScript and TypeScript route files; they must precede /:id
+   */
+  getRouteCode(modelName, routeName, access) {
+    const api = this.apiGenerator;
+    const route = (method, url, roles, desc, handler) => `/**
+ * @route   ${method.toUpperCase()} /api/${routeName}/${url}
+ * @desc    ${desc}
+ * @access  ${api.describeAccess(roles)}
+ */
+router.${method}('/${url}', ${api.getAccessMiddleware(roles)}${modelName}Controller.${handler});
+
+`;
+
+    return [
+      route('post', 'bulk', access.create, `Create many ${routeName}, with a result for each`, 'bulkCreate'),
+      route('put', 'bulk', access.update, `Update many ${routeName}, with a result for each`, 'bulkUpdate'),
+      route('delete', 'bulk', access.delete, `Delete many ${routeName}, with a result for each`, 'bulkDelete'),
+      route('get', 'export', access.list, `Export ${routeName} as CSV or NDJSON`, 'exportRecords'),
+      route('post', 'import', access.create, `Import ${routeName} from a CSV or NDJSON file`, 'importRecords')
+    ].join('');
+  }
+
+  /**
+   * Get the bulk, import and export handlers of a controller
+   *
+   * Each template passes the code of its own steps, so bulk items get the
+   * same creator, audit entries and webhook events as single requests.
+   *
+   * @param {string} modelName - Model name
+   * @param {string} routeName - Route name, used for the file name of exports
+   * @param {Object} steps - Code of find (an expression of req and id), of
+   *   create (statements using req and data), update (req, item and data),
+   *   remove (req and item), and of list (an expression of req)
+   */
+  getControllerCode(modelName, routeName, steps) {
+    const options = `{
+  name: '${modelName}',
+  file: '${routeName}',
+  validator,
+  find: (req, id) => ${steps.find},
+  create: async (req, data) => {
+    ${steps.create}
+  },
+  update: async (req, item, data) => {
+    ${steps.update}
+  },
+  remove: async (req, item) => {
+    ${steps.remove}
+  },
+  list: req => ${steps.list}
+}`;
+
+    if (this.apiGenerator.isTypeScript()) {
+      return `
+// Bulk operations, import and export
+export const { bulkCreate, bulkUpdate, bulkDelete, exportRecords, importRecords } = createBulkHandlers(${options});
+`;
+    }
+
+    return `
+// Bulk operations, import and export
+const bulk = createBulkHandlers(${options});
+
+exports.bulkCreate = bulk.bulkCreate;
+exports.bulkUpdate = bulk.bulkUpdate;
+exports.bulkDelete = bulk.bulkDelete;
+exports.exportRecords = bulk.exportRecords;
+exports.importRecords = bulk.importRecords;
+`;
+  }
+
+  /**
+   * Generate code for the bulk, import and export runtime
+   */
+  generateBulkCode() {
+    return `/**
+ * Bulk operations, import and export
+ *
+ * Builds the handlers of the bulk create, update and delete endpoints, which
+ * run each item like the matching single-record endpoint and report a result
+ * for every item, and of the CSV and NDJSON import and export endpoints,
+ * which stream records instead of holding whole files in memory.
+ */
+const { getErrorResponse } = require('../middleware/errorHandler');
+
+const ID_PATTERN = /${this.apiGenerator.getIdPattern()}/;
+
+// Items accepted by one bulk request
+const MAX_BULK_ITEMS = 1000;
+
+// Rows accepted by one import; larger files have to be split
+const MAX_IMPORT_ROWS = 50000;
+
+// Longest row of an imported file, in characters
+const MAX_ROW_LENGTH = 1024 * 1024;
+
+// Exported rows are written in chunks of about this many characters
+const EXPORT_CHUNK_LENGTH = 64 * 1024;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Field types written to CSV cells as JSON
+const JSON_TYPES = ['Object', 'Point', 'Array'];
+
+// Exported text starting like a spreadsheet formula gets a ' prefix, which
+// imports strip again
+const TEXT_TYPES = ['String', 'Email', 'URL'];
+const FORMULA_PATTERN = /^[=+\\-@\\t\\r]/;
+
+class BulkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BulkError';
+    this.status = status;
+  }
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isId = value => typeof value === 'string' && ID_PATTERN.test(value);
+
+/**
+ * Get the array of items of a bulk request body, e.g. { items: [...] }
+ */
+const getItems = (body, key) => {
+  const items = isPlainObject(body) ? body[key] : undefined;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new BulkError(\`\${key} must be a non-empty array\`);
+  }
+
+  if (items.length > MAX_BULK_ITEMS) {
+    throw new BulkError(\`At most \${MAX_BULK_ITEMS} \${key} can be sent at once\`, 413);
+  }
+
+  return items;
+};
+
+/**
+ * Run the operation of one item, turning its error into its result so the
+ * other items still run
+ *
+ * @returns {Promise<{ status: number, data?: *, message?: string, errors?: Array }>}
+ */
+const runItem = async (req, operation) => {
+  try {
+    return await operation();
+  } catch (err) {
+    const response = getErrorResponse(err, req);
+
+    if (response) {
+      return { status: response.status, ...response.body };
+    }
+
+    console.error(err);
+    return { status: 500, message: 'Server Error' };
+  }
+};
+
+/**
+ * Respond with the result of each item: 200 if all of them succeeded,
+ * otherwise 207
+ */
+const sendResults = (res, results) => {
+  const failed = results.filter(result => result.status >= 400).length;
+
+  res.status(failed > 0 ? 207 : 200).json({
+    summary: { total: results.length, succeeded: results.length - failed, failed },
+    results: results.map((result, index) => ({ index, ...result }))
+  });
+};
+
+/**
+ * Quote a CSV cell if it contains a comma, quote or line break
+ */
+const toCsvCell = (text) => (/[",\\r\\n]/.test(text) ? \`"\${text.replace(/"/g, '""')}"\` : text);
+
+const toCsvRow = cells => \`\${cells.map(toCsvCell).join(',')}\\r\\n\`;
+
+/**
+ * Format a value of an exported record for a CSV cell
+ */
+const formatCell = (rule, value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  const text = String(value);
+  return rule && TEXT_TYPES.includes(rule.type) && FORMULA_PATTERN.test(text) ? \`'\${text}\` : text;
+};
+
+/**
+ * Parse an imported CSV cell into a value the validator accepts
+ *
+ * @returns {*} The value, or undefined for an empty cell
+ */
+const parseCell = (rule, text) => {
+  if (text === '') {
+    return undefined;
+  }
+
+  if (JSON_TYPES.includes(rule.type) || (rule.type === 'Money' && text.trim().startsWith('{'))) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // Left to the validator to reject
+      return text;
+    }
+  }
+
+  if (TEXT_TYPES.includes(rule.type)) {
+    return text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+  }
+
+  return rule.type === 'Boolean' ? text.trim().toLowerCase() : text.trim();
+};
+
+/**
+ * Parse CSV text (RFC 4180) into rows of cells
+ *
+ * @param {AsyncIterable<string>} chunks - The text
+ * @returns {AsyncIterable<string[]>} The rows; a blank line is a row with
+ *   one empty cell
+ */
+async function* parseCsv(chunks) {
+  let row = [];
+  let cell = '';
+  let length = 0;
+  // Inside a quoted cell, and just after a quote in it
+  let quoted = false;
+  let quote = false;
+
+  for await (const chunk of chunks) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (++length > MAX_ROW_LENGTH) {
+        throw new BulkError(\`Rows must be at most \${MAX_ROW_LENGTH} characters long\`, 413);
+      }
+
+      if (quoted) {
+        if (!quote) {
+          if (char === '"') {
+            quote = true;
+          } else {
+            cell += char;
+          }
+          continue;
+        }
+
+        quote = false;
+
+        // A doubled quote stands for one quote; any other ends the cell
+        if (char === '"') {
+          cell += char;
+          continue;
+        }
+
+        quoted = false;
+      }
+
+      if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\\n') {
+        row.push(cell);
+        yield row;
+        row = [];
+        cell = '';
+        length = 0;
+      } else if (char !== '\\r') {
+        cell += char;
+      }
+    }
+  }
+
+  if (quoted && !quote) {
+    throw new BulkError('The last row has an unterminated quoted cell');
+  }
+
+  if (row.length > 0 || cell !== '') {
+    row.push(cell);
+    yield row;
+  }
+}
+
+/**
+ * Split text into lines, without their line breaks
+ *
+ * @param {AsyncIterable<string>} chunks - The text
+ * @returns {AsyncIterable<string>} The lines
+ */
+async function* splitLines(chunks) {
+  let rest = '';
+
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split('\\n');
+    rest = lines.pop();
+
+    for (const line of lines) {
+      yield line.replace(/\\r$/, '');
+    }
+
+    if (rest.length > MAX_ROW_LENGTH) {
+      throw new BulkError(\`Rows must be at most \${MAX_ROW_LENGTH} characters long\`, 413);
+    }
+  }
+
+  if (rest !== '') {
+    yield rest.replace(/\\r$/, '');
+  }
+}
+
+/**
+ * Read the records of an imported file
+ *
+ * CSV files start with a header row naming the field of each column;
+ * columns that are not fields, e.g. _id and createdAt of an export, are
+ * ignored. Blank lines are skipped.
+ *
+ * @param {string} format - csv or ndjson
+ * @param {AsyncIterable<string>} chunks - The text of the file
+ * @param {Array} rules - Field rules of the model
+ * @returns {AsyncIterable<{ row: number, body?: Object, error?: string }>}
+ *   The row number and record of each row, or why it could not be read
+ */
+async function* readRecords(format, chunks, rules) {
+  let row = 0;
+
+  if (format === 'ndjson') {
+    for await (const line of splitLines(chunks)) {
+      row += 1;
+
+      if (line.trim() === '') {
+        continue;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(line);
+      } catch (err) {
+        yield { row, error: 'Row is not valid JSON' };
+        continue;
+      }
+
+      yield isPlainObject(body) ? { row, body } : { row, error: 'Row must be a JSON object' };
+    }
+    return;
+  }
+
+  let columns = null;
+
+  for await (const cells of parseCsv(chunks)) {
+    row += 1;
+
+    if (cells.length === 1 && cells[0].trim() === '') {
+      continue;
+    }
+
+    if (!columns) {
+      columns = cells.map(name => rules.find(rule => rule.name === name.trim()) || null);
+
+      if (!columns.some(Boolean)) {
+        throw new BulkError('The header row must name at least one field');
+      }
+      continue;
+    }
+
+    const body = {};
+    columns.forEach((rule, index) => {
+      const value = rule && index < cells.length ? parseCell(rule, cells[index]) : undefined;
+
+      if (value !== undefined) {
+        body[rule.name] = value;
+      }
+    });
+
+    yield { row, body };
+  }
+}
+
+/**
+ * Read the body of a request as text, without a byte order mark
+ *
+ * Stopping early leaves the rest of the body unread, to be drained by the
+ * caller.
+ */
+async function* readText(req) {
+  let first = true;
+
+  req.setEncoding('utf8');
+
+  for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+    yield first ? chunk.replace(/^\\uFEFF/, '') : chunk;
+    first = false;
+  }
+}
+
+/**
+ * Write to a response, waiting for it to drain
+ *
+ * @returns {Promise<boolean>} false if the client went away
+ */
+const write = (res, text) => new Promise((resolve) => {
+  if (res.write(text)) {
+    return resolve(true);
+  }
+
+  const done = (drained) => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    resolve(drained);
+  };
+  const onDrain = done(true);
+  const onClose = done(false);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+});
+
+/**
+ * Create the bulk, import and export handlers of a model
+ *
+ * @param {Object} options
+ * @param {string} options.name - Model name, used in messages
+ * @param {string} options.file - Name of exported files, without extension
+ * @param {Object} options.validator - Validator of the model
+ * @param {Function} options.find - (req, id) => the record, or null if the
+ *   caller may not see it
+ * @param {Function} options.create - (req, data) => the created record
+ * @param {Function} options.update - (req, item, data) => the updated record
+ * @param {Function} options.remove - (req, item) => deletes the record
+ * @param {Function} options.list - (req) => the records to export, as an
+ *   async iterable
+ * @returns {{ bulkCreate, bulkUpdate, bulkDelete, exportRecords, importRecords }}
+ *   Express handlers
+ */
+const createBulkHandlers = ({ name, file, validator, find, create, update, remove, list }) => {
+  const notFound = { status: 404, message: \`\${name} not found\` };
+  const notAnObject = { status: 400, message: 'Item must be an object' };
+  const rulesByName = Object.fromEntries(validator.rules.map(rule => [rule.name, rule]));
+  const columns = ['_id', ...validator.rules.map(rule => rule.name), 'createdAt', 'updatedAt'];
+
+  const createItem = (req, body) => runItem(req, async () => {
+    if (!isPlainObject(body)) {
+      return notAnObject;
+    }
+
+    const { data, errors } = await validator.validate(body);
+
+    if (errors.length > 0) {
+      return { status: 400, message: 'Validation failed', errors };
+    }
+
+    return { status: 200, data: await create(req, data) };
+  });
+
+  const updateItem = (req, body) => runItem(req, async () => {
+    if (!isPlainObject(body)) {
+      return notAnObject;
+    }
+
+    if (body._id === undefined) {
+      return { status: 400, message: 'Item must have an _id' };
+    }
+
+    const id = String(body._id);
+    const { data, errors } = await validator.validate(body, { partial: true, id });
+
+    if (errors.length > 0) {
+      return { status: 400, message: 'Validation failed', errors };
+    }
+
+    const item = isId(id) ? await find(req, id) : null;
+
+    if (!item) {
+      return notFound;
+    }
+
+    return { status: 200, data: await update(req, item, data) };
+  });
+
+  const removeItem = (req, id) => runItem(req, async () => {
+    const item = isId(id) ? await find(req, id) : null;
+
+    if (!item) {
+      return notFound;
+    }
+
+    await remove(req, item);
+    return { status: 200, message: \`\${name} removed\` };
+  });
+
+  /**
+   * Run a bulk request, one item after the other
+   */
+  const bulk = (key, run) => async (req, res, next) => {
+    try {
+      const results = [];
+
+      for (const item of getItems(req.body, key)) {
+        results.push(await run(req, item));
+      }
+
+      sendResults(res, results);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  /**
+   * Stream the records matching the request's filter as CSV or NDJSON
+   */
+  const exportRecords = async (req, res, next) => {
+    try {
+      const format = req.query.format === undefined ? 'csv' : req.query.format;
+
+      if (!CONTENT_TYPES[format]) {
+        throw new BulkError('format must be csv or ndjson');
+      }
+
+      const records = list(req);
+      let output = format === 'csv' ? toCsvRow(columns) : '';
+
+      res.set('Content-Type', CONTENT_TYPES[format]);
+      res.set('Content-Disposition', \`attachment; filename="\${file}.\${format}"\`);
+
+      for await (const item of records) {
+        // The record as the API responds with it
+        const record = JSON.parse(JSON.stringify(item));
+
+        output += format === 'csv'
+          ? toCsvRow(columns.map(column => formatCell(rulesByName[column], record[column])))
+          : \`\${JSON.stringify(record)}\\n\`;
+
+        if (output.length >= EXPORT_CHUNK_LENGTH) {
+          if (!(await write(res, output))) {
+            return;
+          }
+          output = '';
+        }
+      }
+
+      res.end(output);
+    } catch (err) {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        return next(err);
+      }
+
+      // Part of the file is sent, so the response can only be cut short
+      console.error(err);
+      res.destroy();
+    }
+  };
+
+  /**
+   * Create a record from each row of a CSV or NDJSON file, reporting the
+   * rows that failed
+   */
+  const importRecords = async (req, res, next) => {
+    const format = req.is('text/csv') ? 'csv' : req.is('application/x-ndjson') ? 'ndjson' : null;
+    const errors = [];
+    let rows = 0;
+    let created = 0;
+    let lastRow = 0;
+
+    try {
+      if (!format) {
+        throw new BulkError('Send the file as text/csv or application/x-ndjson', 415);
+      }
+
+      try {
+        for await (const { row, body, error } of readRecords(format, readText(req), validator.rules)) {
+          lastRow = row;
+
+          if (rows === MAX_IMPORT_ROWS) {
+            errors.push({ row, status: 413, message: \`At most \${MAX_IMPORT_ROWS} rows can be imported at once\` });
+            break;
+          }
+
+          rows += 1;
+          const { data, ...result } = error ? { status: 400, message: error } : await createItem(req, body);
+
+          if (result.status < 400) {
+            created += 1;
+          } else {
+            errors.push({ row, ...result });
+          }
+        }
+      } catch (err) {
+        // Nothing was imported from a file that cannot be read at all
+        if (!(err instanceof BulkError) || rows === 0) {
+          throw err;
+        }
+
+        // The rest of the file cannot be read
+        errors.push({ row: lastRow + 1, status: err.status, message: err.message });
+      }
+
+      res.status(errors.length > 0 ? 207 : 200).json({
+        summary: { rows, created, failed: rows - created },
+        errors
+      });
+    } catch (err) {
+      next(err);
+    } finally {
+      // Drain what was not read, so the response reaches the client
+      req.resume();
+    }
+  };
+
+  return {
+    bulkCreate: bulk('items', createItem),
+    bulkUpdate: bulk('items', updateItem),
+    bulkDelete: bulk('ids', removeItem),
+    exportRecords,
+    importRecords
+  };
+};
+
+module.exports = {
+  createBulkHandlers,
+  BulkError
+};
+`;
+  }
+
+  /**
+   * Generate the README section on bulk operations, import and export
+   */
+  generateDocs() {
+    const [node] = this.apiGenerator.getDataTypeNodes();
+
+    if (!node) {
+      return '';
+    }
+
+    const routeName = this.apiGenerator.formatRouteName(node.data.name);
+
+    return `## Bulk Operations, Import and Export
+
+Every data type has endpoints that work on many records at once, e.g. for \`/api/${routeName}\`:
+
+| Method | Path | Body | Description |
+|--------|------|------|-------------|
+| POST | \`/api/${routeName}/bulk\` | \`{ "items": [{...}, ...] }\` | Create records |
+| PUT | \`/api/${routeName}/bulk\` | \`{ "items": [{ "_id": "...", ... }, ...] }\` | Update records by \`_id\` |
+| DELETE | \`/api/${routeName}/bulk\` | \`{ "ids": ["...", ...] }\` | Delete records |
+| GET | \`/api/${routeName}/export?format=csv\` | | Download records as \`csv\` (default) or \`ndjson\` |
+| POST | \`/api/${routeName}/import\` | CSV or NDJSON file | Create a record from each row |
+
+Bulk creates and imports are allowed to the roles that can create records, bulk updates and deletes to those that can update and delete them, and exports to those that can list them. Each item is checked and saved like a single request, one after the other, with the same audit entries and webhook events; an item that fails does not stop the others. Bulk requests take up to 1000 items, in a body of up to 2 MB, and respond with 200 if all of them succeeded, otherwise 207 with the status, record or error of each:
+
+\`\`\`json
+{
+  "summary": { "total": 2, "succeeded": 1, "failed": 1 },
+  "results": [
+    { "index": 0, "status": 200, "data": { "_id": "...", ... } },
+    { "index": 1, "status": 400, "message": "Validation failed", "errors": [{ "field": "name", "message": "name is required" }] }
+  ]
+}
+\`\`\`
+
+Exports stream every record matching \`filter\` parameters, oldest first. CSV files have a header row with \`_id\`, the fields and the timestamps; objects, arrays, points and money are written as JSON. Text starting with \`=\`, \`+\`, \`-\` or \`@\` is prefixed with \`'\` so spreadsheets do not run it as a formula.
+
+Imports stream the request body, sent with \`Content-Type: text/csv\` or \`application/x-ndjson\` (one JSON object per line):
+
+\`\`\`bash
+curl -X POST http://localhost:5000/api/${routeName}/import \\
+  -H "Authorization: Bearer <token>" \\
+  -H "Content-Type: text/csv" \\
+  --data-binary @${routeName}.csv
+\`\`\`
+
+The header row of a CSV file names the field of each column; other columns, such as those an export adds, are ignored, so exported files can be imported again. Rows are checked against the field rules and created one by one, up to 50000 per file. The response counts the rows and lists those that failed, by row number (the CSV header is row 1), with 207 if any did:
+
+\`\`\`json
+{
+  "summary": { "rows": 3, "created": 2, "failed": 1 },
+  "errors": [{ "row": 3, "status": 400, "message": "Validation failed", "errors": [...] }]
+}
+\`\`\`
+
+`;
+  }
+}
+
+module.exports = BulkGenerator;
@@ -0,0 +1,541 @@
+/**
+ * DataModelValidator.js
+ *
+ * Checks the data model on the canvas before any code is generated. Names
+ * that are not valid identifiers, duplicates, dangling references, orphan
+ * fields and names reserved by Mongoose or the generated API would produce
+ * broken code, so each problem is reported against the node that causes it.
+ * Field constraints must be usable by the generated validation, declared
+ * indexes must name indexable fields of their data type, file fields need
+ * sensible upload limits, and webhook subscriptions need an http(s) URL and
+ * at least one event.
+ */
+
+// Field types the generators know how to emit
+const FIELD_TYPES = [
+  'String',
+  'Number',
+  'Boolean',
+  'Date',
+  'ObjectId',
+  'Array',
+  'Mixed',
+  'Email',
+  'URL',
+  'Money',
+  'Point',
+  'Object',
+  'File',
+  'Image'
+];
+
+// Types an array can hold
+const ARRAY_ITEM_TYPES = ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Mixed', 'Email', 'URL', 'Object'];
+
+// Types the fields of an embedded document can have
+const EMBEDDED_FIELD_TYPES = ['String', 'Number', 'Boolean', 'Date', 'Mixed', 'Email', 'URL'];
+
+// Types stored as a document of their own, which cannot be unique
+const DOCUMENT_TYPES = ['Money', 'Point', 'Object', 'File', 'Image'];
+
+// Types that hold an uploaded file
+const FILE_TYPES = ['File', 'Image'];
+
+// Names usable as JavaScript identifiers, GraphQL names and SQL columns
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Document methods and properties that Mongoose does not allow as paths,
+// plus the paths every generated model already defines
+const RESERVED_FIELD_NAMES = [
+  'collection',
+  'emit',
+  'errors',
+  'get',
+  'init',
+  'isModified',
+  'isNew',
+  'listeners',
+  'populated',
+  'prototype',
+  'remove',
+  'removeListener',
+  'save',
+  'schema',
+  'toObject',
+  'validate',
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt'
+];
+
+// Types a declared index can include; text indexes only take String fields
+const INDEXABLE_TYPES = ['String', 'Number', 'Boolean', 'Date', 'ObjectId', 'Email', 'URL'];
+
+// Fields every generated model has besides its own
+const IMPLICIT_FIELD_TYPES = [
+  ['createdAt', 'Date'],
+  ['updatedAt', 'Date'],
+  ['createdBy', 'ObjectId']
+];
+
+// Events a webhook subscription can listen to
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+// Models the generated API defines itself
+const BUILT_IN_MODELS = ['User'];
+
+class DataModelValidator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Validate the data model
+   *
+   * @returns {{valid: boolean, errors: Array<{nodeId: string, code: string, message: string}>}}
+   *   The problems found, each keyed to the data type or field node causing it
+   */
+  validate() {
+    const dataModel = this.project.dataModel || {};
+    const nodes = dataModel.nodes || [];
+    const edges = dataModel.edges || [];
+    const errors = [];
+    const report = (nodeId, code, message) => errors.push({ nodeId, code, message });
+
+    const typeNodes = nodes.filter(node => node.type === 'dataType');
+    const modelNames = this.validateTypeNames(typeNodes, report);
+
+    for (const node of typeNodes) {
+      const fieldNodes = edges
+        .filter(edge => edge.source === node.id)
+        .map(edge => nodes.find(item => item.id === edge.target))
+        .filter(item => item && item.type === 'dataField');
+
+      this.validateFields(node, fieldNodes, modelNames, report);
+      this.validateIndexes(node, fieldNodes, report);
+      this.validateWebhooks(node, report);
+    }
+
+    // Fields only become part of a model through an edge from a data type
+    const typeIds = new Set(typeNodes.map(node => node.id));
+    for (const node of nodes.filter(item => item.type === 'dataField')) {
+      if (!edges.some(edge => edge.target === node.id && typeIds.has(edge.source))) {
+        report(node.id, 'orphan_field', `Field "${node.data.name || ''}" is not connected to a data type`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Get the model, controller and route files the generators emit besides
+   * the ones of each data type, as paths without their extension
+   */
+  getGeneratedFiles() {
+    const { workflowGenerator, auditGenerator, tenantGenerator, webhookGenerator, fileGenerator } = this.apiGenerator;
+    const files = [
+      ...BUILT_IN_MODELS.map(model => `models/${model}`),
+      'controllers/AuthController',
+      'routes/auth',
+      'routes/index'
+    ];
+
+    if (workflowGenerator.hasWorkflow()) {
+      files.push('models/FunnelSession', 'routes/funnel');
+    }
+
+    if (auditGenerator.hasAudit()) {
+      files.push('models/AuditEntry');
+    }
+
+    if (tenantGenerator.isEnabled()) {
+      files.push('models/Tenant');
+    }
+
+    if (webhookGenerator.hasWebhooks()) {
+      files.push('models/WebhookDelivery', 'routes/webhooks');
+    }
+
+    if (fileGenerator.hasFiles()) {
+      files.push('routes/files');
+    }
+
+    return new Set(files);
+  }
+
+  /**
+   * Check the data type names, returning the model names that can be referenced
+   */
+  validateTypeNames(typeNodes, report) {
+    const reserved = this.getGeneratedFiles();
+    const seen = new Map();
+
+    for (const node of typeNodes) {
+      const name = (node.data.name || '').trim();
+
+      if (!name) {
+        report(node.id, 'missing_name', 'Data type has no name');
+        continue;
+      }
+
+      if (!IDENTIFIER_PATTERN.test(name)) {
+        report(node.id, 'invalid_name', `Data type name "${name}" must start with a letter and contain only letters, digits and underscores`);
+        continue;
+      }
+
+      const modelName = this.apiGenerator.formatModelName(name);
+      const routeName = this.apiGenerator.formatRouteName(name);
+
+      if (reserved.has(`models/${modelName}`)) {
+        report(node.id, 'reserved_name', `Data type name "${name}" is used by the generated ${modelName} model`);
+      } else if (reserved.has(`controllers/${modelName}Controller`)) {
+        report(node.id, 'reserved_name', `Data type name "${name}" is used by the generated ${modelName}Controller controller`);
+      } else if (reserved.has(`routes/${routeName}`)) {
+        report(node.id, 'reserved_name', `Data type name "${name}" clashes with the generated /api/${routeName} routes`);
+      } else if (seen.has(modelName)) {
+        report(node.id, 'duplicate_type', `Data type "${name}" is defined more than once`);
+      } else {
+        seen.set(modelName, node.id);
+      }
+    }
+
+    return [...seen.keys(), ...BUILT_IN_MODELS];
+  }
+
+  /**
+   * Check the fields of a data type
+   */
+  validateFields(typeNode, fieldNodes, modelNames, report) {
+    const typeName = typeNode.data.name || 'data type';
+    const seen = new Set();
+    const reserved = [
+      ...RESERVED_FIELD_NAMES,
+      ...(this.apiGenerator.auditGenerator.getOptions(typeNode).softDelete ? ['deletedAt'] : []),
+      ...(this.apiGenerator.tenantGenerator.isEnabled() ? ['tenantId'] : [])
+    ];
+    const reasons = { deletedAt: ' for soft deletes', tenantId: ' for tenant scoping' };
+
+    for (const node of fieldNodes) {
+      const field = node.data || {};
+      const name = (field.name || '').trim();
+
+      if (!name) {
+        report(node.id, 'missing_name', `A field of "${typeName}" has no name`);
+        continue;
+      }
+
+      if (!IDENTIFIER_PATTERN.test(name)) {
+        report(node.id, 'invalid_name', `Field name "${name}" must start with a letter and contain only letters, digits and underscores`);
+      } else if (reserved.includes(name)) {
+        report(node.id, 'reserved_name', `Field name "${name}" is reserved${reasons[name] || ''}`);
+      } else if (seen.has(name)) {
+        report(node.id, 'duplicate_field', `"${typeName}" has more than one field named "${name}"`);
+      }
+
+      seen.add(name);
+
+      if (field.type && !FIELD_TYPES.includes(field.type)) {
+        report(node.id, 'invalid_type', `Field "${name}" has unknown type "${field.type}"`);
+      }
+
+      if (field.type === 'Array' && field.of && !ARRAY_ITEM_TYPES.includes(field.of)) {
+        report(node.id, 'invalid_type', FIELD_TYPES.includes(field.of)
+          ? `Field "${name}" cannot be an array of ${field.of}`
+          : `Field "${name}" is an array of unknown type "${field.of}"`);
+      }
+
+      this.validateConstraints(node.id, name, field, report);
+
+      if (FILE_TYPES.includes(field.type)) {
+        this.validateFileField(node.id, name, field, report);
+      }
+
+      if (field.type === 'Object' || (field.type === 'Array' && field.of === 'Object')) {
+        this.validateEmbeddedFields(node.id, name, field.fields || [], report);
+      }
+
+      const isReference = field.type === 'ObjectId' || (field.type === 'Array' && field.of === 'ObjectId');
+
+      if (isReference && !field.ref) {
+        report(node.id, 'missing_ref', `Reference field "${name}" does not name the data type it refers to`);
+      } else if (isReference && !modelNames.includes(this.apiGenerator.formatModelName(field.ref))) {
+        report(node.id, 'unknown_ref', `Reference field "${name}" refers to "${field.ref}", which is not a data type`);
+      }
+    }
+  }
+
+  /**
+   * Check the fields of an embedded document
+   */
+  validateEmbeddedFields(nodeId, parentName, fields, report) {
+    const seen = new Set();
+
+    if (fields.length === 0) {
+      report(nodeId, 'missing_fields', `Embedded field "${parentName}" has no fields`);
+    }
+
+    for (const field of fields) {
+      const name = String(field.name || '').trim();
+
+      if (!IDENTIFIER_PATTERN.test(name)) {
+        report(nodeId, 'invalid_name', `Field name "${parentName}.${name}" must start with a letter and contain only letters, digits and underscores`);
+        continue;
+      }
+
+      if (seen.has(name)) {
+        report(nodeId, 'duplicate_field', `"${parentName}" has more than one field named "${name}"`);
+      }
+
+      seen.add(name);
+
+      if (field.type && !EMBEDDED_FIELD_TYPES.includes(field.type)) {
+        report(nodeId, 'invalid_type', `Field "${parentName}.${name}" of an embedded document cannot be of type "${field.type}"`);
+      }
+
+      this.validateConstraints(nodeId, `${parentName}.${name}`, field, report);
+    }
+  }
+
+  /**
+   * Check that the constraints of a field can be enforced
+   */
+  validateConstraints(nodeId, name, field, report) {
+    const type = field.type === 'Array' ? field.of || 'String' : field.type || 'String';
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const invalid = message => report(nodeId, 'invalid_constraint', `Field "${name}" ${message}`);
+
+    if (type === 'Date') {
+      const toTime = value => new Date(value).getTime();
+
+      for (const key of ['min', 'max'].filter(bound => isSet(field[bound]))) {
+        if (Number.isNaN(toTime(field[key]))) {
+          invalid(`has a ${key} that is not a valid date`);
+        }
+      }
+
+      if (isSet(field.min) && isSet(field.max) && toTime(field.min) > toTime(field.max)) {
+        invalid('has a min date after its max date');
+      }
+    } else if (['Number', 'Money'].includes(type)) {
+      for (const key of ['min', 'max'].filter(bound => isSet(field[bound]))) {
+        if (!Number.isFinite(Number(field[key]))) {
+          invalid(`has a ${key} that is not a number`);
+        }
+      }
+
+      if (isSet(field.min) && isSet(field.max) && Number(field.min) > Number(field.max)) {
+        invalid('has a min greater than its max');
+      }
+    }
+
+    for (const key of ['minLength', 'maxLength'].filter(bound => isSet(field[bound]))) {
+      if (!['String', 'Email', 'URL'].includes(type)) {
+        invalid(`cannot have a ${key} because it is not a text field`);
+      } else if (!Number.isInteger(Number(field[key])) || Number(field[key]) < 0) {
+        invalid(`has a ${key} that is not a whole number`);
+      }
+    }
+
+    if (isSet(field.minLength) && isSet(field.maxLength) && Number(field.minLength) > Number(field.maxLength)) {
+      invalid('has a minLength greater than its maxLength');
+    }
+
+    if (field.pattern) {
+      let regex;
+
+      try {
+        regex = new RegExp(field.pattern);
+      } catch (error) {
+        invalid(`has an invalid pattern: ${error.message}`);
+      }
+
+      // The generated tests build their values from the example
+      if (regex && isSet(field.example) && !regex.test(String(field.example))) {
+        invalid('has an example that does not match its pattern');
+      }
+    }
+
+    if (type === 'Money' && isSet(field.currency) && !/^[A-Z]{3}$/.test(String(field.currency).trim().toUpperCase())) {
+      invalid(`has currency "${field.currency}", which is not a three-letter currency code`);
+    }
+
+    if (field.unique && DOCUMENT_TYPES.includes(field.type)) {
+      const kinds = { Point: 'geo point', Money: 'money', Object: 'embedded', File: 'file', Image: 'image' };
+      invalid(`cannot be unique because it is ${field.type === 'Image' ? 'an' : 'a'} ${kinds[field.type]} field`);
+    }
+  }
+
+  /**
+   * Check the upload limits and image variants of a File or Image field
+   */
+  validateFileField(nodeId, name, field, report) {
+    const { fileGenerator } = this.apiGenerator;
+    const isSet = value => value !== undefined && value !== null && value !== '';
+    const invalid = message => report(nodeId, 'invalid_constraint', `Field "${name}" ${message}`);
+
+    // Records are created from JSON bodies, before any file is uploaded
+    if (field.required) {
+      invalid('cannot be required because files are uploaded after the record is created');
+    }
+
+    if (isSet(field.default)) {
+      invalid('cannot have a default value because it holds an uploaded file');
+    }
+
+    const maxSize = Number(field.maxSize);
+    if (isSet(field.maxSize) && !(maxSize > 0 && maxSize <= fileGenerator.getMaxFileSize())) {
+      invalid(`has a maxSize that is not a number of MB between 0 and ${fileGenerator.getMaxFileSize()}`);
+    }
+
+    for (const type of fileGenerator.getAccept(field)) {
+      if (!fileGenerator.isMimeType(type)) {
+        invalid(`accepts "${type}", which is not a MIME type such as application/pdf or image/*`);
+      } else if (field.type === 'Image' && type !== 'image/*' && !fileGenerator.getImageTypes().includes(type)) {
+        invalid(`accepts "${type}", but images must be one of ${fileGenerator.getImageTypes().join(', ')}`);
+      }
+    }
+
+    if (field.type !== 'Image') {
+      if (isSet(field.variants) && fileGenerator.parseVariants(field).length > 0) {
+        invalid('cannot have variants because it is not an image field');
+      }
+
+      return;
+    }
+
+    const seen = new Set();
+    const maxVariantSize = fileGenerator.getMaxVariantSize();
+
+    for (const { name: variant, width, height } of fileGenerator.parseVariants(field)) {
+      if (!IDENTIFIER_PATTERN.test(variant)) {
+        invalid(`has variant "${variant}", whose name must start with a letter and contain only letters, digits and underscores`);
+      } else if (seen.has(variant)) {
+        invalid(`has more than one variant named "${variant}"`);
+      }
+
+      seen.add(variant);
+
+      if (![width, height].every(size => Number.isInteger(size) && size >= 1 && size <= maxVariantSize)) {
+        invalid(`has variant "${variant}" without a size such as 200x200, at most ${maxVariantSize} pixels wide and high`);
+      }
+    }
+  }
+
+  /**
+   * Check the indexes declared on a data type
+   */
+  validateIndexes(typeNode, fieldNodes, report) {
+    const typeName = typeNode.data.name || 'data type';
+    const { indexGenerator } = this.apiGenerator;
+    const fieldTypes = new Map([
+      ...IMPLICIT_FIELD_TYPES,
+      ...fieldNodes.map(node => [(node.data.name || '').trim(), node.data.type || 'String'])
+    ]);
+    const uniqueFields = fieldNodes.filter(node => node.data.unique).map(node => (node.data.name || '').trim());
+    const seen = new Set();
+    let hasText = false;
+
+    for (const entry of typeNode.data.indexes || []) {
+      const index = indexGenerator.normalizeIndex(entry);
+      const names = index.fields.map(field => field.name);
+      const invalid = message => report(typeNode.id, 'invalid_index', `Index (${names.join(', ')}) of "${typeName}" ${message}`);
+
+      if (!indexGenerator.getIndexTypes().includes(index.type)) {
+        invalid(`has unknown type "${index.type}"`);
+        continue;
+      }
+
+      if (names.length === 0) {
+        report(typeNode.id, 'invalid_index', `An index of "${typeName}" has no fields`);
+        continue;
+      }
+
+      const unknown = names.find(name => !fieldTypes.has(name));
+      const unindexable = names.find(name => fieldTypes.has(name) && !INDEXABLE_TYPES.includes(fieldTypes.get(name)));
+
+      if (unknown) {
+        invalid(`refers to "${unknown}", which is not a field of "${typeName}"`);
+        continue;
+      }
+
+      if (unindexable) {
+        invalid(`cannot include "${unindexable}" because it is ${fieldTypes.get(unindexable) === 'Array' ? 'an array' : `a ${fieldTypes.get(unindexable)} field`}`);
+        continue;
+      }
+
+      if (new Set(names).size !== names.length) {
+        invalid('lists a field more than once');
+        continue;
+      }
+
+      if (index.type === 'ttl') {
+        if (names.length !== 1 || fieldTypes.get(names[0]) !== 'Date') {
+          invalid('must have a single Date field that records expire after');
+        } else if (!Number.isInteger(index.expireAfterSeconds) || index.expireAfterSeconds < 0) {
+          invalid('needs the number of seconds records are kept, as a whole number');
+        }
+      }
+
+      if (index.type === 'text') {
+        const weights = Object.entries(indexGenerator.parseWeights(entry.weights));
+        const extra = weights.find(([name]) => !names.includes(name));
+
+        if (hasText) {
+          invalid('is a second text index; a data type can only have one');
+        } else if (names.some(name => fieldTypes.get(name) !== 'String')) {
+          invalid('can only include String fields');
+        } else if (index.fields.some(field => field.order === -1)) {
+          invalid('cannot sort a text field in descending order');
+        } else if (extra) {
+          invalid(`has a weight for "${extra[0]}", which it does not include`);
+        } else if (weights.some(([, weight]) => !Number.isInteger(weight) || weight < 1)) {
+          invalid('needs whole, positive weights');
+        }
+
+        hasText = true;
+        continue;
+      }
+
+      // Indexes are named after their fields, so two on the same fields clash
+      if (seen.has(names.join(','))) {
+        invalid('duplicates another index');
+      } else if (names.length === 1 && uniqueFields.includes(names[0])) {
+        invalid(`duplicates the index of the unique field "${names[0]}"`);
+      }
+
+      seen.add(names.join(','));
+    }
+  }
+
+  /**
+   * Check the webhook subscriptions of a data type
+   */
+  validateWebhooks(typeNode, report) {
+    const typeName = typeNode.data.name || 'data type';
+    const webhooks = typeNode.data.webhooks || [];
+
+    for (const webhook of webhooks) {
+      const url = String(webhook.url || '').trim();
+      let protocol = null;
+
+      try {
+        protocol = new URL(url).protocol;
+      } catch (error) {
+        // Reported below
+      }
+
+      if (!url) {
+        report(typeNode.id, 'invalid_webhook', `A webhook of "${typeName}" has no URL`);
+      } else if (protocol !== 'http:' && protocol !== 'https:') {
+        report(typeNode.id, 'invalid_webhook', `Webhook URL "${url}" of "${typeName}" must be an http or https URL`);
+      } else if (!(webhook.events || []).some(event => WEBHOOK_EVENTS.includes(event))) {
+        report(typeNode.id, 'invalid_webhook', `Webhook ${url} of "${typeName}" has no events to send`);
+      }
+    }
+  }
+}
+
+module.exports = DataModelValidator;
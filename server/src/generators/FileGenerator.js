@@ -0,0 +1,1042 @@
+/**
+ * FileGenerator.js
+ *
+ * Generates upload support for File and Image fields: multipart endpoints
+ * that check the size and type limits of each field, a storage adapter that
+ * writes to local disk or an S3-compatible bucket, WebP variants of uploaded
+ * images, and signed download URLs that expire.
+ */
+
+const path = require('path');
+
+// Field types that hold an uploaded file
+const FILE_TYPES = ['File', 'Image'];
+
+// Default upload limit of each file type, in MB
+const DEFAULT_MAX_SIZE = { File: 10, Image: 5 };
+
+// Largest limit a field can set, in MB; uploads are held in memory while
+// they are stored
+const MAX_FILE_SIZE = 50;
+
+// Image types sharp reads and browsers display, accepted by Image fields
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Variants of an Image field that does not list its own
+const DEFAULT_VARIANTS = 'thumbnail:200x200';
+
+// Largest width or height of an image variant, in pixels
+const MAX_VARIANT_SIZE = 4096;
+
+// A MIME type such as application/pdf, or a wildcard such as image/*
+const MIME_PATTERN = /^[a-z]+\/(\*|[a-z0-9][a-z0-9!#$&^_.+-]*)$/;
+
+class FileGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'storage');
+  }
+
+  /**
+   * Check whether a field holds an uploaded file
+   */
+  isFileField(field) {
+    return FILE_TYPES.includes(field.type);
+  }
+
+  /**
+   * Get the file fields of a data type, or of all data types
+   */
+  getFields(node) {
+    const nodes = node ? [node] : this.apiGenerator.getDataTypeNodes();
+
+    return nodes
+      .flatMap(item => this.apiGenerator.getFieldsForModel(item, this.project.dataModel))
+      .filter(field => this.isFileField(field));
+  }
+
+  /**
+   * Check whether any data type, or the given one, has a file field
+   */
+  hasFiles(node) {
+    return this.getFields(node).length > 0;
+  }
+
+  /**
+   * Check whether any data type has an Image field
+   */
+  hasImages() {
+    return this.getFields().some(field => field.type === 'Image');
+  }
+
+  /**
+   * Get the upload limit of a field, in MB
+   */
+  getMaxSize(field) {
+    const isSet = field.maxSize !== undefined && field.maxSize !== null && field.maxSize !== '';
+    return isSet ? Number(field.maxSize) : DEFAULT_MAX_SIZE[field.type];
+  }
+
+  /**
+   * Get the largest upload limit a field can set, in MB
+   */
+  getMaxFileSize() {
+    return MAX_FILE_SIZE;
+  }
+
+  /**
+   * Get the MIME types a field accepts; an empty list accepts any type
+   */
+  getAccept(field) {
+    const accept = this.apiGenerator.parseList(field.accept).map(type => type.toLowerCase());
+    return accept.length > 0 || field.type !== 'Image' ? accept : IMAGE_TYPES;
+  }
+
+  /**
+   * Get the image types Image fields can accept
+   */
+  getImageTypes() {
+    return IMAGE_TYPES;
+  }
+
+  /**
+   * Check whether a value is a MIME type or a type/* wildcard
+   */
+  isMimeType(value) {
+    return MIME_PATTERN.test(value);
+  }
+
+  /**
+   * Parse the variants of an Image field, e.g. "thumbnail:200x200, large:1200x1200"
+   *
+   * @returns {Array<{name: string, width: number, height: number}>} The
+   *   variants; malformed sizes are NaN, for the data model validator to report
+   */
+  parseVariants(field) {
+    const isSet = field.variants !== undefined && field.variants !== null && field.variants !== '';
+    const entries = this.apiGenerator.parseList(isSet ? field.variants : DEFAULT_VARIANTS);
+
+    return entries.map(entry => {
+      const [name, size = ''] = entry.split(':').map(part => part.trim());
+      const match = /^(\d+)x(\d+)$/i.exec(size);
+
+      return {
+        name,
+        width: match ? Number(match[1]) : NaN,
+        height: match ? Number(match[2]) : NaN
+      };
+    });
+  }
+
+  /**
+   * Get the largest width or height of an image variant, in pixels
+   */
+  getMaxVariantSize() {
+    return MAX_VARIANT_SIZE;
+  }
+
+  /**
+   * Get the limits of the file fields of a data type, keyed by field name,
+   * as the generated upload handlers take them
+   */
+  getFileFields(node) {
+    return Object.fromEntries(this.getFields(node).map(field => {
+      const limits = {
+        type: field.type,
+        maxSize: Math.round(this.getMaxSize(field) * 1024 * 1024),
+        accept: this.getAccept(field)
+      };
+
+      if (field.type === 'Image') {
+        limits.variants = Object.fromEntries(
+          this.parseVariants(field).map(({ name, width, height }) => [name, { width, height }])
+        );
+      }
+
+      return [field.name, limits];
+    }));
+  }
+
+  /**
+   * Generate the storage adapters, upload handlers and download route
+   */
+  async generateAll() {
+    if (!this.hasFiles()) {
+      return;
+    }
+
+    const { utilOutputDir, routeOutputDir } = this.apiGenerator;
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'index.js'), this.generateStorageCode());
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'local.js'), this.generateLocalStorageCode());
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 's3.js'), this.generateS3StorageCode());
+    await this.apiGenerator.writeCode(path.join(utilOutputDir, 'files.js'), this.generateFilesCode());
+    await this.apiGenerator.writeCode(path.join(routeOutputDir, 'files.js'), this.generateFileRoutesCode());
+  }
+
+  /**
+   * Get the file routes of a data type, shared by the JavaScript and
+   * TypeScript route files; they follow the /:id routes
+   */
+  getRouteCode(modelName, routeName, access, fields) {
+    const names = Object.keys(fields || {});
+
+    if (names.length === 0) {
+      return '';
+    }
+
+    const api = this.apiGenerator;
+    const route = (method, roles, desc, handler) => `
+
+/**
+ * @route   ${method.toUpperCase()} /api/${routeName}/:id/files/:field
+ * @desc    ${desc}
+ * @access  ${api.describeAccess(roles)}
+ */
+router.${method}('/:id/files/:field', ${api.getAccessMiddleware(roles)}${modelName}Controller.${handler});`;
+
+    return [
+      route('put', access.update, `Upload the file of ${names.join(', ')} (multipart/form-data)`, 'uploadFile'),
+      route('get', access.read, `Get signed download URLs of the file of ${names.join(', ')}`, 'getFile'),
+      route('delete', access.update, `Remove the file of ${names.join(', ')}`, 'deleteFile')
+    ].join('');
+  }
+
+  /**
+   * Get the file handlers of a controller
+   *
+   * Each template passes the code of its own steps, so uploads get the same
+   * audit entries and webhook events as updates.
+   *
+   * @param {string} modelName - Model name
+   * @param {string} routeName - Route name, the first part of stored keys
+   * @param {Object} fields - File field limits, from getFileFields()
+   * @param {Object} steps - Code of find (an expression of req and id) and
+   *   of save (statements using req, item and changes)
+   */
+  getControllerCode(modelName, routeName, fields, steps) {
+    if (Object.keys(fields || {}).length === 0) {
+      return '';
+    }
+
+    const options = `{
+  name: '${modelName}',
+  route: '${routeName}',
+  fields: ${JSON.stringify(fields, null, 2)},
+  find: (req, id) => ${steps.find},
+  save: async (req, item, changes) => {
+    ${steps.save}
+  }
+}`;
+
+    if (this.apiGenerator.isTypeScript()) {
+      return `
+// File uploads and signed download URLs
+const files = createFileHandlers(${options});
+
+export const { uploadFile, getFile, deleteFile } = files;
+`;
+    }
+
+    return `
+// File uploads and signed download URLs
+const files = createFileHandlers(${options});
+
+exports.uploadFile = files.uploadFile;
+exports.getFile = files.getFile;
+exports.deleteFile = files.deleteFile;
+`;
+  }
+
+  /**
+   * Get the packages the generated upload support requires
+   */
+  getPackages() {
+    if (!this.hasFiles()) {
+      return [];
+    }
+
+    return [
+      '@aws-sdk/client-s3',
+      '@aws-sdk/s3-request-presigner',
+      'multer',
+      ...(this.hasImages() ? ['sharp'] : [])
+    ];
+  }
+
+  /**
+   * Get the environment variables read by the storage adapters
+   */
+  getEnvVariables() {
+    if (!this.hasFiles()) {
+      return [];
+    }
+
+    return [
+      { name: 'STORAGE_DRIVER', value: 'local', description: 'Where uploaded files are stored (local or s3)' },
+      { name: 'UPLOAD_DIR', value: 'uploads', description: 'Directory of uploaded files (local storage)' },
+      {
+        name: 'FILE_URL_SECRET',
+        value: 'change-me-for-files',
+        description: 'Secret used to sign file download URLs (local storage, defaults to JWT_SECRET)'
+      },
+      { name: 'FILE_URL_EXPIRES_IN', value: '900', description: 'Lifetime of file download URLs, in seconds' },
+      {
+        name: 'PUBLIC_URL',
+        value: 'https://api.example.com',
+        description: 'Public URL of the API, used in file download URLs (defaults to the request host)',
+        disabled: true
+      },
+      { name: 'S3_BUCKET', value: 'uploads', description: 'Bucket of uploaded files (S3 storage)', disabled: true },
+      { name: 'S3_REGION', value: 'us-east-1', description: 'Region of the bucket (S3 storage)', disabled: true },
+      {
+        name: 'S3_ENDPOINT',
+        value: 'http://localhost:9000',
+        description: 'Endpoint of an S3-compatible service such as MinIO (S3 storage)',
+        disabled: true
+      },
+      {
+        name: 'S3_FORCE_PATH_STYLE',
+        value: 'true',
+        description: 'Address the bucket in the path, as MinIO needs (S3 storage)',
+        disabled: true
+      },
+      {
+        name: 'S3_ACCESS_KEY_ID',
+        value: 'minioadmin',
+        description: 'Access key (S3 storage, defaults to the AWS SDK credential chain)',
+        disabled: true
+      },
+      { name: 'S3_SECRET_ACCESS_KEY', value: 'minioadmin', description: 'Secret key (S3 storage)', disabled: true }
+    ];
+  }
+
+  /**
+   * Generate code for the storage adapter selection and shared helpers
+   */
+  generateStorageCode() {
+    return `/**
+ * File storage
+ *
+ * Picks the storage adapter named by STORAGE_DRIVER: "local" (the default)
+ * writes files under UPLOAD_DIR and serves them through signed /files URLs,
+ * "s3" writes them to an S3-compatible bucket and hands out presigned URLs.
+ * Adapters implement put(key, body, contentType), remove(key) and
+ * getUrl(key, { expiresIn, filename, baseUrl }).
+ */
+const path = require('path');
+
+const DRIVERS = {
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+// Content type of each stored file extension; files are always served with
+// the type of their extension, whatever the uploader claimed
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Types browsers may display; everything else is downloaded
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Lifetime of download URLs, in seconds; presigned S3 URLs last at most a week
+const DEFAULT_URL_LIFETIME = 900;
+const MAX_URL_LIFETIME = 7 * 24 * 60 * 60;
+
+let storage = null;
+
+/**
+ * Get the storage adapter, created on first use
+ */
+const getStorage = () => {
+  if (!storage) {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (!DRIVERS[driver]) {
+      throw new Error(\`Unknown STORAGE_DRIVER "\${driver}"; use local or s3\`);
+    }
+
+    storage = DRIVERS[driver]().createStorage();
+  }
+
+  return storage;
+};
+
+/**
+ * Get the extension a file of a MIME type is stored with
+ */
+const getExtension = mimeType =>
+  Object.keys(CONTENT_TYPES).find(extension => CONTENT_TYPES[extension] === mimeType) || '.bin';
+
+/**
+ * Get the type a stored file is served with
+ */
+const getContentType = key => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+/**
+ * Build the Content-Disposition header of a download, keeping non-ASCII
+ * file names
+ */
+const contentDisposition = (filename, contentType) => {
+  const disposition = INLINE_TYPES.includes(contentType) ? 'inline' : 'attachment';
+  const fallback = String(filename).replace(/[^\\x20-\\x7e]|["\\\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => \`%\${char.charCodeAt(0).toString(16).toUpperCase()}\`);
+
+  return \`\${disposition}; filename="\${fallback}"; filename*=UTF-8''\${encoded}\`;
+};
+
+/**
+ * Get the lifetime of download URLs from FILE_URL_EXPIRES_IN, in seconds
+ */
+const getUrlLifetime = () => {
+  const seconds = Number(process.env.FILE_URL_EXPIRES_IN);
+  return Number.isInteger(seconds) && seconds > 0 ? Math.min(seconds, MAX_URL_LIFETIME) : DEFAULT_URL_LIFETIME;
+};
+
+module.exports = {
+  getStorage,
+  getExtension,
+  getContentType,
+  contentDisposition,
+  getUrlLifetime
+};
+`;
+  }
+
+  /**
+   * Generate code for the local disk storage adapter
+   */
+  generateLocalStorageCode() {
+    return `/**
+ * Local disk storage
+ *
+ * Writes files under UPLOAD_DIR. Download URLs point at the /files route and
+ * carry an HMAC of the key, expiry and file name, signed with
+ * FILE_URL_SECRET (or JWT_SECRET), which the route checks before it sends
+ * the file.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Keys the upload handlers create, e.g. products/<id>/image/<uuid>.png
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\\/[A-Za-z0-9_-]+)+\\.[a-z0-9]+$/;
+
+const createStorage = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('FILE_URL_SECRET or JWT_SECRET must be set to sign file URLs');
+  }
+
+  const sign = (key, expires, name) =>
+    crypto.createHmac('sha256', secret).update(\`\${key}\\n\${expires}\\n\${name}\`).digest('hex');
+
+  /**
+   * Get the path of a key, or null if it is not a key the handlers create
+   */
+  const resolve = key => (KEY_PATTERN.test(key) ? path.join(root, ...key.split('/')) : null);
+
+  const getPath = (key) => {
+    const file = resolve(key);
+
+    if (!file) {
+      throw new Error(\`Invalid file key "\${key}"\`);
+    }
+
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    resolve,
+
+    async put(key, body) {
+      const file = getPath(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, body);
+    },
+
+    async remove(key) {
+      await fs.rm(getPath(key), { force: true });
+    },
+
+    async getUrl(key, { expiresIn, filename = '', baseUrl = '' }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const query = new URLSearchParams({ expires: String(expires), name: filename, signature: sign(key, expires, filename) });
+
+      return \`\${baseUrl}/files/\${key}?\${query}\`;
+    },
+
+    /**
+     * Check the signature and expiry of a download URL
+     */
+    verify(key, { expires, name, signature }) {
+      if (!/^\\d+$/.test(expires) || Number(expires) < Date.now() / 1000) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, expires, name));
+      const actual = Buffer.from(signature);
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+  };
+};
+
+module.exports = {
+  createStorage
+};
+`;
+  }
+
+  /**
+   * Generate code for the S3-compatible storage adapter
+   */
+  generateS3StorageCode() {
+    return `/**
+ * S3-compatible storage
+ *
+ * Writes files to S3_BUCKET, on AWS S3 or an S3-compatible service such as
+ * MinIO (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true), and hands out
+ * presigned download URLs. Without S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY
+ * the AWS SDK looks up credentials itself, e.g. from an IAM role.
+ */
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { getContentType, contentDisposition } = require('./index');
+
+const createStorage = () => {
+  const bucket = process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key, { expiresIn, filename = '' }) {
+      const contentType = getContentType(key);
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentType: contentType,
+        ResponseContentDisposition: contentDisposition(filename || key.split('/').pop(), contentType)
+      });
+
+      return getSignedUrl(client, command, { expiresIn });
+    }
+  };
+};
+
+module.exports = {
+  createStorage
+};
+`;
+  }
+
+  /**
+   * Generate code for the upload handlers
+   */
+  generateFilesCode() {
+    const images = this.hasImages();
+
+    return `/**
+ * File uploads
+ *
+ * Builds the handlers of the file endpoints of a model: multipart uploads
+ * checked against the size and type limits of each File or Image field,${images ? '\n * WebP variants of uploaded images,' : ''} signed download URLs, and removal of
+ * stored files once they are replaced or their record is deleted.
+ */
+const crypto = require('crypto');
+const multer = require('multer');
+${images ? "const sharp = require('sharp');\n" : ''}const { getStorage, getExtension, getContentType, getUrlLifetime } = require('../storage');
+
+const ID_PATTERN = /${this.apiGenerator.getIdPattern()}/;
+${images ? `
+// Image formats sharp detects, by the MIME type Image fields accept them as
+const IMAGE_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif'
+};
+
+// Larger images are refused before they are decoded
+const MAX_IMAGE_PIXELS = 40000000;
+` : ''}
+class FileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FileError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check a MIME type against the types a field accepts, e.g. image/*; a
+ * field without types accepts any
+ */
+const isAccepted = (accept, mimeType) => accept.length === 0 ||
+  accept.some(type => type === mimeType || (type.endsWith('/*') && mimeType.startsWith(type.slice(0, -1))));
+
+/**
+ * Turn a multer error into the response to the upload
+ */
+const toFileError = (err, name, field) => {
+  if (err instanceof FileError) {
+    return err;
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return new FileError(\`\${name} must be at most \${Math.round(field.maxSize / 1024 / 1024 * 100) / 100} MB\`, 413);
+  }
+
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
+    return new FileError('Send a single file, in a "file" part');
+  }
+
+  return new FileError(\`Invalid multipart body: \${err.message}\`);
+};
+
+/**
+ * Get the URL download links start with: PUBLIC_URL, or the request's host
+ */
+const getBaseUrl = req => (process.env.PUBLIC_URL || \`\${req.protocol}://\${req.get('host')}\`).replace(/\\/+$/, '');
+
+/**
+ * Clean the file name sent by the client, for storing and download headers
+ */
+const cleanFilename = name => String(name || 'file').replace(/[\\u0000-\\u001f\\u007f/\\\\]/g, '_').slice(0, 255);
+
+/**
+ * Remove a stored file and its variants; failures are only logged, since a
+ * leftover file does no harm to the record
+ */
+const removeStored = async (file) => {
+  if (!file || !file.key) {
+    return;
+  }
+
+  const storage = getStorage();
+  const keys = [file.key, ...Object.values(file.variants || {}).map(variant => variant.key)];
+
+  await Promise.all(keys.map(key => storage.remove(key).catch((err) => {
+    console.error(\`Could not remove stored file \${key}:\`, err.message);
+  })));
+};
+${images ? `
+/**
+ * Check that an upload is an image of an accepted type and render its
+ * variants, scaled down to fit their size
+ *
+ * @returns {Promise<{ mimeType: string, width: number, height: number, variants: Array }>}
+ */
+const readImage = async (name, field, buffer) => {
+  const metadata = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata().catch(() => null);
+  const mimeType = metadata && IMAGE_TYPES[metadata.format];
+
+  if (!mimeType || !isAccepted(field.accept, mimeType)) {
+    throw new FileError(\`\${name} must be an image of type \${field.accept.join(', ')}\`, 415);
+  }
+
+  const variants = [];
+
+  try {
+    for (const [variant, size] of Object.entries(field.variants || {})) {
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS })
+        .rotate()
+        .resize({ width: size.width, height: size.height, fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer({ resolveWithObject: true });
+
+      variants.push({ name: variant, data, width: info.width, height: info.height });
+    }
+  } catch (err) {
+    throw new FileError(\`\${name} could not be read as an image\`, 415);
+  }
+
+  return { mimeType, width: metadata.width, height: metadata.height, variants };
+};
+` : ''}
+/**
+ * Create the file handlers of a model
+ *
+ * @param {Object} options
+ * @param {string} options.name - Model name, used in messages
+ * @param {string} options.route - Route name, the first part of stored keys
+ * @param {Object} options.fields - Limits of each file field, by name: its
+ *   type, maxSize in bytes, accepted MIME types (none accepts any) and, for
+ *   images, the size of each variant
+ * @param {Function} options.find - (req, id) => the record, or null if the
+ *   caller may not see it
+ * @param {Function} options.save - (req, item, changes) => the updated record
+ * @returns {{ uploadFile: Function, getFile: Function, deleteFile: Function, removeFiles: Function }}
+ *   Route handlers, and removeFiles(item) to remove the files of a deleted record
+ */
+const createFileHandlers = ({ name, route, fields, find, save }) => {
+  const uploads = Object.fromEntries(Object.entries(fields).map(([fieldName, field]) => [
+    fieldName,
+    multer({
+      storage: multer.memoryStorage(),
+      defParamCharset: 'utf8',
+      limits: { fileSize: field.maxSize, files: 1, parts: 10 },
+      fileFilter: (req, file, done) => (isAccepted(field.accept, file.mimetype)
+        ? done(null, true)
+        : done(new FileError(\`\${fieldName} must be of type \${field.accept.join(', ')}\`, 415)))
+    }).single('file')
+  ]));
+
+  const getField = (req) => {
+    if (!Object.hasOwn(fields, req.params.field)) {
+      throw new FileError(\`\${name} has no file field "\${req.params.field}"\`, 404);
+    }
+
+    return fields[req.params.field];
+  };
+
+  const findItem = async (req) => {
+    const item = ID_PATTERN.test(req.params.id) ? await find(req, req.params.id) : null;
+
+    if (!item) {
+      throw new FileError(\`\${name} not found\`, 404);
+    }
+
+    return item;
+  };
+
+  const readUpload = (req, res, field) => new Promise((resolve, reject) => {
+    uploads[req.params.field](req, res, err => (err ? reject(toFileError(err, req.params.field, field)) : resolve(req.file)));
+  });
+
+  /**
+   * Store an upload${images ? ' and the variants of an image' : ''} under new keys
+   *
+   * @returns {Promise<Object>} The metadata saved in the record
+   */
+  const store = async (item, fieldName, field, file) => {
+    const storage = getStorage();
+    ${images ? `const image = field.type === 'Image' ? await readImage(fieldName, field, file.buffer) : null;
+    const mimeType = image ? image.mimeType : file.mimetype;` : 'const { mimetype: mimeType } = file;'}
+    const base = \`\${route}/\${item._id}/\${fieldName}/\${crypto.randomUUID()}\`;
+    const stored = {
+      key: \`\${base}\${getExtension(mimeType)}\`,
+      filename: cleanFilename(file.originalname),
+      mimeType,
+      size: file.size
+    };
+    const written = [];
+    const put = async (key, body) => {
+      await storage.put(key, body, getContentType(key));
+      written.push(key);
+    };
+
+    try {
+      await put(stored.key, file.buffer);
+${images ? `
+      if (image) {
+        stored.width = image.width;
+        stored.height = image.height;
+        stored.variants = {};
+
+        for (const variant of image.variants) {
+          const key = \`\${base}-\${variant.name}.webp\`;
+          await put(key, variant.data);
+          stored.variants[variant.name] = { key, width: variant.width, height: variant.height };
+        }
+      }
+` : ''}    } catch (err) {
+      await Promise.all(written.map(key => storage.remove(key).catch(() => {})));
+      throw err;
+    }
+
+    stored.uploadedAt = new Date();
+    return stored;
+  };
+
+  // Upload the file of a field, replacing the one it had
+  const uploadFile = async (req, res, next) => {
+    try {
+      const field = getField(req);
+
+      if (!req.is('multipart/form-data')) {
+        throw new FileError('Send the file as multipart/form-data, in a "file" part', 415);
+      }
+
+      const item = await findItem(req);
+      const file = await readUpload(req, res, field);
+
+      if (!file) {
+        throw new FileError('Send the file in a "file" part');
+      }
+
+      const stored = await store(item, req.params.field, field, file);
+      let updated;
+
+      try {
+        updated = await save(req, item, { [req.params.field]: stored });
+      } catch (err) {
+        await removeStored(stored);
+        throw err;
+      }
+
+      await removeStored(item[req.params.field]);
+      res.json(updated);
+    } catch (err) {
+      // Discard whatever of the body was not read
+      req.resume();
+      next(err);
+    }
+  };
+
+  // Get signed URLs of the file of a field and its variants
+  const getFile = async (req, res, next) => {
+    try {
+      getField(req);
+      const item = await findItem(req);
+      const file = item[req.params.field];
+
+      if (!file || !file.key) {
+        throw new FileError(\`\${name} has no \${req.params.field}\`, 404);
+      }
+
+      const storage = getStorage();
+      const expiresIn = getUrlLifetime();
+      const expiresAt = new Date(Date.now() + expiresIn * 1000);
+      const options = { expiresIn, baseUrl: getBaseUrl(req) };
+      const variants = {};
+
+      for (const [variant, stored] of Object.entries(file.variants || {})) {
+        const filename = \`\${file.filename.replace(/\\.[^.]*$/, '')}-\${variant}.webp\`;
+        variants[variant] = await storage.getUrl(stored.key, { ...options, filename });
+      }
+
+      res.json({
+        url: await storage.getUrl(file.key, { ...options, filename: file.filename }),
+        expiresAt,
+        variants
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Remove the file of a field
+  const deleteFile = async (req, res, next) => {
+    try {
+      getField(req);
+      const item = await findItem(req);
+      const file = item[req.params.field];
+
+      if (!file || !file.key) {
+        throw new FileError(\`\${name} has no \${req.params.field}\`, 404);
+      }
+
+      const updated = await save(req, item, { [req.params.field]: null });
+      await removeStored(file);
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  /**
+   * Remove the stored files of a record that is deleted for good
+   */
+  const removeFiles = async (item) => {
+    await Promise.all(Object.keys(fields).map(fieldName => removeStored(item[fieldName])));
+  };
+
+  return {
+    uploadFile,
+    getFile,
+    deleteFile,
+    removeFiles
+  };
+};
+
+module.exports = {
+  FileError,
+  createFileHandlers
+};
+`;
+  }
+
+  /**
+   * Generate code for the route that serves locally stored files
+   */
+  generateFileRoutesCode() {
+    return `/**
+ * Signed file downloads
+ *
+ * Serves the files of the local storage adapter at the URLs the file
+ * endpoints hand out, until they expire. Files are sent with the type of
+ * their extension, and uploaded HTML or scripts are sandboxed, so they never
+ * run on the API's origin.
+ */
+const express = require('express');
+const path = require('path');
+const { getStorage, getContentType, contentDisposition } = require('../storage');
+
+const router = express.Router();
+
+/**
+ * @route   GET /files/:key
+ * @desc    Download a stored file
+ * @access  Anyone with a signed URL
+ */
+router.get('/*', (req, res, next) => {
+  const storage = getStorage();
+  const key = req.params[0];
+  const query = name => (typeof req.query[name] === 'string' ? req.query[name] : '');
+  const file = storage.name === 'local' ? storage.resolve(key) : null;
+
+  if (!file) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+
+  if (!storage.verify(key, { expires: query('expires'), name: query('name'), signature: query('signature') })) {
+    return res.status(403).json({ message: 'The file URL is invalid or has expired' });
+  }
+
+  const contentType = getContentType(key);
+
+  res.sendFile(file, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': contentDisposition(query('name') || path.basename(key), contentType),
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private'
+    }
+  }, (err) => {
+    if (!err || res.headersSent) {
+      return;
+    }
+
+    if (err.status === 404) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    next(err);
+  });
+});
+
+module.exports = router;
+`;
+  }
+
+  /**
+   * Generate README documentation for file uploads
+   */
+  generateDocs() {
+    const fields = this.apiGenerator.getDataTypeNodes().flatMap(node =>
+      this.getFields(node).map(field => ({ node, field })));
+
+    if (fields.length === 0) {
+      return '';
+    }
+
+    // Images make the fuller example
+    const { node, field } = fields.find(item => item.field.type === 'Image') || fields[0];
+    const routeName = this.apiGenerator.formatRouteName(node.data.name);
+    const isImage = field.type === 'Image';
+    const filename = isImage ? 'photo.jpg' : 'document.pdf';
+    const metadata = isImage
+      ? `{ "key": "${routeName}/<id>/${field.name}/<uuid>.jpg", "filename": "photo.jpg", "mimeType": "image/jpeg", "size": 48213, "width": 1200, "height": 800, "variants": { "thumbnail": { "key": "...", "width": 200, "height": 133 } }, "uploadedAt": "..." }`
+      : `{ "key": "${routeName}/<id>/${field.name}/<uuid>.pdf", "filename": "document.pdf", "mimeType": "application/pdf", "size": 48213, "uploadedAt": "..." }`;
+
+    return `## File Uploads
+
+File and Image fields hold an uploaded file. They cannot be set in JSON request bodies, imports or GraphQL mutations; each has its own endpoints instead, e.g. for \`${field.name}\` of \`/api/${routeName}\`:
+
+| Method | Path | Description |
+|--------|------|-------------|
+| PUT | \`/api/${routeName}/:id/files/${field.name}\` | Upload the file as \`multipart/form-data\` in a \`file\` part, replacing the previous one; responds with the updated record |
+| GET | \`/api/${routeName}/:id/files/${field.name}\` | Get signed download URLs of the file and its variants |
+| DELETE | \`/api/${routeName}/:id/files/${field.name}\` | Remove the file; responds with the updated record |
+
+Uploads and removals are allowed to the roles that can update the record, download URLs to those that can read it. Each field has a size limit (10 MB for files, 5 MB for images, unless the field sets its own) and may limit the accepted types, e.g. \`application/pdf, image/*\`; larger uploads are rejected with \`413\`, other types with \`415\`. Image fields accept JPEG, PNG, WebP and GIF images, which are checked by decoding them, and store a WebP variant of each size the field lists (\`thumbnail:200x200\` unless it lists its own), scaled down to fit.
+
+\`\`\`
+curl -X PUT http://localhost:5000/api/${routeName}/<id>/files/${field.name} \\
+  -H "Authorization: Bearer <token>" \\
+  -F "file=@${filename}"
+\`\`\`
+
+The record keeps the metadata of the stored file:
+
+\`\`\`json
+${metadata}
+\`\`\`
+
+Download URLs are signed and expire after \`FILE_URL_EXPIRES_IN\` seconds (default 900):
+
+\`\`\`json
+{ "url": "http://localhost:5000/files/...?expires=...&name=${filename}&signature=...", "expiresAt": "...", "variants": {${isImage ? ' "thumbnail": "http://localhost:5000/files/..." ' : ''}} }
+\`\`\`
+
+Deleting a record also removes its files, unless the record is only soft deleted.
+
+### Storage
+
+Files are stored through the adapter named by \`STORAGE_DRIVER\`:
+
+- \`local\` (default) writes files under \`UPLOAD_DIR\` and serves them from \`/files\`, checking the signature of each URL (signed with \`FILE_URL_SECRET\`, or \`JWT_SECRET\`). Set \`PUBLIC_URL\` when the API runs behind a proxy, so URLs point at its public address.
+- \`s3\` writes files to \`S3_BUCKET\` and hands out presigned S3 URLs. Any S3-compatible service works; for a local MinIO:
+
+  \`\`\`
+  docker run -d -p 9000:9000 -e MINIO_ROOT_USER=minioadmin -e MINIO_ROOT_PASSWORD=minioadmin minio/minio server /data
+  docker run --rm --network host --entrypoint sh minio/mc -c "mc alias set local http://localhost:9000 minioadmin minioadmin && mc mb local/uploads"
+  \`\`\`
+
+  with \`STORAGE_DRIVER=s3\`, \`S3_BUCKET=uploads\`, \`S3_ENDPOINT=http://localhost:9000\`, \`S3_FORCE_PATH_STYLE=true\`, \`S3_ACCESS_KEY_ID=minioadmin\` and \`S3_SECRET_ACCESS_KEY=minioadmin\`.
+
+Custom adapters go in \`storage/\` next to these two: a module exporting \`createStorage()\`, which returns \`put(key, body, contentType)\`, \`remove(key)\` and \`getUrl(key, { expiresIn, filename })\`, registered in \`DRIVERS\` in \`storage/index.js\`.
+
+`;
+  }
+}
+
+module.exports = FileGenerator;
@@ -0,0 +1,970 @@
+/**
+ * GraphQLGenerator.js
+ *
+ * Generates a GraphQL endpoint alongside the REST API: type definitions for
+ * every data type, resolvers sharing the REST validators and access rules,
+ * and per-request DataLoaders that batch reference lookups.
+ */
+
+const path = require('path');
+
+// GraphQL scalar for each field type
+const SCALAR_TYPES = {
+  String: 'String',
+  Number: 'Float',
+  Boolean: 'Boolean',
+  Date: 'DateTime',
+  ObjectId: 'ID',
+  Mixed: 'JSON',
+  Email: 'String',
+  URL: 'String',
+  Money: 'Money',
+  Point: 'GeoPoint',
+  File: 'StoredFile',
+  Image: 'StoredFile'
+};
+
+// Input types of the field types whose output is an object type
+const INPUT_TYPES = {
+  Money: 'MoneyInput',
+  Point: 'GeoPointInput'
+};
+
+// Filter input for each field type that can be filtered
+const FILTER_TYPES = {
+  String: 'StringFilter',
+  Email: 'StringFilter',
+  URL: 'StringFilter',
+  Number: 'FloatFilter',
+  Boolean: 'BooleanFilter',
+  Date: 'DateTimeFilter',
+  ObjectId: 'IDFilter'
+};
+
+const NAME_PATTERN = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+class GraphQLGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'graphql');
+  }
+
+  /**
+   * Check whether the GraphQL endpoint is enabled and has types to serve
+   */
+  isEnabled() {
+    return Boolean(this.apiGenerator.getSetting('graphql', false)) &&
+      this.apiGenerator.getDataTypeNodes().length > 0;
+  }
+
+  /**
+   * Generate all GraphQL files
+   */
+  async generateAll() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+
+    const models = this.getModels();
+
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'schema.js'), this.generateSchemaCode(models));
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'resolvers.js'), this.generateResolversCode(models));
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'loaders.js'), this.generateLoadersCode());
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'store.js'), this.generateStoreCode());
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'index.js'), this.generateIndexCode());
+  }
+
+  /**
+   * Lowercase the first letter of a name
+   */
+  lowerFirst(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+  }
+
+  /**
+   * Get every data type with its fields, references and reverse relations
+   */
+  getModels() {
+    const { dataModel } = this.project;
+    const models = this.apiGenerator.getDataTypeNodes().map(node => {
+      const name = this.apiGenerator.formatModelName(node.data.name);
+      const fields = this.apiGenerator.getFieldsForModel(node, dataModel)
+        .filter(field => NAME_PATTERN.test(field.name));
+
+      return {
+        name,
+        description: node.data.description,
+        queryName: this.lowerFirst(name),
+        listName: this.apiGenerator.formatRouteIdentifier(name),
+        access: this.apiGenerator.getAccessRules(node),
+        audit: this.apiGenerator.auditGenerator.getOptions(node).audit,
+        fields
+      };
+    });
+    const names = new Set(models.map(model => model.name));
+
+    for (const model of models) {
+      model.refs = {};
+      model.lists = {};
+
+      for (const field of this.apiGenerator.getReferenceFields(model.fields)) {
+        const target = this.apiGenerator.formatModelName(field.ref);
+
+        if (names.has(target)) {
+          (field.type === 'Array' ? model.lists : model.refs)[field.name] = target;
+        }
+      }
+    }
+
+    // Single references can be followed back, e.g. Category.products
+    for (const model of models) {
+      model.reverse = {};
+      const taken = new Set(model.fields.map(field => field.name));
+
+      for (const source of models) {
+        const fields = Object.keys(source.refs).filter(field => source.refs[field] === model.name);
+
+        for (const field of fields) {
+          const name = fields.length === 1
+            ? source.listName
+            : `${source.listName}By${this.apiGenerator.formatModelName(field)}`;
+
+          if (!taken.has(name)) {
+            taken.add(name);
+            model.reverse[name] = { model: source.name, field };
+          }
+        }
+      }
+    }
+
+    return models;
+  }
+
+  /**
+   * Get the GraphQL output type of a field
+   */
+  getOutputType(model, field) {
+    if (model.refs[field.name]) {
+      return model.refs[field.name];
+    }
+
+    if (model.lists[field.name]) {
+      return `[${model.lists[field.name]}!]!`;
+    }
+
+    return this.getValueType(field, SCALAR_TYPES);
+  }
+
+  /**
+   * Get the GraphQL input type of a field; references are given as IDs
+   */
+  getInputType(field) {
+    return this.getValueType(field, { ...SCALAR_TYPES, ...INPUT_TYPES });
+  }
+
+  /**
+   * Get the GraphQL type of a field's values from a map of field types;
+   * other types are JSON
+   */
+  getValueType(field, types) {
+    if (field.type === 'Array') {
+      return `[${types[field.of || 'String'] || 'JSON'}]`;
+    }
+
+    return types[field.type || 'String'] || 'JSON';
+  }
+
+  /**
+   * Get the filter input type of a field, or null if it cannot be filtered
+   */
+  getFilterType(field) {
+    if (field.type === 'Array') {
+      return field.of === 'ObjectId' ? FILTER_TYPES.ObjectId : null;
+    }
+
+    return FILTER_TYPES[field.type || 'String'] || null;
+  }
+
+  /**
+   * Get a GraphQL description line
+   */
+  getDescription(text) {
+    return text ? `${JSON.stringify(String(text))}\n` : '';
+  }
+
+  /**
+   * Generate the type, input and filter definitions of a data type
+   */
+  generateModelTypeDefs(model) {
+    const ownsCreatedBy = model.fields.some(field => field.name === 'createdBy');
+    const outputFields = [
+      '  _id: ID!',
+      ...model.fields.map(field =>
+        `  ${field.name}: ${this.getOutputType(model, field)}${field.required && !model.refs[field.name] ? '!' : ''}`
+      ),
+      ...Object.entries(model.reverse).map(([name, relation]) =>
+        `  ${name}(limit: Int = 100): [${relation.model}!]!`
+      ),
+      ...(ownsCreatedBy ? [] : ['  createdBy: ID']),
+      '  createdAt: DateTime',
+      '  updatedAt: DateTime'
+    ];
+    // Files are uploaded through the REST file endpoints
+    const inputFields = model.fields.filter(field => !this.apiGenerator.fileGenerator.isFileField(field)).map(field => `  ${field.name}: ${field.type === 'Array' && field.of === 'ObjectId' ? '[ID!]' : this.getInputType(field)}`);
+    const filterFields = [
+      ...model.fields
+        .filter(field => this.getFilterType(field))
+        .map(field => `  ${field.name}: ${this.getFilterType(field)}`),
+      ...(ownsCreatedBy ? [] : ['  createdBy: IDFilter']),
+      '  createdAt: DateTimeFilter',
+      '  updatedAt: DateTimeFilter'
+    ];
+
+    return `${this.getDescription(model.description)}type ${model.name} {
+${outputFields.join('\n')}
+}
+
+type ${model.name}Page {
+  items: [${model.name}!]!
+  total: Int!
+  limit: Int!
+  page: Int
+  hasMore: Boolean!
+  nextCursor: String
+}
+
+input ${model.name}Input {
+${inputFields.join('\n')}
+}
+
+input ${model.name}Filter {
+${filterFields.join('\n')}
+}`;
+  }
+
+  /**
+   * Generate code for the GraphQL type definitions
+   */
+  generateSchemaCode(models) {
+    const queries = models.map(model => `  ${model.queryName}(id: ID!): ${model.name}
+  ${model.listName}(filter: ${model.name}Filter, sort: String, limit: Int, page: Int, cursor: String): ${model.name}Page!`);
+
+    const mutations = models.map(model => `  create${model.name}(input: ${model.name}Input!): ${model.name}!
+  update${model.name}(id: ID!, input: ${model.name}Input!): ${model.name}!
+  delete${model.name}(id: ID!): Boolean!`);
+
+    const typeDefs = `scalar DateTime
+scalar JSON
+
+input StringFilter {
+  eq: String
+  ne: String
+  gt: String
+  gte: String
+  lt: String
+  lte: String
+  in: [String!]
+  contains: String
+}
+
+input FloatFilter {
+  eq: Float
+  ne: Float
+  gt: Float
+  gte: Float
+  lt: Float
+  lte: Float
+  in: [Float!]
+}
+
+input BooleanFilter {
+  eq: Boolean
+  ne: Boolean
+}
+
+input DateTimeFilter {
+  eq: DateTime
+  ne: DateTime
+  gt: DateTime
+  gte: DateTime
+  lt: DateTime
+  lte: DateTime
+}
+
+input IDFilter {
+  eq: ID
+  ne: ID
+  in: [ID!]
+}
+${this.generateValueTypeDefs()}
+${models.map(model => this.generateModelTypeDefs(model)).join('\n\n')}
+
+type Query {
+${queries.join('\n')}
+}
+
+type Mutation {
+${mutations.join('\n')}
+}
+`;
+
+    return `/**
+ * GraphQL type definitions
+ *
+ * List queries take the same filter, sort, limit, page and cursor options
+ * as the REST list endpoints.
+ */
+module.exports = \`
+${typeDefs.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\`;
+`;
+  }
+
+  /**
+   * Generate the object types of money, geo point and file values, if fields
+   * use them
+   */
+  generateValueTypeDefs() {
+    const types = this.apiGenerator.getFieldTypes();
+    let typeDefs = '';
+
+    if (types.has('Money')) {
+      typeDefs += `
+"Exact amount of money; the amount is a decimal string such as 19.99"
+type Money {
+  amount: String!
+  currency: String!
+}
+
+"Money; the currency defaults to the field's currency"
+input MoneyInput {
+  amount: String!
+  currency: String
+}
+`;
+    }
+
+    if (types.has('Point')) {
+      typeDefs += `
+"GeoJSON point, longitude first"
+type GeoPoint {
+  type: String!
+  coordinates: [Float!]!
+}
+
+input GeoPointInput {
+  type: String
+  coordinates: [Float!]!
+}
+`;
+    }
+
+    if (types.has('File') || types.has('Image')) {
+      typeDefs += `
+"Metadata of an uploaded file; variants holds the WebP variants of an image"
+type StoredFile {
+  key: String!
+  filename: String!
+  mimeType: String!
+  size: Int!
+  width: Int
+  height: Int
+  variants: JSON
+  uploadedAt: DateTime
+}
+`;
+    }
+
+    return typeDefs;
+  }
+
+  /**
+   * Get the error translations for the database target
+   */
+  getDatabaseErrorCode() {
+    // Values are unique per tenant, so the tenantId is not the field in use
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    if (this.apiGenerator.isSQL()) {
+      const patterns = tenancy
+        ? '/Key \\((?:"tenantId", )?(.+?)\\)=/.exec(err.detail || \'\') || /UNIQUE constraint failed: (?:\\w+\\.tenantId, )?\\w+\\.(\\w+)/.exec(err.message)'
+        : '/Key \\((.+?)\\)=/.exec(err.detail || \'\') || /UNIQUE constraint failed: \\w+\\.(\\w+)/.exec(err.message)';
+
+      return `
+  // Unique constraint violation (PostgreSQL, SQLite)
+  if (err.code === '23505' || /UNIQUE constraint failed/.test(err.message)) {
+    const match = ${patterns};
+    return fail(\`\${match ? match[1] : 'value'} is already in use\`, 'CONFLICT');
+  }
+
+  // Foreign key violation: a missing reference, or a record still referenced elsewhere
+  if (err.code === '23503' || /FOREIGN KEY constraint failed/.test(err.message)) {
+    return action === 'delete'
+      ? fail('Record is still referenced by other records', 'CONFLICT')
+      : fail('Referenced record does not exist', 'BAD_USER_INPUT');
+  }
+
+  // Value the column type cannot hold
+  if (err.code === '22P02') {
+    return fail('Invalid value', 'BAD_USER_INPUT');
+  }
+`;
+    }
+
+    return `
+  // Schema validation
+  if (err.name === 'ValidationError' && err.errors) {
+    return fail('Validation failed', 'BAD_USER_INPUT', {
+      errors: Object.values(err.errors).map(error => ({ field: error.path, message: error.message }))
+    });
+  }
+
+  // Value that cannot be cast to the schema type
+  if (err.name === 'CastError') {
+    return fail(\`Invalid \${err.path}: \${err.value}\`, 'BAD_USER_INPUT');
+  }
+
+  // Unique index violation
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})${tenancy ? ".filter(key => key !== 'tenantId')" : ''}[0] || 'value';
+    return fail(\`\${field} is already in use\`, 'CONFLICT');
+  }
+`;
+  }
+
+  /**
+   * Generate code for the resolvers
+   */
+  generateResolversCode(models) {
+    const hasAudit = models.some(model => model.audit);
+    const hasWebhooks = this.apiGenerator.webhookGenerator.hasWebhooks();
+    const imports = models.map(model => `const ${model.name} = require('../models/${model.name}');
+const ${model.name}Validator = require('../validators/${model.name}Validator');`);
+
+    if (hasAudit) {
+      imports.unshift("const { recordChange } = require('../utils/audit');");
+    }
+
+    if (hasWebhooks) {
+      imports.unshift("const { emitEvent } = require('../webhooks/dispatcher');");
+    }
+
+    // Audited data types record each change like the REST controllers do
+    const record = (action, before, after) => hasAudit
+      ? `\n\n    if (definition.audit) {
+      await recordChange(req, name, '${action}', ${before}, ${after});
+    }`
+      : '';
+
+    // The dispatcher skips events nobody subscribed to
+    const emit = (event, item) => hasWebhooks ? `\n\n    await emitEvent(name, '${event}', ${item});` : '';
+
+    const definitions = models.map(model => `  ${model.name}: {
+    Model: ${model.name},
+    validator: ${model.name}Validator,
+    queryName: '${model.queryName}',
+    listName: '${model.listName}',
+    access: ${JSON.stringify(model.access)},${hasAudit ? `\n    audit: ${model.audit},` : ''}
+    refs: ${JSON.stringify(model.refs)},
+    lists: ${JSON.stringify(model.lists)},
+    reverse: ${JSON.stringify(model.reverse)}
+  }`);
+
+    return `/**
+ * GraphQL resolvers
+ *
+ * Built from the data type definitions below. Queries and mutations enforce
+ * the same access rules and validators as the REST routes, and references
+ * are resolved through the request's DataLoaders.
+ */
+const { GraphQLError, GraphQLScalarType, Kind, valueFromASTUntyped } = require('graphql');
+const { checkAccess } = require('../middleware/auth');
+const { listDocuments } = require('../utils/listQuery');
+const store = require('./store');
+${imports.join('\n')}
+
+// Access rules, references and reverse relations of each data type
+const MODELS = {
+${definitions.join(',\n')}
+};
+
+const fail = (message, code, extensions = {}) =>
+  new GraphQLError(message, { extensions: { code, ...extensions } });
+
+// Error codes for the errors the REST API answers with 4xx responses
+const STATUS_CODES = {
+  400: 'BAD_USER_INPUT',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT'
+};
+
+/**
+ * Translate a client error into a GraphQL error; other errors are left as is
+ */
+const toGraphQLError = (err, action) => {
+  if (err instanceof GraphQLError) {
+    return err;
+  }
+
+  // Invalid list options
+  if (err.name === 'QueryError') {
+    return fail(err.message, STATUS_CODES[err.status] || 'BAD_USER_INPUT');
+  }
+${this.getDatabaseErrorCode()}
+  return err;
+};
+
+/**
+ * Check the caller's access to an action on a data type
+ *
+ * @returns {Object} Conditions limiting owner-only access to the user's records
+ */
+const authorize = (req, name, action) => {
+  const access = checkAccess(req, MODELS[name].access[action]);
+
+  if (access === 'unauthenticated') {
+    throw fail('Authentication required', 'UNAUTHENTICATED');
+  }
+
+  if (access === 'deny') {
+    throw fail('You do not have permission to perform this action', 'FORBIDDEN');
+  }
+
+  return access === 'owner' ? { createdBy: req.user.id } : {};
+};
+
+/**
+ * Drop the null values of omitted arguments, including nested ones
+ */
+const compact = (values = {}) =>
+  Object.fromEntries(
+    Object.entries(values)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [
+        key,
+        typeof value === 'object' && !Array.isArray(value) ? compact(value) : value
+      ])
+  );
+
+/**
+ * Run the validator of a data type, failing with its field-level errors
+ */
+const validate = async (name, input, options) => {
+  const { data, errors } = await MODELS[name].validator.validate(input, options);
+
+  if (errors.length > 0) {
+    throw fail('Validation failed', 'BAD_USER_INPUT', { errors });
+  }
+
+  return data;
+};
+
+/**
+ * Find a record the caller may act on, or fail with NOT_FOUND
+ */
+const findRecord = async (name, id, conditions) => {
+  const item = await store.findOne(MODELS[name].Model, id, conditions);
+
+  if (!item) {
+    throw fail(\`\${name} not found\`, 'NOT_FOUND');
+  }
+
+  return item;
+};
+
+/**
+ * Wrap a resolver so its client errors carry GraphQL error codes
+ */
+const resolver = (action, resolve) => async (...args) => {
+  try {
+    return await resolve(...args);
+  } catch (err) {
+    throw toGraphQLError(err, action);
+  }
+};
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO 8601 date and time',
+  serialize: value => new Date(value).toISOString(),
+  // Valid dates are passed on as given, the validators cast them
+  parseValue: value => {
+    if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+      throw new TypeError('DateTime must be an ISO 8601 date string');
+    }
+
+    return value;
+  },
+  parseLiteral: ast => {
+    if (ast.kind !== Kind.STRING || Number.isNaN(new Date(ast.value).getTime())) {
+      throw new TypeError('DateTime must be an ISO 8601 date string');
+    }
+
+    return ast.value;
+  }
+});
+
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+const resolvers = {
+  DateTime,
+  JSON: JSONScalar,
+  Query: {},
+  Mutation: {}
+};
+
+for (const [name, definition] of Object.entries(MODELS)) {
+  const { Model } = definition;
+
+  resolvers.Query[definition.queryName] = resolver('read', (parent, { id }, { req, loaders }) =>
+    loaders.byId(Model, authorize(req, name, 'read')).load(id)
+  );
+
+  resolvers.Query[definition.listName] = resolver('list', async (parent, args, { req }) => {
+    const conditions = authorize(req, name, 'list');
+    const { data, meta } = await listDocuments(
+      Model,
+      { query: compact(args), originalUrl: '/graphql', user: req.user },
+      conditions
+    );
+
+    return { items: data, ...meta };
+  });
+
+  resolvers.Mutation[\`create\${name}\`] = resolver('create', async (parent, { input }, { req }) => {
+    authorize(req, name, 'create');
+    const data = await validate(name, input);
+
+    const item = await store.create(Model, {
+      ...data,
+      // Set creator if applicable
+      createdBy: req.user && req.user.id ? req.user.id : null
+    });${record('create', 'null', 'item')}${emit('created', 'item')}
+
+    return item;
+  });
+
+  resolvers.Mutation[\`update\${name}\`] = resolver('update', async (parent, { id, input }, { req }) => {
+    const item = await findRecord(name, id, authorize(req, name, 'update'));
+    const data = await validate(name, input, { partial: true, id });
+
+    const updated = await store.update(Model, item, data);${record('update', 'item', 'updated')}${emit('updated', 'updated')}
+
+    return updated;
+  });
+
+  resolvers.Mutation[\`delete\${name}\`] = resolver('delete', async (parent, { id }, { req }) => {
+    const item = await findRecord(name, id, authorize(req, name, 'delete'));${hasAudit || hasWebhooks ? `
+    const before = store.snapshot(item);` : ''}
+    ${hasAudit ? 'const deleted = ' : ''}await store.remove(Model, item);${record('delete', 'before', 'deleted')}${emit('deleted', 'before')}
+
+    return true;
+  });
+
+  const fields = {};
+
+  for (const [field, target] of Object.entries(definition.refs)) {
+    fields[field] = resolver('read', (parent, args, { req, loaders }) =>
+      parent[field]
+        ? loaders.byId(MODELS[target].Model, authorize(req, target, 'read')).load(String(parent[field]))
+        : null
+    );
+  }
+
+  for (const [field, target] of Object.entries(definition.lists)) {
+    fields[field] = resolver('read', async (parent, args, { req, loaders }) => {
+      const ids = (parent[field] || []).map(String);
+      const items = await loaders.byId(MODELS[target].Model, authorize(req, target, 'read')).loadMany(ids);
+
+      // Missing and inaccessible records are left out
+      return items.filter(item => item && !(item instanceof Error));
+    });
+  }
+
+  for (const [field, relation] of Object.entries(definition.reverse)) {
+    fields[field] = resolver('list', async (parent, { limit }, { req, loaders }) => {
+      const items = await loaders
+        .byRef(MODELS[relation.model].Model, relation.field, authorize(req, relation.model, 'list'))
+        .load(String(parent._id));
+
+      return limit === null ? items : items.slice(0, Math.max(limit, 0));
+    });
+  }
+
+  resolvers[name] = fields;
+}
+
+module.exports = resolvers;
+`;
+  }
+
+  /**
+   * Generate code for the per-request DataLoaders
+   */
+  generateLoadersCode() {
+    return `/**
+ * GraphQL DataLoaders
+ *
+ * Created for each request, so that all references to a data type resolved
+ * at one level of a query are fetched with a single database query, and
+ * each record is loaded at most once per request.
+ */
+const DataLoader = require('dataloader');
+const store = require('./store');
+
+/**
+ * Create the loaders of a request
+ */
+const createLoaders = () => {
+  const loaders = new Map();
+
+  // Conditions are part of the key, so scoped and unscoped loads never mix
+  const getLoader = (key, batch) => {
+    if (!loaders.has(key)) {
+      loaders.set(key, new DataLoader(batch));
+    }
+
+    return loaders.get(key);
+  };
+
+  return {
+    /**
+     * Load records by ID; missing records resolve to null
+     *
+     * @param {Object} Model - Model to load from
+     * @param {Object} conditions - Conditions always applied (e.g. ownership)
+     */
+    byId: (Model, conditions = {}) =>
+      getLoader(\`\${Model.modelName}:_id:\${JSON.stringify(conditions)}\`, async (ids) => {
+        const records = await store.findIn(Model, '_id', ids, conditions);
+        const byId = new Map(records.map(record => [String(record._id), record]));
+
+        return ids.map(id => byId.get(String(id)) || null);
+      }),
+
+    /**
+     * Load the records that reference an ID through a field
+     *
+     * @param {Object} Model - Model to load from
+     * @param {string} field - Reference field
+     * @param {Object} conditions - Conditions always applied (e.g. ownership)
+     */
+    byRef: (Model, field, conditions = {}) =>
+      getLoader(\`\${Model.modelName}:\${field}:\${JSON.stringify(conditions)}\`, async (ids) => {
+        const records = await store.findIn(Model, field, ids, conditions);
+        const groups = new Map(ids.map(id => [String(id), []]));
+
+        for (const record of records) {
+          const group = groups.get(String(record[field]));
+
+          if (group) {
+            group.push(record);
+          }
+        }
+
+        return ids.map(id => groups.get(String(id)));
+      })
+  };
+};
+
+module.exports = {
+  createLoaders
+};
+`;
+  }
+
+  /**
+   * Generate code for the database access used by the resolvers
+   */
+  generateStoreCode() {
+    if (this.apiGenerator.isSQL()) {
+      return `/**
+ * GraphQL data access
+ *
+ * The record operations the resolvers need, as performed by the REST
+ * controllers.
+ */
+
+// Find the records whose field matches one of the values
+const findIn = (Model, field, values, conditions = {}) =>
+  Model.findIn(field, values.map(String), conditions);
+
+const findOne = (Model, id, conditions = {}) => Model.findOne({ ...conditions, _id: id });
+
+const create = (Model, data) => Model.create(data);
+
+const update = (Model, item, data) => Model.update(item._id, data);
+
+// Returns the soft deleted record, or null when the record is removed for good
+const remove = async (Model, item) => {
+  if (Model.softDelete) {
+    return Model.markDeleted(item._id);
+  }
+
+  await Model.remove(item._id);
+  return null;
+};
+
+// Records are plain objects that later changes don't touch
+const snapshot = item => item;
+
+module.exports = {
+  findIn,
+  findOne,
+  create,
+  update,
+  remove,
+  snapshot
+};
+`;
+    }
+
+    return `/**
+ * GraphQL data access
+ *
+ * The record operations the resolvers need, as performed by the REST
+ * controllers.
+ */
+const ID_PATTERN = /${this.apiGenerator.getIdPattern()}/;
+
+const isValidId = value => ID_PATTERN.test(String(value));
+
+// Find the records whose field matches one of the values; malformed IDs match nothing
+const findIn = async (Model, field, values, conditions = {}) => {
+  const ids = values.filter(isValidId);
+  return ids.length > 0 ? Model.find({ ...conditions, [field]: { $in: ids } }) : [];
+};
+
+const findOne = async (Model, id, conditions = {}) =>
+  isValidId(id) ? Model.findOne({ ...conditions, _id: id }) : null;
+
+const create = (Model, data) => Model.create(data);
+
+const update = (Model, item, data) =>
+  Model.findByIdAndUpdate(item._id, { $set: data }, { new: true, runValidators: true });
+
+// Returns the soft deleted document, or null when it is removed for good
+const remove = async (Model, item) => {
+  if (typeof item.markDeleted === 'function') {
+    return item.markDeleted();
+  }
+
+  await item.deleteOne();
+  return null;
+};
+
+// Plain copy of a document's values, unaffected by later changes to it
+const snapshot = item => item.toObject();
+
+module.exports = {
+  findIn,
+  findOne,
+  create,
+  update,
+  remove,
+  snapshot
+};
+`;
+  }
+
+  /**
+   * Generate code for the GraphQL endpoint
+   */
+  generateIndexCode() {
+    return `/**
+ * GraphQL endpoint
+ *
+ * Serves GET and POST requests following the GraphQL over HTTP spec.
+ * Callers authenticate with the same bearer tokens as the REST API.
+ */
+const express = require('express');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const typeDefs = require('./schema');
+const resolvers = require('./resolvers');
+const { createLoaders } = require('./loaders');
+const { identify } = require('../middleware/auth');
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const router = express.Router();
+
+router.all(
+  '/',
+  identify,
+  createHandler({
+    schema,
+    context: (req) => ({ req: req.raw, loaders: createLoaders() })
+  })
+);
+
+module.exports = router;
+`;
+  }
+
+  /**
+   * Get the packages the GraphQL endpoint needs
+   */
+  getPackages() {
+    return this.isEnabled()
+      ? ['@graphql-tools/schema', 'dataloader', 'graphql', 'graphql-http']
+      : [];
+  }
+
+  /**
+   * Generate README documentation for the GraphQL endpoint
+   */
+  generateDocs() {
+    if (!this.isEnabled()) {
+      return '';
+    }
+
+    const models = this.getModels();
+    const [model] = models;
+    const related = models.find(candidate => Object.keys(candidate.reverse).length > 0);
+    const example = related
+      ? `  ${related.listName}(limit: 10) {
+    items {
+      _id
+      ${Object.keys(related.reverse)[0]} { _id }
+    }
+    total
+    hasMore
+  }`
+      : `  ${model.listName}(limit: 10) {
+    items { _id }
+    total
+    hasMore
+  }`;
+
+    return `## GraphQL
+
+\`POST /graphql\` (or \`GET\` for queries) serves every data type next to the REST endpoints:
+
+${models.map(item => `- \`${item.queryName}(id)\`, \`${item.listName}(filter, sort, limit, page, cursor)\`, \`create${item.name}\`, \`update${item.name}\`, \`delete${item.name}\``).join('\n')}
+
+List queries take the same options as the REST list endpoints, with filters as input objects (e.g. \`filter: { price: { gte: 10 } }\`). References resolve to the referenced records, and single references can be followed back (e.g. from a record to the records that reference it). Lookups are batched per request with DataLoader, so nested queries do not run one query per record.
+
+\`\`\`graphql
+{
+${example}
+}
+\`\`\`
+
+Access rules and validation match the REST API. Send the access token as \`Authorization: Bearer <token>\`; errors carry a \`code\` extension (\`UNAUTHENTICATED\`, \`FORBIDDEN\`, \`NOT_FOUND\`, \`BAD_USER_INPUT\` with field-level \`errors\`, or \`CONFLICT\`).
+
+`;
+  }
+}
+
+module.exports = GraphQLGenerator;
@@ -0,0 +1,551 @@
+/**
+ * IndexGenerator.js
+ *
+ * Generates the indexes declared on data types: single-field and compound
+ * indexes, unique indexes, TTL indexes (records expire a number of seconds
+ * after a date field) and text indexes. Data types with a text index get a
+ * /search endpoint that ranks records by relevance and highlights the words
+ * that matched.
+ */
+
+const path = require('path');
+
+// Index types a data type can declare
+const INDEX_TYPES = ['index', 'unique', 'ttl', 'text'];
+
+// How often the SQL target removes expired records; MongoDB checks every minute too
+const EXPIRY_INTERVAL_MS = 60000;
+
+class IndexGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate the record expiry worker of the SQL target
+   */
+  async generateAll() {
+    // MongoDB removes expired documents itself
+    if (this.apiGenerator.isSQL() && this.hasExpiry()) {
+      await this.apiGenerator.writeCode(path.join(this.apiGenerator.utilOutputDir, 'expiry.js'), this.generateExpiryCode());
+    }
+  }
+
+  /**
+   * Get the indexes declared on a data type
+   *
+   * Fields are given as an array or a comma-separated list; a leading '-'
+   * sorts the field in descending order.
+   *
+   * @returns {Array<{ type, fields: Array<{ name, order }>, expireAfterSeconds?, weights? }>}
+   */
+  getIndexes(node) {
+    return (node.data.indexes || []).map(index => this.normalizeIndex(index));
+  }
+
+  /**
+   * Normalize an index entry of the Data Modeler
+   */
+  normalizeIndex(index) {
+    const type = index.type || 'index';
+    const fields = this.apiGenerator.parseList(index.fields).map(key => ({
+      name: key.replace(/^[-+]/, ''),
+      order: key.startsWith('-') ? -1 : 1
+    }));
+    const normalized = { type, fields };
+
+    if (type === 'ttl') {
+      const seconds = index.expireAfterSeconds;
+      normalized.expireAfterSeconds = seconds === undefined || seconds === null || seconds === '' ? NaN : Number(seconds);
+    }
+
+    // Fields without a weight of their own weigh 1
+    if (type === 'text') {
+      const weights = this.parseWeights(index.weights);
+      normalized.weights = Object.fromEntries(
+        fields.map(field => [field.name, weights[field.name] !== undefined ? weights[field.name] : 1])
+      );
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Parse text index weights from an object or a list like "title:10, description:2"
+   */
+  parseWeights(weights) {
+    if (weights && typeof weights === 'object' && !Array.isArray(weights)) {
+      return Object.fromEntries(Object.entries(weights).map(([name, weight]) => [name, Number(weight)]));
+    }
+
+    return Object.fromEntries(
+      this.apiGenerator.parseList(weights).map(entry => {
+        const [name, weight = ''] = entry.split(':').map(part => part.trim());
+        return [name, weight === '' ? NaN : Number(weight)];
+      })
+    );
+  }
+
+  /**
+   * Get the index types a data type can declare
+   */
+  getIndexTypes() {
+    return INDEX_TYPES;
+  }
+
+  /**
+   * Get the text index of a data type, or null if it has none
+   */
+  getTextIndex(node) {
+    return this.getIndexes(node).find(index => index.type === 'text') || null;
+  }
+
+  /**
+   * Check whether a data type, or any data type, can be searched
+   */
+  hasSearch(node) {
+    const nodes = node ? [node] : this.apiGenerator.getDataTypeNodes();
+    return nodes.some(item => this.getTextIndex(item) !== null);
+  }
+
+  /**
+   * Check whether any data type has a TTL index
+   */
+  hasExpiry() {
+    return this.apiGenerator.getDataTypeNodes().some(node =>
+      this.getIndexes(node).some(index => index.type === 'ttl')
+    );
+  }
+
+  /**
+   * Get the MongoDB key specification and options of declared indexes
+   *
+   * Unique indexes of a multi-tenant project are unique per tenant.
+   *
+   * @param {boolean} [tenancy] - Whether the collection is tenant-owned, by
+   *   default whether the project is multi-tenant
+   * @returns {Array<{ name, keys, options }>} name is MongoDB's default
+   *   index name, e.g. status_1_createdAt_-1
+   */
+  getMongoIndexes(indexes, tenancy = this.apiGenerator.tenantGenerator.isEnabled()) {
+    return indexes.map(index => {
+      const fields = index.type === 'unique' && tenancy
+        ? [{ name: 'tenantId', order: 1 }, ...index.fields]
+        : index.fields;
+      const keys = Object.fromEntries(
+        fields.map(field => [field.name, index.type === 'text' ? 'text' : field.order])
+      );
+      const options = {};
+
+      if (index.type === 'unique') {
+        options.unique = true;
+      }
+
+      if (index.type === 'ttl') {
+        options.expireAfterSeconds = index.expireAfterSeconds;
+      }
+
+      if (index.type === 'text') {
+        const weights = Object.entries(index.weights).filter(([, weight]) => weight !== 1);
+
+        if (weights.length > 0) {
+          options.weights = Object.fromEntries(weights);
+        }
+      }
+
+      return {
+        name: Object.entries(keys).map(([field, value]) => `${field}_${value}`).join('_'),
+        keys,
+        options
+      };
+    });
+  }
+
+  /**
+   * Generate the schema.index() statements of a Mongoose model
+   */
+  getMongoIndexCode(modelName, indexes = []) {
+    const statements = this.getMongoIndexes(indexes).map(({ keys, options }) =>
+      `${modelName}Schema.index(${JSON.stringify(keys)}${Object.keys(options).length > 0 ? `, ${JSON.stringify(options)}` : ''});`
+    );
+
+    return statements.length > 0 ? `\n${statements.join('\n')}\n` : '';
+  }
+
+  /**
+   * Get the search route of a data type, shared by the JavaScript and
+   * TypeScript route files; it must precede /:id
+   */
+  getRouteCode(modelName, routeName, access, options) {
+    if (!options.search) {
+      return '';
+    }
+
+    const api = this.apiGenerator;
+
+    return `/**
+ * @route   GET /api/${routeName}/search
+ * @desc    Search ${routeName} by text, best matches first
+ * @access  ${api.describeAccess(access.list)}
+ */
+router.get('/search', ${api.getAccessMiddleware(access.list)}${modelName}Controller.search);
+
+`;
+  }
+
+  /**
+   * Generate the database-independent search helpers of queryParams.js
+   */
+  generateSearchHelperCode() {
+    return `
+// Words of q beyond this are ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Search results are ranked and paged by page number
+const UNSUPPORTED_SEARCH_PARAMS = ['sort', 'fields', 'cursor'];
+
+// Longer values are cut around their first match when highlighted
+const MAX_HIGHLIGHT_LENGTH = 200;
+const HIGHLIGHT_CONTEXT = 60;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHTML = value => value.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Parse q=red shirts into the lowercase words to search for, rejecting the
+ * list parameters that do not apply to ranked results
+ */
+const parseSearchTerms = (query) => {
+  for (const param of UNSUPPORTED_SEARCH_PARAMS) {
+    if (query[param] !== undefined) {
+      throw new QueryError(\`Search does not accept \${param}\`);
+    }
+  }
+
+  const words = typeof query.q === 'string' ? query.q.toLowerCase().match(/[\\p{L}\\p{N}]+/gu) : null;
+
+  if (!words) {
+    throw new QueryError('q must contain at least one word to search for');
+  }
+
+  return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * Mark the words of a text that start with a search term or its stem, so
+ * "shirts" also marks "shirt" the way the database's stemming matches it
+ *
+ * @returns {string|null} HTML with the matches in <mark> tags, or null if
+ *   nothing matches
+ */
+const highlightText = (text, terms) => {
+  const prefixes = terms.map(term => {
+    const stem = term.replace(/(ing|ed|es|s)$/, '');
+    return stem.length >= 3 ? stem : term;
+  });
+  const pattern = new RegExp(\`(?<![\\\\p{L}\\\\p{N}])(?:\${prefixes.join('|')})[\\\\p{L}\\\\p{N}]*\`, 'giu');
+  const matches = [...text.matchAll(pattern)];
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+
+  if (text.length > MAX_HIGHLIGHT_LENGTH) {
+    start = Math.max(0, matches[0].index - HIGHLIGHT_CONTEXT);
+    end = Math.min(text.length, start + MAX_HIGHLIGHT_LENGTH);
+  }
+
+  let html = start > 0 ? '…' : '';
+  let position = start;
+
+  for (const match of matches) {
+    const matchEnd = match.index + match[0].length;
+
+    if (matchEnd > end) {
+      break;
+    }
+
+    html += \`\${escapeHTML(text.slice(position, match.index))}<mark>\${escapeHTML(match[0])}</mark>\`;
+    position = matchEnd;
+  }
+
+  return \`\${html}\${escapeHTML(text.slice(position, end))}\${end < text.length ? '…' : ''}\`;
+};
+
+/**
+ * Highlight the search terms in the text fields of a record
+ *
+ * @returns {Object} HTML per matching field, e.g. { title: 'Red <mark>shirt</mark>' }
+ */
+const highlightRecord = (record, fields, terms) => {
+  const highlights = {};
+
+  for (const field of fields) {
+    const html = typeof record[field] === 'string' ? highlightText(record[field], terms) : null;
+
+    if (html) {
+      highlights[field] = html;
+    }
+  }
+
+  return highlights;
+};
+`;
+  }
+
+  /**
+   * Generate the MongoDB search query of listQuery.js
+   */
+  generateMongoSearchCode() {
+    return `
+/**
+ * Get the fields of a model's text index
+ */
+const getTextFields = (Model) => {
+  const index = Model.schema.indexes().find(([keys]) => Object.values(keys).includes('text'));
+  return index ? Object.keys(index[0]).filter(field => index[0][field] === 'text') : [];
+};
+
+/**
+ * Search documents by text with the model's text index, best matches first
+ *
+ * Accepts q, filter, limit, page and expand. Each item has its relevance as
+ * _score and the HTML of its matching text fields as _highlights.
+ *
+ * @param {mongoose.Model} Model - Model to search
+ * @param {Object} req - Express request
+ * @param {Object} baseFilter - Conditions always applied (e.g. ownership)
+ * @param {Array} populate - Populate options for expanded references
+ * @returns {Promise<Object>} The response envelope
+ */
+const searchDocuments = async (Model, req, baseFilter = {}, populate = []) => {
+  const query = req.query || {};
+  const terms = parseSearchTerms(query);
+  const getFieldType = field => getPathType(Model, field);
+  const { limit, page } = parsePagination(query);
+  const filter = {
+    ...buildFilter(parseFilter(query.filter, getFieldType)),
+    ...baseFilter,
+    $text: { $search: terms.join(' ') }
+  };
+  const score = { $meta: 'textScore' };
+
+  // Text queries fail until the text index has been built
+  await Model.init();
+
+  let findQuery = Model.find(filter, { _score: score })
+    .sort({ _score: score, _id: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1);
+
+  if (populate.length > 0) {
+    findQuery = findQuery.populate(populate);
+  }
+
+  const [total, items] = await Promise.all([
+    Model.countDocuments(filter),
+    findQuery
+  ]);
+
+  const hasMore = items.length > limit;
+  const fields = getTextFields(Model);
+  const data = (hasMore ? items.slice(0, limit) : items).map(item => ({
+    ...item.toJSON(),
+    _score: item.get('_score'),
+    _highlights: highlightRecord(item, fields, terms)
+  }));
+
+  return buildEnvelope(req, { data, total, limit, page, hasMore, nextCursor: null });
+};
+`;
+  }
+
+  /**
+   * Get the data types with a TTL index and when their records expire
+   */
+  getExpiringModels() {
+    const expiring = [];
+
+    for (const node of this.apiGenerator.getDataTypeNodes()) {
+      for (const index of this.getIndexes(node).filter(item => item.type === 'ttl')) {
+        expiring.push({
+          model: this.apiGenerator.formatModelName(node.data.name),
+          field: index.fields[0].name,
+          expireAfterSeconds: index.expireAfterSeconds
+        });
+      }
+    }
+
+    return expiring;
+  }
+
+  /**
+   * Generate code for the SQL record expiry worker
+   */
+  generateExpiryCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * Record expiry
+ *
+ * Deletes the records of data types with a TTL index once their date field
+ * is older than the index's lifetime, as MongoDB does for TTL indexes.
+ * Expired records are removed without audit entries or webhook events${tenancy ? `, for
+ * every tenant at once` : ''}.
+ */
+const { getModel } = require('../db/model');${tenancy ? `
+const { runUnscoped } = require('./tenancy');` : ''}
+
+// Data types whose records expire, with the date field they expire after
+const EXPIRING = ${JSON.stringify(this.getExpiringModels(), null, 2)};
+
+const INTERVAL_MS = ${EXPIRY_INTERVAL_MS};
+
+let timer = null;
+
+/**
+ * Delete every expired record
+ */
+const purgeExpired = ${tenancy ? '() => runUnscoped(async () => {' : 'async () => {'}
+  for (const { model, field, expireAfterSeconds } of EXPIRING) {
+    const Model = getModel(model);
+    const cutoff = new Date(Date.now() - expireAfterSeconds * 1000);
+
+    await Model.query()
+      .where(Model.getColumn(field), '<', Model.toColumn(Model.getField(field), cutoff))
+      .del();
+  }
+}${tenancy ? ')' : ''};
+
+const run = () => {
+  purgeExpired().catch(err => console.error('Record expiry error:', err));
+};
+
+/**
+ * Start deleting expired records in the background
+ */
+const startWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  run();
+  timer = setInterval(run, INTERVAL_MS);
+
+  // Do not keep the process alive just for expiry
+  timer.unref();
+};
+
+/**
+ * Stop the background worker
+ */
+const stopWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  purgeExpired,
+  startWorker,
+  stopWorker
+};
+`;
+  }
+
+  /**
+   * Describe an index for the README
+   */
+  describeIndex(index) {
+    switch (index.type) {
+      case 'unique':
+        return 'Unique';
+      case 'ttl':
+        return `TTL, records expire ${index.expireAfterSeconds} s after \`${index.fields[0].name}\``;
+      case 'text': {
+        const weights = Object.entries(index.weights).filter(([, weight]) => weight !== 1);
+        return weights.length > 0
+          ? `Text (weights: ${weights.map(([name, weight]) => `\`${name}\` ${weight}`).join(', ')})`
+          : 'Text';
+      }
+      default:
+        return 'Index';
+    }
+  }
+
+  /**
+   * Generate README section for declared indexes and search
+   */
+  generateDocs() {
+    const rows = [];
+    const searchable = [];
+
+    for (const node of this.apiGenerator.getDataTypeNodes()) {
+      const modelName = this.apiGenerator.formatModelName(node.data.name);
+
+      for (const index of this.getIndexes(node)) {
+        const fields = index.fields.map(field => `\`${field.name}\`${field.order === -1 && index.type !== 'text' ? ' (descending)' : ''}`);
+        rows.push(`| \`${modelName}\` | ${this.describeIndex(index)} | ${fields.join(', ')} |`);
+      }
+
+      if (this.hasSearch(node)) {
+        searchable.push(`\`/api/${this.apiGenerator.formatRouteName(node.data.name)}/search\``);
+      }
+    }
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const isSQL = this.apiGenerator.isSQL();
+    let docs = `## Indexes and Search
+
+| Data type | Index | Fields |
+|-----------|-------|--------|
+${rows.join('\n')}
+
+`;
+
+    if (this.hasExpiry()) {
+      docs += isSQL
+        ? `Records of data types with a TTL index are deleted by the API once their date is older than the lifetime, checked every minute while the server runs. They are removed without audit entries or webhook events.\n\n`
+        : `MongoDB deletes documents of data types with a TTL index once their date is older than the lifetime, checked about every minute.\n\n`;
+    }
+
+    if (searchable.length > 0) {
+      docs += `Data types with a text index can be searched: ${searchable.join(', ')}.
+
+\`\`\`
+GET /api/products/search?q=red shirts&filter[status]=active
+\`\`\`
+
+- \`q\` (required) - The words to search for; records matching any of them are returned, best matches first. Words are stemmed, so \`shirts\` also finds \`shirt\`.
+- \`filter\`, \`limit\`, \`page\` and \`expand\` work as on list endpoints. Results are ranked, so \`sort\`, \`fields\` and \`cursor\` are not accepted.
+
+Each item is a record with its relevance as \`_score\`, weighted by the index weights, and the HTML of its matching fields as \`_highlights\`, with the matched words in \`<mark>\` tags and other markup escaped:
+
+\`\`\`json
+{
+  "_id": "...",
+  "title": "Red shirt",
+  "_score": 1.5,
+  "_highlights": { "title": "Red <mark>shirt</mark>" }
+}
+\`\`\`
+
+${isSQL
+    ? 'PostgreSQL searches an English full-text index of the text fields; SQLite a full-text (FTS5) table kept in sync by triggers.'
+    : 'Searches use the MongoDB text index, which is built when the API first uses the model.'}
+
+`;
+    }
+
+    return docs;
+  }
+}
+
+module.exports = IndexGenerator;
@@ -0,0 +1,1259 @@
+/**
+ * MigrationGenerator.js
+ *
+ * Compares the data model with the snapshot saved by the previous generation
+ * and emits a migration with up and down steps for the differences: added,
+ * removed and renamed data types and fields, type changes, declared and
+ * unique indexes, soft delete and audit trail options, the webhook delivery
+ * log and multi-tenancy.
+ * Fields and data types are matched by node id, so renames are detected.
+ * Changes that lose data are flagged as destructive and are not applied
+ * until they have been reviewed.
+ */
+
+const path = require('path');
+
+// Field properties that affect the stored data
+const FIELD_PROPERTIES = ['name', 'type', 'of', 'ref', 'required', 'unique', 'default'];
+
+// Changes that alter an existing table
+const ALTERING_CHANGES = ['addField', 'removeField', 'renameField', 'changeField', 'addSoftDelete', 'removeSoftDelete'];
+
+// Built-in models whose records belong to a tenant under multi-tenancy
+const TENANT_MODELS = ['User', 'FunnelSession', 'AuditEntry', 'WebhookDelivery'];
+
+// Slug of the tenant that existing records move to
+const DEFAULT_TENANT = 'default';
+
+// $convert target for each field type
+const MONGO_TYPES = {
+  String: 'string',
+  Email: 'string',
+  URL: 'string',
+  Number: 'double',
+  Boolean: 'bool',
+  Date: 'date',
+  ObjectId: 'objectId'
+};
+
+class MigrationGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.sqlGenerator = apiGenerator.sqlGenerator;
+    this.snapshotPath = path.join(apiGenerator.outputDir, 'schema.json');
+    this.outputDir = apiGenerator.isSQL()
+      ? this.sqlGenerator.migrationOutputDir
+      : path.join(apiGenerator.outputDir, 'migrations');
+  }
+
+  /**
+   * Diff the data model against the last snapshot and write a migration
+   *
+   * @returns {Promise<Object|null>} The migration file and its changes, or
+   *   null when there is nothing to migrate
+   */
+  async generateAll() {
+    const current = this.buildSnapshot();
+    const previous = await this.readSnapshot();
+    let result = null;
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+
+    if (!this.apiGenerator.isSQL()) {
+      await this.apiGenerator.writeCode(path.join(this.outputDir, 'run.js'), this.generateRunnerCode());
+      await this.apiGenerator.writeCode(path.join(this.outputDir, 'helpers.js'), this.generateHelpersCode());
+    }
+
+    if (!previous || previous.database !== current.database) {
+      if (previous) {
+        console.warn(`Database changed from ${previous.database} to ${current.database}, starting a new migration history`);
+      }
+
+      // A new schema needs no diff, only the initial tables
+      if (this.apiGenerator.isSQL()) {
+        await this.apiGenerator.writeCode(
+          path.join(this.outputDir, '0001_initial_schema.js'),
+          this.sqlGenerator.generateMigrationCode()
+        );
+      }
+    } else {
+      const changes = this.diff(previous, current);
+
+      if (changes.length > 0) {
+        const name = `${await this.getNextSequence()}_update_data_model`;
+        const code = this.apiGenerator.isSQL()
+          ? this.generateSQLMigrationCode(name, changes, previous, current)
+          : this.generateMongoMigrationCode(name, changes);
+
+        await this.apiGenerator.writeCode(path.join(this.outputDir, `${name}.js`), code);
+
+        const destructive = changes.filter(change => change.destructive);
+        if (destructive.length > 0) {
+          console.warn(`Migration ${name} has destructive changes that need review:\n${destructive.map(change => `- ${change.description}`).join('\n')}`);
+        }
+
+        result = {
+          file: path.relative(this.apiGenerator.outputDir, path.join(this.outputDir, `${name}.js`)),
+          changes: changes.map(({ description, destructive: isDestructive }) => ({
+            description,
+            destructive: Boolean(isDestructive)
+          }))
+        };
+      }
+    }
+
+    await this.apiGenerator.fs.writeFile(this.snapshotPath, JSON.stringify(current, null, 2));
+    return result;
+  }
+
+  /**
+   * Read the snapshot of the previous generation
+   */
+  async readSnapshot() {
+    try {
+      return JSON.parse(await this.apiGenerator.fs.readFile(this.snapshotPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      console.warn('Ignoring unreadable data model snapshot:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the next migration number from the files already generated
+   */
+  async getNextSequence() {
+    const files = await this.apiGenerator.fs.readdir(this.outputDir);
+    const numbers = files
+      .map(file => /^(\d+)_.+\.js$/.exec(file))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+
+    return String(Math.max(0, ...numbers) + 1).padStart(4, '0');
+  }
+
+  /**
+   * Reduce the data model to what affects stored data
+   */
+  buildSnapshot() {
+    const { dataModel } = this.project;
+    const nodes = this.apiGenerator.getDataTypeNodes();
+    const modelIds = new Map(nodes.map(node => [this.apiGenerator.formatModelName(node.data.name), node.id]));
+
+    return {
+      database: this.apiGenerator.getSetting('database', 'mongodb'),
+      workflow: this.apiGenerator.workflowGenerator.hasWorkflow(),
+      audit: this.apiGenerator.auditGenerator.hasAudit(),
+      webhooks: this.apiGenerator.webhookGenerator.hasWebhooks(),
+      // Only recorded when set, so older snapshots compare equal
+      ...(this.apiGenerator.tenantGenerator.isEnabled() ? { tenancy: true } : {}),
+      models: nodes.map(node => ({
+        id: node.id,
+        name: this.apiGenerator.formatModelName(node.data.name),
+        // Only recorded when set, so older snapshots compare equal
+        ...(this.apiGenerator.auditGenerator.getOptions(node).softDelete ? { softDelete: true } : {}),
+        ...(this.apiGenerator.indexGenerator.getIndexes(node).length > 0
+          ? { indexes: this.apiGenerator.indexGenerator.getIndexes(node) }
+          : {}),
+        fields: dataModel.edges
+          .filter(edge => edge.source === node.id)
+          .map(edge => dataModel.nodes.find(item => item.id === edge.target))
+          .filter(fieldNode => fieldNode && fieldNode.type === 'dataField')
+          .map(fieldNode => {
+            const field = { id: fieldNode.id };
+
+            for (const property of FIELD_PROPERTIES) {
+              const value = fieldNode.data[property];
+              if (value !== undefined && value !== null && value !== '' && value !== false) {
+                field[property] = value;
+              }
+            }
+
+            if (field.ref) {
+              field.ref = this.apiGenerator.formatModelName(field.ref);
+              field.refId = modelIds.get(field.ref) || null;
+            }
+
+            return field;
+          })
+      }))
+    };
+  }
+
+  /**
+   * List the changes between two snapshots
+   */
+  diff(previous, current) {
+    const changes = [];
+    const previousModels = new Map(previous.models.map(model => [model.id, model]));
+    const currentIds = new Set(current.models.map(model => model.id));
+
+    for (const model of current.models) {
+      const old = previousModels.get(model.id);
+
+      if (!old) {
+        changes.push({ type: 'addModel', model, description: `Add ${model.name}` });
+        continue;
+      }
+
+      if (old.name !== model.name) {
+        changes.push({ type: 'renameModel', from: old, to: model, description: `Rename ${old.name} to ${model.name}` });
+      }
+
+      changes.push(...this.diffFields(old, model));
+
+      if (!old.softDelete && model.softDelete) {
+        changes.push({ type: 'addSoftDelete', model, description: `Soft delete ${model.name}` });
+      } else if (old.softDelete && !model.softDelete) {
+        changes.push({
+          type: 'removeSoftDelete',
+          model,
+          destructive: true,
+          description: `Stop soft deleting ${model.name}; deleted ${model.name} records are removed for good`
+        });
+      }
+    }
+
+    for (const old of previous.models.filter(model => !currentIds.has(model.id))) {
+      changes.push({
+        type: 'removeModel',
+        model: old,
+        destructive: true,
+        description: `Drop ${old.name} and all of its data`
+      });
+    }
+
+    // Data types in both snapshots keep their records, so they move to a tenant
+    const kept = current.models.filter(model => previousModels.has(model.id)).map(model => model.name);
+
+    if (!previous.tenancy && current.tenancy) {
+      changes.push({
+        type: 'addTenancy',
+        models: kept,
+        description: `Scope records to tenants; existing records and users move to the "${DEFAULT_TENANT}" tenant`
+      });
+    } else if (previous.tenancy && !current.tenancy) {
+      changes.push({
+        type: 'removeTenancy',
+        models: kept,
+        destructive: true,
+        description: 'Stop scoping records to tenants; the records of every tenant are merged, which fails if unique values repeat across tenants'
+      });
+    }
+
+    changes.push(...this.diffIndexes(previous, current, changes));
+
+    if (!previous.workflow && current.workflow && this.apiGenerator.isSQL()) {
+      changes.push({ type: 'addSessions', description: 'Add funnel sessions' });
+    }
+
+    // The audit trail is kept when auditing is turned off again
+    if (!previous.audit && current.audit && this.apiGenerator.isSQL()) {
+      changes.push({ type: 'addAuditTrail', description: 'Add the audit trail' });
+    }
+
+    // Like the audit trail, the delivery log outlives the subscriptions
+    if (!previous.webhooks && current.webhooks && this.apiGenerator.isSQL()) {
+      changes.push({ type: 'addWebhookDeliveries', description: 'Add webhook deliveries' });
+    }
+
+    return changes;
+  }
+
+  /**
+   * List the field changes of a data type that exists in both snapshots
+   */
+  diffFields(old, model) {
+    const changes = [];
+    const oldFields = new Map(old.fields.map(field => [field.id, field]));
+    const currentIds = new Set(model.fields.map(field => field.id));
+
+    for (const field of old.fields.filter(item => !currentIds.has(item.id))) {
+      changes.push({
+        type: 'removeField',
+        model,
+        field,
+        destructive: true,
+        description: `Remove ${model.name}.${field.name} and its values`
+      });
+    }
+
+    for (const field of model.fields) {
+      const previous = oldFields.get(field.id);
+
+      if (!previous) {
+        changes.push({ type: 'addField', model, field, description: `Add ${model.name}.${field.name}` });
+        continue;
+      }
+
+      if (previous.name !== field.name) {
+        changes.push({
+          type: 'renameField',
+          model,
+          from: previous,
+          to: field,
+          description: `Rename ${model.name}.${previous.name} to ${field.name}`
+        });
+      }
+
+      const typeChanged = this.describeType(previous) !== this.describeType(field);
+      const refChanged = (previous.refId || previous.ref) !== (field.refId || field.ref);
+
+      if (typeChanged || refChanged) {
+        changes.push({
+          type: 'changeField',
+          model,
+          from: previous,
+          to: field,
+          destructive: true,
+          description: typeChanged
+            ? `Convert ${model.name}.${field.name} from ${this.describeType(previous)} to ${this.describeType(field)}; values that cannot be converted are lost`
+            : `Point ${model.name}.${field.name} at ${field.ref} instead of ${previous.ref}; existing references are cleared`
+        });
+      } else if (Boolean(previous.required) !== Boolean(field.required)) {
+        changes.push({
+          type: 'changeField',
+          model,
+          from: previous,
+          to: field,
+          description: field.required
+            ? `Make ${model.name}.${field.name} required; existing records need a value`
+            : `Make ${model.name}.${field.name} optional`
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describe a field type for comparison and messages
+   */
+  describeType(field) {
+    return field.type === 'Array' ? `Array of ${field.of || 'String'}` : field.type || 'String';
+  }
+
+  /**
+   * List the indexes of the data types in both snapshots that were added or dropped
+   *
+   * Indexes are compared with their options, so changing the lifetime of a
+   * TTL index or the weights of a text index drops and adds it again.
+   *
+   * @param {Array} tableChanges - The other changes, to rebuild the search
+   *   index of altered tables
+   */
+  diffIndexes(previous, current, tableChanges = []) {
+    const previousIds = new Set(previous.models.map(model => model.id));
+    const currentIds = new Set(current.models.map(model => model.id));
+    const changes = [];
+
+    const collect = (snapshot, ids) => new Map(
+      snapshot.models
+        .filter(model => ids.has(model.id))
+        .flatMap(model => this.getIndexes(model, Boolean(snapshot.tenancy)).map(index => [`${model.id}:${JSON.stringify(index)}`, { model, index }]))
+    );
+
+    const oldIndexes = collect(previous, currentIds);
+    const newIndexes = collect(current, previousIds);
+
+    for (const [key, { model, index }] of oldIndexes) {
+      if (!newIndexes.has(key)) {
+        changes.push({
+          type: 'dropIndex',
+          model,
+          index,
+          description: `Drop ${this.describeIndex(model, index)}`
+        });
+      }
+    }
+
+    for (const [key, { model, index }] of newIndexes) {
+      if (!oldIndexes.has(key)) {
+        changes.push({
+          type: 'addIndex',
+          model,
+          index,
+          description: `Add ${this.describeIndex(model, index)}${index.unique ? '; fails if existing values are not unique' : ''}`
+        });
+      }
+    }
+
+    // SQLite rebuilds altered tables without their triggers and with new
+    // row IDs, so the full-text index of an altered table is built again.
+    // Adding or removing tenancy alters every table.
+    const altered = new Set(
+      tableChanges.filter(change => ALTERING_CHANGES.includes(change.type)).map(change => change.model.id)
+    );
+    const alteredAll = tableChanges.some(change => ['addTenancy', 'removeTenancy'].includes(change.type));
+
+    for (const [key, { model, index }] of newIndexes) {
+      if (index.search && oldIndexes.has(key) && (alteredAll || altered.has(model.id))) {
+        const old = oldIndexes.get(key);
+
+        changes.push(
+          {
+            type: 'dropIndex',
+            model: old.model,
+            index: old.index,
+            description: `Drop ${this.describeIndex(old.model, old.index)} while the table changes`
+          },
+          {
+            type: 'addIndex',
+            model,
+            index,
+            description: `Rebuild ${this.describeIndex(model, index)}`
+          }
+        );
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Describe an index for the migration header, e.g. "unique index on Customer.email"
+   */
+  describeIndex(model, index) {
+    let kind = '';
+
+    if (index.text) {
+      kind = 'text ';
+    } else if (index.unique) {
+      kind = 'unique ';
+    } else if (index.options && index.options.expireAfterSeconds !== undefined) {
+      kind = 'TTL ';
+    }
+
+    const order = index.keys ? Object.values(index.keys) : index.order || [];
+    const fields = index.fields.map((field, i) => (order[i] === -1 ? `${field} desc` : field));
+    const target = fields.length === 1 && !index.text
+      ? `${model.name}.${fields[0]}`
+      : `${model.name} (${fields.join(', ')})`;
+
+    return `${kind}index on ${target}`;
+  }
+
+  /**
+   * Get the indexes of a data type, named the way the database names them
+   *
+   * Unique indexes are unique per tenant under multi-tenancy. The tenantId
+   * index itself comes and goes with the tenancy change.
+   *
+   * @param {Object} model - Data type of a snapshot
+   * @param {boolean} [tenancy] - Whether the snapshot is multi-tenant
+   * @returns {Array<{ name, fields, unique }>} SQL indexes also have the
+   *   columns of their index statement, or the search definition of a text
+   *   index; MongoDB indexes have their keys and options
+   */
+  getIndexes(model, tenancy = false) {
+    const declared = model.indexes || [];
+    const scoped = fields => (tenancy ? ['tenantId', ...fields] : fields);
+
+    if (this.apiGenerator.isSQL()) {
+      const table = this.sqlGenerator.getTableName(model.name);
+      const definitions = this.getFieldDefinitions(model);
+      const column = field => ({ name: `${table}_${field}_index`.toLowerCase(), fields: [field], columns: [`'${field}'`], unique: false });
+      const unique = field => ({
+        name: `${table}_${scoped([field]).join('_')}_unique`.toLowerCase(),
+        fields: scoped([field]),
+        columns: scoped([field]).map(name => `'${name}'`),
+        unique: true
+      });
+
+      // Knex lowercases the default index names
+      const indexes = Object.entries(definitions)
+        .flatMap(([field, definition]) => [
+          definition.unique && unique(field),
+          definition.type === 'ObjectId' && column(field)
+        ])
+        .concat(model.softDelete ? [column('deletedAt')] : [])
+        .filter(Boolean);
+      const names = new Set(indexes.map(index => index.name));
+
+      for (const index of this.sqlGenerator.getDeclaredIndexes({ table, indexes: declared }, tenancy)) {
+        if (!names.has(index.name)) {
+          indexes.push(index);
+          names.add(index.name);
+        }
+      }
+
+      const textIndex = declared.find(index => index.type === 'text');
+
+      if (textIndex) {
+        const search = this.sqlGenerator.getSearchDefinition(table, textIndex);
+        indexes.push({ name: search.table, fields: search.fields, unique: false, text: true, table, search });
+      }
+
+      return indexes;
+    }
+
+    // Matches the index Mongoose creates for unique fields
+    const indexes = model.fields
+      .filter(field => field.unique && field.type !== 'Array')
+      .map((field) => {
+        const keys = Object.fromEntries(scoped([field.name]).map(name => [name, 1]));
+        return { name: Object.keys(keys).map(name => `${name}_1`).join('_'), fields: Object.keys(keys), keys, options: { unique: true }, unique: true };
+      });
+    const names = new Set(indexes.map(index => index.name));
+
+    for (const { name, keys, options } of this.apiGenerator.indexGenerator.getMongoIndexes(declared, tenancy)) {
+      if (!names.has(name)) {
+        const text = Object.values(keys).includes('text');
+        indexes.push({ name, fields: Object.keys(keys), keys, options, unique: Boolean(options.unique), ...(text ? { text } : {}) });
+        names.add(name);
+      }
+    }
+
+    return indexes;
+  }
+
+  /**
+   * Order changes so each step sees the schema it expects
+   */
+  sortChanges(changes) {
+    const order = [
+      'dropIndex',
+      'renameModel',
+      'renameField',
+      'removeField',
+      'changeField',
+      'addField',
+      'removeSoftDelete',
+      'addSoftDelete',
+      'removeTenancy',
+      'addTenancy',
+      'removeModel',
+      'addModel',
+      'addSessions',
+      'addAuditTrail',
+      'addWebhookDeliveries',
+      'addIndex'
+    ];
+
+    return [...changes].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  }
+
+  /**
+   * Generate the header comment listing the changes of a migration
+   */
+  generateHeader(name, changes) {
+    return `/**
+ * Migration ${name}
+ *
+ * Generated from the differences between two versions of the data model.
+ *
+${changes.map(change => ` * - ${change.destructive ? '[DESTRUCTIVE] ' : ''}${change.description}`).join('\n')}${changes.some(change => change.destructive) ? `
+ *
+ * Destructive changes lose data and need review. This migration is not
+ * applied unless ALLOW_DESTRUCTIVE_MIGRATIONS=true.` : ''}
+ */`;
+  }
+
+  /**
+   * Generate the list of destructive changes exported by a migration
+   */
+  generateDestructiveList(changes) {
+    return JSON.stringify(changes.filter(change => change.destructive).map(change => change.description), null, 2);
+  }
+
+  /**
+   * Generate code for the MongoDB migration runner
+   */
+  generateRunnerCode() {
+    return `/**
+ * Migration runner
+ *
+ * Usage: node migrations/run.js [up|down]
+ *
+ * up (the default) applies pending migrations in order and records them in
+ * the "migrations" collection; down reverts the most recent one. Migrations
+ * with destructive changes are refused unless ALLOW_DESTRUCTIVE_MIGRATIONS=true.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const ALLOW_DESTRUCTIVE = process.env.ALLOW_DESTRUCTIVE_MIGRATIONS === 'true';
+
+/**
+ * Load the migration files in order
+ */
+const loadMigrations = () => fs.readdirSync(__dirname)
+  .filter(file => /^\\d+_.+\\.js$/.test(file))
+  .sort()
+  .map(file => ({
+    name: path.basename(file, '.js'),
+    ...require(path.join(__dirname, file))
+  }));
+
+const checkDestructive = (migration) => {
+  const destructive = migration.destructive || [];
+
+  if (destructive.length > 0 && !ALLOW_DESTRUCTIVE) {
+    throw new Error(
+      \`\${migration.name} has destructive changes that need review:\\n\${destructive.map(item => \`- \${item}\`).join('\\n')}\\n\` +
+      'Set ALLOW_DESTRUCTIVE_MIGRATIONS=true to apply it.'
+    );
+  }
+};
+
+const up = async (db) => {
+  const applied = new Set((await db.collection('migrations').find().toArray()).map(item => item.name));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+  if (pending.length === 0) {
+    console.log('No pending migrations');
+  }
+
+  for (const migration of pending) {
+    checkDestructive(migration);
+    await migration.up(db);
+    await db.collection('migrations').insertOne({ name: migration.name, appliedAt: new Date() });
+    console.log(\`Applied \${migration.name}\`);
+  }
+};
+
+const down = async (db) => {
+  const [last] = await db.collection('migrations').find().sort({ name: -1 }).limit(1).toArray();
+
+  if (!last) {
+    console.log('No migrations to revert');
+    return;
+  }
+
+  const migration = loadMigrations().find(item => item.name === last.name);
+
+  if (!migration) {
+    throw new Error(\`Migration file for \${last.name} not found\`);
+  }
+
+  checkDestructive(migration);
+  await migration.down(db);
+  await db.collection('migrations').deleteOne({ name: last.name });
+  console.log(\`Reverted \${migration.name}\`);
+};
+
+const run = async () => {
+  const command = process.argv[2] || 'up';
+
+  if (!['up', 'down'].includes(command)) {
+    throw new Error(\`Unknown command "\${command}", use up or down\`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    await (command === 'up' ? up : down)(mongoose.connection.db);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
+`;
+  }
+
+  /**
+   * Generate code for the helpers shared by MongoDB migrations
+   */
+  generateHelpersCode() {
+    return `/**
+ * Migration helpers
+ *
+ * Collections are resolved from model names the same way Mongoose names them.
+ */
+const mongoose = require('mongoose');
+
+const collectionName = modelName => mongoose.pluralize()(modelName);
+
+const collection = (db, modelName) => db.collection(collectionName(modelName));
+
+const collectionExists = async (db, modelName) => {
+  const collections = await db.listCollections({ name: collectionName(modelName) }).toArray();
+  return collections.length > 0;
+};
+
+const renameCollection = async (db, from, to) => {
+  if (await collectionExists(db, from)) {
+    await collection(db, from).rename(collectionName(to));
+  }
+};
+
+const dropCollection = async (db, modelName) => {
+  if (await collectionExists(db, modelName)) {
+    await collection(db, modelName).drop();
+  }
+};
+
+const dropIndex = async (db, modelName, indexName) => {
+  if (!(await collectionExists(db, modelName))) {
+    return;
+  }
+
+  try {
+    await collection(db, modelName).dropIndex(indexName);
+  } catch (err) {
+    // Index not found
+    if (err.code !== 27) {
+      throw err;
+    }
+  }
+};
+
+module.exports = {
+  collection,
+  renameCollection,
+  dropCollection,
+  dropIndex
+};
+`;
+  }
+
+  /**
+   * Generate a MongoDB migration
+   */
+  generateMongoMigrationCode(name, changes) {
+    const sorted = this.sortChanges(changes);
+    const up = sorted.map(change => this.getMongoStep(change, 'up')).filter(Boolean);
+    const down = [...sorted].reverse().map(change => this.getMongoStep(change, 'down')).filter(Boolean);
+
+    return `${this.generateHeader(name, changes)}
+const { collection, renameCollection, dropCollection, dropIndex } = require('./helpers');
+
+exports.destructive = ${this.generateDestructiveList(changes)};
+
+exports.up = async (db) => {
+${up.join('\n\n')}
+};
+
+exports.down = async (db) => {
+${down.join('\n\n')}
+};
+`;
+  }
+
+  /**
+   * Generate the MongoDB statements for one change in one direction
+   */
+  getMongoStep(change, direction) {
+    const isUp = direction === 'up';
+    const comment = `  // ${isUp ? '' : 'Revert: '}${change.description}`;
+    const lines = [];
+
+    switch (change.type) {
+      case 'renameModel': {
+        const [from, to] = isUp ? [change.from.name, change.to.name] : [change.to.name, change.from.name];
+        lines.push(`await renameCollection(db, '${from}', '${to}');`);
+        break;
+      }
+      case 'removeModel':
+        lines.push(isUp
+          ? `await dropCollection(db, '${change.model.name}');`
+          : '// Dropped documents cannot be restored');
+        break;
+      case 'addModel':
+        lines.push(isUp
+          ? '// The collection is created with its first document'
+          : `await dropCollection(db, '${change.model.name}');`);
+        break;
+      case 'addField': {
+        const { field } = change;
+        const defaultValue = this.getMongoDefault(field);
+
+        if (!isUp) {
+          lines.push(`await collection(db, '${change.model.name}').updateMany({}, { $unset: { ${JSON.stringify(field.name)}: '' } });`);
+        } else if (defaultValue !== undefined) {
+          lines.push(`await collection(db, '${change.model.name}').updateMany(
+    { ${JSON.stringify(field.name)}: { $exists: false } },
+    { $set: { ${JSON.stringify(field.name)}: ${defaultValue} } }
+  );`);
+        } else {
+          lines.push('// No default value to fill in');
+        }
+        break;
+      }
+      case 'removeField':
+        lines.push(isUp
+          ? `await collection(db, '${change.model.name}').updateMany({}, { $unset: { ${JSON.stringify(change.field.name)}: '' } });`
+          : '// Removed values cannot be restored');
+        break;
+      case 'renameField': {
+        const [from, to] = isUp ? [change.from.name, change.to.name] : [change.to.name, change.from.name];
+        lines.push(`await collection(db, '${change.model.name}').updateMany(
+    { ${JSON.stringify(from)}: { $exists: true } },
+    { $rename: { ${JSON.stringify(from)}: ${JSON.stringify(to)} } }
+  );`);
+        break;
+      }
+      case 'changeField': {
+        const [from, to] = isUp ? [change.from, change.to] : [change.to, change.from];
+
+        if (this.describeType(from) !== this.describeType(to)) {
+          const expression = this.getMongoConversion(change.to.name, from, to);
+          lines.push(expression
+            ? `await collection(db, '${change.model.name}').updateMany(
+    { ${JSON.stringify(change.to.name)}: { $exists: true, $ne: null } },
+    [{ $set: { ${JSON.stringify(change.to.name)}: ${JSON.stringify(expression)} } }]
+  );`
+            : '// Mixed, money, geo and embedded values are kept as they are');
+        } else if ((from.refId || from.ref) !== (to.refId || to.ref)) {
+          // IDs of the old model would point at the wrong collection
+          lines.push(isUp
+            ? `await collection(db, '${change.model.name}').updateMany({}, { $unset: { ${JSON.stringify(change.to.name)}: '' } });`
+            : '// Cleared references cannot be restored');
+        } else {
+          lines.push('// Required fields are enforced by the schema');
+        }
+        break;
+      }
+      case 'addSoftDelete':
+      case 'removeSoftDelete':
+        if ((change.type === 'addSoftDelete') === isUp) {
+          lines.push('// Documents without deletedAt count as not deleted');
+        } else {
+          lines.push(`await collection(db, '${change.model.name}').deleteMany({ deletedAt: { $ne: null } });`);
+          lines.push(`await collection(db, '${change.model.name}').updateMany({}, { $unset: { deletedAt: '' } });`);
+        }
+        break;
+      case 'addIndex':
+      case 'dropIndex': {
+        const create = (change.type === 'addIndex') === isUp;
+        const { index } = change;
+
+        lines.push(create
+          ? `await collection(db, '${change.model.name}').createIndex(
+    ${JSON.stringify(index.keys)},
+    ${JSON.stringify({ name: index.name, ...index.options })}
+  );`
+          : `await dropIndex(db, '${change.model.name}', '${index.name}');`);
+        break;
+      }
+      case 'addTenancy':
+      case 'removeTenancy': {
+        const models = JSON.stringify([...TENANT_MODELS, ...change.models]);
+
+        if ((change.type === 'addTenancy') === isUp) {
+          lines.push(`const { insertedId: defaultTenantId } = await collection(db, 'Tenant').insertOne({
+    slug: '${DEFAULT_TENANT}',
+    name: 'Default',
+    active: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });`);
+          lines.push(`for (const name of ${models}) {
+    await collection(db, name).updateMany({ tenantId: { $exists: false } }, { $set: { tenantId: defaultTenantId } });
+  }`);
+          lines.push("await dropIndex(db, 'User', 'email_1');");
+          lines.push("await collection(db, 'User').createIndex({ tenantId: 1, email: 1 }, { name: 'tenantId_1_email_1', unique: true });");
+        } else {
+          lines.push("await dropIndex(db, 'User', 'tenantId_1_email_1');");
+          lines.push(`for (const name of ${models}) {
+    await collection(db, name).updateMany({}, { $unset: { tenantId: '' } });
+    await dropIndex(db, name, 'tenantId_1');
+  }`);
+          lines.push("await collection(db, 'User').createIndex({ email: 1 }, { name: 'email_1', unique: true });");
+          lines.push("await dropCollection(db, 'Tenant');");
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return `${comment}\n  ${lines.join('\n  ')}`;
+  }
+
+  /**
+   * Get the default value of a new field as code, or undefined if it has none
+   */
+  getMongoDefault(field) {
+    const value = this.apiGenerator.getDefaultValue(field);
+
+    if (value === undefined) {
+      return undefined;
+    }
+
+    if (field.type === 'Date') {
+      return value === 'now' ? 'new Date()' : `new Date(${JSON.stringify(value)})`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Build the aggregation expression converting a field to another type
+   */
+  getMongoConversion(fieldName, from, to) {
+    const convert = (input, type) => (MONGO_TYPES[type]
+      ? { $convert: { input, to: MONGO_TYPES[type], onError: null, onNull: null } }
+      : null);
+
+    const input = `$${fieldName}`;
+    const fromArray = from.type === 'Array';
+
+    if (to.type === 'Array') {
+      const item = convert(fromArray ? '$$this' : input, to.of || 'String');
+
+      if (!item) {
+        return null;
+      }
+
+      // Single values become one-item arrays
+      return fromArray ? { $map: { input, in: item } } : [item];
+    }
+
+    // Arrays keep their first item
+    return convert(fromArray ? { $arrayElemAt: [input, 0] } : input, to.type);
+  }
+
+  /**
+   * Get the model layer definitions of a snapshot data type's fields
+   */
+  getFieldDefinitions(model) {
+    return this.sqlGenerator.getFieldDefinitions(this.sqlGenerator.getTableName(model.name), model.fields);
+  }
+
+  /**
+   * Map model names of a snapshot to the table they have while migrating
+   *
+   * Renames run first, so data types that still exist use their new table.
+   */
+  getTables(snapshot, current) {
+    const currentTables = new Map(current.models.map(model => [model.id, this.sqlGenerator.getTableName(model.name)]));
+    const tables = { User: 'users' };
+
+    for (const model of snapshot.models) {
+      tables[model.name] = currentTables.get(model.id) || this.sqlGenerator.getTableName(model.name);
+    }
+
+    return tables;
+  }
+
+  /**
+   * Generate a Knex migration
+   */
+  generateSQLMigrationCode(name, changes, previous, current) {
+    const context = {
+      previousTables: this.getTables(previous, current),
+      currentTables: this.getTables(current, current),
+      previousModels: new Map(previous.models.map(model => [model.id, model]))
+    };
+
+    const sorted = this.sortChanges(changes);
+    const up = sorted.map(change => this.getSQLStep(change, 'up', context)).filter(Boolean);
+    const down = [...sorted].reverse().map(change => this.getSQLStep(change, 'down', context)).filter(Boolean);
+
+    return `${this.generateHeader(name, changes)}
+const { client } = require('../knexfile');
+
+exports.destructive = ${this.generateDestructiveList(changes)};
+
+// SQLite rebuilds altered tables, which is only safe with foreign key
+// checks off, and those cannot be turned off inside a transaction
+exports.config = { transaction: client !== 'sqlite3' };
+
+const checkDestructive = () => {
+  if (exports.destructive.length > 0 && process.env.ALLOW_DESTRUCTIVE_MIGRATIONS !== 'true') {
+    throw new Error(
+      \`Migration ${name} has destructive changes that need review:\\n\${exports.destructive.map(item => \`- \${item}\`).join('\\n')}\\n\` +
+      'Set ALLOW_DESTRUCTIVE_MIGRATIONS=true to apply it.'
+    );
+  }
+};
+
+exports.up = async (knex) => {
+  checkDestructive();
+
+${up.join('\n\n')}
+};
+
+exports.down = async (knex) => {
+  checkDestructive();
+
+${down.join('\n\n')}
+};
+`;
+  }
+
+  /**
+   * Generate the statements that add a field's storage to an existing table
+   */
+  getAddStorageCode(model, table, fieldName, definition, tables) {
+    if (definition.joinTable) {
+      return this.sqlGenerator.getJoinTableCode({ ...model, table }, definition, tables);
+    }
+
+    // Existing rows have no value yet, so the column starts out nullable
+    const column = this.sqlGenerator.getColumnCode(model, fieldName, definition, tables, new Set(), {
+      indexes: false,
+      nullable: true
+    });
+    const statements = [`  await knex.schema.alterTable('${table}', (table) => {
+    ${column}
+  });`];
+
+    if (definition.default !== undefined) {
+      const value = definition.type === 'Date'
+        ? (definition.default === 'now' ? 'new Date()' : `new Date(${JSON.stringify(definition.default)})`)
+        : JSON.stringify(definition.default);
+
+      statements.push(`  await knex('${table}').whereNull('${fieldName}').update({ ${JSON.stringify(fieldName)}: ${value} });`);
+    }
+
+    return statements.join('\n');
+  }
+
+  /**
+   * Generate the statement that removes a field's storage
+   */
+  getDropStorageCode(table, fieldName, definition) {
+    return definition.joinTable
+      ? `  await knex.schema.dropTableIfExists('${definition.joinTable}');`
+      : `  await knex.schema.alterTable('${table}', (table) => {
+    table.dropColumn('${fieldName}');
+  });`;
+  }
+
+  /**
+   * Check whether a field type change can alter the column in place
+   */
+  canAlter(from, to) {
+    const kind = definition => {
+      if (definition.joinTable) return 'relation';
+      if (definition.type === 'ObjectId') return 'reference';
+      return 'column';
+    };
+
+    return kind(from) === 'column' && kind(to) === 'column';
+  }
+
+  /**
+   * Generate the Knex statements for one change in one direction
+   */
+  getSQLStep(change, direction, context) {
+    const isUp = direction === 'up';
+    const comment = `  // ${isUp ? '' : 'Revert: '}${change.description}`;
+    const { previousTables, currentTables } = context;
+    const withTable = (model, tables) => ({ ...model, table: tables[model.name], fields: this.getFieldDefinitions(model) });
+    const table = change.model ? currentTables[change.model.name] || previousTables[change.model.name] : null;
+    let code;
+
+    switch (change.type) {
+      case 'renameModel': {
+        const oldTable = this.sqlGenerator.getTableName(change.from.name);
+        const newTable = this.sqlGenerator.getTableName(change.to.name);
+        const [from, to] = isUp ? [oldTable, newTable] : [newTable, oldTable];
+        const statements = [`  await knex.schema.renameTable('${from}', '${to}');`];
+
+        // Join tables are named after their owner table
+        for (const field of change.from.fields.filter(item => item.type === 'Array' && item.of === 'ObjectId')) {
+          const suffix = this.sqlGenerator.toSnakeCase(field.name);
+          statements.push(`  await knex.schema.renameTable('${from}_${suffix}', '${to}_${suffix}');`);
+        }
+
+        code = statements.join('\n');
+        break;
+      }
+      case 'removeModel':
+      case 'addModel': {
+        const create = (change.type === 'addModel') === isUp;
+        const tables = change.type === 'addModel' ? currentTables : previousTables;
+        const model = withTable(change.model, tables);
+        const joinFields = Object.values(model.fields).filter(field => field.joinTable);
+        const textIndex = (model.indexes || []).find(index => index.type === 'text');
+        const search = textIndex ? [this.sqlGenerator.getSearchIndexCode(model.table, this.sqlGenerator.getSearchDefinition(model.table, textIndex), create)] : [];
+
+        code = create
+          ? [this.sqlGenerator.getCreateTableCode(model, tables), ...joinFields.map(field => this.sqlGenerator.getJoinTableCode(model, field, tables)), ...search].join('\n\n')
+          : [...search, ...joinFields.map(field => `  await knex.schema.dropTableIfExists('${field.joinTable}');`), `  await knex.schema.dropTableIfExists('${model.table}');`].join('\n');
+        break;
+      }
+      case 'addField':
+      case 'removeField': {
+        const add = (change.type === 'addField') === isUp;
+        const tables = change.type === 'addField' ? currentTables : previousTables;
+        const definition = this.sqlGenerator.getFieldDefinitions(table, [change.field])[change.field.name];
+
+        code = add
+          ? this.getAddStorageCode(change.model, table, change.field.name, definition, tables)
+          : this.getDropStorageCode(table, change.field.name, definition);
+        break;
+      }
+      case 'renameField': {
+        const [from, to] = isUp ? [change.from.name, change.to.name] : [change.to.name, change.from.name];
+        const definition = this.sqlGenerator.getFieldDefinitions(table, [change.to])[change.to.name];
+
+        code = definition.joinTable
+          ? `  await knex.schema.renameTable('${table}_${this.sqlGenerator.toSnakeCase(from)}', '${table}_${this.sqlGenerator.toSnakeCase(to)}');`
+          : `  await knex.schema.alterTable('${table}', (table) => {
+    table.renameColumn('${from}', '${to}');
+  });`;
+        break;
+      }
+      case 'changeField': {
+        const fieldName = change.to.name;
+        const [fromField, toField] = isUp ? [change.from, change.to] : [change.to, change.from];
+        const tables = isUp ? currentTables : previousTables;
+        const from = this.sqlGenerator.getFieldDefinitions(table, [{ ...fromField, name: fieldName }])[fieldName];
+        const to = this.sqlGenerator.getFieldDefinitions(table, [{ ...toField, name: fieldName }])[fieldName];
+
+        if (this.canAlter(from, to)) {
+          const column = this.sqlGenerator.getColumnCode(change.model, fieldName, to, tables, new Set(), { indexes: false });
+          code = `  await knex.schema.alterTable('${table}', (table) => {
+    ${column.replace(/;$/, '.alter();')}
+  });`;
+        } else if (from.type === to.type && from.ref === to.ref && !from.joinTable === !to.joinTable) {
+          // Only the required flag changed on a reference
+          code = '  // Required references are enforced by validation';
+        } else {
+          // References cannot be converted, so the storage is replaced
+          code = [
+            this.getDropStorageCode(table, fieldName, from),
+            this.getAddStorageCode(change.model, table, fieldName, to, tables)
+          ].join('\n');
+        }
+        break;
+      }
+      case 'addIndex':
+      case 'dropIndex': {
+        const create = (change.type === 'addIndex') === isUp;
+        const { index } = change;
+        // Indexes are dropped before renames and created after them, so the
+        // table name always matches the snapshot the index comes from
+        const target = this.sqlGenerator.getTableName(change.model.name);
+        const method = index.unique
+          ? (create ? 'unique' : 'dropUnique')
+          : (create ? 'index' : 'dropIndex');
+
+        code = index.search
+          ? this.sqlGenerator.getSearchIndexCode(target, index.search, create)
+          : `  await knex.schema.alterTable('${target}', (table) => {
+    table.${method}([${index.columns.join(', ')}], '${index.name}');
+  });`;
+        break;
+      }
+      case 'addSoftDelete':
+      case 'removeSoftDelete':
+        // The index on deletedAt is its own change
+        code = (change.type === 'addSoftDelete') === isUp
+          ? `  await knex.schema.alterTable('${table}', (table) => {
+    ${this.sqlGenerator.getSoftDeleteColumnCode(false)}
+  });`
+          : `  await knex('${table}').whereNotNull('deletedAt').del();
+  await knex.schema.alterTable('${table}', (table) => {
+    table.dropColumn('deletedAt');
+  });`;
+        break;
+      case 'addSessions':
+        code = isUp
+          ? this.sqlGenerator.getSessionTableCode()
+          : `  await knex.schema.dropTableIfExists('funnel_sessions');`;
+        break;
+      case 'addAuditTrail':
+        code = isUp
+          ? this.sqlGenerator.getAuditTableCode()
+          : `  await knex.schema.dropTableIfExists('audit_entries');`;
+        break;
+      case 'addWebhookDeliveries':
+        code = isUp
+          ? this.sqlGenerator.getWebhookTableCode()
+          : `  await knex.schema.dropTableIfExists('webhook_deliveries');`;
+        break;
+      case 'addTenancy':
+      case 'removeTenancy':
+        code = (change.type === 'addTenancy') === isUp
+          ? this.getAddTenancyCode(change.models.map(name => currentTables[name]))
+          : this.getRemoveTenancyCode(change.models.map(name => currentTables[name]));
+        break;
+      default:
+        return null;
+    }
+
+    return `${comment}\n${code}`;
+  }
+
+  /**
+   * Generate the statements that give existing tables a tenant, moving
+   * their rows to the default tenant
+   *
+   * @param {string[]} tables - Data type tables that keep their rows
+   */
+  getAddTenancyCode(tables) {
+    const tenantTables = [...TENANT_MODELS.map(name => this.sqlGenerator.getTableName(name)), ...tables];
+
+    return `${this.sqlGenerator.getTenantTableCode()}
+  const defaultTenantId = require('crypto').randomUUID();
+  await knex('tenants').insert({
+    id: defaultTenantId,
+    slug: '${DEFAULT_TENANT}',
+    name: 'Default',
+    active: true,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+  // Existing rows have no tenant yet, so the column starts out nullable
+  for (const name of ${JSON.stringify(tenantTables)}) {
+    if (await knex.schema.hasTable(name)) {
+      await knex.schema.alterTable(name, (table) => {
+        table.uuid('tenantId').references('id').inTable('tenants').index();
+      });
+      await knex(name).update({ tenantId: defaultTenantId });
+    }
+  }
+  await knex.schema.alterTable('users', (table) => {
+    table.dropUnique(['email']);
+    table.unique(['tenantId', 'email']);
+  });`;
+  }
+
+  /**
+   * Generate the statements that remove the tenant of every table
+   *
+   * @param {string[]} tables - Data type tables that keep their rows
+   */
+  getRemoveTenancyCode(tables) {
+    const tenantTables = [...TENANT_MODELS.map(name => this.sqlGenerator.getTableName(name)), ...tables];
+
+    return `  await knex.schema.alterTable('users', (table) => {
+    table.dropUnique(['tenantId', 'email']);
+    table.unique(['email']);
+  });
+  for (const name of ${JSON.stringify(tenantTables)}) {
+    if (await knex.schema.hasTable(name) && await knex.schema.hasColumn(name, 'tenantId')) {
+      await knex.schema.alterTable(name, (table) => {
+        table.dropForeign('tenantId');
+        table.dropIndex('tenantId');
+        table.dropColumn('tenantId');
+      });
+    }
+  }
+  await knex.schema.dropTableIfExists('tenants');`;
+  }
+
+  /**
+   * Generate README section for migrations
+   */
+  generateDocs() {
+    const run = this.apiGenerator.isSQL()
+      ? 'Pending migrations in `db/migrations` are applied on startup.'
+      : 'Apply pending migrations with `node migrations/run.js` (or revert the last one with `node migrations/run.js down`).';
+
+    return `## Migrations
+
+Each time the API is regenerated, the data model is compared with the previous version (saved in \`schema.json\`) and a migration with up and down steps is added for added, removed and renamed data types and fields, type changes, indexes, soft delete options and turning multi-tenancy on or off. ${run}${this.apiGenerator.tenantGenerator.isEnabled() ? ` Turning multi-tenancy on moves existing records and users to a new \`${DEFAULT_TENANT}\` tenant.` : ''}
+
+Migrations marked \`[DESTRUCTIVE]\` drop or convert data. They are refused until they have been reviewed and \`ALLOW_DESTRUCTIVE_MIGRATIONS=true\` is set.
+
+`;
+  }
+}
+
+module.exports = MigrationGenerator;
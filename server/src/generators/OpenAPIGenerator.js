@@ -0,0 +1,1312 @@
+/**
+ * OpenAPIGenerator.js
+ *
+ * Builds an OpenAPI 3.1 document describing the REST API produced by
+ * APIGenerator, so clients can build against a machine-readable contract.
+ */
+
+// Events a webhook subscription can listen to
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+// Items accepted by one bulk request, as in utils/bulk.js
+const MAX_BULK_ITEMS = 1000;
+
+class OpenAPIGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Build the complete OpenAPI document
+   */
+  buildDocument() {
+    const dataTypeNodes = this.apiGenerator.getDataTypeNodes();
+    const hasWebhooks = this.apiGenerator.webhookGenerator.hasWebhooks();
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+    const tags = [{ name: 'Auth', description: 'Registration and JWT tokens' }].concat(dataTypeNodes.map(node => ({
+      name: this.apiGenerator.formatModelName(node.data.name),
+      description: node.data.description || undefined
+    })));
+
+    if (hasWebhooks) {
+      tags.push({ name: 'Webhooks', description: 'Webhook subscriptions and the delivery log' });
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: `${this.project.name} API`,
+        description: tenancy
+          ? 'This API was automatically generated by Kickflip Studio. Every request names its tenant with an API key, the X-Tenant header or the subdomain.'
+          : 'This API was automatically generated by Kickflip Studio.',
+        version: '1.0.0'
+      },
+      servers: [
+        { url: 'http://localhost:5000' }
+      ],
+      tags,
+      paths: {
+        ...this.buildAuthPaths(),
+        ...this.buildPaths(dataTypeNodes),
+        ...(hasWebhooks ? this.buildWebhookPaths() : {})
+      },
+      ...(hasWebhooks ? { webhooks: this.buildWebhooks() } : {}),
+      components: {
+        schemas: this.buildSchemas(dataTypeNodes),
+        responses: {
+          ValidationError: this.jsonResponse('Invalid request body', this.ref('ValidationError')),
+          Unauthorized: this.errorResponse('Missing or invalid token'),
+          ServerError: this.errorResponse('Server error')
+        },
+        ...(tenancy && {
+          parameters: {
+            Tenant: {
+              name: 'X-Tenant',
+              in: 'header',
+              description: 'Slug of the tenant, unless an API key or the subdomain names it',
+              schema: { type: 'string' }
+            }
+          }
+        }),
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT'
+          },
+          ...(tenancy && {
+            tenantApiKey: {
+              type: 'apiKey',
+              in: 'header',
+              name: 'X-API-Key',
+              description: 'API key of the tenant; it names the tenant, not a user'
+            }
+          })
+        }
+      }
+    };
+  }
+
+  /**
+   * Build the paths of the generated auth routes
+   */
+  buildAuthPaths() {
+    const credentials = {
+      type: 'object',
+      properties: {
+        email: { type: 'string', format: 'email' },
+        password: { type: 'string', minLength: 8 }
+      },
+      required: ['email', 'password']
+    };
+    const session = this.jsonResponse('The user and a new token pair', {
+      type: 'object',
+      properties: {
+        user: this.ref('User'),
+        accessToken: { type: 'string' },
+        refreshToken: { type: 'string' }
+      }
+    });
+
+    return {
+      '/api/auth/register': {
+        post: this.buildOperation('Auth', {
+          operationId: 'register',
+          summary: 'Register a new user',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  ...credentials,
+                  properties: { ...credentials.properties, name: { type: 'string' } }
+                }
+              }
+            }
+          },
+          responses: {
+            201: session,
+            409: this.errorResponse('Email is already registered')
+          }
+        })
+      },
+      '/api/auth/login': {
+        post: this.buildOperation('Auth', {
+          operationId: 'login',
+          summary: 'Log in and receive an access and refresh token',
+          requestBody: { required: true, content: { 'application/json': { schema: credentials } } },
+          responses: {
+            200: session,
+            401: this.errorResponse('Invalid email or password')
+          }
+        })
+      },
+      '/api/auth/refresh': {
+        post: this.buildOperation('Auth', {
+          operationId: 'refreshToken',
+          summary: 'Exchange a refresh token for a new token pair',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: { refreshToken: { type: 'string' } },
+                  required: ['refreshToken']
+                }
+              }
+            }
+          },
+          responses: {
+            200: this.jsonResponse('A new token pair', {
+              type: 'object',
+              properties: {
+                accessToken: { type: 'string' },
+                refreshToken: { type: 'string' }
+              }
+            }),
+            401: this.errorResponse('Invalid refresh token')
+          }
+        })
+      },
+      '/api/auth/logout': {
+        post: this.buildOperation('Auth', {
+          operationId: 'logout',
+          summary: 'Revoke all refresh tokens of the current user',
+          secured: true,
+          responses: {
+            200: this.jsonResponse('Logged out', this.ref('Message'))
+          }
+        })
+      },
+      '/api/auth/me': {
+        get: this.buildOperation('Auth', {
+          operationId: 'getCurrentUser',
+          summary: 'Get the current user',
+          secured: true,
+          responses: {
+            200: this.jsonResponse('The current user', this.ref('User'))
+          }
+        })
+      }
+    };
+  }
+
+  /**
+   * Build the paths object for every generated route file
+   */
+  buildPaths(dataTypeNodes) {
+    const paths = {};
+
+    for (const node of dataTypeNodes) {
+      const modelName = this.apiGenerator.formatModelName(node.data.name);
+      const routeName = this.apiGenerator.formatRouteName(node.data.name);
+      const access = this.apiGenerator.getAccessRules(node);
+      const fields = this.apiGenerator.getFieldsForModel(node, this.project.dataModel);
+      const expandParameters = this.buildExpandParameters(fields);
+      const options = this.apiGenerator.auditGenerator.getOptions(node);
+      const idParameter = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: `${modelName} ID`,
+        schema: this.ref('ObjectId')
+      };
+
+      paths[`/api/${routeName}`] = {
+        get: this.buildOperation(modelName, {
+          operationId: `list${modelName}`,
+          summary: `Get all ${routeName}`,
+          roles: access.list,
+          parameters: [...this.buildListParameters(), ...expandParameters],
+          responses: {
+            200: this.jsonResponse(`List of ${routeName}`, this.listSchema(this.ref(modelName))),
+            400: this.errorResponse('Invalid query parameters')
+          }
+        }),
+        post: this.buildOperation(modelName, {
+          operationId: `create${modelName}`,
+          summary: `Create a new ${modelName}`,
+          roles: access.create,
+          requestBody: this.jsonRequestBody(`${modelName}Input`),
+          responses: {
+            200: this.jsonResponse(`The created ${modelName}`, this.ref(modelName))
+          }
+        })
+      };
+
+      if (this.apiGenerator.indexGenerator.hasSearch(node)) {
+        paths[`/api/${routeName}/search`] = {
+          get: this.buildOperation(modelName, {
+            operationId: `search${modelName}`,
+            summary: `Search ${routeName} by text, best matches first`,
+            roles: access.list,
+            parameters: [...this.buildSearchParameters(), ...expandParameters],
+            responses: {
+              200: this.jsonResponse(`Matching ${routeName}`, this.listSchema(this.searchHitSchema(modelName))),
+              400: this.errorResponse('Missing search terms or invalid query parameters')
+            }
+          })
+        };
+      }
+
+      Object.assign(paths, this.buildBulkPaths(modelName, routeName, access));
+
+      paths[`/api/${routeName}/{id}`] = {
+        parameters: [idParameter],
+        get: this.buildOperation(modelName, {
+          operationId: `get${modelName}ById`,
+          summary: `Get ${modelName} by ID`,
+          roles: access.read,
+          parameters: expandParameters,
+          notFound: true,
+          responses: {
+            200: this.jsonResponse(`The requested ${modelName}`, this.ref(modelName))
+          }
+        }),
+        put: this.buildOperation(modelName, {
+          operationId: `update${modelName}`,
+          summary: `Update ${modelName} by ID`,
+          roles: access.update,
+          notFound: true,
+          requestBody: this.jsonRequestBody(`${modelName}Input`, false),
+          responses: {
+            200: this.jsonResponse(`The updated ${modelName}`, this.ref(modelName))
+          }
+        }),
+        delete: this.buildOperation(modelName, {
+          operationId: `delete${modelName}`,
+          summary: `${options.softDelete ? 'Soft delete' : 'Delete'} ${modelName} by ID`,
+          roles: access.delete,
+          notFound: true,
+          responses: {
+            200: this.jsonResponse(`${modelName} removed`, this.ref('Message'))
+          }
+        })
+      };
+
+      if (options.softDelete) {
+        paths[`/api/${routeName}/deleted`] = {
+          get: this.buildOperation(modelName, {
+            operationId: `listDeleted${modelName}`,
+            summary: `Get deleted ${routeName}`,
+            roles: access.delete,
+            parameters: [...this.buildListParameters(), ...expandParameters],
+            responses: {
+              200: this.jsonResponse(`List of deleted ${routeName}`, this.listSchema(this.ref(modelName))),
+              400: this.errorResponse('Invalid query parameters')
+            }
+          })
+        };
+
+        paths[`/api/${routeName}/{id}/restore`] = {
+          parameters: [idParameter],
+          post: this.buildOperation(modelName, {
+            operationId: `restore${modelName}`,
+            summary: `Restore a deleted ${modelName}`,
+            roles: access.delete,
+            notFound: true,
+            responses: {
+              200: this.jsonResponse(`The restored ${modelName}`, this.ref(modelName))
+            }
+          })
+        };
+      }
+
+      if (this.apiGenerator.fileGenerator.hasFiles(node)) {
+        paths[`/api/${routeName}/{id}/files/{field}`] = this.buildFilePaths(modelName, node, access, idParameter);
+      }
+
+      if (options.audit) {
+        paths[`/api/${routeName}/{id}/history`] = {
+          parameters: [idParameter],
+          get: this.buildOperation(modelName, {
+            operationId: `get${modelName}History`,
+            summary: `Get the change history of ${modelName}`,
+            roles: access.update,
+            parameters: this.buildListParameters(),
+            notFound: true,
+            responses: {
+              200: this.jsonResponse(`Audit entries of the ${modelName}`, this.listSchema(this.ref('AuditEntry'))),
+              400: this.errorResponse('Invalid query parameters')
+            }
+          })
+        };
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Build the paths of the bulk, import and export routes of a data type
+   */
+  buildBulkPaths(modelName, routeName, access) {
+    const list = (key, schema) => ({
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              [key]: { type: 'array', items: schema, minItems: 1, maxItems: MAX_BULK_ITEMS }
+            },
+            required: [key]
+          }
+        }
+      }
+    });
+    const results = description => ({
+      200: this.jsonResponse(`${description}; every item succeeded`, this.bulkSchema(this.ref(modelName))),
+      207: this.jsonResponse(`${description}; some items failed`, this.bulkSchema(this.ref(modelName))),
+      400: this.errorResponse('Missing or empty list of items'),
+      413: this.errorResponse(`More than ${MAX_BULK_ITEMS} items`)
+    });
+    const file = {
+      required: true,
+      content: {
+        'text/csv': {
+          schema: { type: 'string', description: 'A header row naming the fields, then one row per record' }
+        },
+        'application/x-ndjson': {
+          schema: { type: 'string', description: 'One JSON object per line' }
+        }
+      }
+    };
+
+    return {
+      [`/api/${routeName}/bulk`]: {
+        post: this.buildOperation(modelName, {
+          operationId: `bulkCreate${modelName}`,
+          summary: `Create many ${routeName}, with a result for each`,
+          roles: access.create,
+          requestBody: list('items', this.ref(`${modelName}Input`)),
+          responses: results(`Result of each ${modelName}`)
+        }),
+        put: this.buildOperation(modelName, {
+          operationId: `bulkUpdate${modelName}`,
+          summary: `Update many ${routeName} by _id, with a result for each`,
+          roles: access.update,
+          requestBody: list('items', {
+            allOf: [
+              this.ref(`${modelName}Input`),
+              { type: 'object', properties: { _id: this.ref('ObjectId') }, required: ['_id'] }
+            ]
+          }),
+          responses: results(`Result of each ${modelName}`)
+        }),
+        delete: this.buildOperation(modelName, {
+          operationId: `bulkDelete${modelName}`,
+          summary: `Delete many ${routeName}, with a result for each`,
+          roles: access.delete,
+          requestBody: list('ids', this.ref('ObjectId')),
+          responses: results(`Result of each ${modelName}`)
+        })
+      },
+      [`/api/${routeName}/export`]: {
+        get: this.buildOperation(modelName, {
+          operationId: `export${modelName}`,
+          summary: `Export ${routeName} matching the filter, oldest first`,
+          roles: access.list,
+          parameters: [
+            {
+              name: 'format',
+              in: 'query',
+              description: 'File format',
+              schema: { type: 'string', enum: ['csv', 'ndjson'], default: 'csv' }
+            },
+            ...this.buildListParameters().filter(parameter => parameter.name.startsWith('filter'))
+          ],
+          responses: {
+            200: {
+              description: `The ${routeName}, as a CSV file with a header row or as one JSON object per line`,
+              content: {
+                'text/csv': { schema: { type: 'string' } },
+                'application/x-ndjson': { schema: { type: 'string' } }
+              }
+            },
+            400: this.errorResponse('Invalid format or filter')
+          }
+        })
+      },
+      [`/api/${routeName}/import`]: {
+        post: this.buildOperation(modelName, {
+          operationId: `import${modelName}`,
+          summary: `Create a ${modelName} from each row of a CSV or NDJSON file`,
+          roles: access.create,
+          requestBody: file,
+          responses: {
+            200: this.jsonResponse('Every row was imported', this.ref('ImportResult')),
+            207: this.jsonResponse('Some rows failed', this.ref('ImportResult')),
+            400: this.errorResponse('The file cannot be read, e.g. no column of the CSV header row is a field'),
+            415: this.errorResponse('The file is not sent as text/csv or application/x-ndjson')
+          }
+        })
+      }
+    };
+  }
+
+  /**
+   * Build the upload, download URL and removal operations of the file
+   * fields of a data type
+   */
+  buildFilePaths(modelName, node, access, idParameter) {
+    const fields = this.apiGenerator.fileGenerator.getFileFields(node);
+    const limits = Object.entries(fields).map(([name, field]) =>
+      `${name}: at most ${Math.round(field.maxSize / 1024 / 1024 * 100) / 100} MB${field.accept.length > 0 ? `, ${field.accept.join(', ')}` : ''}`);
+
+    return {
+      parameters: [
+        idParameter,
+        {
+          name: 'field',
+          in: 'path',
+          required: true,
+          description: 'File field',
+          schema: { type: 'string', enum: Object.keys(fields) }
+        }
+      ],
+      put: this.buildOperation(modelName, {
+        operationId: `upload${modelName}File`,
+        summary: `Upload the file of a ${modelName} field, replacing the previous one`,
+        description: `Limits: ${limits.join('; ')}`,
+        roles: access.update,
+        notFound: true,
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  file: { type: 'string', format: 'binary' }
+                },
+                required: ['file']
+              }
+            }
+          }
+        },
+        responses: {
+          200: this.jsonResponse(`The updated ${modelName}`, this.ref(modelName)),
+          400: this.errorResponse('No file, or more than one file, in the body'),
+          413: this.errorResponse('The file is larger than the field allows'),
+          415: this.errorResponse('The body is not multipart/form-data, or the field does not accept the file type')
+        }
+      }),
+      get: this.buildOperation(modelName, {
+        operationId: `get${modelName}File`,
+        summary: 'Get signed download URLs of the file and its image variants',
+        roles: access.read,
+        notFound: true,
+        responses: {
+          200: this.jsonResponse('Signed URLs, valid until expiresAt', this.ref('FileUrl'))
+        }
+      }),
+      delete: this.buildOperation(modelName, {
+        operationId: `delete${modelName}File`,
+        summary: 'Remove the file',
+        roles: access.update,
+        notFound: true,
+        responses: {
+          200: this.jsonResponse(`The updated ${modelName}`, this.ref(modelName))
+        }
+      })
+    };
+  }
+
+  /**
+   * Build the paths of the webhook delivery log routes
+   */
+  buildWebhookPaths() {
+    const roles = ['admin'];
+    const idParameter = {
+      name: 'id',
+      in: 'path',
+      required: true,
+      description: 'Webhook delivery ID',
+      schema: this.ref('ObjectId')
+    };
+
+    return {
+      '/api/webhooks/subscriptions': {
+        get: this.buildOperation('Webhooks', {
+          operationId: 'listWebhookSubscriptions',
+          summary: 'Get the webhook subscriptions',
+          roles,
+          responses: {
+            200: this.jsonResponse('The webhook subscriptions', {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  model: { type: 'string' },
+                  url: { type: 'string', format: 'uri' },
+                  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } }
+                },
+                required: ['model', 'url', 'events']
+              }
+            })
+          }
+        })
+      },
+      '/api/webhooks/deliveries': {
+        get: this.buildOperation('Webhooks', {
+          operationId: 'listWebhookDeliveries',
+          summary: 'Get the webhook delivery log; filter[status]=dead lists the dead letters',
+          roles,
+          parameters: this.buildListParameters(),
+          responses: {
+            200: this.jsonResponse('List of webhook deliveries', this.listSchema(this.ref('WebhookDelivery'))),
+            400: this.errorResponse('Invalid query parameters')
+          }
+        })
+      },
+      '/api/webhooks/deliveries/{id}': {
+        parameters: [idParameter],
+        get: this.buildOperation('Webhooks', {
+          operationId: 'getWebhookDelivery',
+          summary: 'Get a webhook delivery with its attempts',
+          roles,
+          responses: {
+            200: this.jsonResponse('The webhook delivery', this.ref('WebhookDelivery')),
+            404: this.errorResponse('Webhook delivery not found')
+          }
+        })
+      },
+      '/api/webhooks/deliveries/{id}/retry': {
+        parameters: [idParameter],
+        post: this.buildOperation('Webhooks', {
+          operationId: 'retryWebhookDelivery',
+          summary: 'Queue a dead webhook delivery again',
+          roles,
+          responses: {
+            200: this.jsonResponse('The queued webhook delivery', this.ref('WebhookDelivery')),
+            404: this.errorResponse('Dead webhook delivery not found')
+          }
+        })
+      }
+    };
+  }
+
+  /**
+   * Build the outgoing webhook requests, one per subscribed event
+   */
+  buildWebhooks() {
+    const webhooks = {};
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    for (const { model, url, events } of this.apiGenerator.webhookGenerator.getAllSubscriptions()) {
+      for (const event of events) {
+        const name = `${model}.${event}`;
+
+        if (webhooks[name]) {
+          webhooks[name].post.description += `, ${url}`;
+          continue;
+        }
+
+        webhooks[name] = {
+          post: {
+            tags: [model],
+            summary: `${model} ${event}`,
+            description: `Sent to ${url}`,
+            parameters: [
+              { name: 'X-Webhook-Id', in: 'header', required: true, description: 'Delivery ID, the same across retries', schema: { type: 'string' } },
+              { name: 'X-Webhook-Event', in: 'header', required: true, schema: { type: 'string', const: name } },
+              {
+                name: 'X-Webhook-Signature',
+                in: 'header',
+                required: true,
+                description: 't=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with WEBHOOK_SECRET>',
+                schema: { type: 'string' }
+              }
+            ],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      event: { type: 'string', const: event },
+                      model: { type: 'string', const: model },
+                      ...(tenancy ? { tenant: { type: ['string', 'null'], description: 'Slug of the tenant the record belongs to' } } : {}),
+                      occurredAt: { type: 'string', format: 'date-time' },
+                      data: this.ref(model)
+                    },
+                    required: ['event', 'model', 'occurredAt', 'data']
+                  }
+                }
+              }
+            },
+            responses: {
+              '2XX': { description: 'Delivered; any other response is retried' }
+            }
+          }
+        };
+      }
+    }
+
+    return webhooks;
+  }
+
+  /**
+   * Build the query parameters accepted by list endpoints
+   */
+  buildListParameters() {
+    return [
+      {
+        name: 'limit',
+        in: 'query',
+        description: 'Items per page',
+        schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+      },
+      {
+        name: 'page',
+        in: 'query',
+        description: 'Page number for offset pagination',
+        schema: { type: 'integer', minimum: 1, default: 1 }
+      },
+      {
+        name: 'cursor',
+        in: 'query',
+        description: 'Opaque cursor from meta.nextCursor; takes precedence over page',
+        schema: { type: 'string' }
+      },
+      {
+        name: 'filter',
+        in: 'query',
+        style: 'deepObject',
+        explode: true,
+        description: 'filter[field]=value or filter[field][op]=value with op one of eq, ne, gt, gte, lt, lte, in, contains',
+        schema: {
+          type: 'object',
+          additionalProperties: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'object', additionalProperties: { type: 'string' } }
+            ]
+          }
+        }
+      },
+      {
+        name: 'sort',
+        in: 'query',
+        description: 'Comma-separated fields, prefixed with - for descending',
+        schema: { type: 'string', default: '-createdAt' }
+      },
+      {
+        name: 'fields',
+        in: 'query',
+        description: 'Comma-separated fields to return',
+        schema: { type: 'string' }
+      }
+    ];
+  }
+
+  /**
+   * Build the query parameters of search endpoints
+   */
+  buildSearchParameters() {
+    return [
+      {
+        name: 'q',
+        in: 'query',
+        required: true,
+        description: 'Words to search for; records matching any of them are returned',
+        schema: { type: 'string', minLength: 1 }
+      },
+      // Results are ranked, so they cannot be sorted or paged by cursor
+      ...this.buildListParameters().filter(parameter => ['limit', 'page', 'filter'].includes(parameter.name))
+    ];
+  }
+
+  /**
+   * Build the schema of a search result: the record with its relevance and highlights
+   */
+  searchHitSchema(modelName) {
+    return {
+      allOf: [
+        this.ref(modelName),
+        {
+          type: 'object',
+          properties: {
+            _score: { type: 'number', description: 'Relevance, higher is better' },
+            _highlights: {
+              type: 'object',
+              description: 'HTML of the matching text fields, with the matched words in <mark> tags',
+              additionalProperties: { type: 'string' }
+            }
+          },
+          required: ['_score', '_highlights']
+        }
+      ]
+    };
+  }
+
+  /**
+   * Build the expand parameter for a model's reference fields
+   */
+  buildExpandParameters(fields) {
+    const expandable = this.apiGenerator.getReferenceFields(fields).map(field => field.name);
+
+    if (expandable.length === 0) {
+      return [];
+    }
+
+    return [
+      {
+        name: 'expand',
+        in: 'query',
+        description: `Comma-separated reference fields to replace with the referenced documents (${expandable.join(', ')}). Use dots for nested expansion, up to ${Number(this.apiGenerator.getSetting('expandMaxDepth', 2))} levels.`,
+        schema: { type: 'string' }
+      }
+    ];
+  }
+
+  /**
+   * Build the schema of a list response envelope
+   */
+  listSchema(items) {
+    return {
+      type: 'object',
+      properties: {
+        data: {
+          type: 'array',
+          items
+        },
+        meta: this.ref('ListMeta'),
+        links: this.ref('ListLinks')
+      },
+      required: ['data', 'meta', 'links']
+    };
+  }
+
+  /**
+   * Build the schema of a bulk response, with the result of each item
+   */
+  bulkSchema(data) {
+    return {
+      type: 'object',
+      properties: {
+        summary: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' }
+          },
+          required: ['total', 'succeeded', 'failed']
+        },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            description: 'The status, and the record or error the single-record endpoint would have responded with',
+            properties: {
+              index: { type: 'integer' },
+              status: { type: 'integer' },
+              data,
+              message: { type: 'string' },
+              errors: { type: 'array', items: this.ref('FieldError') }
+            },
+            required: ['index', 'status']
+          }
+        }
+      },
+      required: ['summary', 'results']
+    };
+  }
+
+  /**
+   * Build a single operation with the shared error responses
+   */
+  buildOperation(modelName, { secured = false, roles, notFound = false, responses, ...operation }) {
+    const result = {
+      tags: [modelName],
+      ...operation,
+      responses: { ...responses }
+    };
+
+    if (roles && !roles.includes('public')) {
+      secured = true;
+
+      if (!roles.includes('authenticated')) {
+        result.description = `Allowed roles: ${roles.join(', ')}${roles.includes('owner') ? ' (owner = the user who created the document)' : ''}`;
+        result.responses[403] = this.errorResponse('Not allowed for this role');
+      }
+    }
+
+    if (secured) {
+      result.security = [{ bearerAuth: [] }];
+      result.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    }
+
+    // The tenant comes from an API key, the X-Tenant header or the subdomain
+    if (this.apiGenerator.tenantGenerator.isEnabled()) {
+      result.security = secured ? [{ bearerAuth: [] }, { bearerAuth: [], tenantApiKey: [] }] : [{}, { tenantApiKey: [] }];
+      result.parameters = [...(result.parameters || []), { $ref: '#/components/parameters/Tenant' }];
+      result.responses[404] = result.responses[404] || this.errorResponse('Tenant not found');
+    }
+
+    // Unless the operation describes its own bad requests
+    if (operation.requestBody && !result.responses[400]) {
+      result.responses[400] = { $ref: '#/components/responses/ValidationError' };
+    }
+
+    if (notFound) {
+      result.responses[404] = this.errorResponse(`${modelName} not found`);
+    }
+
+    result.responses[500] = { $ref: '#/components/responses/ServerError' };
+
+    return result;
+  }
+
+  /**
+   * Build the component schemas for every generated model
+   */
+  buildSchemas(dataTypeNodes) {
+    const schemas = {
+      ObjectId: {
+        type: 'string',
+        pattern: this.apiGenerator.getIdPattern(),
+        description: this.apiGenerator.isSQL() ? 'Record UUID' : 'MongoDB ObjectId'
+      },
+      Message: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' }
+        },
+        required: ['message']
+      },
+      User: {
+        type: 'object',
+        properties: {
+          _id: { ...this.ref('ObjectId'), readOnly: true },
+          ...(this.apiGenerator.tenantGenerator.isEnabled() && {
+            tenantId: { ...this.ref('ObjectId'), readOnly: true }
+          }),
+          email: { type: 'string', format: 'email' },
+          name: { type: 'string' },
+          role: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time', readOnly: true },
+          updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+        },
+        required: ['_id', 'email', 'role']
+      },
+      ListMeta: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          page: { type: ['integer', 'null'] },
+          nextCursor: { type: ['string', 'null'] },
+          hasMore: { type: 'boolean' }
+        },
+        required: ['total', 'limit', 'page', 'nextCursor', 'hasMore']
+      },
+      ListLinks: {
+        type: 'object',
+        properties: {
+          self: { type: 'string' },
+          next: { type: ['string', 'null'] }
+        },
+        required: ['self', 'next']
+      },
+      FieldError: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          message: { type: 'string' }
+        },
+        required: ['field', 'message']
+      },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: this.ref('FieldError')
+          }
+        },
+        required: ['message', 'errors']
+      },
+      ImportResult: {
+        type: 'object',
+        properties: {
+          summary: {
+            type: 'object',
+            properties: {
+              rows: { type: 'integer' },
+              created: { type: 'integer' },
+              failed: { type: 'integer' }
+            },
+            required: ['rows', 'created', 'failed']
+          },
+          errors: {
+            type: 'array',
+            description: 'Rows that failed, by row number (the CSV header is row 1)',
+            items: {
+              type: 'object',
+              properties: {
+                row: { type: 'integer' },
+                status: { type: 'integer' },
+                message: { type: 'string' },
+                errors: { type: 'array', items: this.ref('FieldError') }
+              },
+              required: ['row', 'status', 'message']
+            }
+          }
+        },
+        required: ['summary', 'errors']
+      }
+    };
+
+    const fieldTypes = this.apiGenerator.getFieldTypes();
+
+    if (fieldTypes.has('Money')) {
+      schemas.Money = {
+        type: 'object',
+        description: 'Exact amount of money. Requests may also send a bare amount, which is taken in the field\'s currency.',
+        properties: {
+          amount: { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$', example: '19.99' },
+          currency: { type: 'string', pattern: '^[A-Z]{3}$', example: 'EUR' }
+        },
+        required: ['amount', 'currency']
+      };
+    }
+
+    if (fieldTypes.has('Point')) {
+      schemas.GeoPoint = {
+        type: 'object',
+        description: 'GeoJSON point',
+        properties: {
+          type: { type: 'string', enum: ['Point'] },
+          coordinates: {
+            type: 'array',
+            description: '[longitude, latitude]',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          }
+        },
+        required: ['type', 'coordinates']
+      };
+    }
+
+    if (fieldTypes.has('File') || fieldTypes.has('Image')) {
+      schemas.StoredFile = {
+        type: 'object',
+        description: 'Metadata of an uploaded file; upload it through the file endpoints',
+        properties: {
+          key: { type: 'string' },
+          filename: { type: 'string' },
+          mimeType: { type: 'string' },
+          size: { type: 'integer', description: 'Size in bytes' },
+          width: { type: 'integer', description: 'Width of an image, in pixels' },
+          height: { type: 'integer', description: 'Height of an image, in pixels' },
+          variants: {
+            type: 'object',
+            description: 'WebP variants of an image, by name',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                key: { type: 'string' },
+                width: { type: 'integer' },
+                height: { type: 'integer' }
+              },
+              required: ['key', 'width', 'height']
+            }
+          },
+          uploadedAt: { type: 'string', format: 'date-time' }
+        },
+        required: ['key', 'filename', 'mimeType', 'size', 'uploadedAt']
+      };
+
+      schemas.FileUrl = {
+        type: 'object',
+        properties: {
+          url: { type: 'string', format: 'uri' },
+          expiresAt: { type: 'string', format: 'date-time' },
+          variants: {
+            type: 'object',
+            description: 'Signed URL of each image variant, by name',
+            additionalProperties: { type: 'string', format: 'uri' }
+          }
+        },
+        required: ['url', 'expiresAt', 'variants']
+      };
+    }
+
+    for (const node of dataTypeNodes) {
+      const modelName = this.apiGenerator.formatModelName(node.data.name);
+      const fields = this.apiGenerator.getFieldsForModel(node, this.project.dataModel);
+
+      const properties = {};
+      const inputProperties = {};
+      const required = [];
+
+      for (const field of fields) {
+        properties[field.name] = this.getFieldSchema(field);
+
+        // Files are uploaded through the file endpoints
+        if (!this.apiGenerator.fileGenerator.isFileField(field)) {
+          inputProperties[field.name] = properties[field.name];
+        }
+
+        if (field.required) {
+          required.push(field.name);
+        }
+      }
+
+      schemas[`${modelName}Input`] = {
+        type: 'object',
+        description: node.data.description || undefined,
+        properties: inputProperties,
+        ...(required.length > 0 && { required })
+      };
+
+      schemas[modelName] = {
+        type: 'object',
+        description: node.data.description || undefined,
+        properties: {
+          _id: { ...this.ref('ObjectId'), readOnly: true },
+          ...properties,
+          createdBy: { ...this.ref('ObjectId'), readOnly: true },
+          ...(this.apiGenerator.tenantGenerator.isEnabled() && {
+            tenantId: { ...this.ref('ObjectId'), readOnly: true }
+          }),
+          ...(this.apiGenerator.auditGenerator.getOptions(node).softDelete && {
+            deletedAt: { type: ['string', 'null'], format: 'date-time', readOnly: true }
+          }),
+          createdAt: { type: 'string', format: 'date-time', readOnly: true },
+          updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+        },
+        required: ['_id', ...required]
+      };
+    }
+
+    if (this.apiGenerator.auditGenerator.hasAudit()) {
+      schemas.AuditEntry = {
+        type: 'object',
+        description: 'One create, update, delete or restore of an audited record',
+        properties: {
+          _id: { ...this.ref('ObjectId'), readOnly: true },
+          modelName: { type: 'string' },
+          documentId: { type: 'string' },
+          action: { type: 'string', enum: ['create', 'update', 'delete', 'restore'] },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                from: {},
+                to: {}
+              },
+              required: ['field', 'from', 'to']
+            }
+          },
+          user: { anyOf: [this.ref('ObjectId'), { type: 'null' }] },
+          createdAt: { type: 'string', format: 'date-time' }
+        },
+        required: ['_id', 'modelName', 'documentId', 'action', 'changes', 'createdAt']
+      };
+    }
+
+    if (this.apiGenerator.webhookGenerator.hasWebhooks()) {
+      const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+
+      schemas.WebhookDelivery = {
+        type: 'object',
+        description: 'One event queued for one webhook subscription',
+        properties: {
+          _id: { ...this.ref('ObjectId'), readOnly: true },
+          modelName: { type: 'string' },
+          event: { type: 'string', enum: WEBHOOK_EVENTS },
+          documentId: { type: 'string' },
+          url: { type: 'string', format: 'uri' },
+          payload: { type: 'object' },
+          status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+          attempts: { type: 'integer' },
+          nextAttemptAt: { type: 'string', format: 'date-time' },
+          lastError: nullable({ type: 'string' }),
+          deliveredAt: nullable({ type: 'string', format: 'date-time' }),
+          log: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                at: { type: 'string', format: 'date-time' },
+                statusCode: nullable({ type: 'integer' }),
+                error: nullable({ type: 'string' }),
+                response: nullable({ type: 'string' }),
+                durationMs: { type: 'integer' }
+              }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' }
+        },
+        required: ['_id', 'modelName', 'event', 'documentId', 'url', 'status', 'attempts', 'createdAt']
+      };
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Map a data model field to a JSON schema
+   */
+  getFieldSchema(field) {
+    const schema = this.getTypeSchema(field.type, field);
+    this.addConstraints(field.type === 'Array' ? schema.items : schema, field);
+
+    if (field.description) {
+      schema.description = field.description;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Add the validation constraints of a field to a schema
+   */
+  addConstraints(schema, field) {
+    const allowedValues = this.apiGenerator.parseList(field.enum);
+    if (allowedValues.length > 0) {
+      schema.enum = allowedValues;
+    }
+
+    if (field.type === 'Number') {
+      if (field.min !== undefined && field.min !== '') schema.minimum = Number(field.min);
+      if (field.max !== undefined && field.max !== '') schema.maximum = Number(field.max);
+    }
+
+    if (schema.type === 'string') {
+      if (field.minLength !== undefined && field.minLength !== '') schema.minLength = Number(field.minLength);
+      if (field.maxLength !== undefined && field.maxLength !== '') schema.maxLength = Number(field.maxLength);
+    }
+
+    if (field.pattern && schema.type === 'string') {
+      schema.pattern = field.pattern;
+    }
+  }
+
+  /**
+   * Map a field type to a JSON schema (without description)
+   */
+  getTypeSchema(type, field) {
+    switch (type) {
+      case 'Number':
+        return this.withDefault({ type: 'number' }, field, Number);
+      case 'Boolean':
+        return { type: 'boolean', default: field.default === true || field.default === 'true' };
+      case 'Date':
+        return field.default && field.default !== 'now'
+          ? { type: 'string', format: 'date-time', default: field.default }
+          : { type: 'string', format: 'date-time' };
+      case 'ObjectId':
+        return this.getRefSchema(field.ref);
+      case 'Email':
+        return this.withDefault({ type: 'string', format: 'email' }, field, String);
+      case 'URL':
+        return this.withDefault({ type: 'string', format: 'uri' }, field, String);
+      case 'Money':
+        return this.ref('Money');
+      case 'Point':
+        return this.ref('GeoPoint');
+      case 'File':
+      case 'Image':
+        return { ...this.ref('StoredFile'), readOnly: true };
+      case 'Object': {
+        const subFields = field.fields || [];
+        const required = subFields.filter(subField => subField.required).map(subField => subField.name);
+
+        return {
+          type: 'object',
+          properties: Object.fromEntries(subFields.map(subField => [subField.name, this.getFieldSchema(subField)])),
+          ...(required.length > 0 && { required })
+        };
+      }
+      case 'Array':
+        return {
+          type: 'array',
+          items: field.of === 'ObjectId'
+            ? this.getRefSchema(field.ref)
+            : this.getTypeSchema(field.of || 'String', { fields: field.fields })
+        };
+      case 'String':
+      default:
+        return this.withDefault({ type: 'string' }, field, String);
+    }
+  }
+
+  /**
+   * Schema for a reference to another model: the ID, or the document itself
+   */
+  getRefSchema(refName) {
+    if (!refName) {
+      return this.ref('ObjectId');
+    }
+
+    return {
+      anyOf: [
+        this.ref('ObjectId'),
+        this.ref(this.apiGenerator.formatModelName(refName))
+      ]
+    };
+  }
+
+  /**
+   * Add a field's default value to a schema
+   */
+  withDefault(schema, field, cast) {
+    if (field.default === undefined || field.default === null || field.default === '') {
+      return schema;
+    }
+
+    return { ...schema, default: cast(field.default) };
+  }
+
+  /**
+   * Build a $ref to a component schema
+   */
+  ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  /**
+   * Build a JSON response object
+   */
+  jsonResponse(description, schema) {
+    return {
+      description,
+      content: {
+        'application/json': { schema }
+      }
+    };
+  }
+
+  /**
+   * Build a JSON request body referencing a component schema
+   */
+  jsonRequestBody(schemaName, required = true) {
+    return {
+      required,
+      content: {
+        'application/json': { schema: this.ref(schemaName) }
+      }
+    };
+  }
+
+  /**
+   * Build an error response using the standard { message } envelope
+   */
+  errorResponse(description) {
+    return this.jsonResponse(description, this.ref('Message'));
+  }
+}
+
+module.exports = OpenAPIGenerator;
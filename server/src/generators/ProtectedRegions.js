@@ -0,0 +1,222 @@
+/**
+ * ProtectedRegions.js
+ *
+ * Keeps hand-written code in generated files across regenerations. Generated
+ * models, routes and controllers contain marked custom code regions whose
+ * contents are carried over into the regenerated file. A checksum of every
+ * file as last generated (with the region contents left out) detects edits
+ * made outside the regions; such files are left alone and the regenerated
+ * version is written next to them as a .new file.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+const BEGIN_MARKER = 'BEGIN CUSTOM CODE:';
+const END_MARKER = 'END CUSTOM CODE:';
+
+// Matches a region with its name and contents
+const REGION_PATTERN = new RegExp(
+  `^([ \\t]*// ${BEGIN_MARKER} ([\\w-]+)[^\\n]*\\n)([\\s\\S]*?)(^[ \\t]*// ${END_MARKER} \\2\\b[^\\n]*$)`,
+  'gm'
+);
+
+// Checksums of the generated files, relative to the output directory
+const CHECKSUM_FILE = '.generated.json';
+
+class ProtectedRegions {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.checksums = {};
+    this.conflicts = [];
+  }
+
+  /**
+   * Get the markers of an empty custom code region
+   */
+  region(name) {
+    return `// ${BEGIN_MARKER} ${name}\n// ${END_MARKER} ${name}`;
+  }
+
+  /**
+   * Load the checksums recorded by the previous generation
+   */
+  async load() {
+    this.conflicts = [];
+
+    try {
+      const content = await this.apiGenerator.fs.readFile(this.getChecksumPath(), 'utf8');
+      this.checksums = JSON.parse(content).files || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      this.checksums = {};
+    }
+  }
+
+  /**
+   * Save the checksums of the files written by this generation
+   */
+  async save() {
+    const files = Object.keys(this.checksums)
+      .sort()
+      .reduce((sorted, file) => ({ ...sorted, [file]: this.checksums[file] }), {});
+
+    await this.apiGenerator.fs.writeFile(this.getChecksumPath(), `${JSON.stringify({ files }, null, 2)}\n`);
+  }
+
+  /**
+   * Write a generated file, keeping the custom code of the existing file
+   *
+   * @param {string} filePath - Path of the file to write
+   * @param {string} code - The formatted generated code with empty regions
+   * @returns {Promise<boolean>} Whether the file was written, rather than a .new file
+   */
+  async write(filePath, code) {
+    const file = path.relative(this.apiGenerator.outputDir, filePath).split(path.sep).join('/');
+    const generated = this.normalize(code);
+    const existing = await this.readExisting(filePath);
+
+    if (existing === null) {
+      await this.writeFile(filePath, file, generated);
+      return true;
+    }
+
+    const regions = this.extractRegions(existing);
+    const merged = this.injectRegions(generated, regions);
+
+    if (this.isModified(file, existing, generated) || this.hasDroppedRegions(generated, regions)) {
+      await this.apiGenerator.fs.writeFile(`${filePath}.new`, merged);
+      this.conflicts.push(file);
+      return false;
+    }
+
+    await this.writeFile(filePath, file, merged);
+    return true;
+  }
+
+  /**
+   * Write a file, record its checksum and remove a stale .new file
+   */
+  async writeFile(filePath, file, content) {
+    await this.apiGenerator.fs.writeFile(filePath, content);
+    await this.apiGenerator.fs.rm(`${filePath}.new`, { force: true });
+    this.checksums[file] = this.checksum(content);
+  }
+
+  /**
+   * Read a file, or null if it doesn't exist
+   */
+  async readExisting(filePath) {
+    try {
+      return this.normalize(await this.apiGenerator.fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a file was edited outside its custom code regions
+   *
+   * Without a recorded checksum, the file only counts as unmodified if it
+   * already matches the regenerated code.
+   */
+  isModified(file, existing, generated) {
+    const checksum = this.checksum(existing);
+
+    if (checksum === this.checksum(generated)) {
+      return false;
+    }
+
+    return checksum !== this.checksums[file];
+  }
+
+  /**
+   * Check whether custom code would be lost because its region is no
+   * longer generated
+   */
+  hasDroppedRegions(generated, regions) {
+    const names = Object.keys(this.extractRegions(generated));
+
+    return Object.entries(regions).some(
+      ([name, content]) => content.trim() !== '' && !names.includes(name)
+    );
+  }
+
+  /**
+   * Get the contents of every custom code region of a file
+   */
+  extractRegions(code) {
+    const regions = {};
+
+    for (const match of code.matchAll(REGION_PATTERN)) {
+      regions[match[2]] = match[3];
+    }
+
+    return regions;
+  }
+
+  /**
+   * Fill the custom code regions of generated code
+   */
+  injectRegions(code, regions) {
+    return code.replace(REGION_PATTERN, (match, begin, name, content, end) =>
+      `${begin}${regions[name] !== undefined ? regions[name] : content}${end}`
+    );
+  }
+
+  /**
+   * Get the checksum of a file with its custom code left out
+   */
+  checksum(code) {
+    const stripped = code.replace(REGION_PATTERN, (match, begin, name, content, end) => `${begin}${end}`);
+    return crypto.createHash('sha256').update(stripped).digest('hex');
+  }
+
+  /**
+   * Normalize line endings so edits on Windows don't count as changes
+   */
+  normalize(code) {
+    return code.replace(/\r\n/g, '\n');
+  }
+
+  /**
+   * Get the path of the checksum file
+   */
+  getChecksumPath() {
+    return path.join(this.apiGenerator.outputDir, CHECKSUM_FILE);
+  }
+
+  /**
+   * Generate documentation for custom code regions
+   */
+  generateDocs() {
+    return `## Custom Code
+
+Models, routes and controllers contain custom code regions:
+
+\`\`\`javascript
+// ${BEGIN_MARKER} routes
+router.get('/featured', ProductController.getFeatured);
+// ${END_MARKER} routes
+\`\`\`
+
+Code between the markers is kept when the API is regenerated. Edits anywhere
+else in these files are detected using the checksums in \`${CHECKSUM_FILE}\`:
+the edited file is left untouched and the regenerated version is written next
+to it with a \`.new\` extension, to be merged by hand. This repeats on every
+regeneration until the file matches the generated code outside its regions
+again, so move custom logic into the regions where possible.
+
+`;
+  }
+}
+
+module.exports = ProtectedRegions;
@@ -0,0 +1,2197 @@
+/**
+ * SQLGenerator.js
+ *
+ * Generates the SQL (PostgreSQL or SQLite) persistence layer: Knex
+ * configuration, the initial schema migration, repository models and the
+ * controllers and query helpers that use them. The REST surface is the same
+ * as the MongoDB target.
+ */
+
+const path = require('path');
+
+// Knex client used for each database setting
+const CLIENTS = {
+  postgres: 'pg',
+  sqlite: 'sqlite3'
+};
+
+// Column builders for scalar field types
+const COLUMN_TYPES = {
+  String: 'text',
+  Number: 'double',
+  Boolean: 'boolean',
+  Date: 'timestamp',
+  ObjectId: 'uuid'
+};
+
+class SQLGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'db');
+    this.migrationOutputDir = path.join(this.outputDir, 'migrations');
+  }
+
+  /**
+   * Generate the database configuration and model layer
+   */
+  async generateAll() {
+    if (!this.apiGenerator.isSQL()) {
+      return;
+    }
+
+    await this.apiGenerator.fs.mkdir(this.migrationOutputDir, { recursive: true });
+
+    // Generate Knex configuration
+    await this.apiGenerator.writeCode(
+      path.join(this.outputDir, 'knexfile.js'),
+      this.generateKnexfileCode()
+    );
+
+    // Generate shared connection
+    await this.apiGenerator.writeCode(
+      path.join(this.outputDir, 'connection.js'),
+      this.generateConnectionCode()
+    );
+
+    // Generate model layer
+    await this.apiGenerator.writeCode(
+      path.join(this.outputDir, 'model.js'),
+      this.generateModelLayerCode()
+    );
+  }
+
+  /**
+   * Get the Knex client for the project's database setting
+   */
+  getClient() {
+    return CLIENTS[this.apiGenerator.getSetting('database', 'postgres')] || CLIENTS.postgres;
+  }
+
+  /**
+   * Get the table name for a model (OrderItem -> order_items)
+   */
+  getTableName(modelName) {
+    const snakeName = this.toSnakeCase(modelName);
+
+    if (/[^aeiou]y$/.test(snakeName)) {
+      return `${snakeName.slice(0, -1)}ies`;
+    }
+
+    if (/(s|x|z|ch|sh)$/.test(snakeName)) {
+      return `${snakeName}es`;
+    }
+
+    return `${snakeName}s`;
+  }
+
+  /**
+   * Convert a camelCase or PascalCase name to snake_case
+   */
+  toSnakeCase(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .toLowerCase();
+  }
+
+  /**
+   * Get the models of the data model with their table and field definitions
+   */
+  getModels() {
+    const { dataModel } = this.project;
+    const { indexGenerator } = this.apiGenerator;
+
+    return this.apiGenerator.getDataTypeNodes().map(node => {
+      const name = this.apiGenerator.formatModelName(node.data.name);
+      const table = this.getTableName(name);
+      const textIndex = indexGenerator.getTextIndex(node);
+
+      return {
+        name,
+        table,
+        description: node.data.description,
+        softDelete: this.apiGenerator.auditGenerator.getOptions(node).softDelete,
+        fields: this.getFieldDefinitions(table, this.apiGenerator.getFieldsForModel(node, dataModel)),
+        indexes: indexGenerator.getIndexes(node),
+        search: textIndex ? this.getSearchDefinition(table, textIndex) : null,
+        tenant: this.apiGenerator.tenantGenerator.isEnabled()
+      };
+    });
+  }
+
+  /**
+   * Get the search definition of a model's text index
+   */
+  getSearchDefinition(table, textIndex) {
+    return {
+      table: `${table}_search`,
+      fields: textIndex.fields.map(field => field.name),
+      weights: textIndex.weights
+    };
+  }
+
+  /**
+   * Convert data model fields to the definitions used by the model layer
+   */
+  getFieldDefinitions(table, fields) {
+    const definitions = {};
+
+    for (const field of fields) {
+      let definition;
+
+      switch (field.type) {
+        case 'String':
+        case 'Number':
+        case 'Boolean':
+        case 'Date':
+          definition = { type: field.type };
+          break;
+        case 'Email':
+        case 'URL':
+          definition = { type: 'String' };
+          break;
+        case 'ObjectId':
+          definition = { type: 'ObjectId', ref: this.apiGenerator.formatModelName(field.ref || '') };
+          break;
+        case 'Array':
+          definition = field.of === 'ObjectId'
+            ? {
+              type: 'Array',
+              of: 'ObjectId',
+              ref: this.apiGenerator.formatModelName(field.ref || ''),
+              joinTable: `${table}_${this.toSnakeCase(field.name)}`
+            }
+            : { type: 'Array', of: field.of || 'String' };
+          break;
+        default:
+          // Money, geo points, embedded documents and file metadata are stored as JSON
+          definition = { type: 'Mixed' };
+      }
+
+      if (field.required && field.type !== 'Array') {
+        definition.required = true;
+      }
+
+      if (field.unique && definition.type === 'String') {
+        definition.unique = true;
+      }
+
+      const defaultValue = this.apiGenerator.getDefaultValue(field);
+      if (defaultValue !== undefined) {
+        definition.default = defaultValue;
+      }
+
+      definitions[field.name] = definition;
+    }
+
+    // Owner of the record, used by owner-only access rules
+    if (!definitions.createdBy) {
+      definitions.createdBy = { type: 'ObjectId', ref: 'User' };
+    }
+
+    return definitions;
+  }
+
+  /**
+   * Order models so referenced tables are created first
+   *
+   * @returns {{ models: Array, deferred: Set }} Sorted models, and the
+   *   "Model.field" references that close a cycle and get no foreign key
+   */
+  sortModels(models) {
+    const byName = new Map(models.map(model => [model.name, model]));
+    const state = new Map();
+    const sorted = [];
+    const deferred = new Set();
+
+    const visit = (model) => {
+      state.set(model.name, 'visiting');
+
+      for (const [fieldName, field] of Object.entries(model.fields)) {
+        if (field.type !== 'ObjectId' || !byName.has(field.ref) || field.ref === model.name) {
+          continue;
+        }
+
+        if (state.get(field.ref) === 'visiting') {
+          deferred.add(`${model.name}.${fieldName}`);
+        } else if (!state.has(field.ref)) {
+          visit(byName.get(field.ref));
+        }
+      }
+
+      state.set(model.name, 'done');
+      sorted.push(model);
+    };
+
+    for (const model of models) {
+      if (!state.has(model.name)) {
+        visit(model);
+      }
+    }
+
+    return { models: sorted, deferred };
+  }
+
+  /**
+   * Generate the column statement for a field
+   *
+   * @param {Object} options - indexes: false leaves out unique and index
+   *   statements, nullable: true never adds NOT NULL (for existing tables)
+   */
+  getColumnCode(model, fieldName, field, tables, deferred = new Set(), options = {}) {
+    const { indexes = true, nullable = false } = options;
+
+    if (field.type === 'Array' || field.type === 'Mixed') {
+      return `table.json('${fieldName}');`;
+    }
+
+    const column = field.type === 'Date'
+      ? `table.timestamp('${fieldName}', { useTz: true })`
+      : `table.${COLUMN_TYPES[field.type]}('${fieldName}')`;
+
+    const modifiers = [];
+
+    if (field.required && !nullable) {
+      modifiers.push('.notNullable()');
+    }
+
+    // Unique per tenant under multi-tenancy, see getCreateTableCode()
+    if (field.unique && indexes && !this.apiGenerator.tenantGenerator.isEnabled()) {
+      modifiers.push('.unique()');
+    }
+
+    if (field.type === 'ObjectId' && tables[field.ref] && !deferred.has(`${model.name}.${fieldName}`)) {
+      // Required references must not be left dangling
+      modifiers.push(
+        `.references('id').inTable('${tables[field.ref]}').onDelete('${field.required ? 'RESTRICT' : 'SET NULL'}')`
+      );
+    }
+
+    const statements = [`${column}${modifiers.join('')};`];
+
+    if (field.type === 'ObjectId' && indexes) {
+      statements.push(`table.index('${fieldName}');`);
+    }
+
+    return statements.join('\n    ');
+  }
+
+  /**
+   * Generate the statement that creates a model's table
+   */
+  getCreateTableCode(model, tables, deferred = new Set()) {
+    const columns = Object.entries(model.fields)
+      .filter(([, field]) => !field.joinTable)
+      .map(([fieldName, field]) => this.getColumnCode(model, fieldName, field, tables, deferred));
+
+    if (model.softDelete) {
+      columns.push(this.getSoftDeleteColumnCode());
+    }
+
+    if (model.tenant) {
+      columns.push(this.getTenantColumnCode().trim());
+      columns.push(...Object.entries(model.fields)
+        .filter(([, field]) => field.unique)
+        .map(([fieldName]) => `table.unique(['tenantId', '${fieldName}']);`));
+    }
+
+    // Declared indexes the columns already have are left out
+    const automatic = this.getAutomaticIndexNames(model);
+    const indexes = this.getDeclaredIndexes(model)
+      .filter(index => !automatic.includes(index.name))
+      .map(index => this.getIndexCode(index));
+
+    return `  await knex.schema.createTable('${model.table}', (table) => {
+    table.uuid('id').primary();
+    ${columns.join('\n    ')}
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();${indexes.map(code => `\n    ${code}`).join('')}
+  });`;
+  }
+
+  /**
+   * Get the names Knex gives the indexes of unique, reference, deletedAt
+   * and tenantId columns
+   */
+  getAutomaticIndexNames(model) {
+    const names = [];
+
+    for (const [fieldName, field] of Object.entries(model.fields)) {
+      if (field.unique) {
+        names.push(`${model.table}_${model.tenant ? 'tenantid_' : ''}${fieldName}_unique`.toLowerCase());
+      }
+
+      if (field.type === 'ObjectId') {
+        names.push(`${model.table}_${fieldName}_index`.toLowerCase());
+      }
+    }
+
+    if (model.softDelete) {
+      names.push(`${model.table}_deletedat_index`);
+    }
+
+    if (model.tenant) {
+      names.push(`${model.table}_tenantid_index`);
+    }
+
+    return names;
+  }
+
+  /**
+   * Get the declared indexes of a model other than its text index, named
+   * the way Knex names indexes
+   *
+   * Unique indexes of tenant-owned tables are unique per tenant.
+   *
+   * @param {boolean} [tenancy] - Whether the table is tenant-owned, by
+   *   default whether the project is multi-tenant
+   * @returns {Array<{ name, fields, order, columns, unique }>} columns are
+   *   the arguments of the index statement, with descending columns as raw SQL
+   */
+  getDeclaredIndexes(model, tenancy = this.apiGenerator.tenantGenerator.isEnabled()) {
+    return (model.indexes || []).filter(index => index.type !== 'text').map(declared => {
+      const unique = declared.type === 'unique';
+      const index = unique && tenancy
+        ? { ...declared, fields: [{ name: 'tenantId', order: 1 }, ...declared.fields] }
+        : declared;
+      const fields = index.fields.map(field => field.name);
+      // Unique constraints have no order
+      const order = index.fields.map(field => (unique ? 1 : field.order));
+
+      return {
+        name: `${model.table}_${fields.join('_')}_${unique ? 'unique' : 'index'}`.toLowerCase(),
+        fields,
+        order,
+        columns: index.fields.map((field, i) =>
+          order[i] === -1 ? `knex.raw('"${field.name}" desc')` : `'${field.name}'`
+        ),
+        unique
+      };
+    });
+  }
+
+  /**
+   * Generate the statement that adds a declared index inside a table builder
+   */
+  getIndexCode(index) {
+    return `table.${index.unique ? 'unique' : 'index'}([${index.columns.join(', ')}], '${index.name}');`;
+  }
+
+  /**
+   * Generate the statements that create or drop the full-text search index
+   * of a table: an expression index on PostgreSQL and an FTS5 table kept in
+   * sync by triggers on SQLite
+   *
+   * The migration must have the Knex client in scope as \`client\`.
+   */
+  getSearchIndexCode(table, search, create = true) {
+    const columns = search.fields.map(field => `"${field}"`);
+
+    if (!create) {
+      return `  if (client === 'sqlite3') {
+    await knex.raw('drop trigger if exists "${search.table}_insert"');
+    await knex.raw('drop trigger if exists "${search.table}_delete"');
+    await knex.raw('drop trigger if exists "${search.table}_update"');
+    await knex.raw('drop table if exists "${search.table}"');
+  } else {
+    await knex.raw('drop index if exists "${search.table}"');
+  }`;
+    }
+
+    const document = columns.map(column => `coalesce(${column}, '')`).join(` || ' ' || `);
+    const values = prefix => columns.map(column => `${prefix}.${column}`).join(', ');
+    const remove = `insert into "${search.table}" ("${search.table}", rowid, ${columns.join(', ')}) values ('delete', old.rowid, ${values('old')});`;
+    const insert = `insert into "${search.table}" (rowid, ${columns.join(', ')}) values (new.rowid, ${values('new')});`;
+
+    return `  if (client === 'sqlite3') {
+    await knex.raw(\`create virtual table "${search.table}" using fts5(${columns.join(', ')}, content = '${table}', content_rowid = 'rowid', tokenize = 'porter unicode61')\`);
+    await knex.raw(\`create trigger "${search.table}_insert" after insert on "${table}" begin
+      ${insert}
+    end\`);
+    await knex.raw(\`create trigger "${search.table}_delete" after delete on "${table}" begin
+      ${remove}
+    end\`);
+    await knex.raw(\`create trigger "${search.table}_update" after update on "${table}" begin
+      ${remove}
+      ${insert}
+    end\`);
+    // Index the rows the table already has
+    await knex.raw(\`insert into "${search.table}" ("${search.table}") values ('rebuild')\`);
+  } else {
+    await knex.raw(\`create index "${search.table}" on "${table}" using gin (to_tsvector('english', ${document}))\`);
+  }`;
+  }
+
+  /**
+   * Generate the column statement for the deletedAt timestamp of soft deleted tables
+   *
+   * @param {boolean} index - Whether to index the column (left to a separate
+   *   step when migrating)
+   */
+  getSoftDeleteColumnCode(index = true) {
+    return `table.timestamp('deletedAt', { useTz: true })${index ? '.index()' : ''};`;
+  }
+
+  /**
+   * Generate the statement that creates the join table of an array of references
+   */
+  getJoinTableCode(model, field, tables) {
+    const target = tables[field.ref]
+      ? `.references('id').inTable('${tables[field.ref]}').onDelete('CASCADE')`
+      : '';
+
+    return `  await knex.schema.createTable('${field.joinTable}', (table) => {
+    table.uuid('owner_id').notNullable().references('id').inTable('${model.table}').onDelete('CASCADE');
+    table.uuid('target_id').notNullable()${target};
+    table.integer('position').notNullable();
+    table.primary(['owner_id', 'position']);
+    table.index('target_id');
+  });`;
+  }
+
+  /**
+   * Get the tenantId column statement of tenant-owned tables, or an empty
+   * string when the project has a single tenant
+   */
+  getTenantColumnCode() {
+    return this.apiGenerator.tenantGenerator.isEnabled()
+      ? "\n    table.uuid('tenantId').notNullable().references('id').inTable('tenants').index();"
+      : '';
+  }
+
+  /**
+   * Generate the statement that creates the tenant table
+   */
+  getTenantTableCode() {
+    return `  await knex.schema.createTable('tenants', (table) => {
+    table.uuid('id').primary();
+    table.text('slug').notNullable().unique();
+    table.text('name');
+    table.text('apiKeyHash').unique();
+    table.boolean('active').notNullable();
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();
+  });`;
+  }
+
+  /**
+   * Generate the statement that creates the funnel session table
+   */
+  getSessionTableCode() {
+    return `  await knex.schema.createTable('funnel_sessions', (table) => {
+    table.uuid('id').primary();${this.getTenantColumnCode()}
+    table.text('visitorId').index();
+    table.text('currentNodeId');
+    table.text('status').notNullable();
+    table.json('data');
+    table.json('history');
+    table.timestamp('completedAt', { useTz: true });
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();
+  });`;
+  }
+
+  /**
+   * Generate the statement that creates the audit trail table
+   */
+  getAuditTableCode() {
+    return `  await knex.schema.createTable('audit_entries', (table) => {
+    table.uuid('id').primary();${this.getTenantColumnCode()}
+    table.text('modelName').notNullable();
+    table.text('documentId').notNullable();
+    table.text('action').notNullable();
+    table.json('changes');
+    table.uuid('user').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();
+    table.index(['modelName', 'documentId']);
+  });`;
+  }
+
+  /**
+   * Generate the statement that creates the webhook delivery table
+   */
+  getWebhookTableCode() {
+    return `  await knex.schema.createTable('webhook_deliveries', (table) => {
+    table.uuid('id').primary();${this.getTenantColumnCode()}
+    table.text('modelName').notNullable();
+    table.text('event').notNullable();
+    table.text('documentId').notNullable();
+    table.text('url').notNullable();
+    table.json('payload').notNullable();
+    table.text('status').notNullable();
+    table.integer('attempts').notNullable();
+    table.timestamp('nextAttemptAt', { useTz: true }).notNullable();
+    table.text('lastError');
+    table.timestamp('deliveredAt', { useTz: true });
+    table.json('log');
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();
+    table.index(['status', 'nextAttemptAt']);
+  });`;
+  }
+
+  /**
+   * Generate code for the Knex configuration
+   */
+  generateKnexfileCode() {
+    return `/**
+ * Knex configuration
+ *
+ * DB_CLIENT selects the database (pg or sqlite3), so the same API can run
+ * against SQLite in tests and CI.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const client = process.env.DB_CLIENT || '${this.getClient()}';
+
+const migrations = {
+  directory: path.join(__dirname, 'migrations')
+};
+
+module.exports = client === 'sqlite3'
+  ? {
+    client,
+    connection: {
+      // Relative to the project root, also when run from the knex CLI
+      filename: path.resolve(__dirname, '..', process.env.SQLITE_FILENAME || 'data.sqlite')
+    },
+    useNullAsDefault: true,
+    pool: {
+      // SQLite only enforces foreign keys when asked to
+      afterCreate: (connection, done) => connection.run('PRAGMA foreign_keys = ON', done)
+    },
+    migrations
+  }
+  : {
+    client,
+    connection: process.env.DATABASE_URL,
+    migrations
+  };
+`;
+  }
+
+  /**
+   * Generate code for the shared database connection
+   */
+  generateConnectionCode() {
+    return `/**
+ * Shared Knex connection
+ */
+const knex = require('knex');
+const config = require('./knexfile');
+
+module.exports = knex(config);
+`;
+  }
+
+  /**
+   * Generate code for the model layer shared by all repository models
+   */
+  generateModelLayerCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * SQL model layer
+ *
+ * A small repository on top of Knex that returns records in the same shape as
+ * the MongoDB target: a string _id, reference IDs, and arrays of references
+ * (stored in join tables) as arrays of IDs.${tenancy ? `
+ *
+ * Models of tenant-owned records limit every query to the tenant of the
+ * current context, see utils/tenancy.js.` : ''}
+ */
+const crypto = require('crypto');
+const knex = require('./connection');
+const { client } = require('./knexfile');${tenancy ? `
+const { getTenantScope, TenantError } = require('../utils/tenancy');` : ''}
+
+const ID_PATTERN = /${this.apiGenerator.getIdPattern()}/;
+
+const IS_SQLITE = client === 'sqlite3';
+
+// Maintained for every table
+const TIMESTAMP_FIELDS = {
+  createdAt: { type: 'Date' },
+  updatedAt: { type: 'Date' }
+};
+
+// Maintained for soft deleted tables
+const SOFT_DELETE_FIELDS = {
+  deletedAt: { type: 'Date' }
+};
+${tenancy ? `
+// Maintained for tenant-owned tables
+const TENANT_FIELDS = {
+  tenantId: { type: 'ObjectId', ref: 'Tenant' }
+};
+` : ''}
+const models = {};
+
+const clone = value => (value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+class SqlModel {
+  constructor({ name, table, fields, hidden = [], methods = {}, hooks = {}, softDelete = false, search = null${tenancy ? ', tenant = false' : ''} }) {
+    this.modelName = name;
+    this.table = table;
+    this.softDelete = softDelete;
+    this.search = search;${tenancy ? `
+    this.tenant = tenant;
+    this.fields = { ...fields, ...(softDelete ? SOFT_DELETE_FIELDS : {}), ...(tenant ? TENANT_FIELDS : {}), ...TIMESTAMP_FIELDS };` : `
+    this.fields = { ...fields, ...(softDelete ? SOFT_DELETE_FIELDS : {}), ...TIMESTAMP_FIELDS };`}
+    this.hidden = hidden;
+    this.methods = methods;
+    this.hooks = hooks;
+  }
+
+${tenancy ? `  /**
+   * Start a query on the model's table, limited to the current tenant
+   */
+  query(trx = knex) {
+    const builder = trx(this.table);
+    const tenantId = this.tenant ? getTenantScope() : null;
+
+    // Qualified, as searches join another table
+    return tenantId ? builder.where(\`\${this.table}.tenantId\`, tenantId) : builder;
+  }
+
+  /**
+   * Give a new record the current tenant, refusing a record of another tenant
+   */
+  assignTenant(values) {
+    const tenantId = getTenantScope();
+
+    if (!tenantId) {
+      if (!values.tenantId) {
+        throw new TenantError(\`\${this.modelName} records created outside a tenant need a tenantId\`);
+      }
+
+      return values;
+    }
+
+    if (values.tenantId && String(values.tenantId) !== tenantId) {
+      throw new TenantError('Record belongs to another tenant', 403);
+    }
+
+    return { ...values, tenantId };
+  }` : `  /**
+   * Start a query on the model's table
+   */
+  query(trx = knex) {
+    return trx(this.table);
+  }`}
+
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  /**
+   * Get the definition of a field (including _id), or null if there is none
+   */
+  getField(name) {
+    if (name === '_id') {
+      return { type: 'ObjectId' };
+    }
+
+    return Object.prototype.hasOwnProperty.call(this.fields, name) ? this.fields[name] : null;
+  }
+
+  getColumn(name) {
+    return name === '_id' ? 'id' : name;
+  }
+
+  getRelations() {
+    return Object.entries(this.fields).filter(([, field]) => field.joinTable);
+  }
+
+  isJson(field) {
+    return field.type === 'Mixed' || (field.type === 'Array' && !field.joinTable);
+  }
+
+  /**
+   * Convert a field value to its column value
+   */
+  toColumn(field, value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (this.isJson(field)) {
+      return JSON.stringify(value);
+    }
+
+    if (field.type === 'Date') {
+      // SQLite stores epoch milliseconds. Converting here rather than in the
+      // driver also covers Date objects from another realm, e.g. under Jest.
+      const date = new Date(value);
+      return IS_SQLITE ? date.getTime() : date;
+    }
+
+    return value;
+  }
+
+  /**
+   * Convert a column value back to its field value
+   */
+  fromColumn(field, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (this.isJson(field)) {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    switch (field.type) {
+      case 'Date':
+        return new Date(value);
+      case 'Boolean':
+        return Boolean(value);
+      case 'Number':
+        return Number(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Apply equality and { $ne } conditions to a query
+   *
+   * Soft deleted rows are left out unless the conditions mention deletedAt
+   * or options.withDeleted is set.
+   *
+   * @returns {Object|null} The query, or null when no row can match
+   */
+  where(builder, conditions = {}, options = {}) {
+    if (this.softDelete && !options.withDeleted && !('deletedAt' in conditions)) {
+      builder.whereNull('deletedAt');
+    }
+
+    for (const [name, value] of Object.entries(conditions)) {
+      const field = this.getField(name);
+      const column = this.getColumn(name);
+      const isId = Boolean(field) && field.type === 'ObjectId';
+
+      if (value !== null && typeof value === 'object' && '$ne' in value) {
+        // A malformed ID cannot equal any stored ID
+        if (!isId || this.isValidId(value.$ne)) {
+          builder.whereNot(column, value.$ne);
+        }
+        continue;
+      }
+
+      if (value === null || value === undefined) {
+        builder.whereNull(column);
+        continue;
+      }
+
+      if (isId && !this.isValidId(String(value))) {
+        return null;
+      }
+
+      builder.where(column, field ? this.toColumn(field, value) : value);
+    }
+
+    return builder;
+  }
+
+  /**
+   * Convert field values to a row, leaving out join table relations
+   */
+  toRow(values) {
+    const row = {};
+
+    for (const [name, value] of Object.entries(values)) {
+      const field = this.getField(name);
+
+      if (!field || name === '_id' || field.joinTable || value === undefined) {
+        continue;
+      }
+
+      row[name] = this.toColumn(field, value);
+    }
+
+    return row;
+  }
+
+  /**
+   * Convert a row to a record; hidden fields and methods are not serialized
+   */
+  serialize(row, relations = {}) {
+    const record = { _id: row.id };
+
+    for (const [name, field] of Object.entries(this.fields)) {
+      let value;
+
+      if (field.joinTable) {
+        value = relations[name] || [];
+      } else if (name in row) {
+        value = this.fromColumn(field, row[name]);
+      } else {
+        continue;
+      }
+
+      if (this.hidden.includes(name)) {
+        Object.defineProperty(record, name, { value, writable: true, enumerable: false });
+      } else {
+        record[name] = value;
+      }
+    }
+
+    // Mongoose-style id alias
+    Object.defineProperty(record, 'id', { value: row.id, enumerable: false });
+
+    for (const [name, method] of Object.entries(this.methods)) {
+      Object.defineProperty(record, name, { value: method, enumerable: false });
+    }
+
+    return record;
+  }
+
+  /**
+   * Load join table relations for a list of rows, in their stored order
+   */
+  async loadRelations(rows, trx = knex) {
+    const relations = rows.map(() => ({}));
+    const byId = new Map(rows.map((row, index) => [row.id, relations[index]]));
+
+    for (const [name, field] of this.getRelations()) {
+      relations.forEach(relation => {
+        relation[name] = [];
+      });
+
+      if (rows.length === 0) {
+        continue;
+      }
+
+      const links = await trx(field.joinTable)
+        .whereIn('owner_id', [...byId.keys()])
+        .orderBy('position');
+
+      for (const link of links) {
+        byId.get(link.owner_id)[name].push(link.target_id);
+      }
+    }
+
+    return relations;
+  }
+
+  /**
+   * Convert rows to records with their relations
+   */
+  async hydrate(rows, trx = knex) {
+    const relations = await this.loadRelations(rows, trx);
+    return rows.map((row, index) => this.serialize(row, relations[index]));
+  }
+
+  async find(conditions = {}, options = {}) {
+    const builder = this.where(this.query(), conditions, options);
+    return builder ? this.hydrate(await builder) : [];
+  }
+
+  findByIds(ids, conditions = {}) {
+    return this.findIn('_id', ids, conditions);
+  }
+
+  /**
+   * Find records whose field (a column, not a join table) is one of the values
+   */
+  async findIn(name, values, conditions = {}) {
+    const field = this.getField(name);
+    const validValues = field.type === 'ObjectId' ? values.filter(value => this.isValidId(value)) : values;
+    const builder = this.where(this.query(), conditions);
+
+    if (!builder || validValues.length === 0) {
+      return [];
+    }
+
+    return this.hydrate(await builder.whereIn(
+      this.getColumn(name),
+      validValues.map(value => this.toColumn(field, value))
+    ));
+  }
+
+  async findOne(conditions = {}, options = {}) {
+    const builder = this.where(this.query(), conditions, options);
+    const row = builder ? await builder.first() : null;
+
+    if (!row) {
+      return null;
+    }
+
+    const [record] = await this.hydrate([row]);
+    return record;
+  }
+
+  findById(id) {
+    return this.findOne({ _id: id });
+  }
+
+  async exists(conditions = {}) {
+    const builder = this.where(this.query(), conditions);
+    return Boolean(builder && (await builder.first('id')));
+  }
+
+  /**
+   * Fill in default values for missing fields
+   */
+  applyDefaults(values) {
+    const result = { ...values };
+
+    for (const [name, field] of Object.entries(this.fields)) {
+      if (result[name] !== undefined || field.default === undefined) {
+        continue;
+      }
+
+      result[name] = field.type === 'Date' && field.default === 'now' ? new Date() : clone(field.default);
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace the join table rows of the relations present in values
+   */
+  async writeRelations(trx, id, values) {
+    for (const [name, field] of this.getRelations()) {
+      if (values[name] === undefined) {
+        continue;
+      }
+
+      await trx(field.joinTable).where('owner_id', id).del();
+
+      const targets = values[name] || [];
+      if (targets.length > 0) {
+        await trx(field.joinTable).insert(
+          targets.map((targetId, position) => ({ owner_id: id, target_id: targetId, position }))
+        );
+      }
+    }
+  }
+
+  async create(data) {
+    // Seeds may bring their own IDs; the API validators strip _id
+    const id = this.isValidId(data._id) ? data._id : crypto.randomUUID();
+    const now = new Date();
+    let values = { ...this.applyDefaults(data), createdAt: now, updatedAt: now };
+
+    if (this.hooks.beforeSave) {
+      values = await this.hooks.beforeSave(values);
+    }
+${tenancy ? `
+    if (this.tenant) {
+      values = this.assignTenant(values);
+    }
+` : ''}
+    await knex.transaction(async (trx) => {
+      await ${tenancy ? 'trx(this.table)' : 'this.query(trx)'}.insert({ id, ...this.toRow(values) });
+      await this.writeRelations(trx, id, values);
+    });
+
+    return this.findById(id);
+  }
+
+  async update(id, data) {
+    ${tenancy ? `// Records never move to another tenant
+    const { tenantId, ...changes } = data;
+    let values = { ...changes, updatedAt: new Date() };` : 'let values = { ...data, updatedAt: new Date() };'}
+
+    if (this.hooks.beforeSave) {
+      values = await this.hooks.beforeSave(values);
+    }
+
+    await knex.transaction(async (trx) => {
+${tenancy ? `      const updated = await this.query(trx).where('id', id).update(this.toRow(values));
+
+      // The join tables of another tenant's record are left alone
+      if (updated > 0) {
+        await this.writeRelations(trx, id, values);
+      }` : `      await this.query(trx).where('id', id).update(this.toRow(values));
+      await this.writeRelations(trx, id, values);`}
+    });
+
+    return this.findById(id);
+  }
+
+  async increment(id, field, amount = 1) {
+    await this.query().where('id', id).increment(field, amount);
+  }
+
+  // Join table rows are removed by ON DELETE CASCADE
+  async remove(id) {
+    await this.query().where('id', id).del();
+  }
+
+  /**
+   * Soft delete a record: it is kept, but left out of queries until restored
+   */
+  async markDeleted(id) {
+    const now = new Date();
+
+    await this.query().where('id', id).update(this.toRow({ deletedAt: now, updatedAt: now }));
+    return this.findOne({ _id: id }, { withDeleted: true });
+  }
+
+  async restore(id) {
+    await this.query().where('id', id).update(this.toRow({ deletedAt: null, updatedAt: new Date() }));
+    return this.findById(id);
+  }
+}
+
+/**
+ * Define a model and register it by name
+ */
+const defineModel = (definition) => {
+  const model = new SqlModel(definition);
+  models[model.modelName] = model;
+  return model;
+};
+
+/**
+ * Get a model by name, loading its module on first use
+ */
+const getModel = (name) => {
+  if (!models[name]) {
+    require(\`../models/\${name}\`);
+  }
+
+  return models[name] || null;
+};
+
+module.exports = {
+  SqlModel,
+  defineModel,
+  getModel
+};
+`;
+  }
+
+  /**
+   * Generate code for the initial schema migration
+   */
+  generateMigrationCode() {
+    const { models, deferred } = this.sortModels(this.getModels());
+    const tables = { User: 'users' };
+
+    for (const model of models) {
+      tables[model.name] = model.table;
+    }
+
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+    const statements = [`  await knex.schema.createTable('users', (table) => {
+    table.uuid('id').primary();${this.getTenantColumnCode()}
+    table.text('email').notNullable()${tenancy ? '' : '.unique()'};
+    table.text('password').notNullable();
+    table.text('name');
+    table.text('role').notNullable();
+    table.integer('tokenVersion').notNullable();
+    table.timestamp('createdAt', { useTz: true }).notNullable();
+    table.timestamp('updatedAt', { useTz: true }).notNullable();${tenancy ? "\n    table.unique(['tenantId', 'email']);" : ''}
+  });`];
+    const dropped = ['users'];
+
+    // Every other table belongs to a tenant
+    if (tenancy) {
+      statements.unshift(this.getTenantTableCode());
+      dropped.unshift('tenants');
+    }
+
+    for (const model of models) {
+      statements.push(this.getCreateTableCode(model, tables, deferred));
+      dropped.push(model.table);
+    }
+
+    // Arrays of references become join tables that keep the array order
+    for (const model of models) {
+      for (const field of Object.values(model.fields).filter(field => field.joinTable)) {
+        statements.push(this.getJoinTableCode(model, field, tables));
+        dropped.push(field.joinTable);
+      }
+    }
+
+    if (this.apiGenerator.workflowGenerator.hasWorkflow()) {
+      statements.push(this.getSessionTableCode());
+      dropped.push('funnel_sessions');
+    }
+
+    if (this.apiGenerator.auditGenerator.hasAudit()) {
+      statements.push(this.getAuditTableCode());
+      dropped.push('audit_entries');
+    }
+
+    if (this.apiGenerator.webhookGenerator.hasWebhooks()) {
+      statements.push(this.getWebhookTableCode());
+      dropped.push('webhook_deliveries');
+    }
+
+    // Full-text tables are not dropped with their table on SQLite
+    const searchable = models.filter(model => model.search);
+    const removed = searchable.map(model => this.getSearchIndexCode(model.table, model.search, false));
+
+    for (const model of searchable) {
+      statements.push(this.getSearchIndexCode(model.table, model.search));
+    }
+
+    const notes = [...deferred].map(reference => ` * - ${reference} has no foreign key because it closes a reference cycle`);
+
+    return `/**
+ * Initial schema
+ *
+ * Generated from the data model. References are foreign keys and arrays of
+ * references are join tables named <table>_<field>.${notes.length > 0 ? `\n *\n${notes.join('\n')}` : ''}
+ */
+${searchable.length > 0 ? "const { client } = require('../knexfile');\n\n" : ''}exports.up = async (knex) => {
+${statements.join('\n\n')}
+};
+
+exports.down = async (knex) => {
+${[...removed, ...dropped.reverse().map(table => `  await knex.schema.dropTableIfExists('${table}');`)].join('\n')}
+};
+`;
+  }
+
+  /**
+   * Generate code for a repository model
+   */
+  generateModelCode(modelName) {
+    const model = this.getModels().find(item => item.name === modelName);
+
+    return `/**
+ * ${modelName} model
+ * ${model.description || ''}
+ */
+const { defineModel } = require('../db/model');
+${this.apiGenerator.protectedRegions.region('imports')}
+
+const ${modelName} = defineModel({
+  name: '${modelName}',
+  table: '${model.table}',
+  fields: ${JSON.stringify(model.fields, null, 2)}${model.softDelete ? ',\n  softDelete: true' : ''}${model.search ? `,\n  search: ${JSON.stringify(model.search, null, 2)}` : ''}${model.tenant ? ',\n  tenant: true' : ''}
+});
+
+// Additional queries and helpers
+${this.apiGenerator.protectedRegions.region('model')}
+
+module.exports = ${modelName};
+`;
+  }
+
+  /**
+   * Generate code for the User model
+   */
+  generateUserModelCode() {
+    return `/**
+ * User model
+ * Accounts that can authenticate against the API
+ */
+const bcrypt = require('bcryptjs');
+const { defineModel } = require('../db/model');
+
+const SALT_ROUNDS = 10;
+const EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+
+/**
+ * Build an error the error handler reports like a schema validation error
+ */
+const validationError = (field, message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.errors = { [field]: { path: field, message } };
+  return error;
+};
+
+module.exports = defineModel({
+  name: 'User',
+  table: 'users',
+  fields: {
+    email: { type: 'String', required: true, unique: true },
+    password: { type: 'String', required: true },
+    name: { type: 'String' },
+    role: { type: 'String', default: 'user' },
+    // Incremented to revoke all refresh tokens issued so far
+    tokenVersion: { type: 'Number', default: 0 }
+  }${this.apiGenerator.tenantGenerator.isEnabled() ? ',\n  tenant: true' : ''},
+  hidden: ['password', 'tokenVersion'],
+  methods: {
+    comparePassword(candidate) {
+      return bcrypt.compare(candidate, this.password);
+    }
+  },
+  hooks: {
+    // Normalize the email and hash the password whenever it changes
+    async beforeSave(values) {
+      const result = { ...values };
+
+      if (result.email !== undefined) {
+        result.email = String(result.email).trim().toLowerCase();
+
+        if (!EMAIL_PATTERN.test(result.email)) {
+          throw validationError('email', 'email must be a valid email address');
+        }
+      }
+
+      if (result.name !== undefined && result.name !== null) {
+        result.name = String(result.name).trim();
+      }
+
+      if (result.password !== undefined) {
+        if (String(result.password).length < 8) {
+          throw validationError('password', 'password must be at least 8 characters');
+        }
+
+        result.password = await bcrypt.hash(String(result.password), SALT_ROUNDS);
+      }
+
+      return result;
+    }
+  }
+});
+`;
+  }
+
+  /**
+   * Generate code for the Tenant model
+   */
+  generateTenantModelCode() {
+    return `/**
+ * Tenant model
+ * Clients served by the API; every other record belongs to one of them
+ */
+const crypto = require('crypto');
+const { defineModel } = require('../db/model');
+
+// Slugs double as subdomains, so they follow the rules of a DNS label
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+const hashApiKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Build an error the error handler reports like a schema validation error
+ */
+const validationError = (field, message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.errors = { [field]: { path: field, message } };
+  return error;
+};
+
+const Tenant = defineModel({
+  name: 'Tenant',
+  table: 'tenants',
+  fields: {
+    slug: { type: 'String', required: true, unique: true },
+    name: { type: 'String' },
+    // SHA-256 of the API key; the key itself is only shown when issued
+    apiKeyHash: { type: 'String', unique: true },
+    // Requests of disabled tenants are refused
+    active: { type: 'Boolean', default: true }
+  },
+  hidden: ['apiKeyHash'],
+  hooks: {
+    async beforeSave(values) {
+      const result = { ...values };
+
+      if (result.slug !== undefined) {
+        result.slug = String(result.slug).trim().toLowerCase();
+
+        if (!SLUG_PATTERN.test(result.slug)) {
+          throw validationError('slug', 'slug must be lowercase letters, digits and hyphens');
+        }
+      }
+
+      if (result.name !== undefined && result.name !== null) {
+        result.name = String(result.name).trim();
+      }
+
+      return result;
+    }
+  }
+});
+
+Tenant.findBySlug = slug => Tenant.findOne({ slug: String(slug).trim().toLowerCase() });
+
+Tenant.findByApiKey = apiKey => Tenant.findOne({ apiKeyHash: hashApiKey(apiKey) });
+
+/**
+ * Issue a new API key for a tenant, replacing its previous one
+ *
+ * @returns {Promise<string>} The key; only its hash is stored
+ */
+Tenant.issueApiKey = async (id) => {
+  const apiKey = \`tk_\${crypto.randomBytes(24).toString('hex')}\`;
+
+  await Tenant.update(id, { apiKeyHash: hashApiKey(apiKey) });
+  return apiKey;
+};
+
+Tenant.setActive = (id, active) => Tenant.update(id, { active });
+
+module.exports = Tenant;
+`;
+  }
+
+  /**
+   * Generate code for the funnel session model
+   */
+  generateSessionModelCode() {
+    return `/**
+ * FunnelSession model
+ * Tracks each visitor's position in the funnel workflow
+ */
+const { defineModel } = require('../db/model');
+
+const model = defineModel({
+  name: 'FunnelSession',
+  table: 'funnel_sessions',
+  fields: {
+    visitorId: { type: 'String' },
+    currentNodeId: { type: 'String' },
+    status: { type: 'String', default: 'active' },
+    data: { type: 'Mixed', default: {} },
+    history: { type: 'Array', of: 'Mixed', default: [] },
+    completedAt: { type: 'Date' }
+  }${this.apiGenerator.tenantGenerator.isEnabled() ? ',\n  tenant: true' : ''}
+});
+
+/**
+ * Session record with the save() interface the funnel routes use
+ */
+class FunnelSession {
+  constructor(values = {}) {
+    Object.assign(this, model.applyDefaults(values));
+  }
+
+  static async findById(id) {
+    const record = await model.findById(id);
+    return record ? new FunnelSession(record) : null;
+  }
+
+  // JSON columns are always written in full
+  markModified() {}
+
+  async save() {
+    const { _id, createdAt, updatedAt, ...values } = this;
+    const record = _id ? await model.update(_id, values) : await model.create(values);
+
+    Object.assign(this, record);
+    return this;
+  }
+}
+
+module.exports = FunnelSession;
+`;
+  }
+
+  /**
+   * Generate code for the audit entry model
+   */
+  generateAuditEntryModelCode() {
+    return `/**
+ * AuditEntry model
+ * One create, update, delete or restore of an audited record
+ */
+const { defineModel } = require('../db/model');
+
+module.exports = defineModel({
+  name: 'AuditEntry',
+  table: 'audit_entries',
+  fields: {
+    modelName: { type: 'String', required: true },
+    documentId: { type: 'String', required: true },
+    // create, update, delete or restore
+    action: { type: 'String', required: true },
+    // { field, from, to } for every field the action changed
+    changes: { type: 'Array', of: 'Mixed', default: [] },
+    // User who made the change, if signed in
+    user: { type: 'ObjectId', ref: 'User' }
+  }${this.apiGenerator.tenantGenerator.isEnabled() ? ',\n  tenant: true' : ''}
+});
+`;
+  }
+
+  /**
+   * Generate code for the webhook delivery model
+   */
+  generateWebhookDeliveryModelCode() {
+    return `/**
+ * WebhookDelivery model
+ * One event queued for one webhook subscription, with a log of every attempt
+ */
+const { defineModel } = require('../db/model');
+
+const WebhookDelivery = defineModel({
+  name: 'WebhookDelivery',
+  table: 'webhook_deliveries',
+  fields: {
+    modelName: { type: 'String', required: true },
+    // created, updated or deleted
+    event: { type: 'String', required: true },
+    documentId: { type: 'String', required: true },
+    url: { type: 'String', required: true },
+    // JSON body sent to the subscriber
+    payload: { type: 'Mixed', required: true },
+    // pending until delivered, dead once every attempt has failed
+    status: { type: 'String', default: 'pending' },
+    attempts: { type: 'Number', default: 0 },
+    nextAttemptAt: { type: 'Date', default: 'now' },
+    lastError: { type: 'String' },
+    deliveredAt: { type: 'Date' },
+    // { at, statusCode, error, response, durationMs } for every attempt
+    log: { type: 'Array', of: 'Mixed', default: [] }
+  }${this.apiGenerator.tenantGenerator.isEnabled() ? ',\n  tenant: true' : ''}
+});
+
+const toDateColumn = date => WebhookDelivery.toColumn(WebhookDelivery.getField('nextAttemptAt'), date);
+
+/**
+ * Claim the delivery that is due first, leaving it to this worker until
+ * the lease runs out
+ */
+WebhookDelivery.claimNext = async (leaseMs) => {
+  const row = await WebhookDelivery.query()
+    .where('status', 'pending')
+    .where('nextAttemptAt', '<=', toDateColumn(new Date()))
+    .orderBy('nextAttemptAt')
+    .first('id', 'nextAttemptAt');
+
+  if (!row) {
+    return null;
+  }
+
+  // Only one worker moves nextAttemptAt on from the value it read
+  const claimed = await WebhookDelivery.query()
+    .where({ id: row.id, nextAttemptAt: row.nextAttemptAt })
+    .update({ nextAttemptAt: toDateColumn(Date.now() + leaseMs) });
+
+  return claimed === 1 ? WebhookDelivery.findById(row.id) : WebhookDelivery.claimNext(leaseMs);
+};
+
+/**
+ * Save the outcome of an attempt and add it to the log
+ */
+WebhookDelivery.saveAttempt = async (id, values, entry) => {
+  const delivery = await WebhookDelivery.findById(id);
+  return WebhookDelivery.update(id, { ...values, log: [...delivery.log, entry] });
+};
+
+/**
+ * Queue a dead delivery again with a fresh set of attempts
+ */
+WebhookDelivery.requeue = async (id) => {
+  const delivery = await WebhookDelivery.findOne({ _id: id, status: 'dead' });
+
+  if (!delivery) {
+    return null;
+  }
+
+  return WebhookDelivery.update(id, { status: 'pending', attempts: 0, nextAttemptAt: new Date() });
+};
+
+module.exports = WebhookDelivery;
+`;
+  }
+
+  /**
+   * Generate code for a controller file
+   */
+  generateControllerCode(modelName, options = {}) {
+    const { softDelete, audit, webhooks, search, files = {}, routeName } = options;
+    const hasFiles = Object.keys(files).length > 0;
+    const record = (action, before, after) =>
+      audit ? `\n    await recordChange(req, '${modelName}', '${action}', ${before}, ${after});` : '';
+    const emit = (event, item) =>
+      webhooks ? `\n    await emitEvent('${modelName}', '${event}', ${item});` : '';
+    const remove = softDelete
+      ? `${audit ? `const deleted = await ${modelName}.markDeleted(item._id);${record('delete', 'item', 'deleted')}` : `await ${modelName}.markDeleted(item._id);`}${emit('deleted', 'item')}`
+      : `await ${modelName}.remove(item._id);${record('delete', 'item', 'null')}${emit('deleted', 'item')}${hasFiles ? '\n    await files.removeFiles(item);' : ''}`;
+    const bulk = this.apiGenerator.bulkGenerator.getControllerCode(modelName, routeName, {
+      find: `${modelName}.findOne({ _id: id, ...ownerScope(req) })`,
+      create: `const item = await ${modelName}.create({
+      ...data,
+      createdBy: req.user && req.user.id ? req.user.id : null
+    });${record('create', 'null', 'item')}${emit('created', 'item')}
+    return item;`,
+      update: `const updated = await ${modelName}.update(item._id, data);${record('update', 'item', 'updated')}${emit('updated', 'updated')}
+    return updated;`,
+      remove,
+      list: `streamDocuments(${modelName}, req, ownerScope(req))`
+    });
+    const fileHandlers = this.apiGenerator.fileGenerator.getControllerCode(modelName, routeName, files, {
+      find: `${modelName}.findOne({ _id: id, ...ownerScope(req) })`,
+      save: `const updated = await ${modelName}.update(item._id, changes);${record('update', 'item', 'updated')}${emit('updated', 'updated')}
+    return updated;`
+    });
+
+    return `/**
+ * Controller for ${modelName}
+ */
+const ${modelName} = require('../models/${modelName}');
+const validator = require('../validators/${modelName}Validator');
+const { listDocuments${search ? ', searchDocuments' : ''}, streamDocuments } = require('../utils/listQuery');
+const { expandDocuments } = require('../utils/expand');
+const { createBulkHandlers } = require('../utils/bulk');
+${hasFiles ? "const { createFileHandlers } = require('../utils/files');\n" : ''}const { ownerScope } = require('../middleware/auth');
+${audit ? "const { recordChange, listHistory } = require('../utils/audit');\n" : ''}${webhooks ? "const { emitEvent } = require('../webhooks/dispatcher');\n" : ''}${this.apiGenerator.protectedRegions.region('imports')}
+
+// Get all ${modelName}s
+exports.getAll = async (req, res, next) => {
+  try {
+    const result = await listDocuments(${modelName}, req, ownerScope(req), items => expandDocuments(${modelName}, items, req));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+${search ? `
+// Search ${modelName}s by text
+exports.search = async (req, res, next) => {
+  try {
+    const result = await searchDocuments(${modelName}, req, ownerScope(req), items => expandDocuments(${modelName}, items, req));
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+` : ''}
+// Get ${modelName} by ID
+exports.getById = async (req, res, next) => {
+  try {
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    const [expanded] = await expandDocuments(${modelName}, [item], req);
+    res.json(expanded);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Create a new ${modelName}
+exports.create = async (req, res, next) => {
+  try {
+    const item = await ${modelName}.create({
+      ...req.body,
+      // Set creator if applicable
+      createdBy: req.user && req.user.id ? req.user.id : null
+    });${record('create', 'null', 'item')}${emit('created', 'item')}
+
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Update ${modelName} by ID
+exports.update = async (req, res, next) => {
+  try {
+    let item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    ${audit ? 'const before = item;\n    ' : ''}item = await ${modelName}.update(item._id, req.body);${record('update', 'before', 'item')}${emit('updated', 'item')}
+
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete ${modelName} by ID
+exports.delete = async (req, res, next) => {
+  try {
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    ${remove}
+
+    res.json({ message: '${modelName} removed' });
+  } catch (err) {
+    next(err);
+  }
+};
+${softDelete ? `
+// Get deleted ${modelName}s
+exports.getDeleted = async (req, res, next) => {
+  try {
+    const result = await listDocuments(
+      ${modelName},
+      req,
+      { ...ownerScope(req), deletedAt: { $ne: null } },
+      items => expandDocuments(${modelName}, items, req)
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Restore a deleted ${modelName}
+exports.restore = async (req, res, next) => {
+  try {
+    const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req), deletedAt: { $ne: null } });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Deleted ${modelName} not found' });
+    }
+
+    const restored = await ${modelName}.restore(item._id);${record('restore', 'item', 'restored')}${emit('updated', 'restored')}
+
+    res.json(restored);
+  } catch (err) {
+    next(err);
+  }
+};
+` : ''}${audit ? `
+// Get the change history of ${modelName}
+exports.getHistory = async (req, res, next) => {
+  try {
+    ${softDelete ? '// Deleted items keep their history\n    ' : ''}const item = await ${modelName}.findOne({ _id: req.params.id, ...ownerScope(req) }${softDelete ? ', { withDeleted: true }' : ''});
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    const result = await listHistory(req, '${modelName}', item._id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+` : ''}${bulk}${fileHandlers}
+${this.apiGenerator.protectedRegions.region('handlers')}
+`;
+  }
+
+  /**
+   * Generate code for the list query helper (pagination, filters, sort, fields)
+   */
+  generateListQueryCode() {
+    const search = this.apiGenerator.indexGenerator.hasSearch();
+
+    return `/**
+ * List query helper
+ *
+ * Applies pagination, filter, sort and field selection parameters to a SQL
+ * query and returns the results in a standard envelope:
+ * { data, meta: { total, limit, page, nextCursor, hasMore }, links: { self, next } }
+ */
+const knex = require('../db/connection');${search ? "\nconst { client } = require('../db/knexfile');" : ''}
+const {
+  QueryError,
+  parseFilter,
+  parseSort,
+  parseFields,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildEnvelope${search ? ',\n  parseSearchTerms,\n  highlightRecord' : ''}
+} = require('./queryParams');
+
+const COMPARISONS = { eq: '=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Records read per query while streaming
+const STREAM_BATCH_SIZE = 500;
+
+const escapeLike = value => value.replace(/[\\\\%_]/g, '\\\\$&');
+
+/**
+ * Get the filter type of a field; JSON columns cannot be filtered
+ */
+const getFilterType = (Model, name) => {
+  const field = Model.getField(name);
+
+  if (!field || Model.isJson(field)) {
+    return null;
+  }
+
+  return field.joinTable ? 'ObjectId' : field.type;
+};
+
+/**
+ * Get the sort type of a field; only plain columns can be sorted
+ */
+const getSortType = (Model, name) => {
+  const field = Model.getField(name);
+  return field && !field.joinTable && !Model.isJson(field) ? field.type : null;
+};
+
+/**
+ * Apply a parsed filter condition to a query
+ */
+const applyCondition = (Model, builder, { field, operator, value }) => {
+  const definition = Model.getField(field);
+
+  // Arrays of references match when any item matches
+  if (definition.joinTable) {
+    const owners = knex(definition.joinTable).select('owner_id');
+
+    if (operator === 'eq') {
+      builder.whereIn('id', owners.where('target_id', value));
+    } else if (operator === 'ne') {
+      builder.whereNotIn('id', owners.where('target_id', value));
+    } else if (operator === 'in') {
+      builder.whereIn('id', owners.whereIn('target_id', value));
+    } else {
+      throw new QueryError(\`The \${operator} operator does not apply to \${field}\`);
+    }
+    return;
+  }
+
+  const column = Model.getColumn(field);
+
+  if (operator === 'in') {
+    builder.whereIn(column, value.map(item => Model.toColumn(definition, item)));
+  } else if (operator === 'contains') {
+    builder.whereRaw('lower(??) like ? escape ?', [column, \`%\${escapeLike(value.toLowerCase())}%\`, '\\\\']);
+  } else if (operator === 'ne') {
+    // Like MongoDB, "not equal" also matches empty values
+    builder.where(query => query.whereNot(column, Model.toColumn(definition, value)).orWhereNull(column));
+  } else {
+    builder.where(column, COMPARISONS[operator], Model.toColumn(definition, value));
+  }
+};
+
+/**
+ * Select the rows after the cursor position
+ *
+ * NULL sorts before all other values, as on MongoDB, so after NULL come the
+ * other values in ascending order and nothing in descending order, and after
+ * a value in descending order come the NULLs too.
+ */
+const applyCursor = (Model, builder, sort, values) => {
+  const fields = Object.keys(sort);
+
+  builder.where(query => {
+    fields.forEach((field, index) => {
+      const column = Model.getColumn(field);
+      const value = values[index];
+
+      // Nothing sorts after NULL in descending order
+      if (sort[field] === -1 && value === null) {
+        return;
+      }
+
+      query.orWhere(clause => {
+        for (let i = 0; i < index; i++) {
+          if (values[i] === null) {
+            clause.whereNull(Model.getColumn(fields[i]));
+          } else {
+            clause.where(Model.getColumn(fields[i]), values[i]);
+          }
+        }
+
+        if (value === null) {
+          clause.whereNotNull(column);
+        } else if (sort[field] === 1) {
+          clause.where(column, '>', value);
+        } else {
+          clause.where(inner => inner.where(column, '<', value).orWhereNull(column));
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Keep only the selected fields of a record
+ */
+const pick = (record, fields) => {
+  const result = { _id: record._id };
+
+  for (const field of fields) {
+    if (field in record) {
+      result[field] = record[field];
+    }
+  }
+
+  return result;
+};
+
+/**
+ * List records for a request
+ *
+ * @param {SqlModel} Model - Model to query
+ * @param {Object} req - Express request
+ * @param {Object} baseFilter - Conditions always applied (e.g. ownership)
+ * @param {Function} expand - Optional async transform for expanded references
+ * @returns {Promise<Object>} The response envelope
+ */
+const listDocuments = async (Model, req, baseFilter = {}, expand) => {
+  const query = req.query || {};
+  const { limit, page } = parsePagination(query);
+  const conditions = parseFilter(query.filter, field => getFilterType(Model, field));
+  const sort = parseSort(query.sort, field => getSortType(Model, field));
+  const fields = parseFields(query.fields, field => Model.getField(field) && Model.getField(field).type);
+  const cursorValues = query.cursor ? decodeCursor(query.cursor, Object.keys(sort).length) : null;
+
+  const filtered = Model.where(Model.query(), baseFilter);
+
+  if (!filtered) {
+    return buildEnvelope(req, { data: [], total: 0, limit, page, hasMore: false, nextCursor: null });
+  }
+
+  for (const condition of conditions) {
+    applyCondition(Model, filtered, condition);
+  }
+
+  const pageQuery = filtered.clone();
+
+  if (cursorValues) {
+    applyCursor(Model, pageQuery, sort, cursorValues);
+  } else {
+    pageQuery.offset((page - 1) * limit);
+  }
+
+  // NULL sorts first in ascending order on every database, as applyCursor()
+  // expects; PostgreSQL would put it last
+  for (const [field, direction] of Object.entries(sort)) {
+    const column = Model.getColumn(field);
+
+    pageQuery
+      .orderByRaw(\`?? is null \${direction === 1 ? 'desc' : 'asc'}\`, [column])
+      .orderBy(column, direction === 1 ? 'asc' : 'desc');
+  }
+
+  const [count, rows] = await Promise.all([
+    filtered.clone().count({ total: '*' }).first(),
+    pageQuery.limit(limit + 1)
+  ]);
+
+  const hasMore = rows.length > limit;
+  let data = await Model.hydrate(hasMore ? rows.slice(0, limit) : rows);
+  const last = data[data.length - 1];
+  const nextCursor = hasMore ? encodeCursor(Object.keys(sort).map(field => last[field])) : null;
+
+  if (expand) {
+    data = await expand(data);
+  }
+
+  // Sort fields are kept, as with the MongoDB target
+  if (fields) {
+    const selected = [...new Set([...fields, ...Object.keys(sort)])];
+    data = data.map(record => pick(record, selected));
+  }
+
+  // PostgreSQL returns counts as strings
+  const total = Number(count.total);
+
+  return buildEnvelope(req, { data, total, limit, page, hasMore, nextCursor });
+};
+
+/**
+ * Iterate over the records matching a request's filter, oldest first,
+ * without loading them all at once (e.g. for exports)
+ *
+ * The filter is checked before the first record is read, so a bad request
+ * throws here rather than while iterating.
+ *
+ * @returns {AsyncIterable<Object>} The records
+ */
+const streamDocuments = (Model, req, baseFilter = {}) => {
+  const query = req.query || {};
+  const conditions = parseFilter(query.filter, field => getFilterType(Model, field));
+  const filtered = Model.where(Model.query(), baseFilter);
+  const sort = { createdAt: 1, _id: 1 };
+
+  if (filtered) {
+    for (const condition of conditions) {
+      applyCondition(Model, filtered, condition);
+    }
+  }
+
+  return (async function* () {
+    if (!filtered) {
+      return;
+    }
+
+    let rows;
+    let last = null;
+
+    do {
+      const batchQuery = filtered.clone();
+
+      if (last) {
+        applyCursor(Model, batchQuery, sort, [last.createdAt, last.id]);
+      }
+
+      rows = await batchQuery.orderBy('createdAt').orderBy('id').limit(STREAM_BATCH_SIZE);
+      yield* await Model.hydrate(rows);
+      last = rows[rows.length - 1];
+    } while (rows.length === STREAM_BATCH_SIZE);
+  })();
+};
+${search ? this.generateSearchQueryCode() : ''}
+module.exports = {
+  listDocuments,${search ? '\n  searchDocuments,' : ''}
+  streamDocuments,
+  QueryError
+};
+`;
+  }
+
+  /**
+   * Generate the full-text search query of listQuery.js
+   */
+  generateSearchQueryCode() {
+    return `
+/**
+ * Match a query's rows against the search terms and get their relevance:
+ * PostgreSQL weighs ts_rank per field, SQLite uses bm25 on the full-text table
+ *
+ * @returns {Object} A raw expression of the relevance, higher is better
+ */
+const applySearch = (Model, builder, terms) => {
+  const { table, fields, weights } = Model.search;
+
+  if (client === 'sqlite3') {
+    const matches = knex(table)
+      .select({ searchRowid: 'rowid' })
+      .select(knex.raw(\`-bm25(??\${', ?'.repeat(fields.length)}) as ??\`, [table, ...fields.map(field => weights[field]), '_score']))
+      .whereRaw('?? match ?', [table, terms.map(term => \`"\${term}"\`).join(' OR ')]);
+
+    builder.join(matches.as('search'), 'search.searchRowid', \`\${Model.table}.rowid\`);
+    return knex.raw('??', ['search._score']);
+  }
+
+  const tsquery = terms.join(' | ');
+  const document = fields.map(() => "coalesce(??, '')").join(" || ' ' || ");
+
+  // The same expression as the search index, so that the index is used
+  builder.whereRaw(\`to_tsvector('english', \${document}) @@ to_tsquery('english', ?)\`, [...fields, tsquery]);
+
+  return knex.raw(
+    fields.map(() => "? * ts_rank(to_tsvector('english', coalesce(??, '')), to_tsquery('english', ?))").join(' + '),
+    fields.flatMap(field => [weights[field], field, tsquery])
+  );
+};
+
+/**
+ * Search records by text, best matches first
+ *
+ * Accepts q, filter, limit, page and expand. Each item has its relevance as
+ * _score and the HTML of its matching text fields as _highlights.
+ *
+ * @param {SqlModel} Model - Model to search
+ * @param {Object} req - Express request
+ * @param {Object} baseFilter - Conditions always applied (e.g. ownership)
+ * @param {Function} expand - Optional async transform for expanded references
+ * @returns {Promise<Object>} The response envelope
+ */
+const searchDocuments = async (Model, req, baseFilter = {}, expand) => {
+  const query = req.query || {};
+  const terms = parseSearchTerms(query);
+  const { limit, page } = parsePagination(query);
+  const conditions = parseFilter(query.filter, field => getFilterType(Model, field));
+
+  const filtered = Model.where(Model.query(), baseFilter);
+
+  if (!filtered) {
+    return buildEnvelope(req, { data: [], total: 0, limit, page, hasMore: false, nextCursor: null });
+  }
+
+  for (const condition of conditions) {
+    applyCondition(Model, filtered, condition);
+  }
+
+  const score = applySearch(Model, filtered, terms);
+
+  const [count, rows] = await Promise.all([
+    filtered.clone().count({ total: '*' }).first(),
+    filtered.clone()
+      .select(\`\${Model.table}.*\`, knex.raw('? as ??', [score, '_score']))
+      .orderBy([{ column: '_score', order: 'desc' }, { column: \`\${Model.table}.id\` }])
+      .offset((page - 1) * limit)
+      .limit(limit + 1)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+  let data = await Model.hydrate(pageRows);
+
+  if (expand) {
+    data = await expand(data);
+  }
+
+  data = data.map((record, index) => ({
+    ...record,
+    _score: Number(pageRows[index]._score),
+    _highlights: highlightRecord(record, Model.search.fields, terms)
+  }));
+
+  return buildEnvelope(req, { data, total: Number(count.total), limit, page, hasMore, nextCursor: null });
+};
+`;
+  }
+
+  /**
+   * Generate code for the relationship expansion helper (?expand=)
+   */
+  generateExpandCode() {
+    return `/**
+ * Relationship expansion helper
+ *
+ * Replaces the reference IDs named in ?expand=customer,items.category with
+ * the referenced records, loading each level with one query per field. Paths
+ * are validated against the model references, limited in depth (so cyclic
+ * references cannot recurse), and each expanded model keeps its own read
+ * access rules.
+ */
+const { checkAccess } = require('../middleware/auth');
+const { getModel } = require('../db/model');
+const { QueryError } = require('./queryParams');
+
+const MAX_DEPTH = Number(process.env.EXPAND_MAX_DEPTH) || ${Number(this.apiGenerator.getSetting('expandMaxDepth', 2))};
+
+// Read access of each model that can be expanded
+const READ_ACCESS = ${JSON.stringify(this.apiGenerator.getReadAccess(), null, 2)};
+
+/**
+ * Parse the expand parameter into a tree of paths
+ */
+const parseExpandTree = (expandParam) => {
+  const tree = {};
+
+  const paths = String(expandParam)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  for (const expandPath of paths) {
+    const segments = expandPath.split('.');
+
+    if (segments.length > MAX_DEPTH) {
+      throw new QueryError(\`Cannot expand "\${expandPath}": nesting is limited to \${MAX_DEPTH} levels\`);
+    }
+
+    let node = tree;
+    for (const segment of segments) {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+  }
+
+  return tree;
+};
+
+/**
+ * Validate one level of the tree and resolve the models to load
+ */
+const buildPlan = (Model, tree, req, parentPath = '') => {
+  return Object.entries(tree).map(([field, children]) => {
+    const fullPath = parentPath ? \`\${parentPath}.\${field}\` : field;
+    const definition = Model.getField(field);
+    const refName = definition && definition.ref;
+
+    if (!refName) {
+      throw new QueryError(\`Cannot expand "\${fullPath}": not a reference field\`);
+    }
+
+    const rule = READ_ACCESS[refName];
+    const access = rule ? checkAccess(req, rule.roles) : 'deny';
+
+    if (access === 'deny' || access === 'unauthenticated') {
+      throw new QueryError(\`Not allowed to expand "\${fullPath}"\`, access === 'deny' ? 403 : 401);
+    }
+
+    const RefModel = getModel(refName);
+
+    return {
+      field,
+      RefModel,
+      // Owner-only models only show the user's own records
+      conditions: access === 'owner' ? { createdBy: req.user.id } : {},
+      select: rule.select ? rule.select.split(' ') : null,
+      children: buildPlan(RefModel, children, req, fullPath)
+    };
+  });
+};
+
+/**
+ * Replace reference IDs with records, level by level
+ */
+const loadPlan = async (records, plan) => {
+  for (const { field, RefModel, conditions, select, children } of plan) {
+    const ids = [...new Set(records.flatMap(record => [].concat(record[field] || [])))];
+    let refs = ids.length > 0 ? await RefModel.findByIds(ids, conditions) : [];
+
+    if (children.length > 0) {
+      await loadPlan(refs, children);
+    }
+
+    if (select) {
+      refs = refs.map(ref => Object.fromEntries([['_id', ref._id], ...select.map(name => [name, ref[name]])]));
+    }
+
+    const byId = new Map(refs.map(ref => [ref._id, ref]));
+
+    // Like populate: missing array items are dropped, a missing reference is null
+    for (const record of records) {
+      const value = record[field];
+
+      if (Array.isArray(value)) {
+        record[field] = value.map(id => byId.get(id)).filter(Boolean);
+      } else if (value) {
+        record[field] = byId.get(value) || null;
+      }
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Expand the references named in the expand parameter of a request
+ *
+ * @param {SqlModel} Model - Model of the records
+ * @param {Array} records - Records to expand in place
+ * @param {Object} req - Express request
+ * @returns {Promise<Array>} The records
+ */
+const expandDocuments = async (Model, records, req) => {
+  const expandParam = req.query && req.query.expand;
+
+  if (!expandParam) {
+    return records;
+  }
+
+  return loadPlan(records, buildPlan(Model, parseExpandTree(expandParam), req));
+};
+
+module.exports = {
+  expandDocuments
+};
+`;
+  }
+
+  /**
+   * Generate README section for the database
+   */
+  generateDocs() {
+    const client = this.getClient();
+
+    return `## Database
+
+This API stores its data in ${client === 'pg' ? 'PostgreSQL' : 'SQLite'} through [Knex](https://knexjs.org). \`DB_CLIENT\` overrides the database (\`pg\` or \`sqlite3\`), so tests and CI can run against SQLite without a database server.
+
+- PostgreSQL: set \`DATABASE_URL\`
+- SQLite: optionally set \`SQLITE_FILENAME\` (defaults to \`data.sqlite\`)
+
+\`package.json\` only includes the driver for the configured database; install the other one to switch with \`DB_CLIENT\`.
+
+References are foreign keys, and arrays of references are stored in join tables named \`<table>_<field>\`. Records keep the same JSON shape as the MongoDB target, with UUIDs as \`_id\`.
+
+`;
+  }
+}
+
+module.exports = SQLGenerator;
@@ -0,0 +1,548 @@
+/**
+ * SeedGenerator.js
+ *
+ * Generates a seed script that fills each collection with fake data. Values
+ * are picked from the field names and types (emails for email fields,
+ * currency amounts for prices, ...), references point at records seeded
+ * earlier in dependency order, and the output is reproducible from a seed.
+ */
+
+const path = require('path');
+
+// Records per data type unless the project settings say otherwise
+const DEFAULT_SEED_COUNT = 10;
+
+// Relative dates are computed from this date rather than the current time
+const REFERENCE_DATE = '2024-01-01T00:00:00.000Z';
+
+// Faker expressions for String fields, matched against the field name
+const STRING_FAKERS = [
+  [/e-?mail/, 'faker.internet.email()'],
+  [/phone|mobile|fax/, 'faker.phone.number()'],
+  [/avatar|image|photo|picture|logo|thumbnail/, 'faker.image.url()'],
+  [/url|website|link|homepage/, 'faker.internet.url()'],
+  [/user_?name|login|handle/, 'faker.internet.username()'],
+  [/first_?name|given_?name/, 'faker.person.firstName()'],
+  [/last_?name|surname|family_?name/, 'faker.person.lastName()'],
+  [/company|organi[sz]ation|employer/, 'faker.company.name()'],
+  [/street|address/, 'faker.location.streetAddress()'],
+  [/city|town/, 'faker.location.city()'],
+  [/country/, 'faker.location.country()'],
+  [/zip|postal|postcode/, 'faker.location.zipCode()'],
+  [/state|region|province/, 'faker.location.state()'],
+  [/currency/, 'faker.finance.currencyCode()'],
+  [/colou?r/, 'faker.color.human()'],
+  [/sku|code|reference/, "faker.string.alphanumeric({ length: 8, casing: 'upper' })"],
+  [/slug/, 'faker.lorem.slug()'],
+  [/title|headline|subject|heading/, 'faker.lorem.sentence({ min: 3, max: 6 })'],
+  [/description|bio|summary|content|body|notes?|message|comment|text/, 'faker.lorem.paragraph()'],
+  [/job|position/, 'faker.person.jobTitle()'],
+  [/category|tag|genre|type/, 'faker.commerce.department()'],
+  [/password|secret|token/, 'faker.internet.password()']
+];
+
+// Ranges for Number fields, matched against the field name
+const NUMBER_RANGES = [
+  [/price|amount|cost|total|fee|salary|balance|revenue|budget/, { min: 1, max: 500, money: true }],
+  [/quantity|qty|count|stock|inventory|units/, { min: 0, max: 100 }],
+  [/percent|discount|progress/, { min: 0, max: 100 }],
+  [/(^|_)age$/, { min: 18, max: 80 }],
+  [/rating|stars/, { min: 1, max: 5 }],
+  [/(^|_)year$/, { min: 1990, max: 2024 }],
+  [/lat(itude)?$/, { min: -90, max: 90, decimal: true }],
+  [/lng|lon(gitude)?$/, { min: -180, max: 180, decimal: true }]
+];
+
+// Data type names that suggest a product rather than a person
+const PRODUCT_MODELS = /product|item|service|plan|course|offer|package/i;
+
+class SeedGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'seed');
+  }
+
+  /**
+   * Generate the fixture factories and the seed script
+   */
+  async generateAll() {
+    const models = this.getModels();
+
+    if (models.length === 0) {
+      console.log('No data model found, skipping seed generation');
+      return;
+    }
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'fixtures.js'), this.generateFixturesCode(models));
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'run.js'), this.generateRunnerCode(models));
+  }
+
+  /**
+   * Get the data types in dependency order, so references can point at
+   * records seeded earlier
+   */
+  getModels() {
+    const { sqlGenerator } = this.apiGenerator;
+    const fieldsByModel = new Map(
+      this.apiGenerator.getDataTypeNodes().map(node => [
+        this.apiGenerator.formatModelName(node.data.name),
+        this.apiGenerator.getFieldsForModel(node, this.project.dataModel)
+      ])
+    );
+
+    return sqlGenerator.sortModels(sqlGenerator.getModels()).models.map(model => ({
+      name: model.name,
+      fields: fieldsByModel.get(model.name)
+    }));
+  }
+
+  /**
+   * Get the number of records to seed per data type
+   *
+   * The seedCounts setting maps data type names to counts; seedCount is the
+   * default for the rest.
+   */
+  getCounts(models) {
+    const fallback = Number(this.apiGenerator.getSetting('seedCount', DEFAULT_SEED_COUNT));
+    const counts = this.apiGenerator.getSetting('seedCounts', {});
+    const lookup = Object.fromEntries(
+      Object.entries(counts).map(([name, count]) => [name.toLowerCase(), Number(count)])
+    );
+
+    return Object.fromEntries(models.map(model => {
+      const count = lookup[model.name.toLowerCase()];
+      return [model.name, Number.isInteger(count) && count >= 0 ? count : fallback];
+    }));
+  }
+
+  /**
+   * Get the faker expression for a field
+   */
+  getValueExpression(field, modelName, type = field.type || 'String') {
+    const name = field.name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+    const allowedValues = this.apiGenerator.parseList(field.enum);
+
+    if (allowedValues.length > 0) {
+      return `faker.helpers.arrayElement(${JSON.stringify(allowedValues)})`;
+    }
+
+    switch (type) {
+      case 'String':
+        // Fake values rarely match a pattern, so patterned fields are left
+        // to their default unless they need a value of their own
+        if (field.pattern && !field.unique && (!field.required || field.default)) {
+          return 'undefined';
+        }
+
+        return this.fitLength(field, this.getStringExpression(modelName, name));
+      case 'Email':
+        return this.fitLength(field, 'faker.internet.email().toLowerCase()');
+      case 'URL':
+        return this.fitLength(field, 'faker.internet.url()');
+      case 'Number':
+        return this.getNumberExpression(field, name);
+      case 'Money': {
+        const bound = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+        const min = bound(field.min) !== undefined ? bound(field.min) : 1;
+        const max = bound(field.max) !== undefined ? bound(field.max) : Math.max(min, 0) + 500;
+
+        return `{ amount: faker.commerce.price({ min: ${min}, max: ${max} }), currency: ${JSON.stringify(this.apiGenerator.getCurrency(field))} }`;
+      }
+      case 'Point':
+        return "{ type: 'Point', coordinates: [faker.location.longitude(), faker.location.latitude()] }";
+      case 'File':
+      case 'Image':
+        // Files are uploaded through the file endpoints once records exist
+        return 'undefined';
+      case 'Object':
+        return `{ ${(field.fields || []).map(subField => `${JSON.stringify(subField.name)}: ${this.getValueExpression(subField, modelName)}`).join(', ')} }`;
+      case 'Boolean':
+        return 'faker.datatype.boolean()';
+      case 'Date':
+        return this.getDateExpression(field, name);
+      case 'ObjectId': {
+        const ref = this.apiGenerator.formatModelName(field.ref || '');
+        return `pick('${ref}')`;
+      }
+      case 'Array': {
+        const of = field.of || 'String';
+
+        if (of === 'ObjectId') {
+          return `pickMany('${this.apiGenerator.formatModelName(field.ref || '')}')`;
+        }
+
+        const item = this.getValueExpression({ ...field, name: field.name.replace(/s$/, '') }, modelName, of);
+        return `faker.helpers.multiple(() => (${item}), { count: { min: 1, max: 3 } })`;
+      }
+      default:
+        return '{}';
+    }
+  }
+
+  /**
+   * Get the faker expression for a String field from its name
+   */
+  getStringExpression(modelName, name) {
+    const match = STRING_FAKERS.find(([pattern]) => pattern.test(name));
+
+    if (match) {
+      return match[1];
+    }
+
+    if (/(^|_)name$/.test(name)) {
+      return PRODUCT_MODELS.test(`${modelName} ${name}`) ? 'faker.commerce.productName()' : 'faker.person.fullName()';
+    }
+
+    return 'faker.lorem.words({ min: 1, max: 3 })';
+  }
+
+  /**
+   * Pad or cut a string expression to the minLength and maxLength of a field
+   */
+  fitLength(field, expression) {
+    const bound = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    let code = expression;
+
+    if (bound(field.minLength) !== undefined) {
+      code = `${code}.padEnd(${bound(field.minLength)}, 'x')`;
+    }
+
+    if (bound(field.maxLength) !== undefined) {
+      code = `${code}.slice(0, ${bound(field.maxLength)})`;
+    }
+
+    return code;
+  }
+
+  /**
+   * Get the faker expression for a Number field within its min/max
+   */
+  getNumberExpression(field, name) {
+    const match = NUMBER_RANGES.find(([pattern]) => pattern.test(name));
+    const range = match ? match[1] : { min: 0, max: 1000 };
+    const bound = value => (value === undefined || value === null || value === '' || Number.isNaN(Number(value))
+      ? undefined
+      : Number(value));
+    const min = bound(field.min) !== undefined ? bound(field.min) : range.min;
+    let max = bound(field.max) !== undefined ? bound(field.max) : range.max;
+
+    if (max < min) {
+      max = min + (range.max - range.min);
+    }
+
+    if (range.money) {
+      return `Number(faker.commerce.price({ min: ${min}, max: ${max} }))`;
+    }
+
+    return range.decimal
+      ? `faker.number.float({ min: ${min}, max: ${max}, fractionDigits: 6 })`
+      : `faker.number.int({ min: ${Math.ceil(min)}, max: ${Math.floor(max)} })`;
+  }
+
+  /**
+   * Get the faker expression for a Date field within its min/max
+   */
+  getDateExpression(field, name) {
+    const toDate = value => (value && !Number.isNaN(new Date(value).getTime()) ? new Date(value).toISOString() : null);
+    const min = toDate(field.min);
+    const max = toDate(field.max);
+
+    if (min || max) {
+      return `faker.date.between({ from: '${min || '2020-01-01T00:00:00.000Z'}', to: '${max || REFERENCE_DATE}' })`;
+    }
+
+    if (/birth|dob/.test(name)) {
+      return 'faker.date.birthdate()';
+    }
+
+    return /expire|due|deadline|until|end|scheduled|starts?_?at|upcoming/.test(name)
+      ? 'faker.date.soon({ days: 90 })'
+      : 'faker.date.past()';
+  }
+
+  /**
+   * Generate the factory of a data type
+   */
+  generateFactoryCode(model) {
+    const properties = model.fields.map(field => {
+      let value = this.getValueExpression(field, model.name);
+
+      if (field.unique) {
+        value = `unique('${model.name}.${field.name}', () => ${value})`;
+      }
+
+      return `    ${JSON.stringify(field.name)}: ${value}`;
+    });
+
+    const helpers = ['pick', 'pickMany', 'unique'].filter(helper => properties.some(property => property.includes(`${helper}(`)));
+    const params = helpers.length > 0 ? `faker, { ${helpers.join(', ')} }` : 'faker';
+
+    return `  ${model.name}: (${params}) => ({
+${properties.join(',\n')}
+  })`;
+  }
+
+  /**
+   * Generate code for the fixture factories
+   */
+  generateFixturesCode(models) {
+    return `/**
+ * Fixture factories
+ *
+ * Build a fake record for each data type from its field names and types.
+ * Factories only use the faker instance and the context they are given, so
+ * a seeded faker always produces the same records.
+ *
+ * Context:
+ * - pick(model) returns the ID of a record seeded earlier, or null
+ * - pickMany(model) returns up to three such IDs
+ * - unique(key, generate) retries generate until it returns a new value
+ */
+module.exports = {
+${models.map(model => this.generateFactoryCode(model)).join(',\n')}
+};
+`;
+  }
+
+  /**
+   * Get the database code of the seed script
+   */
+  getDatabaseCode() {
+    if (this.apiGenerator.isSQL()) {
+      return {
+        require: "const knex = require('../db/connection');",
+        id: 'faker.string.uuid()',
+        connect: `  // Make sure the schema is up to date
+  await knex.migrate.latest();`,
+        clear: 'await Model.query().del();',
+        disconnect: 'await knex.destroy();'
+      };
+    }
+
+    return {
+      require: "const mongoose = require('mongoose');",
+      id: 'faker.database.mongodbObjectId()',
+      connect: '  await mongoose.connect(process.env.MONGODB_URI);',
+      clear: 'await Model.deleteMany({});',
+      disconnect: 'await mongoose.disconnect();'
+    };
+  }
+
+  /**
+   * Generate code for the seed script
+   */
+  generateRunnerCode(models) {
+    const database = this.getDatabaseCode();
+    const names = models.map(model => model.name);
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * Seed script
+ *
+ * Fills each collection with fake data from ./fixtures, in dependency order
+ * so that references point at seeded records. The same seed always
+ * produces the same data.
+ *
+ * Usage: node seed/run.js [--seed 42] [--count 20] [--count Product=50] [--reset]${tenancy ? ' [--tenant acme]' : ''}
+ *
+ * --count without a data type applies to all of them. Seeding is refused
+ * when a collection already has records, unless --reset is given to delete
+ * them first.${tenancy ? `
+ *
+ * Records are seeded for the tenant named by --tenant, or DEFAULT_TENANT,
+ * and --reset only deletes that tenant's records.` : ''}
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { faker } = require('@faker-js/faker');
+${database.require}
+const fixtures = require('./fixtures');
+${names.map(name => `const ${name} = require('../models/${name}');`).join('\n')}${tenancy ? `
+const Tenant = require('../models/Tenant');
+const { runWithTenant } = require('../utils/tenancy');` : ''}
+
+// Data types in dependency order
+const models = { ${names.join(', ')} };
+
+// Records per data type
+const COUNTS = ${JSON.stringify(this.getCounts(models), null, 2)};
+
+const DEFAULT_SEED = ${Number(this.apiGenerator.getSetting('seed', 1))};
+
+// Relative dates are computed from this date, not the current time
+const REFERENCE_DATE = '${REFERENCE_DATE}';
+
+// Attempts at a unique value before giving up
+const MAX_UNIQUE_ATTEMPTS = 100;
+
+/**
+ * Parse the command line options
+ */
+const parseArgs = (args) => {
+  const options = { seed: DEFAULT_SEED, counts: { ...COUNTS }, reset: false${tenancy ? ', tenant: process.env.DEFAULT_TENANT' : ''} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--reset') {
+      options.reset = true;
+    } else if ${tenancy ? `(arg === '--tenant') {
+      options.tenant = args[++i];
+    } else if ` : ''} (arg === '--seed') {
+      options.seed = Number(args[++i]);
+
+      if (!Number.isInteger(options.seed)) {
+        throw new Error('--seed must be an integer');
+      }
+    } else if (arg === '--count') {
+      const [name, value] = String(args[++i]).includes('=') ? args[i].split('=') : [null, args[i]];
+      const count = Number(value);
+
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(\`Invalid count "\${args[i]}"\`);
+      }
+
+      const targets = name
+        ? Object.keys(models).filter(model => model.toLowerCase() === name.toLowerCase())
+        : Object.keys(models);
+
+      if (targets.length === 0) {
+        throw new Error(\`Unknown data type "\${name}"\`);
+      }
+
+      targets.forEach(model => {
+        options.counts[model] = count;
+      });
+    } else {
+      throw new Error(\`Unknown option "\${arg}"\`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Create the context passed to the fixture factories
+ */
+const createContext = (ids) => {
+  const seen = new Map();
+
+  return {
+    pick: (model) => (ids[model] && ids[model].length > 0 ? faker.helpers.arrayElement(ids[model]) : null),
+    pickMany: (model) => (ids[model] && ids[model].length > 0
+      ? faker.helpers.arrayElements(ids[model], { min: 0, max: Math.min(3, ids[model].length) })
+      : []),
+    unique: (key, generate) => {
+      if (!seen.has(key)) {
+        seen.set(key, new Set());
+      }
+
+      const values = seen.get(key);
+
+      for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+        const value = generate();
+
+        if (!values.has(value)) {
+          values.add(value);
+          return value;
+        }
+      }
+
+      throw new Error(\`Could not generate a unique value for \${key}\`);
+    }
+  };
+};
+
+${tenancy ? `/**
+ * Hash a tenant slug into a number, so each tenant gets records of its own
+ */
+const hashSlug = slug => [...slug].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 2147483647, 7);
+
+` : ''}const seed = async ({ seed: seedValue, counts, reset${tenancy ? ', tenant' : ''} }) => {
+  faker.seed(${tenancy ? '[seedValue, hashSlug(tenant.slug)]' : 'seedValue'});
+  faker.setDefaultRefDate(REFERENCE_DATE);
+
+  const names = Object.keys(models);
+
+  if (reset) {
+    // Children first, so references do not block the deletes
+    for (const name of [...names].reverse()) {
+      const Model = models[name];
+      ${database.clear}
+    }
+  } else {
+    for (const name of names) {
+      if (await models[name].exists({})) {
+        throw new Error(\`\${name} already has records, run with --reset to replace them\`);
+      }
+    }
+  }
+
+  const ids = {};
+  const context = createContext(ids);
+
+  for (const name of names) {
+    ids[name] = [];
+
+    for (let i = 0; i < counts[name]; i++) {
+      const record = await models[name].create({ _id: ${database.id}, ...fixtures[name](faker, context) });
+      ids[name].push(String(record._id));
+    }
+
+    console.log(\`Seeded \${ids[name].length} \${name} records\`);
+  }
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+${database.connect}
+
+  try {
+${tenancy ? `    const tenant = options.tenant ? await Tenant.findBySlug(options.tenant) : null;
+
+    if (!tenant) {
+      throw new Error(options.tenant
+        ? \`Tenant "\${options.tenant}" not found\`
+        : 'Name the tenant to seed with --tenant <slug> or DEFAULT_TENANT');
+    }
+
+    await runWithTenant(tenant, () => seed({ ...options, tenant }));` : '    await seed(options);'}
+  } finally {
+    ${database.disconnect}
+  }
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
+`;
+  }
+
+  /**
+   * Generate README section for seeding
+   */
+  generateDocs() {
+    const models = this.getModels();
+
+    if (models.length === 0) {
+      return '';
+    }
+
+    return `## Seed Data
+
+\`npm run seed\` fills the database with fake records built from the field names and types (\`seed/fixtures.js\`). Data types are seeded in dependency order, so references point at seeded records, and the same seed always produces the same data.
+
+- \`npm run seed -- --seed 42\` - use another seed
+- \`npm run seed -- --count 50\` or \`--count ${models[0].name}=50\` - records per data type (defaults: ${Object.entries(this.getCounts(models)).map(([name, count]) => `${name} ${count}`).join(', ')})
+- \`npm run seed -- --reset\` - delete existing records first; without it, seeding is refused when a collection is not empty${this.apiGenerator.tenantGenerator.isEnabled() ? `
+- \`npm run seed -- --tenant acme\` - the tenant to seed (defaults to \`DEFAULT_TENANT\`); \`--reset\` only deletes that tenant's records` : ''}
+
+`;
+  }
+}
+
+module.exports = SeedGenerator;
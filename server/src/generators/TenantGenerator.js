@@ -0,0 +1,620 @@
+/**
+ * TenantGenerator.js
+ *
+ * Generates the multi-tenant option: one API serving many clients, each
+ * with records of its own. Every model gets a tenantId, middleware resolves
+ * the tenant of each request from an API key, a header or the subdomain,
+ * and the model layer scopes every query to that tenant, so a controller
+ * that forgets a filter still cannot read or write another tenant's records.
+ */
+
+const path = require('path');
+
+// Field types the Mongoose target never makes unique
+const NON_UNIQUE_TYPES = ['ObjectId', 'Array', 'Mixed', 'Money', 'Point', 'Object', 'File', 'Image'];
+
+class TenantGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate the tenant model, context, middleware and admin script
+   */
+  async generateAll() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const { modelOutputDir, utilOutputDir, middlewareOutputDir, outputDir } = this.apiGenerator;
+    const isSQL = this.apiGenerator.isSQL();
+
+    await this.apiGenerator.writeCode(
+      path.join(modelOutputDir, 'Tenant.js'),
+      isSQL ? this.apiGenerator.sqlGenerator.generateTenantModelCode() : this.generateTenantModelCode()
+    );
+
+    await this.apiGenerator.writeCode(path.join(utilOutputDir, 'tenancy.js'), this.generateTenancyCode());
+
+    // The SQL model layer scopes its queries itself
+    if (!isSQL) {
+      await this.apiGenerator.writeCode(path.join(utilOutputDir, 'tenantScope.js'), this.generateTenantScopeCode());
+    }
+
+    await this.apiGenerator.writeCode(path.join(middlewareOutputDir, 'tenant.js'), this.generateMiddlewareCode());
+
+    await this.apiGenerator.fs.mkdir(path.join(outputDir, 'tenants'), { recursive: true });
+    await this.apiGenerator.writeCode(path.join(outputDir, 'tenants', 'run.js'), this.generateAdminScriptCode());
+  }
+
+  /**
+   * Check whether the project serves many tenants
+   */
+  isEnabled() {
+    return Boolean(this.apiGenerator.getSetting('multiTenant', false));
+  }
+
+  /**
+   * Get the code that adds the tenant scope plugin to a Mongoose schema
+   *
+   * @param {string} schemaName - Variable holding the schema
+   * @param {boolean} [typescript] - Import the plugin instead of requiring it
+   * @returns {{ require: string, plugin: string }} Empty strings when the
+   *   project has a single tenant
+   */
+  getMongoPluginCode(schemaName, typescript = false) {
+    if (!this.isEnabled()) {
+      return { require: '', plugin: '' };
+    }
+
+    return {
+      require: typescript
+        ? "import tenantScope from '../utils/tenantScope';\n"
+        : "const tenantScope = require('../utils/tenantScope');\n",
+      plugin: `\n${schemaName}.plugin(tenantScope);\n`
+    };
+  }
+
+  /**
+   * Get unique indexes for the unique fields of a Mongoose model
+   *
+   * Under multi-tenancy unique fields are unique per tenant, so they get a
+   * unique index that IndexGenerator prefixes with tenantId instead of the
+   * schema's unique option.
+   */
+  getUniqueFieldIndexes(fields) {
+    if (!this.isEnabled() || this.apiGenerator.isSQL()) {
+      return [];
+    }
+
+    return fields
+      .filter(field => field.unique && !NON_UNIQUE_TYPES.includes(field.type || 'String'))
+      .map(field => ({ type: 'unique', fields: [{ name: field.name, order: 1 }] }));
+  }
+
+  /**
+   * Get the environment variables of tenant resolution
+   */
+  getEnvVariables() {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    return [
+      {
+        name: 'DEFAULT_TENANT',
+        value: 'default',
+        description: 'Slug of the tenant of requests that name none; without it they are refused',
+        disabled: true
+      },
+      {
+        name: 'TENANT_DOMAIN',
+        value: 'example.com',
+        description: 'Domain whose subdomains name tenants, e.g. acme.example.com',
+        disabled: true
+      }
+    ];
+  }
+
+  /**
+   * Generate code for the MongoDB tenant model
+   */
+  generateTenantModelCode() {
+    return `/**
+ * Tenant model
+ * Clients served by the API; every other record belongs to one of them
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Slugs double as subdomains, so they follow the rules of a DNS label
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+const hashApiKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const TenantSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: SLUG_PATTERN
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // SHA-256 of the API key; the key itself is only shown when issued
+  apiKeyHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Requests of disabled tenants are refused
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+TenantSchema.statics.findBySlug = function findBySlug(slug) {
+  return this.findOne({ slug: String(slug).trim().toLowerCase() });
+};
+
+TenantSchema.statics.findByApiKey = function findByApiKey(apiKey) {
+  return this.findOne({ apiKeyHash: hashApiKey(apiKey) });
+};
+
+/**
+ * Issue a new API key for a tenant, replacing its previous one
+ *
+ * @returns {Promise<string>} The key; only its hash is stored
+ */
+TenantSchema.statics.issueApiKey = async function issueApiKey(id) {
+  const apiKey = \`tk_\${crypto.randomBytes(24).toString('hex')}\`;
+
+  await this.updateOne({ _id: id }, { $set: { apiKeyHash: hashApiKey(apiKey) } });
+  return apiKey;
+};
+
+TenantSchema.statics.setActive = function setActive(id, active) {
+  return this.findByIdAndUpdate(id, { $set: { active } }, { new: true });
+};
+
+module.exports = mongoose.model('Tenant', TenantSchema);
+`;
+  }
+
+  /**
+   * Generate code for the tenant context
+   */
+  generateTenancyCode() {
+    return `/**
+ * Tenant context
+ *
+ * Each request runs in the context of its tenant, and the models scope
+ * every query to it. Queries outside any context fail instead of reaching
+ * the records of every tenant; work that spans tenants, such as background
+ * workers, runs in runUnscoped().
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+class TenantError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'TenantError';
+    this.status = status;
+  }
+}
+
+/**
+ * Run a function in the context of a tenant
+ *
+ * @param {Object} tenant - Tenant record, or { id, slug }
+ * @param {Function} fn - Function to run; the work it starts stays in the context
+ * @returns {*} What fn returns
+ */
+const runWithTenant = (tenant, fn) =>
+  storage.run({ tenant: { id: String(tenant._id || tenant.id), slug: tenant.slug } }, fn);
+
+/**
+ * Run a function without tenant scoping
+ *
+ * Queries see the records of every tenant and new records must name their
+ * tenantId, so keep this to work that spans tenants.
+ */
+const runUnscoped = fn => storage.run({ tenant: null }, fn);
+
+/**
+ * Get the tenant of the current context
+ *
+ * @returns {{ id: string, slug: string }|null} null outside a tenant
+ */
+const getTenant = () => {
+  const context = storage.getStore();
+  return context ? context.tenant : null;
+};
+
+/**
+ * Get the ID of the tenant queries are scoped to
+ *
+ * @returns {string|null} The tenant ID, or null in runUnscoped()
+ * @throws {TenantError} Outside any tenant context
+ */
+const getTenantScope = () => {
+  const context = storage.getStore();
+
+  if (!context) {
+    throw new TenantError('Query outside a tenant context; use runWithTenant() or runUnscoped()');
+  }
+
+  return context.tenant ? context.tenant.id : null;
+};
+
+module.exports = {
+  TenantError,
+  runWithTenant,
+  runUnscoped,
+  getTenant,
+  getTenantScope
+};
+`;
+  }
+
+  /**
+   * Generate code for the Mongoose tenant scope plugin
+   */
+  generateTenantScopeCode() {
+    return `/**
+ * Tenant scope plugin
+ *
+ * Adds the tenantId of the owning tenant to a schema and limits every query,
+ * update, delete and aggregation to the tenant of the current context. New
+ * documents get the current tenant, and documents of another tenant cannot
+ * be saved. bulkWrite() and Model.collection bypass Mongoose middleware and
+ * are not scoped.
+ */
+const mongoose = require('mongoose');
+const { TenantError, getTenantScope } = require('./tenancy');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Replacements would otherwise drop the tenantId
+const REPLACE_HOOKS = ['findOneAndReplace', 'replaceOne'];
+
+/**
+ * Give a new document the current tenant, refusing one of another tenant
+ */
+const assignTenant = (doc, tenantId) => {
+  if (!doc.tenantId) {
+    doc.tenantId = tenantId;
+  } else if (String(doc.tenantId) !== tenantId) {
+    throw new TenantError('Record belongs to another tenant', 403);
+  }
+};
+
+module.exports = function tenantScope(schema) {
+  schema.add({
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      immutable: true,
+      index: true
+    }
+  });
+
+  schema.pre(QUERY_HOOKS, function scopeQuery() {
+    const tenantId = getTenantScope();
+
+    if (!tenantId) {
+      return;
+    }
+
+    this.where({ tenantId });
+
+    if (REPLACE_HOOKS.includes(this.op)) {
+      this.setUpdate({ ...this.getUpdate(), tenantId });
+    }
+  });
+
+  schema.pre('aggregate', function scopeAggregate() {
+    const tenantId = getTenantScope();
+
+    if (!tenantId) {
+      return;
+    }
+
+    // Pipelines are not cast to the schema
+    const match = { tenantId: new mongoose.Types.ObjectId(tenantId) };
+    const pipeline = this.pipeline();
+
+    // $geoNear must stay the first stage
+    if (pipeline.length > 0 && pipeline[0].$geoNear) {
+      pipeline[0].$geoNear.query = { ...pipeline[0].$geoNear.query, ...match };
+    } else {
+      pipeline.unshift({ $match: match });
+    }
+  });
+
+  schema.pre('insertMany', function scopeInsertMany(next, docs) {
+    try {
+      const tenantId = getTenantScope();
+
+      if (tenantId) {
+        [].concat(docs).forEach(doc => assignTenant(doc, tenantId));
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  schema.pre('validate', function scopeDocument() {
+    const tenantId = getTenantScope();
+
+    if (tenantId && (this.isNew || this.tenantId)) {
+      assignTenant(this, tenantId);
+    }
+  });
+};
+`;
+  }
+
+  /**
+   * Generate code for the tenant resolution middleware
+   */
+  generateMiddlewareCode() {
+    return `/**
+ * Tenant resolution middleware
+ *
+ * Finds the tenant of a request and runs the rest of the request in its
+ * context, so every model query is scoped to it. The tenant comes from the
+ * first of:
+ * - X-API-Key: the tenant's API key
+ * - X-Tenant: the tenant's slug
+ * - the subdomain of TENANT_DOMAIN, e.g. acme.example.com
+ * - DEFAULT_TENANT
+ */
+const Tenant = require('../models/Tenant');
+const { runWithTenant } = require('../utils/tenancy');
+
+/**
+ * Get the tenant slug from a direct subdomain of TENANT_DOMAIN
+ */
+const getSubdomain = (req) => {
+  const domain = String(process.env.TENANT_DOMAIN || '').toLowerCase();
+  const host = String(req.hostname || '').toLowerCase();
+
+  if (!domain || !host.endsWith(\`.\${domain}\`)) {
+    return null;
+  }
+
+  const subdomain = host.slice(0, -(domain.length + 1));
+  return subdomain.includes('.') ? null : subdomain;
+};
+
+/**
+ * Find the tenant a request names
+ *
+ * @returns {Promise<{ tenant?: Object, status?: number, message?: string }>}
+ *   The tenant, or the status and message to refuse the request with
+ */
+const findTenant = async (req) => {
+  const apiKey = req.get('X-API-Key');
+
+  if (apiKey) {
+    const tenant = await Tenant.findByApiKey(apiKey);
+    return tenant ? { tenant } : { status: 401, message: 'Invalid API key' };
+  }
+
+  const slug = req.get('X-Tenant') || getSubdomain(req) || process.env.DEFAULT_TENANT;
+
+  if (!slug) {
+    return { status: 400, message: 'Tenant required: send an API key or the X-Tenant header' };
+  }
+
+  const tenant = await Tenant.findBySlug(slug);
+  return tenant ? { tenant } : { status: 404, message: 'Tenant not found' };
+};
+
+/**
+ * Resolve the tenant of a request
+ *
+ * Sets req.tenant to { id, slug, name } on success.
+ */
+const resolveTenant = async (req, res, next) => {
+  let result;
+
+  try {
+    result = await findTenant(req);
+  } catch (err) {
+    return next(err);
+  }
+
+  const { tenant, status, message } = result;
+
+  if (!tenant) {
+    return res.status(status).json({ message });
+  }
+
+  if (!tenant.active) {
+    return res.status(403).json({ message: 'Tenant is disabled' });
+  }
+
+  req.tenant = { id: String(tenant._id), slug: tenant.slug, name: tenant.name };
+  runWithTenant(req.tenant, next);
+};
+
+module.exports = {
+  resolveTenant
+};
+`;
+  }
+
+  /**
+   * Generate code for the tenant admin script
+   */
+  generateAdminScriptCode() {
+    const database = this.apiGenerator.seedGenerator.getDatabaseCode();
+
+    return `/**
+ * Tenant admin script
+ *
+ * Usage:
+ *   node tenants/run.js create <slug> [name]  Create a tenant and print its API key
+ *   node tenants/run.js list                   List the tenants
+ *   node tenants/run.js rotate-key <slug>      Replace a tenant's API key and print it
+ *   node tenants/run.js disable <slug>         Refuse the tenant's requests
+ *   node tenants/run.js enable <slug>          Accept the tenant's requests again
+ *
+ * API keys are stored hashed, so they are only shown when issued.
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+${database.require}
+const Tenant = require('../models/Tenant');
+
+const USAGE = 'Usage: node tenants/run.js create <slug> [name] | list | rotate-key <slug> | disable <slug> | enable <slug>';
+
+const findTenant = async (slug) => {
+  const tenant = slug ? await Tenant.findBySlug(slug) : null;
+
+  if (!tenant) {
+    throw new Error(\`Tenant "\${slug}" not found\`);
+  }
+
+  return tenant;
+};
+
+const commands = {
+  create: async (slug, name) => {
+    if (!slug) {
+      throw new Error(USAGE);
+    }
+
+    const tenant = await Tenant.create({ slug, name: name || slug });
+    const apiKey = await Tenant.issueApiKey(tenant._id);
+
+    console.log(\`Created tenant \${tenant.slug}\\nAPI key: \${apiKey}\`);
+  },
+
+  list: async () => {
+    const tenants = await Tenant.find({});
+
+    if (tenants.length === 0) {
+      console.log('No tenants');
+    }
+
+    for (const tenant of [...tenants].sort((a, b) => a.slug.localeCompare(b.slug))) {
+      console.log(\`\${tenant.slug}\\t\${tenant.name || ''}\${tenant.active ? '' : '\\t(disabled)'}\`);
+    }
+  },
+
+  'rotate-key': async (slug) => {
+    const tenant = await findTenant(slug);
+    const apiKey = await Tenant.issueApiKey(tenant._id);
+
+    console.log(\`New API key for \${tenant.slug}: \${apiKey}\\nThe previous key no longer works.\`);
+  },
+
+  disable: async (slug) => {
+    const tenant = await findTenant(slug);
+    await Tenant.setActive(tenant._id, false);
+    console.log(\`Disabled \${tenant.slug}\`);
+  },
+
+  enable: async (slug) => {
+    const tenant = await findTenant(slug);
+    await Tenant.setActive(tenant._id, true);
+    console.log(\`Enabled \${tenant.slug}\`);
+  }
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    throw new Error(USAGE);
+  }
+
+${database.connect}
+
+  try {
+    await commands[command](...args);
+  } finally {
+    ${database.disconnect}
+  }
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
+`;
+  }
+
+  /**
+   * Generate README section for multi-tenancy
+   */
+  generateDocs() {
+    if (!this.isEnabled()) {
+      return '';
+    }
+
+    const isSQL = this.apiGenerator.isSQL();
+
+    return `## Multi-Tenancy
+
+One API serves many tenants, each with records of its own. Every record has the \`tenantId\` of its tenant, and the model layer limits every query, update and delete to the tenant of the current request, so records of other tenants cannot be read or changed even by code that forgets to filter for them. References and \`expand\` only reach records of the same tenant.
+
+The tenant of a request under \`/api\`${this.apiGenerator.graphqlGenerator.isEnabled() ? ' and `/graphql`' : ''} comes from the first of:
+
+1. \`X-API-Key\` - the tenant's API key
+2. \`X-Tenant\` - the tenant's slug, e.g. \`X-Tenant: acme\`
+3. The subdomain, when \`TENANT_DOMAIN\` is set: \`acme.example.com\` is the tenant \`acme\`
+4. \`DEFAULT_TENANT\`, if set
+
+Requests that name no tenant are refused with \`400\`, an unknown tenant with \`404\`, an invalid API key with \`401\` and a disabled tenant with \`403\`. An API key identifies the tenant, not a user; endpoints that require sign-in still need a bearer token.
+
+Users belong to a tenant too: the same email can be registered with several tenants, unique fields are unique per tenant, and tokens are only accepted by the tenant that issued them.
+
+Manage tenants with the admin script:
+
+\`\`\`
+npm run tenants -- create acme "Acme Store"
+npm run tenants -- list
+npm run tenants -- rotate-key acme
+npm run tenants -- disable acme
+\`\`\`
+
+\`create\` and \`rotate-key\` print the tenant's API key. Only its hash is stored, so keep the key when it is shown.
+
+Code outside a request, such as scripts, runs queries through \`runWithTenant(tenant, fn)\` from \`utils/tenancy.js\`. Queries outside any tenant fail, except inside \`runUnscoped(fn)\`, which sees every tenant and is meant for work that spans them.${isSQL ? '' : ' `bulkWrite()` and `Model.collection` bypass the tenant scope.'}
+
+`;
+  }
+}
+
+module.exports = TenantGenerator;
@@ -0,0 +1,1555 @@
+/**
+ * TestGenerator.js
+ *
+ * Generates a supertest integration suite for the CRUD routes of every data
+ * type. Request bodies are derived from the dataField definitions, so the
+ * tests follow the data model when the API is regenerated. MongoDB targets
+ * run against mongodb-memory-server, SQL targets against a temporary SQLite
+ * database.
+ */
+
+const path = require('path');
+
+// Roles that any signed-in test user satisfies
+const SHARED_ROLES = ['public', 'authenticated', 'owner'];
+
+// Sample date used when a field has no bounds
+const SAMPLE_DATE = '2024-01-01T00:00:00.000Z';
+
+// Values the validation of each formatted field type rejects
+const INVALID_SAMPLES = {
+  Email: "'not-an-email'",
+  URL: "'not a url'",
+  Money: "{ amount: 'ten' }",
+  Point: "{ type: 'Point', coordinates: [200, 100] }"
+};
+
+// Field types the list endpoints sort by
+const CURSOR_TYPES = ['String', 'Email', 'URL', 'Number', 'Date'];
+
+// Modules the helpers need for temporary databases and upload directories
+const REQUIRE_FS = `const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+`;
+
+class TestGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'tests');
+  }
+
+  /**
+   * Generate the shared helpers and a test file per data type
+   *
+   * @returns {Promise<Array<{model: string, reason: string}>>} The data types
+   *   left out of the tests
+   */
+  async generateAll() {
+    const models = this.getModels();
+
+    if (models.length === 0) {
+      console.log('No data model found, skipping test generation');
+      return [];
+    }
+
+    const untested = this.getUntestedModels(models);
+    const testable = models.filter(model => !untested.some(item => item.model === model.name));
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'helpers.js'), this.generateHelpersCode(models));
+
+    for (const model of testable) {
+      await this.apiGenerator.writeCode(
+        path.join(this.outputDir, `${model.route}.test.js`),
+        this.generateModelTestCode(model)
+      );
+    }
+
+    if (this.getWebhookSubscription(testable)) {
+      await this.apiGenerator.writeCode(path.join(this.outputDir, 'webhooks.test.js'), this.generateWebhookTestCode(testable));
+    }
+
+    if (this.apiGenerator.tenantGenerator.isEnabled() && testable.length > 0) {
+      await this.apiGenerator.writeCode(path.join(this.outputDir, 'tenancy.test.js'), this.generateTenancyTestCode(testable));
+    }
+
+    if (this.apiGenerator.workflowGenerator.hasWorkflow()) {
+      await this.apiGenerator.writeCode(path.join(this.outputDir, 'workflow.test.js'), this.generateWorkflowTestCode());
+    }
+
+    return untested;
+  }
+
+  /**
+   * Get the data types the tests cannot create records of, with the reason
+   *
+   * A required field with a pattern but no example (or default) that
+   * matches it leaves a data type out, and so does a required reference to
+   * a data type that is left out.
+   *
+   * @returns {Array<{model: string, reason: string}>}
+   */
+  getUntestedModels(models) {
+    const modelNames = models.map(model => model.name);
+    const untested = new Map();
+
+    for (const model of models) {
+      const field = model.fields.find(item =>
+        item.required && item.type !== 'ObjectId' && this.getSampleValue(item, model.name, modelNames) === null
+      );
+
+      if (field) {
+        let reason = `${field.name} has no sample value`;
+
+        if (field.pattern) {
+          reason = field.unique && (field.example || field.default)
+            ? `${field.name} is unique, and its example cannot be numbered without breaking its pattern`
+            : `${field.name} needs an example value that matches its pattern`;
+        }
+
+        untested.set(model.name, reason);
+      }
+    }
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (const model of models.filter(item => !untested.has(item.name))) {
+        const field = model.fields.find(item => {
+          const ref = this.apiGenerator.formatModelName(item.ref || '');
+          return item.required && item.type === 'ObjectId' && (ref === model.name || untested.has(ref));
+        });
+
+        if (field) {
+          untested.set(model.name, `${field.name} needs ${this.withArticle(this.apiGenerator.formatModelName(field.ref))} record`);
+          changed = true;
+        }
+      }
+    }
+
+    return [...untested].map(([model, reason]) => ({ model, reason }));
+  }
+
+  /**
+   * Get the webhook subscription the webhook tests raise events for
+   */
+  getWebhookSubscription(models) {
+    return this.apiGenerator.webhookGenerator.getAllSubscriptions()
+      .find(subscription => models.some(model => model.name === subscription.model));
+  }
+
+  /**
+   * Get the data types with their fields and access rules
+   */
+  getModels() {
+    return this.apiGenerator.getDataTypeNodes().map(node => ({
+      name: this.apiGenerator.formatModelName(node.data.name),
+      route: this.apiGenerator.formatRouteName(node.data.name),
+      fields: this.apiGenerator.getFieldsForModel(node, this.project.dataModel),
+      access: this.apiGenerator.getAccessRules(node),
+      textIndex: this.apiGenerator.indexGenerator.getTextIndex(node),
+      files: this.apiGenerator.fileGenerator.getFileFields(node),
+      ...this.apiGenerator.auditGenerator.getOptions(node)
+    }));
+  }
+
+  /**
+   * Get the role of the test user that creates records
+   */
+  getCreatorRole(access) {
+    return access.create.some(role => SHARED_ROLES.includes(role)) ? 'user' : access.create[0];
+  }
+
+  /**
+   * Get the role used for an action
+   *
+   * Shared roles reuse the creator, so owner-only actions see its records.
+   */
+  getRole(access, action) {
+    const roles = access[action];
+    return roles.some(role => SHARED_ROLES.includes(role)) ? this.getCreatorRole(access) : roles[0];
+  }
+
+  /**
+   * Get a JavaScript expression for a valid sample value of a field
+   *
+   * @returns {string|null} The expression, or null to leave the field out
+   */
+  getSampleValue(field, modelName, modelNames, type = field.type || 'String') {
+    const allowedValues = this.apiGenerator.parseList(field.enum);
+
+    if (allowedValues.length > 0) {
+      return JSON.stringify(allowedValues[0]);
+    }
+
+    switch (type) {
+      case 'String': {
+        // Values are unique per run; patterned fields start from the
+        // example declared in the data model
+        if (field.pattern) {
+          return this.getExampleValue(field);
+        }
+
+        const minLength = this.toNumber(field.minLength);
+        const maxLength = this.toNumber(field.maxLength);
+        let value = `\`${field.name}-\${nextSequence()}\``;
+
+        if (minLength !== undefined) {
+          value = `${value}.padEnd(${minLength}, 'x')`;
+        }
+
+        // The end holds the sequence number that keeps values unique
+        if (maxLength) {
+          value = `${value}.slice(-${maxLength})`;
+        }
+        return value;
+      }
+      case 'Email':
+        return `\`${field.name.toLowerCase()}-\${nextSequence()}@example.com\``;
+      case 'URL':
+        return `\`https://example.com/${field.name.toLowerCase()}-\${nextSequence()}\``;
+      case 'Money': {
+        const min = this.toNumber(field.min);
+        const max = this.toNumber(field.max);
+        const amount = min !== undefined ? String(min) : max !== undefined && max < 9.99 ? String(max) : '9.99';
+
+        return `{ amount: ${JSON.stringify(amount)}, currency: ${JSON.stringify(this.apiGenerator.getCurrency(field))} }`;
+      }
+      case 'Point':
+        return "{ type: 'Point', coordinates: [13.405, 52.52] }";
+      case 'Object': {
+        const properties = (field.fields || [])
+          .map(subField => [subField.name, this.getSampleValue(subField, modelName, modelNames)])
+          .filter(([, value]) => value !== null)
+          .map(([name, value]) => `${JSON.stringify(name)}: ${value}`);
+
+        return `{ ${properties.join(', ')} }`;
+      }
+      case 'Number': {
+        const min = this.toNumber(field.min);
+        const max = this.toNumber(field.max);
+
+        if (field.unique) {
+          return min !== undefined ? `${min} + nextSequence()` : 'nextSequence()';
+        }
+        return String(min !== undefined ? min : max !== undefined && max < 1 ? max : 1);
+      }
+      case 'Boolean':
+        return 'true';
+      case 'Date': {
+        const bound = [field.min, field.max].find(value => value && !Number.isNaN(new Date(value).getTime()));
+        return JSON.stringify(bound ? new Date(bound).toISOString() : SAMPLE_DATE);
+      }
+      case 'ObjectId': {
+        // Only required references are created, which keeps cycles out
+        const ref = this.apiGenerator.formatModelName(field.ref || '');
+        return field.required && ref !== modelName && modelNames.includes(ref)
+          ? `String((await createRecord('${ref}'))._id)`
+          : null;
+      }
+      case 'Array': {
+        if ((field.of || 'String') === 'ObjectId') {
+          return '[]';
+        }
+        const item = this.getSampleValue({ ...field, unique: false }, modelName, modelNames, field.of || 'String');
+        return item === null ? null : `[${item}]`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get a value for a field with a pattern from the example declared in the
+   * data model, or from its default
+   *
+   * Unique fields number the example: the sequence number replaces the
+   * digits at its end, or is appended, whichever keeps matching the pattern.
+   *
+   * @returns {string|null} Code for the value, or null when there is none
+   */
+  getExampleValue(field) {
+    const example = [field.example, field.default].find(value => value !== undefined && value !== null && value !== '');
+
+    if (example === undefined) {
+      return null;
+    }
+
+    const text = String(example);
+    const regex = new RegExp(field.pattern);
+    const minLength = this.toNumber(field.minLength);
+    const maxLength = this.toNumber(field.maxLength);
+    const isValid = value => regex.test(value) &&
+      (minLength === undefined || value.length >= minLength) &&
+      (!maxLength || value.length <= maxLength);
+
+    if (!field.unique) {
+      return isValid(text) ? JSON.stringify(text) : null;
+    }
+
+    const escape = value => JSON.stringify(value).slice(1, -1).replace(/`/g, '\\`').replace(/\$/g, '\\$');
+    const [, prefix, digits] = text.match(/^(.*?)(\d*)$/);
+    const numbered = [
+      ...(digits ? [{
+        sample: number => `${prefix}${String(number).padStart(digits.length, '0')}`,
+        code: `\`${escape(prefix)}\${String(nextSequence()).padStart(${digits.length}, '0')}\``
+      }] : []),
+      {
+        sample: number => `${text}${number}`,
+        code: `\`${escape(text)}\${nextSequence()}\``
+      }
+    ].find(candidate => [1, 999].every(number => isValid(candidate.sample(number))));
+
+    return numbered ? numbered.code : null;
+  }
+
+  /**
+   * Prefix a model name with its indefinite article
+   */
+  withArticle(name) {
+    return `${/^[AEIOU]/.test(name) ? 'an' : 'a'} ${name}`;
+  }
+
+  /**
+   * Parse a numeric bound
+   */
+  toNumber(value) {
+    return value === undefined || value === null || value === '' || Number.isNaN(Number(value))
+      ? undefined
+      : Number(value);
+  }
+
+  /**
+   * Generate the payload factory of a data type
+   */
+  generatePayloadCode(model, modelNames) {
+    const properties = model.fields
+      .map(field => {
+        const value = this.getSampleValue(field, model.name, modelNames);
+        return value === null ? null : `    ${JSON.stringify(field.name)}: ${value}`;
+      })
+      .filter(Boolean);
+
+    return `  ${model.name}: async () => ({
+${properties.join(',\n')}
+  })`;
+  }
+
+  /**
+   * Generate the database setup for the test helpers
+   */
+  getDatabaseSetup() {
+    if (this.apiGenerator.isSQL()) {
+      return {
+        env: `
+// Each test file gets its own SQLite database
+process.env.DB_CLIENT = 'sqlite3';
+process.env.SQLITE_FILENAME = path.join(os.tmpdir(), \`api-test-\${process.pid}-\${Date.now()}.sqlite\`);
+// The database starts empty, so every migration can be applied
+process.env.ALLOW_DESTRUCTIVE_MIGRATIONS = 'true';
+`,
+        require: REQUIRE_FS,
+        connection: "const knex = require('../db/connection');",
+        missingId: '00000000-0000-4000-8000-000000000000',
+        setup: `  beforeAll(() => knex.migrate.latest());
+
+  afterAll(async () => {
+    await knex.destroy();
+    fs.rmSync(process.env.SQLITE_FILENAME, { force: true });
+  });`
+      };
+    }
+
+    return {
+      env: '',
+      require: '',
+      connection: `const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');`,
+      missingId: '000000000000000000000000',
+      setup: `  let mongod;
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongod.stop();
+  });`
+    };
+  }
+
+  /**
+   * Generate code for the shared test helpers
+   */
+  generateHelpersCode(models) {
+    const modelNames = models.map(model => model.name);
+    const database = this.getDatabaseSetup();
+    const files = this.apiGenerator.fileGenerator.hasFiles();
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * Test helpers
+ *
+ * Sets up a database per test file and builds valid request bodies from the
+ * data model. Required references are created first; optional ones are
+ * left out.${tenancy ? `
+ *
+ * Records and users belong to the \`test\` tenant, which requests without a
+ * tenant of their own fall back to.` : ''}
+ */
+${database.require || (files ? REQUIRE_FS : '')}process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';${tenancy ? `
+process.env.DEFAULT_TENANT = 'test';` : ''}
+${database.env}${files ? `
+// Uploaded files go to a directory of their own per test file
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-uploads-'));
+` : ''}
+const jwt = require('jsonwebtoken');
+${database.connection}
+const User = require('../models/User');
+${modelNames.map(name => `const ${name} = require('../models/${name}');`).join('\n')}${tenancy ? `
+const Tenant = require('../models/Tenant');
+const { runWithTenant, getTenant } = require('../utils/tenancy');` : ''}
+
+const models = { User, ${modelNames.join(', ')} };
+
+// Well-formed ID that does not belong to any record
+const MISSING_ID = '${database.missingId}';
+${tenancy ? `
+let testTenant;
+` : ''}
+let sequence = 0;
+const nextSequence = () => {
+  sequence += 1;
+  return sequence;
+};
+
+/**
+ * Connect to the test database for the tests of the calling file
+ */
+const setupDatabase = () => {
+${database.setup}${tenancy ? `
+
+  beforeAll(async () => {
+    testTenant = await Tenant.create({ slug: 'test', name: 'Test' });
+  });` : ''}${files ? `
+
+  afterAll(() => fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }));` : ''}
+};
+${tenancy ? `
+/**
+ * Run a function in the context of a tenant, the test tenant by default
+ */
+const inTenant = (fn, tenant = testTenant) => runWithTenant(tenant, fn);
+` : ''}
+/**
+ * Valid request bodies for each data type
+ */
+const payloads = {
+  User: async () => ({
+    email: \`user-\${nextSequence()}@example.com\`,
+    password: 'password123'
+  }),
+${models.map(model => this.generatePayloadCode(model, modelNames)).join(',\n')}
+};
+
+${tenancy ? `/**
+ * Insert a record directly, bypassing the API
+ *
+ * The record belongs to the tenant of the calling context, or to the test
+ * tenant outside of one.
+ */
+const createRecord = async (modelName, overrides = {}) => {
+  const insert = async () => models[modelName].create({
+    ...(await payloads[modelName]()),
+    ...overrides
+  });
+
+  return getTenant() ? insert() : inTenant(insert);
+};
+
+const tokens = new Map();
+
+/**
+ * Get an access token for a user with the given role
+ *
+ * Each role maps to one user per tenant, so records created with a token can
+ * be read back as their owner.
+ */
+const getToken = (role = 'user', tenant = testTenant) => {
+  const key = \`\${tenant.slug}:\${role}\`;
+
+  if (!tokens.has(key)) {
+    tokens.set(key, inTenant(() => createRecord('User', { role }), tenant)
+      .then(user => jwt.sign({ id: String(user._id), role, tenant: String(user.tenantId) }, process.env.JWT_SECRET)));
+  }
+
+  return tokens.get(key);
+};` : `/**
+ * Insert a record directly, bypassing the API
+ */
+const createRecord = async (modelName, overrides = {}) => models[modelName].create({
+  ...(await payloads[modelName]()),
+  ...overrides
+});
+
+const tokens = new Map();
+
+/**
+ * Get an access token for a user with the given role
+ *
+ * Each role maps to one user, so records created with a token can be read
+ * back as their owner.
+ */
+const getToken = (role = 'user') => {
+  if (!tokens.has(role)) {
+    tokens.set(role, createRecord('User', { role })
+      .then(user => jwt.sign({ id: String(user._id), role }, process.env.JWT_SECRET)));
+  }
+
+  return tokens.get(role);
+};`}
+
+module.exports = {
+  MISSING_ID,
+  setupDatabase,${tenancy ? `
+  inTenant,` : ''}
+  payloads,
+  createRecord,
+  getToken
+};
+`;
+  }
+
+  /**
+   * Generate the tests that check access to an action
+   *
+   * @param {Object} model - Data type
+   * @param {string} action - Access action
+   * @param {string} request - Expression that starts the request
+   */
+  generateAccessTests(model, action, request) {
+    const roles = model.access[action];
+    const tests = [];
+
+    if (roles.includes('public')) {
+      return '';
+    }
+
+    tests.push(`  it('requires authentication', async () => {
+    const res = await ${request};
+
+    expect(res.status).toBe(401);
+  });`);
+
+    // Users without one of the roles are refused unless they may act as owner
+    if (!roles.some(role => SHARED_ROLES.includes(role)) && !roles.includes('user')) {
+      tests.push(`  it('rejects users without the ${roles.join(' or ')} role', async () => {
+    const res = await ${request}.set(await auth('user'));
+
+    expect(res.status).toBe(403);
+  });`);
+    }
+
+    return `\n\n${tests.join('\n\n')}`;
+  }
+
+  /**
+   * Generate the 404 tests of a route that takes an ID
+   *
+   * @param {string} [send] - Code that sends the request body
+   * @param {string} [suffix] - Path after the ID, such as /history
+   */
+  generateNotFoundTests(model, action, method, send = '', suffix = '') {
+    const role = this.getRole(model.access, action);
+
+    return `
+
+  it('responds with 404 for a missing ${model.name}', async () => {
+    const res = await request(app).${method}(\`\${BASE_URL}/\${MISSING_ID}${suffix}\`).set(await auth('${role}'))${send};
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ message: '${model.name} not found' });
+  });
+
+  it('responds with 404 for a malformed ID', async () => {
+    const res = await request(app).${method}(\`\${BASE_URL}/not-an-id${suffix}\`).set(await auth('${role}'))${send};
+
+    expect(res.status).toBe(404);
+  });`;
+  }
+
+  /**
+   * Generate the integration tests for a data type
+   */
+  generateModelTestCode(model) {
+    const { name, access } = model;
+    const aName = this.withArticle(name);
+    const creatorRole = this.getCreatorRole(access);
+    const role = action => this.getRole(access, action);
+    const requiredFields = model.fields.filter(field => field.required).map(field => field.name);
+    const referenceField = model.fields.find(field =>
+      field.type === 'ObjectId' || (field.type === 'Array' && field.of === 'ObjectId')
+    );
+    const formatField = model.fields.find(field => INVALID_SAMPLES[field.type]);
+    const sendPayload = `.send(await payloads.${name}())`;
+
+    const requiredTests = requiredFields.map(field => `
+
+  it('rejects a missing ${field}', async () => {
+    const { ${JSON.stringify(field)}: omitted, ...payload } = await payloads.${name}();
+    const res = await request(app).post(BASE_URL).set(await auth('${creatorRole}')).send(payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual(expect.objectContaining({ field: ${JSON.stringify(field)} }));
+  });`).join('');
+
+    const castTest = referenceField ? `
+
+  it('rejects a malformed ${referenceField.name} ID', async () => {
+    const payload = { ...(await payloads.${name}()), ${JSON.stringify(referenceField.name)}: ${referenceField.type === 'Array' ? "['not-an-id']" : "'not-an-id'"} };
+    const res = await request(app).post(BASE_URL).set(await auth('${creatorRole}')).send(payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual(expect.objectContaining({ field: ${JSON.stringify(referenceField.name)} }));
+  });` : '';
+
+    const formatTest = formatField ? `
+
+  it('rejects an invalid ${formatField.name}', async () => {
+    const payload = { ...(await payloads.${name}()), ${JSON.stringify(formatField.name)}: ${INVALID_SAMPLES[formatField.type]} };
+    const res = await request(app).post(BASE_URL).set(await auth('${creatorRole}')).send(payload);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual(expect.objectContaining({ field: ${JSON.stringify(formatField.name)} }));
+  });` : '';
+
+    const clearTest = requiredFields.length > 0 ? `
+
+  it('rejects clearing ${requiredFields[0]}', async () => {
+    const item = await create();
+    const res = await request(app).put(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('update')}')).send({ ${JSON.stringify(requiredFields[0])}: null });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual(expect.objectContaining({ field: ${JSON.stringify(requiredFields[0])} }));
+  });` : '';
+
+    return `/**
+ * Integration tests for /api/${model.route}
+ *
+ * Generated from the ${name} data type; changes are lost when the API is
+ * regenerated.
+ */
+const request = require('supertest');
+${Object.values(model.files).some(field => field.type === 'Image') ? "const sharp = require('sharp');\n" : ''}const { MISSING_ID, setupDatabase, payloads, getToken } = require('./helpers');
+const app = require('../app');
+
+const BASE_URL = '/api/${model.route}';
+
+setupDatabase();
+
+const auth = async (role) => ({ Authorization: \`Bearer \${await getToken(role)}\` });
+
+/**
+ * Create ${aName} through the API
+ */
+const create = async () => {
+  const res = await request(app).post(BASE_URL).set(await auth('${creatorRole}'))${sendPayload};
+
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+describe('POST /api/${model.route}', () => {
+  it('creates ${aName}', async () => {
+    const payload = await payloads.${name}();
+    const res = await request(app).post(BASE_URL).set(await auth('${creatorRole}')).send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBeDefined();
+    expect(res.body).toMatchObject(payload);
+  });${requiredTests}${castTest}${formatTest}${this.generateAccessTests(model, 'create', `request(app).post(BASE_URL)${sendPayload}`)}
+});
+
+describe('GET /api/${model.route}', () => {
+  it('lists ${name} records', async () => {
+    const item = await create();
+    const res = await request(app).get(BASE_URL).set(await auth('${role('list')}'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(record => record._id)).toContain(item._id);
+  });${this.generateCursorTests(model)}${this.generateAccessTests(model, 'list', 'request(app).get(BASE_URL)')}
+});
+
+describe('GET /api/${model.route}/:id', () => {
+  it('returns ${aName}', async () => {
+    const item = await create();
+    const res = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('read')}'));
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(item._id);
+  });${this.generateCreatorTests(model)}${this.generateNotFoundTests(model, 'read', 'get')}${this.generateAccessTests(model, 'read', 'request(app).get(`${BASE_URL}/${MISSING_ID}`)')}
+});
+
+describe('PUT /api/${model.route}/:id', () => {
+  it('updates ${aName}', async () => {
+    const item = await create();
+    const payload = await payloads.${name}();
+    const res = await request(app).put(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('update')}')).send(payload);
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(item._id);
+    expect(res.body).toMatchObject(payload);
+  });${clearTest}${this.generateNotFoundTests(model, 'update', 'put', sendPayload)}${this.generateAccessTests(model, 'update', `request(app).put(\`\${BASE_URL}/\${MISSING_ID}\`)${sendPayload}`)}
+});
+
+describe('DELETE /api/${model.route}/:id', () => {
+  it('deletes ${aName}', async () => {
+    const item = await create();
+    const res = await request(app).delete(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('delete')}'));
+
+    expect(res.status).toBe(200);
+
+    const check = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('read')}'));
+    expect(check.status).toBe(404);
+  });${this.generateNotFoundTests(model, 'delete', 'delete')}${this.generateAccessTests(model, 'delete', 'request(app).delete(`${BASE_URL}/${MISSING_ID}`)')}
+});
+${this.generateBulkTests(model)}${this.generateFileTests(model)}${this.generateSearchTests(model)}${this.generateSoftDeleteTests(model)}${this.generateHistoryTests(model)}`;
+  }
+
+  /**
+   * Generate the test that expanding createdBy hides the creator's email
+   */
+  generateCreatorTests(model) {
+    // A createdBy field of the data type replaces the implicit one
+    if (model.fields.some(field => field.name === 'createdBy')) {
+      return '';
+    }
+
+    return `
+
+  it('expands createdBy without the creator\\'s email', async () => {
+    const item = await create();
+    const res = await request(app).get(\`\${BASE_URL}/\${item._id}\`).query({ expand: 'createdBy' }).set(await auth('${this.getRole(model.access, 'read')}'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.createdBy._id).toBe(item.createdBy);
+    expect(res.body.createdBy).not.toHaveProperty('email');
+  });`;
+  }
+
+  /**
+   * Get an optional field to sort by that records can leave empty
+   */
+  getCursorField(model) {
+    const modelNames = [model.name];
+
+    return model.fields.find(field =>
+      CURSOR_TYPES.includes(field.type || 'String') &&
+      !field.required &&
+      !field.unique &&
+      (field.default === undefined || field.default === '') &&
+      this.getSampleValue(field, model.name, modelNames) !== null
+    );
+  }
+
+  /**
+   * Generate the test that follows the cursor across empty sort values
+   */
+  generateCursorTests(model) {
+    const field = this.getCursorField(model);
+
+    if (!field) {
+      return '';
+    }
+
+    return `
+
+  it('pages by cursor across records without ${field.name}', async () => {
+    const created = [];
+
+    for (let i = 0; i < 3; i++) {
+      created.push(await create());
+
+      const { ${JSON.stringify(field.name)}: omitted, ...payload } = await payloads.${model.name}();
+      const res = await request(app).post(BASE_URL).set(await auth('${this.getCreatorRole(model.access)}')).send(payload);
+      expect(res.status).toBe(200);
+      created.push(res.body);
+    }
+
+    for (const sort of ['${field.name}', '-${field.name}']) {
+      const seen = [];
+      let cursor;
+
+      do {
+        const res = await request(app).get(BASE_URL).query({ sort, limit: 2, ...(cursor ? { cursor } : {}) }).set(await auth('${this.getRole(model.access, 'list')}'));
+
+        expect(res.status).toBe(200);
+        seen.push(...res.body.data.map(record => record._id));
+        cursor = res.body.meta.nextCursor;
+      } while (cursor);
+
+      expect(new Set(seen).size).toBe(seen.length);
+      expect(seen).toEqual(expect.arrayContaining(created.map(item => item._id)));
+    }
+  });`;
+  }
+
+  /**
+   * Generate the tests for bulk requests, export and import
+   */
+  generateBulkTests(model) {
+    const { name } = model;
+    const creatorRole = this.getCreatorRole(model.access);
+    const role = action => this.getRole(model.access, action);
+
+    return `
+describe('POST /api/${model.route}/bulk', () => {
+  it('creates each valid item and reports the others', async () => {
+    const payload = await payloads.${name}();
+    const res = await request(app).post(\`\${BASE_URL}/bulk\`).set(await auth('${creatorRole}')).send({ items: [payload, 'not a record'] });
+
+    expect(res.status).toBe(207);
+    expect(res.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+    expect(res.body.results.map(result => result.status)).toEqual([200, 400]);
+    expect(res.body.results[0].data).toMatchObject(payload);
+  });
+
+  it('rejects an empty list of items', async () => {
+    const res = await request(app).post(\`\${BASE_URL}/bulk\`).set(await auth('${creatorRole}')).send({ items: [] });
+
+    expect(res.status).toBe(400);
+  });${this.generateAccessTests(model, 'create', 'request(app).post(`${BASE_URL}/bulk`).send({ items: [{}] })')}
+});
+
+describe('PUT /api/${model.route}/bulk', () => {
+  it('updates each item by _id', async () => {
+    const item = await create();
+    const payload = await payloads.${name}();
+    const res = await request(app).put(\`\${BASE_URL}/bulk\`).set(await auth('${role('update')}')).send({
+      items: [{ ...payload, _id: item._id }, { ...(await payloads.${name}()), _id: MISSING_ID }]
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body.results.map(result => result.status)).toEqual([200, 404]);
+    expect(res.body.results[0].data).toMatchObject(payload);
+  });${this.generateAccessTests(model, 'update', 'request(app).put(`${BASE_URL}/bulk`).send({ items: [{ _id: MISSING_ID }] })')}
+});
+
+describe('DELETE /api/${model.route}/bulk', () => {
+  it('deletes each item by ID', async () => {
+    const item = await create();
+    const res = await request(app).delete(\`\${BASE_URL}/bulk\`).set(await auth('${role('delete')}')).send({ ids: [item._id, MISSING_ID] });
+
+    expect(res.status).toBe(207);
+    expect(res.body.results.map(result => result.status)).toEqual([200, 404]);
+
+    const check = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('read')}'));
+    expect(check.status).toBe(404);
+  });${this.generateAccessTests(model, 'delete', 'request(app).delete(`${BASE_URL}/bulk`).send({ ids: [MISSING_ID] })')}
+});
+
+describe('GET /api/${model.route}/export', () => {
+  it('exports records as CSV', async () => {
+    const item = await create();
+    const res = await request(app).get(\`\${BASE_URL}/export\`).set(await auth('${role('list')}'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\\/csv/);
+    expect(res.text.split('\\r\\n')[0]).toMatch(/^_id,/);
+    expect(res.text).toContain(item._id);
+  });
+
+  it('exports records as NDJSON', async () => {
+    const item = await create();
+    const res = await request(app).get(\`\${BASE_URL}/export?format=ndjson\`).set(await auth('${role('list')}')).buffer(true);
+
+    expect(res.status).toBe(200);
+    const records = res.text.trim().split('\\n').map(line => JSON.parse(line));
+    expect(records.map(record => record._id)).toContain(item._id);
+  });
+
+  it('rejects an unknown format', async () => {
+    const res = await request(app).get(\`\${BASE_URL}/export?format=xml\`).set(await auth('${role('list')}'));
+
+    expect(res.status).toBe(400);
+  });${this.generateAccessTests(model, 'list', 'request(app).get(`${BASE_URL}/export`)')}
+});
+
+describe('POST /api/${model.route}/import', () => {
+  it('imports CSV rows', async () => {
+    const payload = await payloads.${name}();
+    const cell = value => \`"\${(typeof value === 'object' ? JSON.stringify(value) : String(value)).replace(/"/g, '""')}"\`;
+    const csv = \`\${Object.keys(payload).join(',')}\\r\\n\${Object.values(payload).map(cell).join(',')}\\r\\n\`;
+    const res = await request(app).post(\`\${BASE_URL}/import\`).set(await auth('${creatorRole}')).set('Content-Type', 'text/csv').send(csv);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ summary: { rows: 1, created: 1, failed: 0 }, errors: [] });
+  });
+
+  it('imports NDJSON rows and reports those that fail', async () => {
+    const payload = await payloads.${name}();
+    const res = await request(app).post(\`\${BASE_URL}/import\`).set(await auth('${creatorRole}'))
+      .set('Content-Type', 'application/x-ndjson')
+      .send(\`\${JSON.stringify(payload)}\\nnot json\\n\`);
+
+    expect(res.status).toBe(207);
+    expect(res.body.summary).toEqual({ rows: 2, created: 1, failed: 1 });
+    expect(res.body.errors).toEqual([{ row: 2, status: 400, message: 'Row is not valid JSON' }]);
+  });
+
+  it('rejects other content types', async () => {
+    const res = await request(app).post(\`\${BASE_URL}/import\`).set(await auth('${creatorRole}')).send({ items: [] });
+
+    expect(res.status).toBe(415);
+  });${this.generateAccessTests(model, 'create', 'request(app).post(`${BASE_URL}/import`)')}
+});
+`;
+  }
+
+  /**
+   * Generate the tests for uploading, downloading and removing files
+   *
+   * The first file field is tested, with an image rendered by sharp for
+   * Image fields and a small text or binary file otherwise.
+   */
+  generateFileTests(model) {
+    const entries = Object.entries(model.files);
+
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const [fieldName, field] = entries.find(([, item]) => item.type === 'Image') || entries[0];
+    const isImage = field.type === 'Image';
+    const acceptsText = field.accept.length === 0 || field.accept.some(type => ['text/plain', 'text/*'].includes(type));
+    // An image format the field accepts
+    const format = ['png', 'jpeg', 'webp', 'gif'].find(item =>
+      field.accept.some(type => [`image/${item}`, 'image/*'].includes(type)));
+    const contentType = isImage
+      ? `image/${format}`
+      : acceptsText ? 'text/plain' : field.accept[0].replace(/\*$/, 'octet-stream');
+    const filename = isImage
+      ? `photo.${format === 'jpeg' ? 'jpg' : format}`
+      : contentType === 'text/plain' ? 'notes.txt' : 'sample.bin';
+    const maxSize = Math.round(field.maxSize / 1024 / 1024 * 100) / 100;
+    const variants = Object.entries(field.variants || {});
+    const url = `\`\${BASE_URL}/\${item._id}/files/${fieldName}\``;
+    const role = action => this.getRole(model.access, action);
+    const attach = `.attach('file', Buffer.from('sample'), { filename: 'notes.txt', contentType: '${contentType}' })`;
+
+    const sample = isImage
+      ? `await sharp({ create: { width: 400, height: 300, channels: 3, background: '#f00' } }).toFormat('${format}').toBuffer()`
+      : `Buffer.from('Sample file ${model.name}')`;
+
+    const variantTest = variants.length > 0 ? `
+
+    const [variantUrl] = Object.values(file.body.variants);
+    const variant = await sharp((await download(variantUrl)).body).metadata();
+    expect(variant.format).toBe('webp');
+    expect(variant.width).toBeLessThanOrEqual(${variants[0][1].width});
+    expect(variant.height).toBeLessThanOrEqual(${variants[0][1].height});` : '';
+
+    const typeTest = isImage || !acceptsText ? `
+
+  it('rejects a file of another type', async () => {
+    const item = await create();
+    const res = await request(app).put(${url}).set(await auth('${role('update')}'))
+      .attach('file', Buffer.from('not ${isImage ? 'an image' : 'accepted'}'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(415);
+  });` : '';
+
+    return `
+describe('/api/${model.route}/:id/files/:field', () => {
+  // Reads the response body as a buffer, whatever its type
+  const binary = (res, done) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => done(null, Buffer.concat(chunks)));
+  };
+
+  const download = (url) => {
+    const { pathname, search } = new URL(url);
+    return request(app).get(\`\${pathname}\${search}\`).buffer(true).parse(binary);
+  };
+
+  const upload = async (item) => request(app).put(${url}).set(await auth('${role('update')}'))
+    .attach('file', ${sample}, { filename: '${filename}', contentType: '${contentType}' });
+
+  it('uploads ${fieldName} and hands out a signed download URL', async () => {
+    const item = await create();
+    const res = await upload(item);
+
+    expect(res.status).toBe(200);
+    expect(res.body.${fieldName}).toMatchObject({ filename: '${filename}', mimeType: '${contentType}'${isImage ? ', width: 400, height: 300' : ''} });${variants.length > 0 ? `
+    expect(Object.keys(res.body.${fieldName}.variants)).toEqual(${JSON.stringify(variants.map(([name]) => name))});` : ''}
+
+    const file = await request(app).get(${url}).set(await auth('${role('read')}'));
+    expect(file.status).toBe(200);
+
+    const downloaded = await download(file.body.url);
+    expect(downloaded.status).toBe(200);
+    expect(downloaded.headers['content-type']).toMatch(/^${contentType.replace('/', '\\/')}/);
+    expect(downloaded.body.equals(${sample})).toBe(true);${variantTest}
+  });
+
+  it('rejects a tampered download URL', async () => {
+    const item = await create();
+    await upload(item);
+
+    const file = await request(app).get(${url}).set(await auth('${role('read')}'));
+    const res = await download(file.body.url.replace(/signature=[0-9a-f]/, 'signature=x'));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects a file larger than ${maxSize} MB', async () => {
+    const item = await create();
+    const res = await request(app).put(${url}).set(await auth('${role('update')}'))
+      .attach('file', Buffer.alloc(${field.maxSize + 1}), { filename: '${filename}', contentType: '${contentType}' });
+
+    expect(res.status).toBe(413);
+  });${typeTest}
+
+  it('rejects a body that is not multipart', async () => {
+    const item = await create();
+    const res = await request(app).put(${url}).set(await auth('${role('update')}')).send({});
+
+    expect(res.status).toBe(415);
+  });
+
+  it('responds with 404 for an unknown field', async () => {
+    const item = await create();
+    const res = await request(app).put(\`\${BASE_URL}/\${item._id}/files/unknown\`).set(await auth('${role('update')}'))${attach};
+
+    expect(res.status).toBe(404);
+  });
+
+  it('removes ${fieldName}', async () => {
+    const item = await create();
+    await upload(item);
+
+    const res = await request(app).delete(${url}).set(await auth('${role('update')}'));
+    expect(res.status).toBe(200);
+    expect(res.body.${fieldName}).toBeNull();
+
+    const check = await request(app).get(${url}).set(await auth('${role('read')}'));
+    expect(check.status).toBe(404);
+  });${this.generateNotFoundTests(model, 'update', 'put', attach, `/files/${fieldName}`)}${this.generateAccessTests(model, 'update', `request(app).put(\`\${BASE_URL}/\${MISSING_ID}/files/${fieldName}\`)${attach}`)}
+});
+`;
+  }
+
+  /**
+   * Generate the tests for searching records by text
+   *
+   * A record is searched for by the sample value of one of its text fields,
+   * which is unique to it and so ranks it first.
+   */
+  generateSearchTests(model) {
+    if (!model.textIndex) {
+      return '';
+    }
+
+    const { name } = model;
+    const role = this.getRole(model.access, 'list');
+    const field = model.textIndex.fields
+      .map(item => model.fields.find(candidate => candidate.name === item.name))
+      .find(candidate => candidate && this.getSampleValue(candidate, name, []) !== null);
+
+    const findTest = field ? `
+  it('finds ${this.withArticle(name)} by its ${field.name}', async () => {
+    const item = await create();
+    const res = await request(app).get(\`\${BASE_URL}/search\`).query({ q: item.${field.name} }).set(await auth('${role}'));
+
+    expect(res.status).toBe(200);
+    const hit = res.body.data.find(record => record._id === item._id);
+    expect(hit).toBeDefined();
+    expect(hit._score).toBeGreaterThan(0);
+    expect(hit._highlights.${field.name}).toContain('<mark>');
+  });
+
+` : '';
+
+    return `
+describe('GET /api/${model.route}/search', () => {${findTest}
+  it('rejects a search without words', async () => {
+    const res = await request(app).get(\`\${BASE_URL}/search\`).query({ q: ' ' }).set(await auth('${role}'));
+
+    expect(res.status).toBe(400);
+  });${this.generateAccessTests(model, 'list', "request(app).get(`${BASE_URL}/search?q=test`)")}
+});
+`;
+  }
+
+  /**
+   * Generate the tests for listing and restoring deleted records
+   */
+  generateSoftDeleteTests(model) {
+    if (!model.softDelete) {
+      return '';
+    }
+
+    const { name } = model;
+    const aName = this.withArticle(name);
+    const role = this.getRole(model.access, 'delete');
+
+    return `
+describe('POST /api/${model.route}/:id/restore', () => {
+  it('lists and restores a deleted ${name}', async () => {
+    const item = await create();
+    await request(app).delete(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role}'));
+
+    const deleted = await request(app).get(\`\${BASE_URL}/deleted\`).set(await auth('${role}'));
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.data.map(record => record._id)).toContain(item._id);
+
+    const res = await request(app).post(\`\${BASE_URL}/\${item._id}/restore\`).set(await auth('${role}'));
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(item._id);
+    expect(res.body.deletedAt).toBeNull();
+
+    const check = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set(await auth('${this.getRole(model.access, 'read')}'));
+    expect(check.status).toBe(200);
+  });
+
+  it('responds with 404 for ${aName} that is not deleted', async () => {
+    const item = await create();
+    const res = await request(app).post(\`\${BASE_URL}/\${item._id}/restore\`).set(await auth('${role}'));
+
+    expect(res.status).toBe(404);
+  });${this.generateAccessTests(model, 'delete', 'request(app).post(`${BASE_URL}/${MISSING_ID}/restore`)')}
+});
+`;
+  }
+
+  /**
+   * Generate the tests for the change history of a record
+   */
+  generateHistoryTests(model) {
+    if (!model.audit) {
+      return '';
+    }
+
+    const { name } = model;
+    const role = this.getRole(model.access, 'update');
+
+    return `
+describe('GET /api/${model.route}/:id/history', () => {
+  it('lists the changes to ${this.withArticle(name)}', async () => {
+    const item = await create();
+    const payload = await payloads.${name}();
+    await request(app).put(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role}')).send(payload);
+
+    const res = await request(app).get(\`\${BASE_URL}/\${item._id}/history\`).set(await auth('${role}'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.action).sort()).toEqual(['create', 'update']);
+    expect(res.body.data.every(entry => entry.documentId === String(item._id))).toBe(true);
+  });${this.generateNotFoundTests(model, 'update', 'get', '', '/history')}${this.generateAccessTests(model, 'update', 'request(app).get(`${BASE_URL}/${MISSING_ID}/history`)')}
+});
+`;
+  }
+
+  /**
+   * Generate the tests for webhook deliveries
+   *
+   * Requests are answered by a mocked fetch, so no subscriber is contacted.
+   */
+  generateWebhookTestCode(models) {
+    const subscriptions = this.apiGenerator.webhookGenerator.getAllSubscriptions();
+    const { model: name, url, events: [event] } = this.getWebhookSubscription(models);
+    const model = models.find(item => item.name === name);
+    const expected = subscriptions.filter(item => item.model === name && item.events.includes(event)).length;
+    const baseUrl = `/api/${model.route}`;
+    const creatorRole = this.getCreatorRole(model.access);
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+    // Direct model calls need a tenant context
+    const scoped = code => (tenancy ? `inTenant(() => ${code})` : code);
+
+    // The API request that raises the event
+    let trigger = '';
+    if (event === 'updated') {
+      trigger = `\n    await request(app).put(\`${baseUrl}/\${created.body._id}\`).set(await auth('${this.getRole(model.access, 'update')}')).send(await payloads.${name}());`;
+    } else if (event === 'deleted') {
+      trigger = `\n    await request(app).delete(\`${baseUrl}/\${created.body._id}\`).set(await auth('${this.getRole(model.access, 'delete')}'));`;
+    }
+
+    return `/**
+ * Integration tests for webhook deliveries and /api/webhooks
+ *
+ * Generated from the webhook subscriptions; changes are lost when the API is
+ * regenerated.
+ */
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_DELAY_MS = '1';
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { setupDatabase, ${tenancy ? 'inTenant, ' : ''}payloads, createRecord, getToken } = require('./helpers');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { emitEvent, processDue } = require('../webhooks/dispatcher');
+const app = require('../app');
+
+setupDatabase();
+
+const auth = async (role) => ({ Authorization: \`Bearer \${await getToken(role)}\` });
+
+let fetchMock;
+
+beforeEach(() => {
+  fetchMock = jest.spyOn(global, 'fetch');
+});
+
+afterEach(() => {
+  fetchMock.mockRestore();
+});
+
+/**
+ * Queue a ${name} ${event} event and return its delivery
+ */
+const queue = async () => ${tenancy ? 'inTenant(async () => ' : ''}{
+  const record = await createRecord('${name}');
+  await emitEvent('${name}', '${event}', record);
+
+  const [delivery] = await WebhookDelivery.find({ documentId: String(record._id) });
+  return delivery;
+}${tenancy ? ')' : ''};
+
+/**
+ * Queue a delivery and fail every attempt until it is dead
+ */
+const queueDead = async () => {
+  fetchMock.mockImplementation(async () => new Response('unavailable', { status: 503 }));
+  const delivery = await queue();
+
+  // Retries are due a millisecond after each failure
+  await processDue();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await processDue();
+
+  return delivery;
+};
+
+/**
+ * Get the fetch call that sent a delivery
+ */
+const requestFor = delivery =>
+  fetchMock.mock.calls.find(([, init]) => init.headers['X-Webhook-Id'] === String(delivery._id));
+
+describe('webhook events', () => {
+  it('queues a delivery when ${this.withArticle(name)} is ${event}', async () => {
+    const created = await request(app).post('${baseUrl}').set(await auth('${creatorRole}')).send(await payloads.${name}());${trigger}
+
+    const deliveries = await ${scoped(`WebhookDelivery.find({ documentId: String(created.body._id), event: '${event}' })`)};
+
+    expect(deliveries).toHaveLength(${expected});
+    expect(deliveries[0].status).toBe('pending');
+    expect(deliveries[0].payload).toMatchObject({ event: '${event}', model: '${name}', data: { _id: created.body._id } });
+  });
+});
+
+describe('webhook dispatcher', () => {
+  it('sends a signed JSON request', async () => {
+    fetchMock.mockImplementation(async () => new Response('ok', { status: 200 }));
+    const delivery = await queue();
+
+    await processDue();
+
+    const [url, init] = requestFor(delivery);
+    const { t, v1 } = Object.fromEntries(init.headers['X-Webhook-Signature'].split(',').map(part => part.split('=')));
+
+    expect(url).toBe(${JSON.stringify(url)});
+    expect(init.headers['X-Webhook-Event']).toBe('${name}.${event}');
+    expect(v1).toBe(crypto.createHmac('sha256', 'test-webhook-secret').update(\`\${t}.\${init.body}\`).digest('hex'));
+    expect(JSON.parse(init.body)).toMatchObject({ event: '${event}', model: '${name}' });
+
+    const sent = await ${scoped('WebhookDelivery.findOne({ _id: delivery._id })')};
+    expect(sent.status).toBe('delivered');
+    expect(sent.log).toHaveLength(1);
+  });
+
+  it('retries failed requests and keeps the dead ones', async () => {
+    const delivery = await queueDead();
+
+    const dead = await ${scoped('WebhookDelivery.findOne({ _id: delivery._id })')};
+    expect(dead.status).toBe('dead');
+    expect(dead.attempts).toBe(2);
+    expect(dead.lastError).toBe('Responded with 503');
+    expect(dead.log.map(entry => entry.statusCode)).toEqual([503, 503]);
+
+    const log = await request(app).get('/api/webhooks/deliveries?filter[status]=dead').set(await auth('admin'));
+    expect(log.status).toBe(200);
+    expect(log.body.data.map(item => item._id)).toContain(String(delivery._id));
+  });
+});
+
+describe('POST /api/webhooks/deliveries/:id/retry', () => {
+  it('queues a dead delivery again', async () => {
+    const delivery = await queueDead();
+
+    const res = await request(app).post(\`/api/webhooks/deliveries/\${delivery._id}/retry\`).set(await auth('admin'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('pending');
+    expect(res.body.attempts).toBe(0);
+
+    const again = await request(app).post(\`/api/webhooks/deliveries/\${delivery._id}/retry\`).set(await auth('admin'));
+    expect(again.status).toBe(404);
+  });
+});
+
+describe('GET /api/webhooks/deliveries', () => {
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/webhooks/deliveries');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects users without the admin role', async () => {
+    const res = await request(app).get('/api/webhooks/deliveries').set(await auth('user'));
+
+    expect(res.status).toBe(403);
+  });
+});
+`;
+  }
+
+  /**
+   * Generate the tests that keep the records of each tenant apart
+   *
+   * A second tenant works on the first data type through every way a
+   * request can name its tenant.
+   */
+  generateTenancyTestCode(models) {
+    const [model] = models;
+    const { name, access } = model;
+    const baseUrl = `/api/${model.route}`;
+    const creatorRole = this.getCreatorRole(access);
+    const role = action => this.getRole(access, action);
+
+    return `/**
+ * Integration tests for tenant resolution and scoping
+ *
+ * Generated from the ${name} data type; changes are lost when the API is
+ * regenerated.
+ */
+const request = require('supertest');
+const { setupDatabase, inTenant, payloads, getToken } = require('./helpers');
+const Tenant = require('../models/Tenant');
+const ${name} = require('../models/${name}');
+const app = require('../app');
+
+const BASE_URL = '${baseUrl}';
+
+setupDatabase();
+
+let other;
+
+beforeAll(async () => {
+  other = await Tenant.create({ slug: 'other', name: 'Other' });
+});
+
+afterEach(() => {
+  delete process.env.TENANT_DOMAIN;
+});
+
+const auth = async (role, tenant) => ({ Authorization: \`Bearer \${await getToken(role, tenant)}\` });
+
+/**
+ * Create ${this.withArticle(name)} through the API as the other tenant
+ */
+const createInOther = async () => {
+  const payload = await inTenant(() => payloads.${name}(), other);
+  const res = await request(app).post(BASE_URL).set('X-Tenant', 'other').set(await auth('${creatorRole}', other)).send(payload);
+
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+describe('tenant scoping', () => {
+  it('assigns new records to the tenant of the request', async () => {
+    const item = await createInOther();
+
+    expect(item.tenantId).toBe(String(other._id));
+  });
+
+  it('hides the records of other tenants', async () => {
+    const item = await createInOther();
+
+    const read = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('read')}'));
+    expect(read.status).toBe(404);
+
+    const list = await request(app).get(BASE_URL).set(await auth('${role('read')}'));
+    expect(list.status).toBe(200);
+    expect(list.body.data.map(record => record._id)).not.toContain(item._id);
+  });
+
+  it('refuses to change the records of other tenants', async () => {
+    const item = await createInOther();
+
+    const update = await request(app).put(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('update')}')).send(await payloads.${name}());
+    expect(update.status).toBe(404);
+
+    const remove = await request(app).delete(\`\${BASE_URL}/\${item._id}\`).set(await auth('${role('delete')}'));
+    expect(remove.status).toBe(404);
+
+    const read = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set('X-Tenant', 'other').set(await auth('${role('read')}', other));
+    expect(read.status).toBe(200);
+  });
+
+  it('fails model queries outside a tenant context', async () => {
+    await expect(${name}.find({})).rejects.toThrow('tenant context');
+  });
+});
+
+describe('tenant resolution', () => {
+  it('rejects tokens issued for another tenant', async () => {
+    const res = await request(app).get('/api/auth/me').set('X-Tenant', 'other').set(await auth('${creatorRole}'));
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects unknown tenants', async () => {
+    const res = await request(app).get(BASE_URL).set('X-Tenant', 'missing').set(await auth('${role('read')}'));
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Tenant not found');
+  });
+
+  it('resolves the tenant from its API key', async () => {
+    const item = await createInOther();
+    const apiKey = await Tenant.issueApiKey(other._id);
+
+    const res = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set('X-API-Key', apiKey).set(await auth('${role('read')}', other));
+    expect(res.status).toBe(200);
+
+    const invalid = await request(app).get(BASE_URL).set('X-API-Key', 'tk_invalid');
+    expect(invalid.status).toBe(401);
+  });
+
+  it('resolves the tenant from the subdomain', async () => {
+    process.env.TENANT_DOMAIN = 'example.com';
+    const item = await createInOther();
+
+    const res = await request(app).get(\`\${BASE_URL}/\${item._id}\`).set('Host', 'other.example.com').set(await auth('${role('read')}', other));
+
+    expect(res.status).toBe(200);
+  });
+});
+`;
+  }
+
+  /**
+   * Generate the tests for the decisions and collected input of the
+   * workflow engine
+   *
+   * The engine runs on a small workflow of its own, so the tests do not
+   * depend on the funnel designed in the Workflow Builder.
+   */
+  generateWorkflowTestCode() {
+    return `/**
+ * Unit tests for the decisions and collected input of the workflow engine
+ *
+ * Generated by the API generator; changes are lost when the API is
+ * regenerated.
+ */
+const { WorkflowEngine } = require('../workflow/engine');
+
+/**
+ * Get the node a decision with the given conditions leads to
+ */
+const decide = (conditions, data) => {
+  const engine = new WorkflowEngine({
+    nodes: [{ id: 'decision', type: 'decisionNode', data: { conditions } }],
+    edges: [
+      { id: 'matched', source: 'decision', target: 'matched', sourceHandle: 'matched' },
+      { id: 'default', source: 'decision', target: 'fallback', sourceHandle: 'default' }
+    ]
+  });
+
+  return engine.evaluateDecision(engine.getNode('decision'), data).target;
+};
+
+describe('WorkflowEngine decisions', () => {
+  it('follows the edge of a matching condition', () => {
+    const conditions = [{ id: 'matched', field: 'answers.plan', operator: 'equals', value: 'pro' }];
+
+    expect(decide(conditions, { answers: { plan: 'pro' } })).toBe('matched');
+    expect(decide(conditions, { answers: { plan: 'free' } })).toBe('fallback');
+  });
+
+  it('treats a condition without a field as not matching', () => {
+    expect(decide([{ id: 'matched', operator: 'notExists' }], {})).toBe('fallback');
+    expect(decide([{ id: 'matched', field: '', operator: 'equals', value: '' }], {})).toBe('fallback');
+  });
+});
+
+describe('WorkflowEngine input', () => {
+  const engine = new WorkflowEngine({
+    nodes: [
+      { id: 'start', type: 'startNode', data: {} },
+      { id: 'product', type: 'productNode', data: { products: ['basic'] } },
+      { id: 'form', type: 'formNode', data: { fields: [{ name: 'email', required: true }] } },
+      { id: 'end', type: 'endNode', data: {} }
+    ],
+    edges: [
+      { id: 'e1', source: 'start', target: 'product' },
+      { id: 'e2', source: 'product', target: 'form' },
+      { id: 'e3', source: 'form', target: 'end' }
+    ]
+  });
+
+  it('keeps visitors from overwriting the state the engine maintains', () => {
+    const session = engine.start({});
+
+    engine.advance(session, { productId: 'basic', selectedProducts: ['premium'] });
+    engine.advance(session, { email: 'visitor@example.com', selectedProducts: ['premium'], steps: {} });
+
+    expect(session.status).toBe('completed');
+    expect(session.data.email).toBe('visitor@example.com');
+    expect(session.data.selectedProducts).toEqual(['basic']);
+    expect(Object.keys(session.data.steps)).toEqual(['product', 'form']);
+  });
+});
+`;
+  }
+
+  /**
+   * Generate README section for the test suite
+   */
+  generateDocs() {
+    if (this.getModels().length === 0) {
+      return '';
+    }
+
+    const database = this.apiGenerator.isSQL()
+      ? 'a temporary SQLite database per test file, so no database server is needed'
+      : 'an in-memory MongoDB per test file ([mongodb-memory-server](https://github.com/typegoose/mongodb-memory-server) downloads the MongoDB binary on the first run)';
+
+    const untested = this.getUntestedModels(this.getModels());
+    const untestedDocs = untested.length > 0 ? `
+
+These data types have no tests, because the tests cannot create their records:
+
+${untested.map(({ model, reason }) => `- **${model}**: ${reason}`).join('\n')}` : '';
+
+    return `## Tests
+
+\`npm test\` runs the integration tests in \`tests/\` against ${database}. For every data type they cover create, read, update and delete, missing and malformed IDs, authentication and role checks, required fields and the format of email, URL, money and geo point fields, paging by cursor across empty sort values, expanding \`createdBy\` without the creator's email, bulk requests, CSV and NDJSON export and import, plus restoring deleted records and the change history where those options are on.${this.apiGenerator.webhookGenerator.hasWebhooks() ? ' `tests/webhooks.test.js` checks that events are queued, signed, retried and dead lettered, with `fetch` mocked so no subscriber is contacted.' : ''}${this.apiGenerator.tenantGenerator.isEnabled() ? ' `tests/tenancy.test.js` checks that a second tenant cannot read or change the records of the `test` tenant, which the other tests run in, and that tenants resolve from API keys, headers and subdomains.' : ''}${this.apiGenerator.workflowGenerator.hasWorkflow() ? ' `tests/workflow.test.js` checks how the workflow engine picks the branch of a decision and that visitor input cannot overwrite the products it validated.' : ''} Request bodies are built from the data model in \`tests/helpers.js\`.${untestedDocs}
+
+The generated test files are rewritten when the API is regenerated; keep your own tests in separate files.
+
+`;
+  }
+}
+
+module.exports = TestGenerator;
@@ -0,0 +1,1629 @@
+/**
+ * TypeScriptGenerator.js
+ *
+ * Generates the TypeScript output mode: model interfaces and request and
+ * response DTOs for every data type, typed models, controllers, routes and
+ * validators, a tsconfig.json, and type declarations for the shared
+ * JavaScript runtime (auth, list queries, expansion, database layer).
+ */
+
+const path = require('path');
+
+class TypeScriptGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+  }
+
+  /**
+   * Generate the type definitions, declarations and tsconfig.json
+   */
+  async generateAll() {
+    if (!this.apiGenerator.isTypeScript()) {
+      return;
+    }
+
+    const { outputDir } = this.apiGenerator;
+    const declarations = {
+      'middleware/auth.d.ts': this.generateAuthDeclarations(),
+      'middleware/errorHandler.d.ts': this.generateErrorHandlerDeclarations(),
+      'utils/listQuery.d.ts': this.generateListQueryDeclarations(),
+      'utils/expand.d.ts': this.generateExpandDeclarations(),
+      'utils/bulk.d.ts': this.generateBulkDeclarations(),
+      'validators/validate.d.ts': this.generateValidateDeclarations(),
+      'routes/auth.d.ts': this.generateRouterDeclarations('auth.js')
+    };
+
+    if (this.apiGenerator.isSQL()) {
+      declarations['db/model.d.ts'] = this.generateModelLayerDeclarations();
+      declarations['db/connection.d.ts'] = this.generateConnectionDeclarations();
+    } else if (this.apiGenerator.auditGenerator.hasSoftDelete()) {
+      declarations['utils/softDelete.d.ts'] = this.generateSoftDeleteDeclarations();
+    }
+
+    if (this.apiGenerator.tenantGenerator.isEnabled()) {
+      declarations['utils/tenancy.d.ts'] = this.generateTenancyDeclarations();
+      declarations['middleware/tenant.d.ts'] = this.generateTenantMiddlewareDeclarations();
+
+      if (!this.apiGenerator.isSQL()) {
+        declarations['utils/tenantScope.d.ts'] = this.generateTenantScopeDeclarations();
+      }
+    }
+
+    if (this.apiGenerator.auditGenerator.hasAudit()) {
+      declarations['utils/audit.d.ts'] = this.generateAuditDeclarations();
+    }
+
+    if (this.apiGenerator.isSQL() && this.apiGenerator.indexGenerator.hasExpiry()) {
+      declarations['utils/expiry.d.ts'] = this.generateExpiryDeclarations();
+    }
+
+    if (this.apiGenerator.webhookGenerator.hasWebhooks()) {
+      declarations['webhooks/dispatcher.d.ts'] = this.generateDispatcherDeclarations();
+      declarations['routes/webhooks.d.ts'] = this.generateRouterDeclarations('webhooks.js');
+    }
+
+    if (this.apiGenerator.fileGenerator.hasFiles()) {
+      declarations['utils/files.d.ts'] = this.generateFileDeclarations();
+      declarations['routes/files.d.ts'] = this.generateRouterDeclarations('files.js');
+    }
+
+    if (this.apiGenerator.workflowGenerator.hasWorkflow()) {
+      declarations['routes/funnel.d.ts'] = this.generateRouterDeclarations('funnel.js');
+    }
+
+    if (this.apiGenerator.graphqlGenerator.isEnabled()) {
+      declarations['graphql/index.d.ts'] = this.generateRouterDeclarations('index.js');
+    }
+
+    await this.apiGenerator.fs.mkdir(path.join(outputDir, 'types'), { recursive: true });
+    await this.apiGenerator.writeCode(path.join(outputDir, 'types', 'index.ts'), this.generateTypesCode(), 'typescript');
+
+    for (const [file, code] of Object.entries(declarations)) {
+      await this.apiGenerator.writeCode(path.join(outputDir, file), code, 'typescript');
+    }
+
+    await this.apiGenerator.fs.writeFile(
+      path.join(outputDir, 'tsconfig.json'),
+      `${JSON.stringify(this.generateTsconfig(), null, 2)}\n`
+    );
+  }
+
+  /**
+   * Get the data types with their fields
+   */
+  getModels() {
+    const { dataModel } = this.project;
+
+    return this.apiGenerator.getDataTypeNodes().map(node => ({
+      name: this.apiGenerator.formatModelName(node.data.name),
+      description: node.data.description,
+      fields: this.apiGenerator.getFieldsForModel(node, dataModel),
+      ...this.apiGenerator.auditGenerator.getOptions(node)
+    }));
+  }
+
+  /**
+   * Get the TypeScript type of a field
+   *
+   * Records hold dates and IDs as stored; request bodies carry them as strings.
+   */
+  getFieldType(field, input = false, type = field.type || 'String') {
+    switch (type) {
+      case 'String':
+      case 'Email':
+      case 'URL': {
+        const values = this.apiGenerator.parseList(field.enum);
+        return values.length > 0 ? values.map(value => JSON.stringify(value)).join(' | ') : 'string';
+      }
+      case 'Money':
+        return input ? 'MoneyInput' : 'Money';
+      case 'Point':
+        return 'GeoPoint';
+      case 'File':
+      case 'Image':
+        return 'StoredFile';
+      case 'Object':
+        return `{ ${(field.fields || []).map(subField => this.getProperty(subField, input).trim()).join(' ')} }`;
+      case 'Number':
+        return 'number';
+      case 'Boolean':
+        return 'boolean';
+      case 'Date':
+        return input ? 'string' : 'Date';
+      case 'ObjectId':
+        return input ? 'string' : 'ID';
+      case 'Array': {
+        const itemType = this.getFieldType(field, input, field.of || 'String');
+        return itemType.includes(' ') ? `Array<${itemType}>` : `${itemType}[]`;
+      }
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Get an interface property; optional fields may also be cleared with null
+   */
+  getProperty(field, input = false) {
+    const type = this.getFieldType(field, input);
+    return field.required
+      ? `  ${field.name}: ${type};`
+      : `  ${field.name}?: ${type} | null;`;
+  }
+
+  /**
+   * Generate the model interfaces and DTOs of a data type
+   */
+  generateModelTypes(model) {
+    const ownsCreatedBy = model.fields.some(field => field.name === 'createdBy');
+    const properties = [
+      '  _id: ID;',
+      ...model.fields.map(field => this.getProperty(field)),
+      ...(ownsCreatedBy ? [] : ['  createdBy?: ID | null;']),
+      ...(this.apiGenerator.tenantGenerator.isEnabled() ? ['  tenantId: ID;'] : []),
+      ...(model.softDelete ? ['  deletedAt?: Date | null;'] : []),
+      '  createdAt: Date;',
+      '  updatedAt: Date;'
+    ];
+    // Files are uploaded through the file endpoints, not request bodies
+    const inputProperties = model.fields
+      .filter(field => !this.apiGenerator.fileGenerator.isFileField(field))
+      .map(field => this.getProperty(field, true));
+
+    return `/**
+ * ${model.name}${model.description ? ` - ${model.description}` : ''}
+ */
+export interface ${model.name} {
+${properties.join('\n')}
+}
+
+/**
+ * Request body to create ${this.apiGenerator.testGenerator.withArticle(model.name)}
+ */
+export interface ${model.name}Input {
+${inputProperties.join('\n')}
+}
+
+/**
+ * Request body to update ${this.apiGenerator.testGenerator.withArticle(model.name)}; omitted fields are left unchanged
+ */
+export type ${model.name}Update = Partial<${model.name}Input>;`;
+  }
+
+  /**
+   * Generate the types of money, geo point and file values, if fields use them
+   */
+  generateValueTypes() {
+    const types = this.apiGenerator.getFieldTypes();
+    let code = '';
+
+    if (types.has('Money')) {
+      code += `
+/**
+ * Exact amount of money, e.g. { amount: '19.99', currency: 'EUR' }
+ */
+export interface Money {
+  amount: string;
+  currency: string;
+}
+
+/**
+ * Money in a request body; a bare amount is in the field's currency
+ */
+export type MoneyInput = { amount: string | number; currency?: string } | string | number;
+`;
+    }
+
+    if (types.has('Point')) {
+      code += `
+/**
+ * GeoJSON point, longitude first
+ */
+export interface GeoPoint {
+  type: 'Point';
+  coordinates: [number, number];
+}
+`;
+    }
+
+    if (types.has('File') || types.has('Image')) {
+      code += `
+/**
+ * Scaled-down WebP copy of an uploaded image
+ */
+export interface StoredFileVariant {
+  key: string;
+  width: number;
+  height: number;
+}
+
+/**
+ * Metadata of an uploaded file; the file itself is in storage
+ */
+export interface StoredFile {
+  key: string;
+  filename: string;
+  mimeType: string;
+  size: number;
+  width?: number;
+  height?: number;
+  variants?: Record<string, StoredFileVariant>;
+  uploadedAt: Date;
+}
+
+/**
+ * Signed download URLs of a file and its variants
+ */
+export interface FileUrlResponse {
+  url: string;
+  expiresAt: string;
+  variants: Record<string, string>;
+}
+`;
+    }
+
+    return code;
+  }
+
+  /**
+   * Generate the model interfaces and DTOs
+   */
+  generateTypesCode() {
+    const id = this.apiGenerator.isSQL()
+      ? `/**
+ * Record IDs (UUIDs)
+ */
+export type ID = string;`
+      : `import type { Types } from 'mongoose';
+
+/**
+ * Record IDs
+ */
+export type ID = Types.ObjectId;`;
+
+    return `/**
+ * Types of the generated API
+ *
+ * One interface per data type for stored records, and the request and
+ * response bodies of its endpoints.
+ */
+${id}
+${this.generateValueTypes()}
+${this.getModels().map(model => this.generateModelTypes(model)).join('\n\n')}
+
+/**
+ * Route parameters of single-record endpoints (a type alias, so that it
+ * fits Express's ParamsDictionary)
+ */
+export type IdParams = {
+  id: string;
+};
+
+/**
+ * Field-level validation error
+ */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+/**
+ * Error response body
+ */
+export interface ErrorResponse {
+  message: string;
+  errors?: FieldError[];
+}
+
+/**
+ * Response body of successful deletes
+ */
+export interface MessageResponse {
+  message: string;
+}
+
+/**
+ * Response body of list endpoints
+ */
+export interface ListResponse<T> {
+  data: T[];
+  meta: {
+    total: number;
+    limit: number;
+    page: number | null;
+    nextCursor: string | null;
+    hasMore: boolean;
+  };
+  links: {
+    self: string;
+    next: string | null;
+  };
+}
+
+/**
+ * Result of one item of a bulk request: the status, and the record or error
+ * the single-record endpoint would have responded with
+ */
+export interface BulkResult<T> {
+  index: number;
+  status: number;
+  data?: T;
+  message?: string;
+  errors?: FieldError[];
+}
+
+/**
+ * Response body of bulk endpoints
+ */
+export interface BulkResponse<T> {
+  summary: {
+    total: number;
+    succeeded: number;
+    failed: number;
+  };
+  results: BulkResult<T>[];
+}
+
+/**
+ * A row an import could not create a record from
+ */
+export interface ImportError {
+  row: number;
+  status: number;
+  message: string;
+  errors?: FieldError[];
+}
+
+/**
+ * Response body of import endpoints
+ */
+export interface ImportResponse {
+  summary: {
+    rows: number;
+    created: number;
+    failed: number;
+  };
+  errors: ImportError[];
+}
+${this.apiGenerator.indexGenerator.hasSearch() ? `
+/**
+ * A search result: the record with its relevance and the HTML of its
+ * matching text fields
+ */
+export type SearchHit<T> = T & {
+  _score: number;
+  _highlights: Record<string, string>;
+};
+
+/**
+ * Response body of search endpoints
+ */
+export type SearchResponse<T> = ListResponse<SearchHit<T>>;
+` : ''}${this.apiGenerator.auditGenerator.hasAudit() ? `
+/**
+ * A field changed by an audited action
+ */
+export interface AuditChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+}
+
+/**
+ * One create, update, delete or restore of an audited record
+ */
+export interface AuditEntry {
+  _id: ID;
+  modelName: string;
+  documentId: string;
+  action: 'create' | 'update' | 'delete' | 'restore';
+  changes: AuditChange[];
+  user: ID | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+` : ''}${this.apiGenerator.webhookGenerator.hasWebhooks() ? `
+export type WebhookEvent = 'created' | 'updated' | 'deleted';
+
+/**
+ * One attempt to send a webhook delivery
+ */
+export interface WebhookAttempt {
+  at: Date;
+  statusCode: number | null;
+  error: string | null;
+  response: string | null;
+  durationMs: number;
+}
+
+/**
+ * One event queued for one webhook subscription
+ */
+export interface WebhookDelivery {
+  _id: ID;
+  modelName: string;
+  event: WebhookEvent;
+  documentId: string;
+  url: string;
+  payload: unknown;
+  status: 'pending' | 'delivered' | 'dead';
+  attempts: number;
+  nextAttemptAt: Date;
+  lastError: string | null;
+  deliveredAt: Date | null;
+  log: WebhookAttempt[];
+  createdAt: Date;
+  updatedAt: Date;
+}
+` : ''}`;
+  }
+
+  /**
+   * Generate code for a typed Mongoose model
+   */
+  generateModelCode(modelName, fields, description, options = {}) {
+    const regions = this.apiGenerator.protectedRegions;
+    const { softDelete } = options;
+    // The soft delete plugin's document methods are part of the model type
+    const modelType = softDelete ? `${modelName}, ${modelName}ModelType` : modelName;
+    const schemaType = softDelete ? `${modelType}, SoftDeleteMethods` : modelName;
+    const tenant = this.apiGenerator.tenantGenerator.getMongoPluginCode(`${modelName}Schema`, true);
+
+    return `/**
+ * ${modelName} model
+ * ${description || ''}
+ */
+import mongoose from 'mongoose';
+${softDelete ? `import softDelete from '../utils/softDelete';
+import type { SoftDeleteMethods } from '../utils/softDelete';
+` : ''}${tenant.require}import type { ${modelName} } from '../types';
+${regions.region('imports')}
+${softDelete ? `
+type ${modelName}ModelType = mongoose.Model<${modelName}, {}, SoftDeleteMethods>;
+` : ''}
+const ${modelName}Schema = new mongoose.Schema<${schemaType}>({
+${this.apiGenerator.getSchemaFields(fields)}
+}, {
+  timestamps: true
+});
+${softDelete ? `
+${modelName}Schema.plugin(softDelete);
+` : ''}${tenant.plugin}${this.apiGenerator.indexGenerator.getMongoIndexCode(modelName, options.indexes)}
+// Hooks, methods, virtuals and indexes
+${regions.region('schema')}
+
+export = mongoose.model<${modelType}>('${modelName}', ${modelName}Schema);
+`;
+  }
+
+  /**
+   * Generate code for a typed repository model
+   */
+  generateSqlModelCode(modelName) {
+    const model = this.apiGenerator.sqlGenerator.getModels().find(item => item.name === modelName);
+    const regions = this.apiGenerator.protectedRegions;
+
+    return `/**
+ * ${modelName} model
+ * ${model.description || ''}
+ */
+import { defineModel } from '../db/model';
+import type { ${modelName} } from '../types';
+${regions.region('imports')}
+
+const ${modelName}Model = defineModel<${modelName}>({
+  name: '${modelName}',
+  table: '${model.table}',
+  fields: ${JSON.stringify(model.fields, null, 2)}${model.softDelete ? ',\n  softDelete: true' : ''}${model.search ? `,\n  search: ${JSON.stringify(model.search, null, 2)}` : ''}${model.tenant ? ',\n  tenant: true' : ''}
+});
+
+// Additional queries and helpers
+${regions.region('model')}
+
+export = ${modelName}Model;
+`;
+  }
+
+  /**
+   * Generate code for a typed controller
+   */
+  generateControllerCode(modelName, options = {}) {
+    const isSQL = this.apiGenerator.isSQL();
+    const regions = this.apiGenerator.protectedRegions;
+    const { softDelete, audit, webhooks, search, files = {}, routeName } = options;
+    const hasFiles = Object.keys(files).length > 0;
+    const imports = [
+      isSQL
+        ? "import { expandDocuments } from '../utils/expand';"
+        : "import { getExpandOptions } from '../utils/expand';",
+      "import { createBulkHandlers } from '../utils/bulk';",
+      ...(hasFiles ? ["import { createFileHandlers } from '../utils/files';"] : []),
+      "import { ownerScope } from '../middleware/auth';",
+      ...(audit ? ["import { recordChange, listHistory } from '../utils/audit';"] : []),
+      ...(webhooks ? ["import { emitEvent } from '../webhooks/dispatcher';"] : [])
+    ].join('\n');
+    const expand = isSQL
+      ? `items => expandDocuments(${modelName}Model, items, req)`
+      : `getExpandOptions(${modelName}Model, req)`;
+    // MongoDB lists override any ?filter[deletedAt] of the request
+    const scope = softDelete && !isSQL ? '{ ...ownerScope(req), deletedAt: null }' : 'ownerScope(req)';
+    const list = `listDocuments(${modelName}Model, req, ${scope}, ${expand})`;
+    const record = (action, before, after) =>
+      audit ? `\n    await recordChange(req, '${modelName}', '${action}', ${before}, ${after});` : '';
+    const emit = (event, item) =>
+      webhooks ? `\n    await emitEvent('${modelName}', '${event}', ${item});` : '';
+    const getById = isSQL
+      ? `const item = await ${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    const [expanded] = await expandDocuments(${modelName}Model, [item], req);
+    res.json(expanded);`
+      : `const item = await ${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) })
+      .populate(getExpandOptions(${modelName}Model, req));
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    res.json(item);`;
+    const create = body => isSQL
+      ? `const item = await ${modelName}Model.create({
+      ...${body},
+      // Set creator if applicable
+      createdBy: req.user && req.user.id ? req.user.id : null
+    });`
+      : `const item = await ${modelName}Model.create({
+      ...${body},
+      // Set creator if applicable
+      ...(req.user && req.user.id ? { createdBy: req.user.id } : {})
+    });`;
+    const update = body => isSQL
+      ? `const updated = await ${modelName}Model.update(item._id, ${body});`
+      : `const updated = await ${modelName}Model.findByIdAndUpdate(
+      item._id,
+      { $set: ${body} },
+      { new: true, runValidators: true }
+    );`;
+    let remove;
+    if (softDelete) {
+      remove = isSQL
+        ? `${audit ? `const deleted = await ${modelName}Model.markDeleted(item._id);${record('delete', 'item', 'deleted')}` : `await ${modelName}Model.markDeleted(item._id);`}${emit('deleted', 'item')}`
+        : `${audit || webhooks ? 'const before = item.toObject();\n    ' : ''}await item.markDeleted();${record('delete', 'before', 'item')}${emit('deleted', 'before')}`;
+    } else {
+      remove = `${isSQL ? `await ${modelName}Model.remove(item._id);` : 'await item.deleteOne();'}${record('delete', 'item', 'null')}${emit('deleted', 'item')}${hasFiles ? '\n    await files.removeFiles(item);' : ''}`;
+    }
+    const restore = isSQL
+      ? `const restored = await ${modelName}Model.restore(item._id);${record('restore', 'item', 'restored')}${emit('updated', `restored as ${modelName}`)}
+
+    res.json(restored as ${modelName});`
+      : `${audit ? 'const before = item.toObject();\n    ' : ''}await item.restore();${record('restore', 'before', 'item')}${emit('updated', 'item')}
+
+    res.json(item);`;
+    const findWithDeleted = isSQL
+      ? `${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) }${softDelete ? ', { withDeleted: true }' : ''})`
+      : `${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) })${softDelete ? '.setOptions({ withDeleted: true })' : ''}`;
+    const bulk = this.apiGenerator.bulkGenerator.getControllerCode(modelName, routeName, {
+      find: `${modelName}Model.findOne({ _id: id, ...ownerScope(req) })`,
+      create: `${create('data')}${record('create', 'null', 'item')}${emit('created', 'item')}
+    return item;`,
+      update: `${update('data')}${record('update', 'item', 'updated')}${emit('updated', `updated as ${modelName}`)}
+    return updated;`,
+      remove,
+      list: `streamDocuments(${modelName}Model, req, ${scope})`
+    });
+    const fileHandlers = this.apiGenerator.fileGenerator.getControllerCode(modelName, routeName, files, {
+      find: `${modelName}Model.findOne({ _id: id, ...ownerScope(req) })`,
+      save: `${update('changes')}${record('update', 'item', 'updated')}${emit('updated', `updated as ${modelName}`)}
+    return updated;`
+    });
+    // MongoDB responds 404 to malformed IDs rather than a cast error
+    const castCheck = isSQL
+      ? ''
+      : `
+    if (isCastError(err)) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+`;
+
+    return `/**
+ * Controller for ${modelName}
+ */
+import type { NextFunction, Request, Response } from 'express';
+import ${modelName}Model from '../models/${modelName}';
+import * as validator from '../validators/${modelName}Validator';
+import { listDocuments${search ? ', searchDocuments' : ''}, streamDocuments } from '../utils/listQuery';
+${imports}
+import type {
+  ${modelName},
+  ${modelName}Input,
+  ${modelName}Update,${audit ? '\n  AuditEntry,' : ''}
+  ErrorResponse,
+  IdParams,
+  ListResponse,
+  MessageResponse${search ? ',\n  SearchResponse' : ''}
+} from '../types';
+${regions.region('imports')}
+${isSQL ? '' : `
+const isCastError = (err: unknown) => (err as { kind?: string }).kind === 'ObjectId';
+`}
+// Get all ${modelName}s
+export const getAll = async (
+  req: Request,
+  res: Response<ListResponse<${modelName}>>,
+  next: NextFunction
+) => {
+  try {
+    const result = await ${list};
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+${search ? `
+// Search ${modelName}s by text
+export const search = async (
+  req: Request,
+  res: Response<SearchResponse<${modelName}>>,
+  next: NextFunction
+) => {
+  try {
+    const result = await searchDocuments(${modelName}Model, req, ${scope}, ${expand});
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+` : ''}
+// Get ${modelName} by ID
+export const getById = async (
+  req: Request<IdParams>,
+  res: Response<${modelName} | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    ${getById}
+  } catch (err) {${castCheck}
+    next(err);
+  }
+};
+
+// Create a new ${modelName}
+export const create = async (
+  req: Request<Record<string, string>, ${modelName} | ErrorResponse, ${modelName}Input>,
+  res: Response<${modelName} | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    ${create('req.body')}${record('create', 'null', 'item')}${emit('created', 'item')}
+
+    res.json(item);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Update ${modelName} by ID
+export const update = async (
+  req: Request<IdParams, ${modelName} | ErrorResponse, ${modelName}Update>,
+  res: Response<${modelName} | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    const item = await ${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    ${update('req.body')}${record('update', 'item', 'updated')}${emit('updated', `updated as ${modelName}`)}
+
+    res.json(updated as ${modelName});
+  } catch (err) {${castCheck}
+    next(err);
+  }
+};
+
+// Delete ${modelName} by ID
+const remove = async (
+  req: Request<IdParams>,
+  res: Response<MessageResponse | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    const item = await ${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req) });
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    ${remove}
+
+    res.json({ message: '${modelName} removed' });
+  } catch (err) {${castCheck}
+    next(err);
+  }
+};
+
+// "delete" is a reserved word, so the handler is exported under that name
+export { remove as delete };
+${softDelete ? `
+// Get deleted ${modelName}s
+export const getDeleted = async (
+  req: Request,
+  res: Response<ListResponse<${modelName}>>,
+  next: NextFunction
+) => {
+  try {
+    const result = await listDocuments(
+      ${modelName}Model,
+      req,
+      { ...ownerScope(req), deletedAt: { $ne: null } },
+      ${expand}
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Restore a deleted ${modelName}
+export const restore = async (
+  req: Request<IdParams>,
+  res: Response<${modelName} | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    const item = await ${modelName}Model.findOne({ _id: req.params.id, ...ownerScope(req), deletedAt: { $ne: null } });
+
+    if (!item) {
+      return res.status(404).json({ message: 'Deleted ${modelName} not found' });
+    }
+
+    ${restore}
+  } catch (err) {${castCheck.replace(`'${modelName} not found'`, `'Deleted ${modelName} not found'`)}
+    next(err);
+  }
+};
+` : ''}${audit ? `
+// Get the change history of ${modelName}
+export const getHistory = async (
+  req: Request<IdParams>,
+  res: Response<ListResponse<AuditEntry> | ErrorResponse>,
+  next: NextFunction
+) => {
+  try {
+    ${softDelete ? '// Deleted items keep their history\n    ' : ''}const item = await ${findWithDeleted};
+
+    if (!item) {
+      return res.status(404).json({ message: '${modelName} not found' });
+    }
+
+    const result = await listHistory(req, '${modelName}', item._id);
+    res.json(result);
+  } catch (err) {${castCheck}
+    next(err);
+  }
+};
+` : ''}${bulk}${fileHandlers}
+${regions.region('handlers')}
+`;
+  }
+
+  /**
+   * Generate code for a typed route file
+   */
+  generateRouteCode(modelName, routeName, access, options = {}) {
+    const api = this.apiGenerator;
+    const regions = api.protectedRegions;
+    const routes = api.auditGenerator.getRouteCode(modelName, routeName, access, options);
+
+    return `/**
+ * Routes for ${modelName}
+ */
+import express from 'express';
+import * as ${modelName}Controller from '../controllers/${modelName}Controller';
+import { identify, authenticate, authorize } from '../middleware/auth';
+import { validateCreate, validateUpdate } from '../validators/${modelName}Validator';
+${regions.region('imports')}
+
+const router = express.Router();
+
+// Custom routes go first so they take precedence over /:id
+${regions.region('routes')}
+
+/**
+ * @route   GET /api/${routeName}
+ * @desc    Get all ${routeName}
+ * @access  ${api.describeAccess(access.list)}
+ */
+router.get('/', ${api.getAccessMiddleware(access.list)}${modelName}Controller.getAll);
+
+${api.indexGenerator.getRouteCode(modelName, routeName, access, options)}${api.bulkGenerator.getRouteCode(modelName, routeName, access)}${routes.collection}/**
+ * @route   GET /api/${routeName}/:id
+ * @desc    Get ${modelName} by ID
+ * @access  ${api.describeAccess(access.read)}
+ */
+router.get('/:id', ${api.getAccessMiddleware(access.read)}${modelName}Controller.getById);
+
+/**
+ * @route   POST /api/${routeName}
+ * @desc    Create a new ${modelName}
+ * @access  ${api.describeAccess(access.create)}
+ */
+router.post('/', ${api.getAccessMiddleware(access.create)}validateCreate, ${modelName}Controller.create);
+
+/**
+ * @route   PUT /api/${routeName}/:id
+ * @desc    Update ${modelName} by ID
+ * @access  ${api.describeAccess(access.update)}
+ */
+router.put('/:id', ${api.getAccessMiddleware(access.update)}validateUpdate, ${modelName}Controller.update);
+
+/**
+ * @route   DELETE /api/${routeName}/:id
+ * @desc    Delete ${modelName} by ID
+ * @access  ${api.describeAccess(access.delete)}
+ */
+router.delete('/:id', ${api.getAccessMiddleware(access.delete)}${modelName}Controller.delete);${routes.record}${this.apiGenerator.fileGenerator.getRouteCode(modelName, routeName, access, options.files)}
+
+export = router;
+`;
+  }
+
+  /**
+   * Generate code for the route index
+   *
+   * Route modules written in JavaScript export the router itself.
+   */
+  generateRouteIndexCode(imports, routeRegistration) {
+    return `/**
+ * API Routes Index
+ */
+import type { Express } from 'express';
+${imports.map(({ name, file }) => `import ${name} from '${file}';`).join('\n')}
+
+export = (app: Express) => {
+${routeRegistration.join('\n')}
+};
+`;
+  }
+
+  /**
+   * Generate code for a typed validator
+   */
+  generateValidatorCode(modelName, fields) {
+    return `/**
+ * Request validation for ${modelName}
+ */
+import ${modelName}Model from '../models/${modelName}';
+import { createValidator } from './validate';
+import type { ValidationRule } from './validate';
+import type { ${modelName}Input } from '../types';
+
+const rules: ValidationRule[] = ${JSON.stringify(this.apiGenerator.getValidationRules(fields), null, 2)};
+
+export const { validateCreate, validateUpdate, validate } = createValidator<${modelName}Input>(${modelName}Model, rules);
+
+export { rules };
+`;
+  }
+
+  /**
+   * Generate code for the typed API entry point
+   */
+  generateAppCode(database, webhooks = false, expiry = false) {
+    return `/**
+ * API Entry Point
+ *
+ * Exports the Express app; the server only starts when this file is run
+ * directly, so tests can load the app against their own database.
+ */
+// Load .env before any module reads its configuration
+import 'dotenv/config';
+import express from 'express';
+import cors from 'cors';
+${database.import}
+import routes from './routes';
+import { notFound, errorHandler } from './middleware/errorHandler';${webhooks ? "\nimport { startWorker as startWebhookWorker } from './webhooks/dispatcher';" : ''}${expiry ? "\nimport { startWorker as startExpiryWorker } from './utils/expiry';" : ''}
+
+// Initialize Express
+const app = express();
+
+// Middleware
+app.use(cors());
+// Large enough for bulk requests
+app.use(express.json({ limit: '2mb' }));
+
+// Routes
+routes(app);
+
+// Error handling middleware
+app.use(notFound);
+app.use(errorHandler);
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+
+  ${database.start}
+}
+
+export = app;
+`;
+  }
+
+  /**
+   * Generate declarations for the auth middleware
+   */
+  generateAuthDeclarations() {
+    return `/**
+ * Type declarations for auth.js
+ */
+import type { Request, RequestHandler } from 'express';
+
+export interface AuthUser {
+  id: string;
+  role: string;
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Set by authenticate, and by identify when a token is present */
+      user?: AuthUser;
+      /** Set by authorize when the user may only access their own records */
+      ownerOnly?: boolean;
+    }
+  }
+}
+
+export type Access = 'allow' | 'owner' | 'deny' | 'unauthenticated';
+
+export const authenticate: RequestHandler;
+export const identify: RequestHandler;
+export function authorize(roles: string[]): RequestHandler;
+export function checkAccess(req: Request, roles: string[]): Access;
+export function ownerScope(req: Request): { createdBy?: string };
+`;
+  }
+
+  /**
+   * Generate declarations for the error handling middleware
+   */
+  generateErrorHandlerDeclarations() {
+    return `/**
+ * Type declarations for errorHandler.js
+ */
+import type { ErrorRequestHandler, Request, RequestHandler } from 'express';
+
+export const notFound: RequestHandler;
+export const errorHandler: ErrorRequestHandler;
+
+/**
+ * Get the response to an error the client caused, or null for unexpected errors
+ */
+export function getErrorResponse(
+  err: unknown,
+  req: Request
+): { status: number; body: { message: string; [key: string]: unknown } } | null;
+`;
+  }
+
+  /**
+   * Generate declarations for the list query helper
+   */
+  generateListQueryDeclarations() {
+    const isSQL = this.apiGenerator.isSQL();
+    const search = this.apiGenerator.indexGenerator.hasSearch();
+
+    return `/**
+ * Type declarations for listQuery.js
+ */
+import type { Request } from 'express';
+${isSQL ? "import type { SqlModel } from '../db/model';" : "import type { HydratedDocument, Model, PopulateOptions } from 'mongoose';"}
+import type { ListResponse${search ? ', SearchResponse' : ''} } from '../types';
+
+export class QueryError extends Error {
+  status: number;
+  constructor(message: string, status?: number);
+}
+
+/**
+ * List records for a request
+ *
+ * @param baseFilter - Conditions always applied (e.g. ownership)
+ */
+${isSQL
+    ? `export function listDocuments<T>(
+  Model: SqlModel<T>,
+  req: Request,
+  baseFilter?: object,
+  expand?: (items: T[]) => Promise<T[]>
+): Promise<ListResponse<T>>;`
+    : `export function listDocuments<T>(
+  Model: Model<T>,
+  req: Request,
+  baseFilter?: object,
+  populate?: PopulateOptions[]
+): Promise<ListResponse<T>>;`}
+
+/**
+ * Iterate over the records matching a request's filter, oldest first
+ *
+ * @param baseFilter - Conditions always applied (e.g. ownership)
+ */
+${isSQL
+    ? `export function streamDocuments<T>(
+  Model: SqlModel<T>,
+  req: Request,
+  baseFilter?: object
+): AsyncIterable<T>;`
+    : `export function streamDocuments<T>(
+  Model: Model<T>,
+  req: Request,
+  baseFilter?: object
+): AsyncIterable<HydratedDocument<T>>;`}
+${search ? `
+/**
+ * Search records by text, best matches first
+ *
+ * @param baseFilter - Conditions always applied (e.g. ownership)
+ */
+${isSQL
+    ? `export function searchDocuments<T>(
+  Model: SqlModel<T>,
+  req: Request,
+  baseFilter?: object,
+  expand?: (items: T[]) => Promise<T[]>
+): Promise<SearchResponse<T>>;`
+    : `export function searchDocuments<T>(
+  Model: Model<T>,
+  req: Request,
+  baseFilter?: object,
+  populate?: PopulateOptions[]
+): Promise<SearchResponse<T>>;`}
+` : ''}`;
+  }
+
+  /**
+   * Generate declarations for the relationship expansion helper
+   */
+  generateExpandDeclarations() {
+    if (this.apiGenerator.isSQL()) {
+      return `/**
+ * Type declarations for expand.js
+ */
+import type { Request } from 'express';
+import type { SqlModel } from '../db/model';
+
+/**
+ * Replace the references of records with the records, as requested by ?expand=
+ */
+export function expandDocuments<T>(Model: SqlModel<T>, items: T[], req: Request): Promise<T[]>;
+`;
+    }
+
+    return `/**
+ * Type declarations for expand.js
+ */
+import type { Request } from 'express';
+import type { Model, PopulateOptions } from 'mongoose';
+
+/**
+ * Get the populate options requested by ?expand=
+ */
+export function getExpandOptions(Model: Model<any>, req: Request): PopulateOptions[];
+`;
+  }
+
+  /**
+   * Generate declarations for the audit trail helpers
+   */
+  generateAuditDeclarations() {
+    return `/**
+ * Type declarations for audit.js
+ */
+import type { Request } from 'express';
+import type { AuditChange, AuditEntry, ListResponse } from '../types';
+
+export type AuditAction = AuditEntry['action'];
+
+/**
+ * List the fields whose values differ between two versions of a record
+ */
+export function diffRecords(before: object | null, after: object | null): AuditChange[];
+
+/**
+ * Record a change of an audited record
+ *
+ * @returns The audit entry, or null for an update that changed nothing
+ */
+export function recordChange(
+  req: Request<any, any, any, any>,
+  modelName: string,
+  action: AuditAction,
+  before: object | null,
+  after: object | null
+): Promise<AuditEntry | null>;
+
+/**
+ * List the audit entries of a record
+ */
+export function listHistory(
+  req: Request<any, any, any, any>,
+  modelName: string,
+  documentId: unknown
+): Promise<ListResponse<AuditEntry>>;
+`;
+  }
+
+  /**
+   * Generate declarations for the bulk, import and export runtime
+   */
+  generateBulkDeclarations() {
+    return `/**
+ * Type declarations for bulk.js
+ */
+import type { Request, RequestHandler } from 'express';
+import type { Validator } from '../validators/validate';
+
+type AnyRequest = Request<any, any, any, any>;
+
+export class BulkError extends Error {
+  status: number;
+  constructor(message: string, status?: number);
+}
+
+export interface BulkOptions<T, R> {
+  /** Model name, used in messages */
+  name: string;
+  /** Name of exported files, without extension */
+  file: string;
+  validator: Pick<Validator<T>, 'validate' | 'rules'>;
+  /** The record, or null if the caller may not see it */
+  find(req: AnyRequest, id: string): PromiseLike<R>;
+  create(req: AnyRequest, data: Partial<T>): Promise<unknown>;
+  update(req: AnyRequest, item: NonNullable<R>, data: Partial<T>): Promise<unknown>;
+  remove(req: AnyRequest, item: NonNullable<R>): Promise<void>;
+  /** The records to export */
+  list(req: AnyRequest): AsyncIterable<unknown>;
+}
+
+export interface BulkHandlers {
+  bulkCreate: RequestHandler;
+  bulkUpdate: RequestHandler;
+  bulkDelete: RequestHandler;
+  exportRecords: RequestHandler;
+  importRecords: RequestHandler;
+}
+
+/**
+ * Create the bulk, import and export handlers of a model
+ */
+export function createBulkHandlers<T, R>(options: BulkOptions<T, R>): BulkHandlers;
+`;
+  }
+
+  /**
+   * Generate declarations for the file upload handlers
+   */
+  generateFileDeclarations() {
+    return `/**
+ * Type declarations for files.js
+ */
+import type { Request, RequestHandler } from 'express';
+import type { StoredFile } from '../types';
+
+type AnyRequest = Request<any, any, any, any>;
+
+export class FileError extends Error {
+  status: number;
+  constructor(message: string, status?: number);
+}
+
+export interface FileField {
+  type: 'File' | 'Image';
+  /** Upload limit, in bytes */
+  maxSize: number;
+  /** Accepted MIME types, e.g. image/*; none accepts any type */
+  accept: string[];
+  /** Size each image variant is scaled down to fit */
+  variants?: Record<string, { width: number; height: number }>;
+}
+
+export interface FileOptions<R> {
+  /** Model name, used in messages */
+  name: string;
+  /** Route name, the first part of stored keys */
+  route: string;
+  fields: Record<string, FileField>;
+  /** The record, or null if the caller may not see it */
+  find(req: AnyRequest, id: string): PromiseLike<R>;
+  /** Save the file fields, returning the updated record */
+  save(req: AnyRequest, item: NonNullable<R>, changes: Record<string, StoredFile | null>): Promise<unknown>;
+}
+
+export interface FileHandlers {
+  uploadFile: RequestHandler;
+  getFile: RequestHandler;
+  deleteFile: RequestHandler;
+  /** Remove the stored files of a record that is deleted for good */
+  removeFiles(item: object): Promise<void>;
+}
+
+/**
+ * Create the file handlers of a model
+ */
+export function createFileHandlers<R>(options: FileOptions<R>): FileHandlers;
+`;
+  }
+
+  /**
+   * Generate declarations for the webhook dispatcher
+   */
+  generateDispatcherDeclarations() {
+    return `/**
+ * Type declarations for dispatcher.js
+ */
+import type { WebhookDelivery, WebhookEvent } from '../types';
+
+/**
+ * Sign a request body with the shared secret
+ */
+export function sign(secret: string, timestamp: number, body: string): string;
+
+/**
+ * Queue the deliveries of an event
+ */
+export function emitEvent(modelName: string, event: WebhookEvent, record: object): Promise<void>;
+
+/**
+ * Send every delivery that is due
+ */
+export function processDue(): Promise<void>;
+
+export function startWorker(): void;
+
+export function stopWorker(): void;
+
+/**
+ * Queue a dead delivery again
+ */
+export function retryDelivery(id: string): Promise<WebhookDelivery | null>;
+`;
+  }
+
+  /**
+   * Generate declarations for the record expiry worker
+   */
+  generateExpiryDeclarations() {
+    return `/**
+ * Type declarations for expiry.js
+ */
+
+/**
+ * Delete every expired record
+ */
+export function purgeExpired(): Promise<void>;
+
+export function startWorker(): void;
+
+export function stopWorker(): void;
+`;
+  }
+
+  /**
+   * Generate declarations for the tenant context
+   */
+  generateTenancyDeclarations() {
+    return `/**
+ * Type declarations for tenancy.js
+ */
+
+export interface TenantContext {
+  id: string;
+  slug: string;
+}
+
+export class TenantError extends Error {
+  constructor(message: string, status?: number);
+  status: number;
+}
+
+/**
+ * Run a function in the context of a tenant
+ */
+export function runWithTenant<T>(tenant: { _id?: unknown; id?: unknown; slug: string }, fn: () => T): T;
+
+/**
+ * Run a function without tenant scoping
+ */
+export function runUnscoped<T>(fn: () => T): T;
+
+export function getTenant(): TenantContext | null;
+
+/**
+ * Get the ID of the tenant queries are scoped to, null when unscoped
+ */
+export function getTenantScope(): string | null;
+`;
+  }
+
+  /**
+   * Generate declarations for the tenant resolution middleware
+   */
+  generateTenantMiddlewareDeclarations() {
+    return `/**
+ * Type declarations for tenant.js
+ */
+import type { RequestHandler } from 'express';
+
+export interface RequestTenant {
+  id: string;
+  slug: string;
+  name?: string;
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Set by resolveTenant */
+      tenant?: RequestTenant;
+    }
+  }
+}
+
+export const resolveTenant: RequestHandler;
+`;
+  }
+
+  /**
+   * Generate declarations for the tenant scope plugin
+   */
+  generateTenantScopeDeclarations() {
+    return `/**
+ * Type declarations for tenantScope.js
+ */
+import type { Schema } from 'mongoose';
+
+declare function tenantScope(schema: Schema<any, any, any>): void;
+
+export = tenantScope;
+`;
+  }
+
+  /**
+   * Generate declarations for the soft delete plugin
+   */
+  generateSoftDeleteDeclarations() {
+    return `/**
+ * Type declarations for softDelete.js
+ */
+import type { Schema } from 'mongoose';
+
+declare function softDelete(schema: Schema<any, any, any>): void;
+
+declare namespace softDelete {
+  /**
+   * Document methods added by the plugin
+   */
+  interface SoftDeleteMethods {
+    markDeleted(): Promise<this>;
+    restore(): Promise<this>;
+  }
+}
+
+export = softDelete;
+`;
+  }
+
+  /**
+   * Generate declarations for the validation helper
+   */
+  generateValidateDeclarations() {
+    return `/**
+ * Type declarations for validate.js
+ */
+import type { RequestHandler } from 'express';
+import type { FieldError } from '../types';
+
+export interface ValidationRule {
+  name: string;
+  type: string;
+  of?: string;
+  required?: boolean;
+  unique?: boolean;
+  enum?: string[];
+  min?: number | string;
+  max?: number | string;
+  minLength?: number | string;
+  maxLength?: number | string;
+  pattern?: string;
+  /** Currency of bare Money amounts */
+  currency?: string;
+  /** Rules of the fields of embedded documents */
+  fields?: ValidationRule[];
+}
+
+export interface ValidateOptions {
+  /** Skip missing fields (updates) */
+  partial?: boolean;
+  /** Record excluded from unique checks */
+  id?: string;
+}
+
+export interface Validator<T> {
+  validateCreate: RequestHandler;
+  validateUpdate: RequestHandler;
+  validate(body: unknown, options?: ValidateOptions): Promise<{ data: Partial<T>; errors: FieldError[] }>;
+  rules: ValidationRule[];
+}
+
+export function createValidator<T>(
+  Model: { exists(conditions: object): unknown },
+  rules: ValidationRule[]
+): Validator<T>;
+`;
+  }
+
+  /**
+   * Generate declarations for a JavaScript module that exports a router
+   */
+  generateRouterDeclarations(file) {
+    return `/**
+ * Type declarations for ${file}
+ */
+import type { Router } from 'express';
+
+declare const router: Router;
+
+export = router;
+`;
+  }
+
+  /**
+   * Generate declarations for the SQL model layer
+   */
+  generateModelLayerDeclarations() {
+    return `/**
+ * Type declarations for model.js
+ */
+import type { Knex } from 'knex';
+
+export interface FieldDefinition {
+  type: string;
+  of?: string;
+  ref?: string;
+  joinTable?: string;
+  required?: boolean;
+  unique?: boolean;
+  default?: unknown;
+}
+
+export interface ModelDefinition {
+  name: string;
+  table: string;
+  fields: Record<string, FieldDefinition>;
+  hidden?: string[];
+  methods?: Record<string, (...args: any[]) => unknown>;
+  hooks?: {
+    beforeSave?: (values: Record<string, unknown>) => Promise<Record<string, unknown>>;
+  };
+  /** Keep deleted records with a deletedAt timestamp */
+  softDelete?: boolean;
+  /** Full-text search of text fields */
+  search?: SearchDefinition;${this.apiGenerator.tenantGenerator.isEnabled() ? `
+  /** Records belong to a tenant and queries are limited to the current one */
+  tenant?: boolean;` : ''}
+}
+
+export interface SearchDefinition {
+  /** SQLite full-text table */
+  table: string;
+  fields: string[];
+  weights: Record<string, number>;
+}
+
+export interface FindOptions {
+  /** Include soft deleted records */
+  withDeleted?: boolean;
+}
+
+export class SqlModel<T = Record<string, unknown>> {
+  constructor(definition: ModelDefinition);
+  modelName: string;
+  table: string;
+  fields: Record<string, FieldDefinition>;
+  softDelete: boolean;
+  search: SearchDefinition | null;${this.apiGenerator.tenantGenerator.isEnabled() ? `
+  tenant: boolean;` : ''}
+  query(trx?: Knex): Knex.QueryBuilder;
+  isValidId(id: unknown): id is string;
+  find(conditions?: object, options?: FindOptions): Promise<T[]>;
+  findByIds(ids: string[], conditions?: object): Promise<T[]>;
+  findIn(name: string, values: unknown[], conditions?: object): Promise<T[]>;
+  findOne(conditions?: object, options?: FindOptions): Promise<T | null>;
+  findById(id: string): Promise<T | null>;
+  exists(conditions?: object): Promise<boolean>;
+  create(data: object): Promise<T>;
+  update(id: string, data: object): Promise<T>;
+  increment(id: string, field: string, amount?: number): Promise<void>;
+  remove(id: string): Promise<void>;
+  markDeleted(id: string): Promise<T>;
+  restore(id: string): Promise<T>;
+}
+
+export function defineModel<T = Record<string, unknown>>(definition: ModelDefinition): SqlModel<T>;
+export function getModel(name: string): SqlModel | null;
+`;
+  }
+
+  /**
+   * Generate declarations for the database connection
+   */
+  generateConnectionDeclarations() {
+    return `/**
+ * Type declarations for connection.js
+ */
+import type { Knex } from 'knex';
+
+declare const knex: Knex;
+
+export = knex;
+`;
+  }
+
+  /**
+   * Generate tsconfig.json
+   *
+   * Sources compile next to themselves, so the JavaScript runtime, the tests
+   * and the database tooling load the compiled modules from the same paths.
+   */
+  generateTsconfig() {
+    return {
+      compilerOptions: {
+        target: 'ES2022',
+        module: 'commonjs',
+        moduleResolution: 'node',
+        strict: true,
+        esModuleInterop: true,
+        skipLibCheck: true,
+        forceConsistentCasingInFileNames: true,
+        sourceMap: true
+      },
+      include: ['**/*.ts'],
+      exclude: ['node_modules']
+    };
+  }
+
+  /**
+   * Get the packages needed to compile the TypeScript sources
+   */
+  getPackages() {
+    return this.apiGenerator.isTypeScript()
+      ? ['@types/cors', '@types/express', '@types/node', 'typescript']
+      : [];
+  }
+
+  /**
+   * Generate README documentation for the TypeScript output
+   */
+  generateDocs() {
+    if (!this.apiGenerator.isTypeScript()) {
+      return '';
+    }
+
+    return `## TypeScript
+
+Models, controllers, routes and validators are written in TypeScript. \`types/index.ts\` has an interface for each data type, the request bodies to create (\`<Model>Input\`) and update (\`<Model>Update\`) it, and the response bodies (\`ListResponse<T>\`, \`ErrorResponse\`).
+
+\`npm run build\` compiles the sources next to themselves; \`npm start\`, \`npm test\` and \`npm run seed\` build first. The shared runtime (auth, list queries, database layer) stays JavaScript, with type declarations in the \`.d.ts\` file beside each module.
+
+`;
+  }
+}
+
+module.exports = TypeScriptGenerator;
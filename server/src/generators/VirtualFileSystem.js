@@ -0,0 +1,126 @@
+/**
+ * VirtualFileSystem.js
+ *
+ * In-memory stand-in for the fs.promises methods the generators use, for
+ * dry runs. Writes are kept in memory; reads see those writes on top of the
+ * files already on disk (such as the previous generation's data model
+ * snapshot and custom code), so a dry run produces exactly the files a real
+ * run would, without changing anything on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class VirtualFileSystem {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.files = new Map();
+    this.deleted = new Set();
+  }
+
+  /**
+   * Directories exist implicitly
+   */
+  async mkdir() {}
+
+  /**
+   * Keep a file in memory
+   */
+  async writeFile(filePath, content) {
+    const key = path.resolve(filePath);
+    this.files.set(key, String(content));
+    this.deleted.delete(key);
+  }
+
+  /**
+   * Read a file written in memory, falling back to the disk
+   */
+  async readFile(filePath, encoding) {
+    const key = path.resolve(filePath);
+
+    if (this.files.has(key)) {
+      const content = this.files.get(key);
+      return encoding ? content : Buffer.from(content);
+    }
+
+    if (this.deleted.has(key)) {
+      throw this.notFound('open', filePath);
+    }
+
+    return fs.readFile(filePath, encoding);
+  }
+
+  /**
+   * List the names in a directory, on disk and in memory
+   */
+  async readdir(dirPath) {
+    const dir = path.resolve(dirPath);
+    let names = [];
+
+    try {
+      names = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    names = names.filter(name => !this.deleted.has(path.join(dir, name)));
+
+    for (const key of this.files.keys()) {
+      if (key.startsWith(`${dir}${path.sep}`)) {
+        names.push(key.slice(dir.length + 1).split(path.sep)[0]);
+      }
+    }
+
+    return [...new Set(names)].sort();
+  }
+
+  /**
+   * Remove a file from memory and hide it on disk
+   */
+  async rm(filePath, options = {}) {
+    const key = path.resolve(filePath);
+    const existed = this.files.delete(key);
+
+    if (!existed && !options.force) {
+      try {
+        await fs.access(key);
+      } catch (error) {
+        throw this.notFound('rm', filePath);
+      }
+    }
+
+    this.deleted.add(key);
+  }
+
+  /**
+   * Get the files written under the root directory
+   *
+   * @returns {Object<string, string>} Contents keyed by path relative to the
+   *   root directory, using forward slashes
+   */
+  getFiles() {
+    const files = {};
+    const keys = [...this.files.keys()]
+      .filter(key => key.startsWith(`${this.rootDir}${path.sep}`))
+      .sort();
+
+    for (const key of keys) {
+      files[path.relative(this.rootDir, key).split(path.sep).join('/')] = this.files.get(key);
+    }
+
+    return files;
+  }
+
+  /**
+   * Build the error fs reports for a missing file
+   */
+  notFound(syscall, filePath) {
+    const error = new Error(`ENOENT: no such file or directory, ${syscall} '${filePath}'`);
+    error.code = 'ENOENT';
+    return error;
+  }
+}
+
+module.exports = VirtualFileSystem;
@@ -0,0 +1,566 @@
+/**
+ * WebhookGenerator.js
+ *
+ * Generates outbound webhooks for the created, updated and deleted events of
+ * data types with webhook subscriptions. Events are queued as deliveries in
+ * the database and sent as signed JSON POST requests by a worker that retries
+ * failures with exponential backoff, moves deliveries that keep failing to a
+ * dead letter store and keeps a log of every attempt.
+ */
+
+const path = require('path');
+
+// Events a subscription can listen to
+const WEBHOOK_EVENTS = ['created', 'updated', 'deleted'];
+
+class WebhookGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'webhooks');
+  }
+
+  /**
+   * Generate the subscriptions, dispatcher, delivery model and routes
+   */
+  async generateAll() {
+    if (!this.hasWebhooks()) {
+      return;
+    }
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'subscriptions.js'), this.generateSubscriptionsCode());
+    await this.apiGenerator.writeCode(path.join(this.outputDir, 'dispatcher.js'), this.generateDispatcherCode());
+
+    await this.apiGenerator.writeCode(
+      path.join(this.apiGenerator.modelOutputDir, 'WebhookDelivery.js'),
+      this.apiGenerator.isSQL()
+        ? this.apiGenerator.sqlGenerator.generateWebhookDeliveryModelCode()
+        : this.generateDeliveryModelCode()
+    );
+
+    await this.apiGenerator.writeCode(path.join(this.apiGenerator.routeOutputDir, 'webhooks.js'), this.generateRouteCode());
+  }
+
+  /**
+   * Get the webhook subscriptions of a data type
+   *
+   * @returns {Array<{url: string, events: string[]}>} Subscriptions with a
+   *   URL and at least one known event
+   */
+  getSubscriptions(node) {
+    const webhooks = Array.isArray(node.data.webhooks) ? node.data.webhooks : [];
+
+    return webhooks
+      .map(webhook => ({
+        url: String(webhook.url || '').trim(),
+        events: WEBHOOK_EVENTS.filter(event => (webhook.events || []).includes(event))
+      }))
+      .filter(webhook => webhook.url && webhook.events.length > 0);
+  }
+
+  /**
+   * Check whether any data type has webhook subscriptions
+   */
+  hasWebhooks() {
+    return this.apiGenerator.getDataTypeNodes().some(node => this.getSubscriptions(node).length > 0);
+  }
+
+  /**
+   * Get the subscriptions of every data type, tagged with its model name
+   */
+  getAllSubscriptions() {
+    return this.apiGenerator.getDataTypeNodes().flatMap(node => {
+      const model = this.apiGenerator.formatModelName(node.data.name);
+      return this.getSubscriptions(node).map(subscription => ({ model, ...subscription }));
+    });
+  }
+
+  /**
+   * Generate code for the subscriptions module
+   */
+  generateSubscriptionsCode() {
+    return `/**
+ * Webhook subscriptions for ${this.project.name}
+ *
+ * Generated from the webhook settings of each data type in the Data Modeler.
+ * Regenerate instead of editing by hand.
+ */
+module.exports = ${JSON.stringify(this.getAllSubscriptions(), null, 2)};
+`;
+  }
+
+  /**
+   * Generate code for the MongoDB webhook delivery model
+   */
+  generateDeliveryModelCode() {
+    const tenant = this.apiGenerator.tenantGenerator.getMongoPluginCode('WebhookDeliverySchema');
+
+    return `/**
+ * WebhookDelivery model
+ * One event queued for one webhook subscription, with a log of every attempt
+ */
+const mongoose = require('mongoose');
+${tenant.require}
+const WebhookDeliverySchema = new mongoose.Schema({
+  modelName: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ${JSON.stringify(WEBHOOK_EVENTS).replace(/"/g, "'")},
+    required: true
+  },
+  documentId: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // JSON body sent to the subscriber
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending until delivered, dead once every attempt has failed
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // { at, statusCode, error, response, durationMs } for every attempt
+  log: [mongoose.Schema.Types.Mixed]
+}, {
+  timestamps: true
+});
+${tenant.plugin}
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Claim the delivery that is due first, leaving it to this worker until
+ * the lease runs out
+ */
+WebhookDeliverySchema.statics.claimNext = function claimNext(leaseMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+    { sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Save the outcome of an attempt and add it to the log
+ */
+WebhookDeliverySchema.statics.saveAttempt = function saveAttempt(id, values, entry) {
+  return this.findByIdAndUpdate(id, { $set: values, $push: { log: entry } }, { new: true });
+};
+
+/**
+ * Queue a dead delivery again with a fresh set of attempts
+ */
+WebhookDeliverySchema.statics.requeue = function requeue(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+`;
+  }
+
+  /**
+   * Generate code for the webhook dispatcher
+   */
+  generateDispatcherCode() {
+    const tenancy = this.apiGenerator.tenantGenerator.isEnabled();
+
+    return `/**
+ * Webhook dispatcher
+ *
+ * emitEvent() queues a delivery for every subscription to an event. The
+ * worker started with the server sends due deliveries as JSON POST requests
+ * signed with WEBHOOK_SECRET. Failed attempts are retried with exponential
+ * backoff; after WEBHOOK_MAX_ATTEMPTS the delivery is dead and stays in the
+ * dead letter store until it is retried through /api/webhooks.${tenancy ? `
+ *
+ * Payloads name the tenant of the event; the worker sends the deliveries
+ * of every tenant.` : ''}
+ */
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const subscriptions = require('./subscriptions');${tenancy ? `
+const { getTenant, runUnscoped } = require('../utils/tenancy');` : ''}
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_DELAY_MS = Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 30000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// Retries back off to at most six hours apart
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 5000;
+
+// Other workers skip a claimed delivery until its attempt has timed out
+const LEASE_MS = TIMEOUT_MS * 2;
+
+// Enough of the subscriber's response to tell what went wrong
+const MAX_LOGGED_RESPONSE = 1000;
+
+let timer = null;
+let processing = null;
+
+/**
+ * Sign a request body
+ *
+ * Subscribers recompute the HMAC over "<timestamp>.<body>" with the shared
+ * secret and compare it with the v1 value of the X-Webhook-Signature header.
+ */
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(\`\${timestamp}.\${body}\`).digest('hex');
+
+/**
+ * Get the delay before the next attempt, doubling after every failure
+ */
+const getRetryDelay = attempts => Math.min(RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue the deliveries of an event
+ *
+ * A failure to queue is logged rather than thrown, so the change that raised
+ * the event still succeeds.
+ *
+ * @param {string} modelName - Data type of the record
+ * @param {string} event - created, updated or deleted
+ * @param {Object} record - The record after the change (before it, when deleted)
+ */
+const emitEvent = async (modelName, event, record) => {
+  const targets = subscriptions.filter(subscription =>
+    subscription.model === modelName && subscription.events.includes(event)
+  );
+
+  if (targets.length === 0) {
+    return;
+  }
+
+  const data = JSON.parse(JSON.stringify(record));${tenancy ? `
+  const tenant = getTenant();
+  const payload = { event, model: modelName, tenant: tenant ? tenant.slug : null, occurredAt: new Date().toISOString(), data };` : `
+  const payload = { event, model: modelName, occurredAt: new Date().toISOString(), data };`}
+
+  try {
+    for (const { url } of targets) {
+      await WebhookDelivery.create({ modelName, event, documentId: String(data._id), url, payload });
+    }
+  } catch (err) {
+    console.error(\`Failed to queue \${modelName} \${event} webhooks:\`, err);
+    return;
+  }
+
+  // Send right away instead of waiting for the next poll
+  if (timer) {
+    processDue();
+  }
+};
+
+/**
+ * Send a delivery once and record the outcome
+ */
+const attemptDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const entry = { at: new Date(), statusCode: null, error: null, response: null, durationMs: 0 };
+  const started = Date.now();
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Kickflip-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': \`\${delivery.modelName}.\${delivery.event}\`,
+        'X-Webhook-Signature': \`t=\${timestamp},v1=\${sign(process.env.WEBHOOK_SECRET, timestamp, body)}\`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    entry.statusCode = response.status;
+    entry.response = (await response.text()).slice(0, MAX_LOGGED_RESPONSE);
+
+    if (!response.ok) {
+      entry.error = \`Responded with \${response.status}\`;
+    }
+  } catch (err) {
+    entry.error = err.name === 'TimeoutError' ? \`Timed out after \${TIMEOUT_MS}ms\` : err.message;
+  }
+
+  entry.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  let values;
+
+  if (!entry.error) {
+    values = { status: 'delivered', deliveredAt: entry.at };
+  } else if (attempts >= MAX_ATTEMPTS) {
+    values = { status: 'dead' };
+  } else {
+    values = { nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)) };
+  }
+
+  return WebhookDelivery.saveAttempt(delivery._id, { ...values, attempts, lastError: entry.error }, entry);
+};
+
+/**
+ * Send every delivery that is due, one at a time
+ *
+ * @returns {Promise<void>} Settles once no delivery is due
+ */
+const processDue = () => {
+  if (!processing) {
+    processing = ${tenancy ? 'runUnscoped(async () => {' : '(async () => {'}
+      let delivery = await WebhookDelivery.claimNext(LEASE_MS);
+
+      while (delivery) {
+        await attemptDelivery(delivery);
+        delivery = await WebhookDelivery.claimNext(LEASE_MS);
+      }
+    })${tenancy ? '' : '()'}
+      .catch(err => console.error('Webhook delivery error:', err))
+      .finally(() => {
+        processing = null;
+      });
+  }
+
+  return processing;
+};
+
+/**
+ * Start sending deliveries in the background
+ *
+ * Deliveries stay queued without a WEBHOOK_SECRET, as they could not be signed.
+ */
+const startWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  if (!process.env.WEBHOOK_SECRET) {
+    console.warn('WEBHOOK_SECRET is not set; webhook deliveries are queued but not sent');
+    return;
+  }
+
+  timer = setInterval(processDue, POLL_INTERVAL_MS);
+  timer.unref();
+  processDue();
+};
+
+/**
+ * Stop the background worker
+ */
+const stopWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Queue a dead delivery again
+ *
+ * @returns {Promise<Object|null>} The delivery, or null if there is no dead delivery with the ID
+ */
+const retryDelivery = async (id) => {
+  const delivery = await WebhookDelivery.requeue(id);
+
+  if (delivery && timer) {
+    processDue();
+  }
+
+  return delivery;
+};
+
+module.exports = {
+  sign,
+  emitEvent,
+  processDue,
+  startWorker,
+  stopWorker,
+  retryDelivery
+};
+`;
+  }
+
+  /**
+   * Generate code for the delivery log routes
+   */
+  generateRouteCode() {
+    const api = this.apiGenerator;
+    const access = api.getAccessMiddleware(['admin']);
+
+    return `/**
+ * Routes for webhook subscriptions and the delivery log
+ */
+const express = require('express');
+const router = express.Router();
+const WebhookDelivery = require('../models/WebhookDelivery');
+const subscriptions = require('../webhooks/subscriptions');
+const { retryDelivery } = require('../webhooks/dispatcher');
+const { listDocuments } = require('../utils/listQuery');
+const { authenticate, authorize } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/webhooks/subscriptions
+ * @desc    Get the webhook subscriptions
+ * @access  ${api.describeAccess(['admin'])}
+ */
+router.get('/subscriptions', ${access}(req, res) => {
+  res.json(subscriptions);
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries
+ * @desc    Get the delivery log; ?filter[status]=dead lists the dead letters
+ * @access  ${api.describeAccess(['admin'])}
+ */
+router.get('/deliveries', ${access}async (req, res, next) => {
+  try {
+    res.json(await listDocuments(WebhookDelivery, req, {}));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/deliveries/:id
+ * @desc    Get a delivery with its attempts
+ * @access  ${api.describeAccess(['admin'])}
+ */
+router.get('/deliveries/:id', ${access}async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Webhook delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (err) {
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Webhook delivery not found' });
+    }
+
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/deliveries/:id/retry
+ * @desc    Queue a dead delivery again
+ * @access  ${api.describeAccess(['admin'])}
+ */
+router.post('/deliveries/:id/retry', ${access}async (req, res, next) => {
+  try {
+    const delivery = await retryDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Dead webhook delivery not found' });
+    }
+
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
+`;
+  }
+
+  /**
+   * Generate README section for webhooks
+   */
+  generateDocs() {
+    const subscriptions = this.getAllSubscriptions();
+
+    if (subscriptions.length === 0) {
+      return '';
+    }
+
+    const rows = subscriptions.map(subscription =>
+      `| \`${subscription.model}\` | ${subscription.events.join(', ')} | ${subscription.url} |`
+    );
+
+    return `## Webhooks
+
+Creating, updating and deleting records sends a \`POST\` request to the subscribed URLs:
+
+| Data type | Events | URL |
+|-----------|--------|-----|
+${rows.join('\n')}
+
+The request body is the record as the REST API returns it (as it was before the change, for deletions)${this.apiGenerator.auditGenerator.hasSoftDelete() ? '. Restoring a soft deleted record sends an `updated` event' : ''}:
+
+\`\`\`json
+{
+  "event": "created",
+  "model": "${subscriptions[0].model}",${this.apiGenerator.tenantGenerator.isEnabled() ? `
+  "tenant": "acme",` : ''}
+  "occurredAt": "2024-01-01T00:00:00.000Z",
+  "data": { "_id": "..." }
+}
+\`\`\`
+
+Every request carries an \`X-Webhook-Id\` that stays the same across retries, an \`X-Webhook-Event\` such as \`${subscriptions[0].model}.created\`, and an \`X-Webhook-Signature\` of the form \`t=<unix timestamp>,v1=<signature>\`. The signature is the hex HMAC-SHA256 of \`<timestamp>.<raw body>\` keyed with \`WEBHOOK_SECRET\`; recompute it to check that a request came from this API, and reject old timestamps to stop replays:
+
+\`\`\`javascript
+const crypto = require('crypto');
+
+const verify = (header, rawBody, secret) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(\`\${t}.\${rawBody}\`).digest('hex');
+  return v1.length === expected.length && crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+};
+\`\`\`
+
+Events are queued in the \`WebhookDelivery\` ${this.apiGenerator.isSQL() ? 'table (`webhook_deliveries`)' : 'collection'} and sent in the background by the server, so a slow or failing subscriber never holds up the API. Anything but a 2xx response within \`WEBHOOK_TIMEOUT_MS\` counts as a failure and is retried after \`WEBHOOK_RETRY_DELAY_MS\`, doubling the delay each time. After \`WEBHOOK_MAX_ATTEMPTS\` attempts the delivery is marked \`dead\`. Without \`WEBHOOK_SECRET\` nothing is sent and deliveries wait in the queue.
+
+Admins can follow deliveries through the delivery log:
+
+- \`GET /api/webhooks/subscriptions\` - The subscriptions above
+- \`GET /api/webhooks/deliveries\` - Deliveries with their status, newest first; \`?filter[status]=dead\` lists the dead letters
+- \`GET /api/webhooks/deliveries/:id\` - A delivery with the status code, error and response of every attempt
+- \`POST /api/webhooks/deliveries/:id/retry\` - Queue a dead delivery again with a fresh set of attempts
+
+`;
+  }
+}
+
+module.exports = WebhookGenerator;
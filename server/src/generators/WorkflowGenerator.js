@@ -0,0 +1,551 @@
+/**
+ * WorkflowGenerator.js
+ *
+ * Generates the funnel runtime (workflow engine, session model and routes)
+ * from the workflow graph designed in the Workflow Builder.
+ */
+
+const path = require('path');
+
+// Node types that pause the funnel until the visitor responds
+const INTERACTIVE_NODE_TYPES = ['pageNode', 'formNode', 'productNode', 'chatNode'];
+
+class WorkflowGenerator {
+  constructor(apiGenerator) {
+    this.apiGenerator = apiGenerator;
+    this.project = apiGenerator.project;
+    this.outputDir = path.join(apiGenerator.outputDir, 'workflow');
+  }
+
+  /**
+   * Check whether the project has a workflow worth generating
+   */
+  hasWorkflow() {
+    const workflow = this.project.workflow;
+    return Boolean(
+      workflow &&
+      workflow.nodes &&
+      workflow.nodes.some(node => node.type === 'startNode')
+    );
+  }
+
+  /**
+   * Generate all workflow runtime files
+   */
+  async generateAll() {
+    if (!this.hasWorkflow()) {
+      console.log('No workflow found, skipping workflow generation');
+      return;
+    }
+
+    await this.apiGenerator.fs.mkdir(this.outputDir, { recursive: true });
+
+    // Generate workflow definition
+    await this.apiGenerator.writeCode(
+      path.join(this.outputDir, 'definition.js'),
+      this.generateDefinitionCode()
+    );
+
+    // Generate workflow engine
+    await this.apiGenerator.writeCode(
+      path.join(this.outputDir, 'engine.js'),
+      this.generateEngineCode()
+    );
+
+    // Generate session model
+    await this.apiGenerator.writeCode(
+      path.join(this.apiGenerator.modelOutputDir, 'FunnelSession.js'),
+      this.apiGenerator.isSQL()
+        ? this.apiGenerator.sqlGenerator.generateSessionModelCode()
+        : this.generateSessionModelCode()
+    );
+
+    // Generate funnel routes
+    await this.apiGenerator.writeCode(
+      path.join(this.apiGenerator.routeOutputDir, 'funnel.js'),
+      this.generateRouteCode()
+    );
+  }
+
+  /**
+   * Reduce the builder graph to what the runtime needs (no positions or styles)
+   */
+  getDefinition() {
+    const { nodes, edges = [] } = this.project.workflow;
+
+    return {
+      nodes: nodes.map(node => ({
+        id: node.id,
+        type: node.type,
+        data: node.data || {}
+      })),
+      edges: edges.map(edge => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        sourceHandle: edge.sourceHandle || null,
+        label: edge.label || null
+      }))
+    };
+  }
+
+  /**
+   * Generate code for the workflow definition module
+   */
+  generateDefinitionCode() {
+    return `/**
+ * Workflow definition for ${this.project.name}
+ *
+ * Generated from the Workflow Builder canvas. Regenerate instead of editing by hand.
+ */
+module.exports = ${JSON.stringify(this.getDefinition(), null, 2)};
+`;
+  }
+
+  /**
+   * Generate code for the workflow engine
+   */
+  generateEngineCode() {
+    return `/**
+ * Workflow Engine
+ *
+ * Walks the funnel graph for a visitor session. Interactive steps
+ * (${INTERACTIVE_NODE_TYPES.join(', ')}) wait for visitor input, while
+ * start and decision nodes are resolved automatically.
+ */
+const definition = require('./definition');
+
+const INTERACTIVE_NODE_TYPES = ${JSON.stringify(INTERACTIVE_NODE_TYPES)};
+
+// Guard against cycles made only of automatic nodes
+const MAX_AUTOMATIC_STEPS = 50;
+
+// Session data keys set by the engine rather than by visitor input
+const ENGINE_DATA_KEYS = ['selectedProducts', 'steps'];
+
+class WorkflowError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class WorkflowEngine {
+  constructor(workflow = definition) {
+    this.nodes = new Map(workflow.nodes.map(node => [node.id, node]));
+    this.edges = workflow.edges;
+  }
+
+  /**
+   * Get a node by ID
+   */
+  getNode(nodeId) {
+    return this.nodes.get(nodeId) || null;
+  }
+
+  /**
+   * Get the start node of the funnel
+   */
+  getStartNode() {
+    for (const node of this.nodes.values()) {
+      if (node.type === 'startNode') {
+        return node;
+      }
+    }
+
+    throw new WorkflowError('Workflow has no start node', 500);
+  }
+
+  /**
+   * Get the edges leaving a node
+   */
+  getOutgoingEdges(nodeId) {
+    return this.edges.filter(edge => edge.source === nodeId);
+  }
+
+  /**
+   * Start a session at the first interactive step
+   *
+   * @param {Object} session - Session document with currentNodeId, data and history
+   * @returns {Object} The updated session
+   */
+  start(session) {
+    session.data = session.data || {};
+    session.history = session.history || [];
+    session.status = 'active';
+
+    return this.moveTo(session, this.getStartNode().id);
+  }
+
+  /**
+   * Submit visitor input for the current step and move to the next one
+   *
+   * @param {Object} session - Session document
+   * @param {Object} input - Visitor input for the current step
+   * @returns {Object} The updated session
+   */
+  advance(session, input = {}) {
+    if (session.status === 'completed') {
+      throw new WorkflowError('Funnel already completed', 409);
+    }
+
+    const node = this.getNode(session.currentNodeId);
+
+    if (!node) {
+      throw new WorkflowError('Current step no longer exists in the workflow', 409);
+    }
+
+    this.collectInput(node, session, input);
+
+    const edge = this.getOutgoingEdges(node.id)[0];
+
+    if (!edge) {
+      return this.complete(session);
+    }
+
+    return this.moveTo(session, edge.target);
+  }
+
+  /**
+   * Validate and store the input for an interactive step
+   */
+  collectInput(node, session, input) {
+    if (node.type === 'formNode') {
+      const missing = (node.data.fields || [])
+        .filter(field => field.required)
+        .filter(field => input[field.name] === undefined || input[field.name] === '')
+        .map(field => field.name);
+
+      if (missing.length > 0) {
+        throw new WorkflowError('Missing required fields', 400, { missing });
+      }
+    }
+
+    if (node.type === 'productNode' && input.productId) {
+      const products = node.data.products || [];
+      const allowed = products.some(product =>
+        (product.id || product._id || product) === input.productId
+      );
+
+      if (products.length > 0 && !allowed) {
+        throw new WorkflowError('Product is not offered at this step', 400);
+      }
+
+      session.data.selectedProducts = [
+        ...(session.data.selectedProducts || []),
+        input.productId
+      ];
+    }
+
+    // Keep per-step answers, and expose them at the top level for decisions;
+    // visitors cannot overwrite the keys the engine maintains
+    const answers = Object.fromEntries(
+      Object.entries(input).filter(([key]) => !ENGINE_DATA_KEYS.includes(key))
+    );
+
+    session.data = {
+      ...session.data,
+      ...answers,
+      steps: {
+        ...(session.data.steps || {}),
+        [node.id]: answers
+      }
+    };
+  }
+
+  /**
+   * Enter a node, resolving automatic nodes until an interactive step is reached
+   */
+  moveTo(session, nodeId) {
+    let node = this.getNode(nodeId);
+
+    for (let step = 0; step < MAX_AUTOMATIC_STEPS; step++) {
+      if (!node) {
+        throw new WorkflowError('Workflow edge points to a missing node', 500);
+      }
+
+      session.currentNodeId = node.id;
+      session.history.push({ nodeId: node.id, enteredAt: new Date() });
+
+      if (node.type === 'endNode') {
+        return this.complete(session);
+      }
+
+      if (INTERACTIVE_NODE_TYPES.includes(node.type)) {
+        return session;
+      }
+
+      const edge = node.type === 'decisionNode'
+        ? this.evaluateDecision(node, session.data)
+        : this.getOutgoingEdges(node.id)[0];
+
+      if (!edge) {
+        return this.complete(session);
+      }
+
+      node = this.getNode(edge.target);
+    }
+
+    throw new WorkflowError('Workflow contains a loop without an interactive step', 500);
+  }
+
+  /**
+   * Pick the outgoing edge of a decision node
+   *
+   * Each condition is { id, field, operator, value }. The edge for a matching
+   * condition is the one whose sourceHandle or label equals the condition id
+   * or label. An edge with the handle or label 'default' (or without either)
+   * is used when no condition matches.
+   */
+  evaluateDecision(node, data) {
+    const edges = this.getOutgoingEdges(node.id);
+    const conditions = node.data.conditions || [];
+
+    for (const condition of conditions) {
+      if (!this.evaluateCondition(condition, data)) {
+        continue;
+      }
+
+      const edge = edges.find(e =>
+        [condition.id, condition.label].filter(Boolean)
+          .some(key => e.sourceHandle === key || e.label === key)
+      );
+
+      if (edge) {
+        return edge;
+      }
+    }
+
+    return edges.find(e => e.sourceHandle === 'default' || e.label === 'default')
+      || edges.find(e => !e.sourceHandle && !e.label)
+      || null;
+  }
+
+  /**
+   * Evaluate a single decision condition against the session data
+   */
+  evaluateCondition({ field, operator = 'equals', value }, data) {
+    // A condition saved before its field was picked never matches
+    if (!field) {
+      return false;
+    }
+
+    const actual = field
+      .split('.')
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+
+    switch (operator) {
+      case 'equals':
+        return String(actual) === String(value);
+      case 'notEquals':
+        return String(actual) !== String(value);
+      case 'contains':
+        return Array.isArray(actual)
+          ? actual.map(String).includes(String(value))
+          : String(actual || '').toLowerCase().includes(String(value).toLowerCase());
+      case 'greaterThan':
+        return Number(actual) > Number(value);
+      case 'lessThan':
+        return Number(actual) < Number(value);
+      case 'exists':
+        return actual !== undefined && actual !== null && actual !== '';
+      case 'notExists':
+        return actual === undefined || actual === null || actual === '';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Mark a session as completed
+   */
+  complete(session) {
+    session.status = 'completed';
+    session.completedAt = new Date();
+    return session;
+  }
+
+  /**
+   * Describe the current step for the client
+   */
+  describeStep(session) {
+    const node = this.getNode(session.currentNodeId);
+
+    return {
+      sessionId: session._id,
+      status: session.status,
+      step: node ? { id: node.id, type: node.type, data: node.data } : null,
+      data: session.data
+    };
+  }
+}
+
+module.exports = {
+  WorkflowEngine,
+  WorkflowError
+};
+`;
+  }
+
+  /**
+   * Generate code for the funnel session model
+   */
+  generateSessionModelCode() {
+    const tenant = this.apiGenerator.tenantGenerator.getMongoPluginCode('FunnelSessionSchema');
+
+    return `/**
+ * FunnelSession model
+ * Tracks each visitor's position in the funnel workflow
+ */
+const mongoose = require('mongoose');
+${tenant.require}
+const FunnelSessionSchema = new mongoose.Schema({
+  visitorId: {
+    type: String,
+    index: true
+  },
+  currentNodeId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  history: [{
+    nodeId: String,
+    enteredAt: Date
+  }],
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+${tenant.plugin}
+module.exports = mongoose.model('FunnelSession', FunnelSessionSchema);
+`;
+  }
+
+  /**
+   * Generate code for the funnel routes
+   */
+  generateRouteCode() {
+    return `/**
+ * Routes for the funnel workflow
+ */
+const express = require('express');
+const router = express.Router();
+const FunnelSession = require('../models/FunnelSession');
+const { WorkflowEngine } = require('../workflow/engine');
+
+const engine = new WorkflowEngine();
+
+/**
+ * Map a malformed session ID to 404, pass everything else to the error handler
+ */
+const handleError = (err, res, next) => {
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Session not found' });
+  }
+
+  next(err);
+};
+
+/**
+ * @route   POST /api/funnel/sessions
+ * @desc    Start a visitor session at the first funnel step
+ * @access  Public
+ */
+router.post('/sessions', async (req, res, next) => {
+  try {
+    const session = new FunnelSession({ visitorId: req.body.visitorId });
+    engine.start(session);
+    await session.save();
+
+    res.status(201).json(engine.describeStep(session));
+  } catch (err) {
+    handleError(err, res, next);
+  }
+});
+
+/**
+ * @route   GET /api/funnel/sessions/:id
+ * @desc    Get the current step of a visitor session
+ * @access  Public
+ */
+router.get('/sessions/:id', async (req, res, next) => {
+  try {
+    const session = await FunnelSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json(engine.describeStep(session));
+  } catch (err) {
+    handleError(err, res, next);
+  }
+});
+
+/**
+ * @route   POST /api/funnel/sessions/:id/advance
+ * @desc    Submit input for the current step and move to the next one
+ * @access  Public
+ */
+router.post('/sessions/:id/advance', async (req, res, next) => {
+  try {
+    const session = await FunnelSession.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    if (req.body.nodeId && req.body.nodeId !== session.currentNodeId) {
+      return res.status(409).json({ message: 'Step is no longer current' });
+    }
+
+    engine.advance(session, req.body.input || {});
+    session.markModified('data');
+    await session.save();
+
+    res.json(engine.describeStep(session));
+  } catch (err) {
+    handleError(err, res, next);
+  }
+});
+
+module.exports = router;
+`;
+  }
+
+  /**
+   * Generate README section for the funnel endpoints
+   */
+  generateDocs() {
+    if (!this.hasWorkflow()) {
+      return '';
+    }
+
+    return `### Funnel
+
+The funnel designed in the Workflow Builder runs on the server. Each visitor gets a
+session that tracks the current step; decision nodes are evaluated automatically
+against the answers collected so far.
+
+- \`POST /api/funnel/sessions\` - Start a session (optional \`visitorId\` in the body)
+- \`GET /api/funnel/sessions/:id\` - Get the current step
+- \`POST /api/funnel/sessions/:id/advance\` - Submit \`{ "input": { ... } }\` for the current step and move on
+
+`;
+  }
+}
+
+module.exports = WorkflowGenerator;
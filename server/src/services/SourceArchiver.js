@@ -0,0 +1,167 @@
+/**
+ * SourceArchiver.js
+ *
+ * Runs the API and chatbot generators for a project and packages their
+ * output as a zip archive with a manifest of every file and its hash. The
+ * generators run dry, so the archive holds exactly the files a generation
+ * produces, and none left on disk by earlier generations.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const APIGenerator = require('../generators/APIGenerator');
+const ChatbotGenerator = require('../../../ai-service/src/services/ChatbotGenerator');
+
+class SourceArchiver {
+  constructor(project) {
+    this.project = project;
+    this.apiGenerator = new APIGenerator(project, { dryRun: true });
+    this.chatbotGenerator = new ChatbotGenerator(project, { dryRun: true });
+  }
+
+  /**
+   * Run both generators and collect the files to archive
+   *
+   * @returns {Promise<Array<{name: string, content: Buffer}>>} Files keyed by
+   *   their path in the archive
+   */
+  async generate() {
+    const api = await this.apiGenerator.generateAll();
+
+    if (!api.success) {
+      const error = new Error(`API generation failed: ${api.error}`);
+      error.validationErrors = api.validationErrors;
+      throw error;
+    }
+
+    const chatbot = await this.chatbotGenerator.generateAll();
+
+    if (!chatbot.success) {
+      throw new Error(`Chatbot generation failed: ${chatbot.error}`);
+    }
+
+    const apiFiles = { ...api.files, ...await this.readKeptFiles(api) };
+
+    return [
+      ...this.toEntries(apiFiles, 'api'),
+      ...this.toEntries(chatbot.files, 'chatbot')
+    ].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Read the files a generation keeps on disk instead of writing them
+   *
+   * Migrations are only written once, so earlier ones are read from disk,
+   * and so are files edited outside their custom code regions, which are
+   * left alone with the regenerated version next to them as a .new file.
+   *
+   * @param {Object} api - Result of the API generator's dry run
+   * @returns {Promise<Object<string, Buffer>>} Contents keyed by path relative
+   *   to the output directory
+   */
+  async readKeptFiles(api) {
+    const { outputDir } = this.apiGenerator;
+    const migrationsDir = this.apiGenerator.migrationGenerator.outputDir;
+    const kept = [...api.conflicts];
+    let migrations = [];
+
+    try {
+      migrations = await fs.readdir(migrationsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const entry of migrations) {
+      if (entry.isFile()) {
+        kept.push(path.relative(outputDir, path.join(migrationsDir, entry.name)).split(path.sep).join('/'));
+      }
+    }
+
+    const files = {};
+
+    for (const file of kept) {
+      if (!(file in api.files)) {
+        files[file] = await fs.readFile(path.join(outputDir, file));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Turn the files of a generator into archive entries
+   *
+   * @param {Object<string, string|Buffer>} files - Contents keyed by path
+   * @param {string} prefix - Path of the generator's output in the archive
+   */
+  toEntries(files, prefix) {
+    return Object.entries(files).map(([file, content]) => ({
+      name: `${prefix}/${file}`,
+      content: Buffer.isBuffer(content) ? content : Buffer.from(content)
+    }));
+  }
+
+  /**
+   * Build the manifest listing every archived file with its size and hash
+   */
+  buildManifest(files) {
+    return {
+      project: {
+        id: this.project._id.toString(),
+        name: this.project.name
+      },
+      generatedAt: new Date().toISOString(),
+      algorithm: 'sha256',
+      files: files.map(({ name, content }) => ({
+        path: name,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex')
+      }))
+    };
+  }
+
+  /**
+   * Get the file name offered for the archive download
+   */
+  getFileName() {
+    const slug = String(this.project.name || 'project')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    return `${slug || 'project'}-source.zip`;
+  }
+
+  /**
+   * Stream a zip archive of the files and their manifest
+   *
+   * @param {Array<{name: string, content: Buffer}>} files - Files from generate()
+   * @param {stream.Writable} output - Stream the archive is written to
+   * @returns {Promise<void>} Resolves once the archive has been written
+   */
+  pipe(files, output) {
+    return new Promise((resolve, reject) => {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      archive.on('error', reject);
+      archive.on('warning', reject);
+      output.on('close', resolve);
+      output.on('finish', resolve);
+
+      archive.pipe(output);
+
+      for (const { name, content } of files) {
+        archive.append(content, { name });
+      }
+
+      archive.append(JSON.stringify(this.buildManifest(files), null, 2), { name: 'manifest.json' });
+      archive.finalize();
+    });
+  }
+}
+
+module.exports = SourceArchiver;